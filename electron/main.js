@@ -8,6 +8,15 @@ const __dirname = path.dirname(__filename);
 
 let mainWindow;
 
+// Analysis started from the main screen (the batch queue tracks its own jobs)
+let interactiveAnalysisId = null;
+
+// Batch analysis queue (created on first use)
+let analysisQueue = null;
+
+// Follow-up question being answered (aborting stops the CLI)
+let followUpController = null;
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -125,6 +134,22 @@ function setupIPCHandlers() {
     }
   });
 
+  // ===== Usage Ledger =====
+
+  ipcMain.handle('usage:get', async (_event) => {
+    try {
+      const { loadUsageLedger, summarizeUsage } = await import('../src/utils/usage-ledger.js');
+      const entries = loadUsageLedger();
+      return {
+        summary: summarizeUsage(entries),
+        recent: entries.slice(-20).reverse()
+      };
+    } catch (error) {
+      console.error('Failed to load usage ledger:', error);
+      throw error;
+    }
+  });
+
   // ===== CLI Provider Detection =====
 
   ipcMain.handle('cli:detect-providers', async (_event) => {
@@ -139,35 +164,100 @@ function setupIPCHandlers() {
     }
   });
 
+  // ===== Provider Health =====
+
+  // Cached status only (no CLI calls)
+  ipcMain.handle('health:get', async (_event) => {
+    try {
+      const { loadHealthCache } = await import('../src/services/provider-health.js');
+      return loadHealthCache();
+    } catch (error) {
+      console.error('Failed to load provider health:', error);
+      return {};
+    }
+  });
+
+  // Smoke prompt per provider (cached status while fresh unless force is set)
+  ipcMain.handle('health:check', async (_event, params) => {
+    try {
+      const { providers, force = false } = params || {};
+      if (!Array.isArray(providers) || providers.length === 0) {
+        throw new Error('Invalid health check parameters');
+      }
+
+      const { getProvidersHealth } = await import('../src/services/provider-health.js');
+      const { loadSettings } = await import('../src/utils/settings-manager.js');
+      return await getProvidersHealth(providers, { force, providerModels: loadSettings().providerModels });
+    } catch (error) {
+      console.error('Failed to check provider health:', error);
+      throw error;
+    }
+  });
+
   // ===== Prompts Management =====
 
   ipcMain.handle('prompts:get-available', async (_event) => {
     try {
-      const { listAvailablePrompts } = await import('../src/utils/prompt-loader.js');
-      const promptNames = await listAvailablePrompts();
-
-      // Map to display format
-      const prompts = promptNames.map(name => ({
-        name,
-        displayName: getDisplayName(name),
-        description: getDescription(name),
-        filePath: path.join(__dirname, '../prompts', `${name}.md`)
-      }));
-
-      return prompts;
+      const { getAvailablePromptsInfo } = await import('../src/utils/prompt-loader.js');
+      // Display name, description, icon etc. come from each prompt file's frontmatter
+      return getAvailablePromptsInfo();
     } catch (error) {
       console.error('Failed to load prompts:', error);
       return [];
     }
   });
 
+  // IPC Handler: Prompt file as it is on disk (frontmatter included), for the prompt editor
+  ipcMain.handle('prompts:read', async (_event, { name, builtin = false }) => {
+    try {
+      const { readPromptSource } = await import('../src/utils/prompt-loader.js');
+      return readPromptSource(name, { builtin });
+    } catch (error) {
+      console.error('Failed to read prompt:', error);
+      return null;
+    }
+  });
+
+  // IPC Handler: Validate unsaved prompt text
+  ipcMain.handle('prompts:validate', async (_event, { name, content }) => {
+    try {
+      const { validatePrompt } = await import('../src/utils/prompt-loader.js');
+      return validatePrompt(name, content);
+    } catch (error) {
+      console.error('Failed to validate prompt:', error);
+      return { valid: false, error: error.message };
+    }
+  });
+
+  // IPC Handler: Save a prompt in the user's prompt directory (built-ins are never written)
+  ipcMain.handle('prompts:save', async (_event, { name, content }) => {
+    try {
+      const { saveUserPrompt } = await import('../src/utils/prompt-loader.js');
+      return saveUserPrompt(name, content);
+    } catch (error) {
+      console.error('Failed to save prompt:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // IPC Handler: Delete a user prompt (an override falls back to the built-in)
+  ipcMain.handle('prompts:delete', async (_event, name) => {
+    try {
+      const { deleteUserPrompt } = await import('../src/utils/prompt-loader.js');
+      return deleteUserPrompt(name);
+    } catch (error) {
+      console.error('Failed to delete prompt:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // ===== Analysis Execution =====
 
   // IPC Handler: Cancel running analysis
   ipcMain.handle('analysis:cancel', async () => {
     try {
       const { cancelAnalysis } = await import('../src/services/analysis-runner.js');
-      const cancelled = cancelAnalysis();
+      const cancelled = interactiveAnalysisId ? cancelAnalysis(interactiveAnalysisId) : false;
       return { success: true, cancelled };
     } catch (error) {
       console.error('Failed to cancel analysis:', error);
@@ -178,22 +268,37 @@ function setupIPCHandlers() {
   ipcMain.handle('analysis:run', async (event, params) => {
     try {
       // Validate parameters
-      if (!params.provider || !params.documentPath || !params.promptName) {
+      if (!params.provider || !params.documentPath || !(params.promptName || params.promptNames?.length)) {
         throw new Error('Missing required parameters');
       }
 
       const { runAnalysis } = await import('../src/services/analysis-runner.js');
 
       // Run analysis with progress updates
+      const analysisId = `interactive-${Date.now()}`;
+      interactiveAnalysisId = analysisId;
       const result = await runAnalysis(
-        params,
+        {
+          ...params,
+          analysisId,
+          // Forward the answer text as it is generated (streaming providers)
+          onStream: (chunk) => {
+            if (mainWindow && !mainWindow.isDestroyed()) {
+              mainWindow.webContents.send('analysis:stream', chunk);
+            }
+          }
+        },
         (progress) => {
           // Send progress updates to renderer
           if (mainWindow && !mainWindow.isDestroyed()) {
             mainWindow.webContents.send('analysis:progress', progress);
           }
         }
-      );
+      ).finally(() => {
+        if (interactiveAnalysisId === analysisId) {
+          interactiveAnalysisId = null;
+        }
+      });
 
       // Check if analysis succeeded
       if (!result.success) {
@@ -231,17 +336,40 @@ function setupIPCHandlers() {
       }
 
       return {
+        analysisId: result.analysisId,
         output: result.cliResult?.output || '',
+        findings: result.findings || null,
+        riskScore: result.riskScore || null,
+        usage: result.usage || null,
         executionTime: result.executionTime || 0,
         reportPaths,
+        // One entry per prompt (several when prompts were combined in one job)
+        analyses: (result.analyses || []).map(analysis => ({
+          promptName: analysis.promptName,
+          provider: analysis.provider,
+          usage: analysis.usage || null,
+          findings: analysis.findings || null,
+          riskScore: analysis.riskScore || null,
+          reportPaths: Object.fromEntries(analysis.reports.map(report => [report.format, report.path]))
+        })),
         metadata: {
           provider: result.metadata?.provider || params.provider,
-          providerVersion: result.cliResult?.version || 'unknown',
+          fallbacks: result.metadata?.fallbacks || [],
+          consensus: result.metadata?.consensus || null,
+          providerVersion: result.cliResult?.cliVersion || 'unknown',
+          model: result.metadata?.model || null,
+          parameters: result.metadata?.parameters || null,
+          local: result.metadata?.local || false,
           promptName: result.metadata?.promptName || params.promptName,
+          promptNames: result.metadata?.promptNames || [params.promptName],
           documentName: result.metadata?.documentPath?.split(/[/\\]/).pop() || params.documentPath?.split(/[/\\]/).pop() || '',
           clientName: result.metadata?.clientName || params.clientName || '',
           analysisDate: new Date().toISOString(),
-          outputPath: result.metadata?.outputPath || ''
+          outputPath: result.metadata?.outputPath || '',
+          references: result.metadata?.references || [],
+          comparedWith: result.metadata?.comparedWith || null,
+          changeCount: result.metadata?.changeCount ?? null,
+          findingsStatus: result.metadata?.findingsStatus || 'unavailable'
         }
       };
 
@@ -267,6 +395,170 @@ function setupIPCHandlers() {
     }
   });
 
+  // ===== Follow-up Questions =====
+
+  // Questions and answers asked on an analysis so far
+  ipcMain.handle('followup:list', async (_event, analysisId) => {
+    try {
+      const { getFollowUps } = await import('../src/services/analysis-chat.js');
+      return getFollowUps(analysisId);
+    } catch (error) {
+      console.error('Failed to load follow-up questions:', error);
+      throw toIPCError(error);
+    }
+  });
+
+  ipcMain.handle('followup:ask', async (_event, params) => {
+    const { analysisId, question } = params || {};
+    // eslint-disable-next-line no-undef
+    const controller = new AbortController();
+    followUpController = controller;
+    try {
+      const { askFollowUp } = await import('../src/services/analysis-chat.js');
+      return await askFollowUp(analysisId, question, { signal: controller.signal });
+    } catch (error) {
+      console.error('Follow-up question failed:', error);
+      throw toIPCError(error);
+    } finally {
+      if (followUpController === controller) {
+        followUpController = null;
+      }
+    }
+  });
+
+  ipcMain.handle('followup:cancel', async () => {
+    const cancelled = Boolean(followUpController);
+    followUpController?.abort();
+    return { success: true, cancelled };
+  });
+
+  // Regenerate the reports with the questions and answers as an appendix
+  ipcMain.handle('followup:append-to-report', async (_event, analysisId) => {
+    try {
+      const { appendFollowUpsToReport } = await import('../src/services/analysis-chat.js');
+      const reports = await appendFollowUpsToReport(analysisId);
+      return Object.fromEntries(reports.map(report => [report.format, report.path]));
+    } catch (error) {
+      console.error('Failed to add follow-up questions to report:', error);
+      throw toIPCError(error);
+    }
+  });
+
+  // ===== Prompt History =====
+
+  // The prompts an analysis ran with (compared with the current prompts) and how to re-run it with them
+  ipcMain.handle('history:analysis-prompts', async (_event, analysisId) => {
+    try {
+      const { loadAnalysisRecord } = await import('../src/utils/analysis-store.js');
+      const { getAnalysisPrompts, getAnalysisInstructions } = await import('../src/utils/prompt-history.js');
+      const { ErrorFactory } = await import('../src/utils/logger.js');
+      const record = loadAnalysisRecord(analysisId);
+      if (!record) {
+        throw ErrorFactory.analysisNotFound(analysisId);
+      }
+
+      return {
+        analysisId,
+        date: record.date,
+        documentPath: record.documentPath,
+        clientName: record.clientName,
+        prompts: [...getAnalysisPrompts(record), ...await getAnalysisInstructions(record)],
+        // Parameters for analysis:run (analyses from before the prompt history cannot be re-run)
+        rerun: record.promptVersions ? {
+          provider: record.provider,
+          // The model and parameters the analysis ran with, not the current settings
+          providerModels: record.options ? { [record.provider]: record.options } : undefined,
+          documentPath: record.documentPath,
+          compareWithPath: record.compareWithPath || undefined,
+          promptName: record.promptNames[0],
+          promptNames: record.promptNames,
+          consensusProviders: record.consensusProviders || null,
+          clientName: record.clientName,
+          promptVariables: record.promptVariables,
+          promptVersions: Object.fromEntries(record.promptVersions.map(version => [version.promptName, version.hash])),
+          instructionVersions: record.instructionVersions
+            ? Object.fromEntries(record.instructionVersions.map(version => [version.provider, version.hash]))
+            : undefined,
+          findingsVersion: record.findingsVersion,
+          referencePath: record.referencePath || null
+        } : null
+      };
+    } catch (error) {
+      console.error('Failed to load prompt history of analysis:', error);
+      throw toIPCError(error);
+    }
+  });
+
+  // Line diff between two stored prompt versions
+  ipcMain.handle('history:diff', async (_event, params) => {
+    const { fromHash, toHash } = params || {};
+    try {
+      const { loadPromptVersion, diffLines } = await import('../src/utils/prompt-history.js');
+      const from = loadPromptVersion(fromHash);
+      const to = loadPromptVersion(toHash);
+      if (!from || !to) {
+        throw new Error('Promptversionen findes ikke i prompthistorikken');
+      }
+      return diffLines(from.content, to.content);
+    } catch (error) {
+      console.error('Failed to compare prompt versions:', error);
+      throw toIPCError(error);
+    }
+  });
+
+  // ===== Batch Queue =====
+
+  // IPC Handler: Add documents to the batch queue
+  ipcMain.handle('queue:add', async (_event, params) => {
+    const { documentPaths, ...options } = params || {};
+    if (!Array.isArray(documentPaths) || documentPaths.length === 0 || !options.provider || !options.promptName) {
+      throw new Error('Missing required parameters');
+    }
+
+    const queue = await getAnalysisQueue();
+    return queue.add(documentPaths, options);
+  });
+
+  // IPC Handler: Add every supported document in a folder to the batch queue
+  ipcMain.handle('queue:add-folder', async (_event, params) => {
+    const { folderPath, ...options } = params || {};
+    if (!folderPath || !options.provider || !options.promptName) {
+      throw new Error('Missing required parameters');
+    }
+
+    const { listFolderDocuments } = await import('../src/services/analysis-queue.js');
+    const documentPaths = listFolderDocuments(folderPath);
+    if (documentPaths.length === 0) {
+      return [];
+    }
+
+    const queue = await getAnalysisQueue();
+    return queue.add(documentPaths, options);
+  });
+
+  // IPC Handler: Get all queue jobs
+  ipcMain.handle('queue:list', async () => {
+    return analysisQueue ? analysisQueue.getJobs() : [];
+  });
+
+  // IPC Handler: Cancel one queue job
+  ipcMain.handle('queue:cancel', async (_event, jobId) => {
+    return analysisQueue ? analysisQueue.cancel(jobId) : false;
+  });
+
+  // IPC Handler: Cancel all queued and running jobs
+  ipcMain.handle('queue:cancel-all', async () => {
+    return analysisQueue ? analysisQueue.cancelAll() : false;
+  });
+
+  // IPC Handler: Remove finished jobs from the queue
+  ipcMain.handle('queue:clear-finished', async () => {
+    if (analysisQueue) {
+      analysisQueue.clearFinished();
+    }
+    return analysisQueue ? analysisQueue.getJobs() : [];
+  });
+
   // ===== File Operations =====
 
   ipcMain.handle('file:open', async (event, filePath) => {
@@ -360,6 +652,24 @@ function setupIPCHandlers() {
     }
   });
 
+  ipcMain.handle('dialog:select-directory', async (_event) => {
+    try {
+      const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openDirectory']
+      });
+
+      if (result.canceled) {
+        return null;
+      }
+
+      return result.filePaths[0];
+
+    } catch (error) {
+      console.error('Failed to show directory dialog:', error);
+      throw error;
+    }
+  });
+
   // ===== Logo Loading =====
 
   ipcMain.handle('logo:load', async (event, logoPath) => {
@@ -429,22 +739,32 @@ function setupIPCHandlers() {
 
 // ========== Helper Functions ==========
 
-function getDisplayName(promptName) {
-  const map = {
-    'franchise-contract-review': 'Kontrakt',
-    'franchise-manual-review': 'Manual',
-    'compliance-check': 'Compliance'
-  };
-  return map[promptName] || promptName;
+async function getAnalysisQueue() {
+  if (!analysisQueue) {
+    const { AnalysisQueue } = await import('../src/services/analysis-queue.js');
+    const { runAnalysis, cancelAnalysis } = await import('../src/services/analysis-runner.js');
+    const { loadSettings } = await import('../src/utils/settings-manager.js');
+
+    analysisQueue = new AnalysisQueue({
+      runAnalysis,
+      cancelAnalysis,
+      // Read on every scheduling round so settings changes apply to waiting jobs
+      getConcurrency: (provider) => loadSettings().queueConcurrency?.[provider] || 1,
+      onUpdate: (jobs) => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('queue:update', jobs);
+        }
+      }
+    });
+  }
+  return analysisQueue;
 }
 
-function getDescription(promptName) {
-  const map = {
-    'franchise-contract-review': 'Analysér franchisekontrakt for juridiske risici',
-    'franchise-manual-review': 'Gennemgå franchisemanual for fuldstændighed',
-    'compliance-check': 'Kontrollér overholdelse af lovgivning'
-  };
-  return map[promptName] || '';
+// Electron only keeps the message of an error thrown to the renderer - use the Danish one
+function toIPCError(error) {
+  const ipcError = new Error(error.userMessage || error.message || 'En ukendt fejl opstod');
+  ipcError.code = error.errorCode || error.code || 'UNKNOWN';
+  return ipcError;
 }
 
 // ========== Global Error Handler ==========
@@ -7,11 +7,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
   resetSettings: () => ipcRenderer.invoke('settings:reset'),
 
+  // ========== Usage Ledger ==========
+  getUsage: () => ipcRenderer.invoke('usage:get'),
+
   // ========== CLI Provider Detection ==========
   detectCLIProviders: () => ipcRenderer.invoke('cli:detect-providers'),
+  getProviderHealth: () => ipcRenderer.invoke('health:get'),
+  checkProviderHealth: (params) => ipcRenderer.invoke('health:check', params),
 
   // ========== Prompts ==========
   getAvailablePrompts: () => ipcRenderer.invoke('prompts:get-available'),
+  readPromptSource: (params) => ipcRenderer.invoke('prompts:read', params),
+  validatePrompt: (params) => ipcRenderer.invoke('prompts:validate', params),
+  saveUserPrompt: (params) => ipcRenderer.invoke('prompts:save', params),
+  deleteUserPrompt: (name) => ipcRenderer.invoke('prompts:delete', name),
 
   // ========== Analysis ==========
   runAnalysis: (params) => ipcRenderer.invoke('analysis:run', params),
@@ -32,11 +41,60 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // Streamed analysis text (main -> renderer), called with { text, promptName, reset }
+  onAnalysisStream: (callback) => {
+    const subscription = (event, chunk) => callback(chunk);
+    ipcRenderer.on('analysis:stream', subscription);
+    return subscription;
+  },
+
+  removeAnalysisStreamListener: (callback) => {
+    if (callback) {
+      ipcRenderer.removeListener('analysis:stream', callback);
+    } else {
+      ipcRenderer.removeAllListeners('analysis:stream');
+    }
+  },
+
+  // ========== Prompt History ==========
+  getAnalysisPrompts: (analysisId) => ipcRenderer.invoke('history:analysis-prompts', analysisId),
+  diffPromptVersions: (params) => ipcRenderer.invoke('history:diff', params),
+
+  // ========== Follow-up Questions ==========
+  getFollowUps: (analysisId) => ipcRenderer.invoke('followup:list', analysisId),
+  askFollowUp: (params) => ipcRenderer.invoke('followup:ask', params),
+  cancelFollowUp: () => ipcRenderer.invoke('followup:cancel'),
+  appendFollowUpsToReport: (analysisId) => ipcRenderer.invoke('followup:append-to-report', analysisId),
+
+  // ========== Batch Queue ==========
+  addToQueue: (params) => ipcRenderer.invoke('queue:add', params),
+  addFolderToQueue: (params) => ipcRenderer.invoke('queue:add-folder', params),
+  getQueue: () => ipcRenderer.invoke('queue:list'),
+  cancelQueueJob: (jobId) => ipcRenderer.invoke('queue:cancel', jobId),
+  cancelQueue: () => ipcRenderer.invoke('queue:cancel-all'),
+  clearFinishedJobs: () => ipcRenderer.invoke('queue:clear-finished'),
+
+  // Queue updates (main -> renderer), called with all jobs
+  onQueueUpdate: (callback) => {
+    const subscription = (event, jobs) => callback(jobs);
+    ipcRenderer.on('queue:update', subscription);
+    return subscription;
+  },
+
+  removeQueueUpdateListener: (callback) => {
+    if (callback) {
+      ipcRenderer.removeListener('queue:update', callback);
+    } else {
+      ipcRenderer.removeAllListeners('queue:update');
+    }
+  },
+
   // ========== File Operations ==========
   openFile: (filePath) => ipcRenderer.invoke('file:open', filePath),
   openDirectory: (dirPath) => ipcRenderer.invoke('file:open-directory', dirPath),
   openPath: (path) => ipcRenderer.invoke('file:open-path', path),
   selectFile: (filters) => ipcRenderer.invoke('dialog:select-file', filters),
+  selectDirectory: () => ipcRenderer.invoke('dialog:select-directory'),
   loadLogo: (logoPath) => ipcRenderer.invoke('logo:load', logoPath),
 
   // ========== Export ==========
@@ -1,19 +1,26 @@
 import { useEffect, useCallback, useState } from 'react';
-import { useAppState, useAppDispatch, useCanStartAnalysis } from './context/AppContext';
+import { History } from 'lucide-react';
+import { useAppState, useAppDispatch, useCanStartAnalysis, COMPARISON_PROMPT, CONSENSUS_PROVIDERS } from './context/AppContext';
 import AppHeader from './components/AppHeader';
 import DropZone from './components/DropZone';
 import PromptSelector from './components/PromptSelector';
+import PromptVariables from './components/PromptVariables';
 import ProviderSelector from './components/ProviderSelector';
+import ReferenceSelector from './components/ReferenceSelector';
 import ProviderErrorOverlay from './components/ProviderErrorOverlay';
 import OutputButtons from './components/OutputButtons';
 import StatusArea from './components/StatusArea';
 import SettingsModal from './components/SettingsModal';
+import QueuePanel from './components/QueuePanel';
+import FollowUpChat from './components/FollowUpChat';
+import PromptHistory from './components/PromptHistory';
 
 function App() {
   const state = useAppState();
   const dispatch = useAppDispatch();
   const canStartAnalysis = useCanStartAnalysis();
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [promptHistoryId, setPromptHistoryId] = useState(null);  // Analysis whose prompts are shown
 
   // ========== Event Handlers ==========
 
@@ -32,42 +39,123 @@ function App() {
   };
 
   const handlePromptSelect = (promptName) => {
-    dispatch({ type: 'SELECT_PROMPT', payload: promptName });
+    dispatch({ type: 'TOGGLE_PROMPT', payload: promptName });
+  };
+
+  // A user prompt was saved or deleted in the prompt editor
+  const handlePromptsChange = async () => {
+    try {
+      const prompts = await window.electronAPI.getAvailablePrompts();
+      dispatch({ type: 'LOAD_PROMPTS_SUCCESS', payload: prompts });
+    } catch (error) {
+      console.error('Failed to reload prompts:', error);
+    }
   };
 
   const handleProviderSelect = (providerName) => {
     dispatch({ type: 'SELECT_PROVIDER', payload: providerName });
   };
 
+  // The model is remembered per provider ('' = the CLI's default model)
+  const handleModelSelect = (model) => {
+    const current = state.providerModels[state.selectedProvider] || {};
+    dispatch({
+      type: 'UPDATE_SETTING',
+      payload: {
+        key: 'providerModels',
+        value: { ...state.providerModels, [state.selectedProvider]: { ...current, model: model || null } }
+      }
+    });
+  };
+
+  const handleConsensusToggle = () => {
+    dispatch({ type: 'TOGGLE_CONSENSUS' });
+  };
+
+  // Consensus compares one analysis type across providers
+  const canUseConsensus = state.selectedPrompts.length <= 1 &&
+    CONSENSUS_PROVIDERS.every(name => state.availableProviders.some(p => p.name === name && p.available));
+
+  const handleReferenceChange = (referencePath) => {
+    dispatch({ type: 'SET_REFERENCE_PATH', payload: referencePath });
+  };
+
+  const handleClientNameChange = (clientName) => {
+    dispatch({ type: 'UPDATE_CLIENT_NAME', payload: clientName });
+  };
+
+  const handlePromptVariableChange = (name, value) => {
+    dispatch({ type: 'SET_PROMPT_VARIABLE', payload: { name, value } });
+  };
+
   const handleFileUpload = (fileData) => {
     dispatch({ type: 'UPLOAD_DOCUMENT', payload: fileData });
   };
 
-  const startAnalysis = useCallback(async () => {
-    // Validate we have everything needed
-    if (!state.selectedPrompt || !state.documentFile || !state.selectedProvider) {
-      console.error('Missing required data for analysis');
-      return;
+  // ========== Batch Queue ==========
+
+  // Queued jobs use the selections on the main screen at the time they are added
+  const getQueueParams = () => ({
+    provider: state.selectedProvider,
+    providerModels: state.providerModels,
+    promptName: state.selectedPrompts[0],
+    promptNames: state.selectedPrompts,
+    clientName: state.clientName || 'Unnamed Client',
+    promptVariables: { clientName: state.clientName, ...state.promptVariables },
+    outputFormats: state.outputPreferences.defaultFormats,
+    referencePath: state.referencePath,
+    branding: state.branding
+  });
+
+  const canQueueDocuments = () => {
+    if (state.selectedPrompts.length === 0 || !state.selectedProvider) {
+      alert('Vælg analysetype og provider, før du tilføjer flere dokumenter.');
+      return false;
+    }
+    if (state.selectedPrompts.includes(COMPARISON_PROMPT)) {
+      alert('Sammenligning kan ikke køres som batch. Vælg en anden analysetype.');
+      return false;
     }
+    return true;
+  };
 
-    console.log('[FRONTEND] Starting analysis...');
-    console.log('[FRONTEND] Provider:', state.selectedProvider);
-    console.log('[FRONTEND] Document:', state.documentFile.path);
-    console.log('[FRONTEND] Prompt:', state.selectedPrompt);
+  const handleBatchUpload = async (files) => {
+    if (!canQueueDocuments()) return;
+
+    try {
+      await window.electronAPI.addToQueue({
+        documentPaths: files.map(file => file.path),
+        ...getQueueParams()
+      });
+    } catch (error) {
+      console.error('Failed to add documents to queue:', error);
+    }
+  };
 
+  const handleQueueFolder = async () => {
+    if (!canQueueDocuments()) return;
+
+    try {
+      const folderPath = await window.electronAPI.selectDirectory();
+      if (!folderPath) return;
+
+      const jobs = await window.electronAPI.addFolderToQueue({ folderPath, ...getQueueParams() });
+      if (jobs.length === 0) {
+        alert('Mappen indeholder ingen .txt, .pdf eller .docx filer.');
+      }
+    } catch (error) {
+      console.error('Failed to add folder to queue:', error);
+    }
+  };
+
+  // Runs an analysis with the given analysis:run parameters (a new analysis or a re-run)
+  const executeAnalysis = useCallback(async (params) => {
     dispatch({ type: 'START_ANALYSIS' });
 
     try {
       console.log('[FRONTEND] Calling window.electronAPI.runAnalysis()...');
       // Call backend via IPC
-      const result = await window.electronAPI.runAnalysis({
-        provider: state.selectedProvider,
-        documentPath: state.documentFile.path,
-        promptName: state.selectedPrompt,
-        clientName: state.clientName || 'Unnamed Client',
-        outputFormats: state.outputPreferences.defaultFormats,
-        branding: state.branding
-      });
+      const result = await window.electronAPI.runAnalysis(params);
       console.log('[FRONTEND] runAnalysis() completed successfully!');
       console.log('[FRONTEND] Result:', result);
 
@@ -102,7 +190,50 @@ function App() {
         }
       });
     }
-  }, [state.selectedPrompt, state.documentFile, state.selectedProvider, state.clientName, state.outputPreferences.defaultFormats, state.branding, dispatch]);
+  }, [state.clientName, dispatch]);
+
+  const startAnalysis = useCallback(async () => {
+    // Validate we have everything needed
+    if (state.selectedPrompts.length === 0 || !state.documentFile || !state.selectedProvider) {
+      console.error('Missing required data for analysis');
+      return;
+    }
+
+    console.log('[FRONTEND] Starting analysis...');
+    console.log('[FRONTEND] Provider:', state.selectedProvider);
+    console.log('[FRONTEND] Document:', state.documentFile.path);
+    console.log('[FRONTEND] Prompts:', state.selectedPrompts.join(', '));
+    console.log('[FRONTEND] References:', state.referencePath || 'none');
+
+    await executeAnalysis({
+      provider: state.selectedProvider,
+      providerModels: state.providerModels,
+      documentPath: state.documentFile.path,
+      compareWithPath: state.documentFile.compareWith?.path,
+      promptName: state.selectedPrompts[0],
+      promptNames: state.selectedPrompts,
+      consensusProviders: state.consensus && canUseConsensus ? CONSENSUS_PROVIDERS : null,
+      clientName: state.clientName || 'Unnamed Client',
+      promptVariables: { clientName: state.clientName, ...state.promptVariables },
+      outputFormats: state.outputPreferences.defaultFormats,
+      referencePath: state.referencePath,
+      branding: state.branding
+    });
+  }, [state.selectedPrompts, state.documentFile, state.selectedProvider, state.providerModels, state.consensus, canUseConsensus, state.clientName, state.promptVariables, state.outputPreferences.defaultFormats, state.referencePath, state.branding, executeAnalysis]);
+
+  // Re-run an earlier analysis with the prompt versions it ran with (document, prompts, client, model and
+  // parameters from the analysis; the current model settings only for providers the analysis has none for)
+  const rerunAnalysis = (params) => {
+    setPromptHistoryId(null);
+    setSettingsOpen(false);
+    console.log('[FRONTEND] Re-running analysis with stored prompt versions:', params.promptVersions);
+    executeAnalysis({
+      ...params,
+      providerModels: { ...state.providerModels, ...params.providerModels },
+      outputFormats: state.outputPreferences.defaultFormats,
+      branding: state.branding
+    });
+  };
 
   const exportReport = async (format) => {
     if (!state.analysisResult || !state.analysisResult.reportPaths[format]) {
@@ -185,20 +316,41 @@ function App() {
     <div className="app-container">
       <AppHeader onMenuClick={handleMenuClick} logoPath={state.logoPath} />
 
-      <DropZone onFileUpload={handleFileUpload} />
+      <DropZone onFileUpload={handleFileUpload} onBatchUpload={handleBatchUpload} />
 
       <PromptSelector
-        selected={state.selectedPrompt}
+        prompts={state.availablePrompts}
+        selected={state.selectedPrompts}
         onSelect={handlePromptSelect}
         visible={['idle', 'prompt-selected'].includes(state.uiState)}
       />
 
+      <PromptVariables
+        prompts={state.availablePrompts.filter(prompt => state.selectedPrompts.includes(prompt.name))}
+        clientName={state.clientName}
+        values={state.promptVariables}
+        onClientNameChange={handleClientNameChange}
+        onChange={handlePromptVariableChange}
+        visible={['idle', 'prompt-selected'].includes(state.uiState)}
+      />
+
       <ProviderSelector
         availableProviders={state.availableProviders}
         selected={state.selectedProvider}
         onSelect={handleProviderSelect}
         visible={['idle', 'prompt-selected'].includes(state.uiState)}
         loading={state.providersLoading}
+        providerModels={state.providerModels}
+        onModelSelect={handleModelSelect}
+        consensus={state.consensus}
+        consensusAvailable={canUseConsensus}
+        onConsensusToggle={handleConsensusToggle}
+      />
+
+      <ReferenceSelector
+        referencePath={state.referencePath}
+        onChange={handleReferenceChange}
+        visible={['idle', 'prompt-selected'].includes(state.uiState)}
       />
 
       <OutputButtons
@@ -209,6 +361,25 @@ function App() {
 
       <StatusArea onRetry={resetState} />
 
+      <FollowUpChat
+        analysisId={state.analysisResult?.analysisId}
+        visible={state.uiState === 'completed'}
+      />
+
+      {state.uiState === 'completed' && state.analysisResult?.analysisId && (
+        <div className="prompt-history-link">
+          <button className="follow-up-toggle" onClick={() => setPromptHistoryId(state.analysisResult.analysisId)}>
+            <History size={14} />
+            <span>Vis prompten bag rapporten</span>
+          </button>
+        </div>
+      )}
+
+      <QueuePanel
+        onAddFolder={handleQueueFolder}
+        canAddFolder={['idle', 'prompt-selected', 'completed'].includes(state.uiState)}
+      />
+
       <SettingsModal
         isOpen={settingsOpen}
         onClose={() => setSettingsOpen(false)}
@@ -216,12 +387,32 @@ function App() {
           logoPath: state.logoPath,
           defaultFormats: state.outputPreferences.defaultFormats,
           autoOpen: state.outputPreferences.autoOpen,
-          lastProvider: state.selectedProvider
+          lastProvider: state.selectedProvider,
+          clientReferenceFolders: state.clientReferenceFolders,
+          queueConcurrency: state.queueConcurrency,
+          fallbackProviders: state.fallbackProviders,
+          useProviderInstructions: state.useProviderInstructions,
+          usagePrices: state.usagePrices,
+          providerModels: state.providerModels
         }}
+        recentClients={state.recentClients}
         recentAnalyses={state.recentAnalyses}
+        prompts={state.availablePrompts}
+        providers={state.availableProviders}
         onSettingChange={handleSettingChange}
+        onPromptsChange={handlePromptsChange}
+        onShowPrompt={setPromptHistoryId}
       />
 
+      {promptHistoryId && (
+        <PromptHistory
+          analysisId={promptHistoryId}
+          prompts={state.availablePrompts}
+          onRerun={rerunAnalysis}
+          onClose={() => setPromptHistoryId(null)}
+        />
+      )}
+
       <ProviderErrorOverlay
         visible={!state.providersLoading && state.availableProviders.filter(p => p.available).length === 0}
       />
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * DiagnosticsPanel Component
+ *
+ * Health of the installed providers: a smoke prompt per provider shows whether the
+ * CLI actually answers (logged in, quota left) before a long analysis is started.
+ * The last status is cached with a timestamp; "Tjek" runs the check again.
+ *
+ * Props:
+ * - providers: Detected providers (only installed ones are checked)
+ * - active: Whether the panel is shown (loads the cached status)
+ */
+export default function DiagnosticsPanel({ providers = [], active }) {
+  const [health, setHealth] = useState({});
+  const [checking, setChecking] = useState([]);
+
+  const installed = providers.filter(provider => provider.available);
+
+  // Cached status only - checks are started by the user (they call the CLIs)
+  useEffect(() => {
+    if (!active) return;
+    window.electronAPI.getProviderHealth()
+      .then(setHealth)
+      .catch(error => console.error('Failed to load provider health:', error));
+  }, [active]);
+
+  async function runCheck(names) {
+    setChecking(current => [...current, ...names]);
+    try {
+      const results = await window.electronAPI.checkProviderHealth({ providers: names, force: true });
+      setHealth(current => ({ ...current, ...Object.fromEntries(results.map(status => [status.provider, status])) }));
+    } catch (error) {
+      console.error('Failed to check provider health:', error);
+    } finally {
+      setChecking(current => current.filter(name => !names.includes(name)));
+    }
+  }
+
+  function formatCheckedAt(status) {
+    const checkedAt = new Date(status.checkedAt).toLocaleString('da-DK', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    return `${checkedAt} • ${(status.latencyMs / 1000).toFixed(1)} s`;
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Provider-status</h3>
+      <p className="settings-hint">
+        Sender en lille testprompt til hver provider for at se, om CLI&apos;en er logget ind og svarer.
+      </p>
+      {installed.length > 0 ? (
+        <>
+          <div className="diagnostics-list">
+            {installed.map(({ name, displayName }) => {
+              const status = health[name];
+              const busy = checking.includes(name);
+              return (
+                <div key={name} className="diagnostics-item">
+                  <div className="diagnostics-row">
+                    <span className="client">{displayName}</span>
+                    {busy ? (
+                      <span className="health-badge unknown">Tjekker…</span>
+                    ) : status ? (
+                      <span className={`health-badge ${status.ok ? 'ok' : 'error'}`}>
+                        {status.ok ? '✓' : '✗'} {status.message}
+                      </span>
+                    ) : (
+                      <span className="health-badge unknown">Ikke tjekket</span>
+                    )}
+                    <button
+                      className="upload-button"
+                      onClick={() => runCheck([name])}
+                      disabled={busy}
+                      aria-label={`Tjek ${displayName}`}
+                    >
+                      Tjek
+                    </button>
+                  </div>
+                  {status && !busy && (
+                    <span className="diagnostics-meta">
+                      {formatCheckedAt(status)}{status.model ? ` • ${status.model}` : ''}
+                    </span>
+                  )}
+                  {status && !status.ok && !busy && status.suggestions.length > 0 && (
+                    <ul className="diagnostics-suggestions">
+                      {status.suggestions.map(suggestion => (
+                        <li key={suggestion}>{suggestion}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <button
+            className="upload-button"
+            onClick={() => runCheck(installed.map(provider => provider.name))}
+            disabled={checking.length > 0}
+          >
+            Tjek alle
+          </button>
+        </>
+      ) : (
+        <p className="empty-state">Ingen installerede providere</p>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 import { useState } from 'react';
 import { UploadCloud, ArrowDownCircle, Loader, CheckCircle, AlertTriangle } from 'lucide-react';
-import { useAppState } from '../context/AppContext';
+import { useAppState, COMPARISON_PROMPT } from '../context/AppContext';
 
-export default function DropZone({ onFileUpload }) {
+export default function DropZone({ onFileUpload, onBatchUpload }) {
   const state = useAppState();
   const [isDragOver, setIsDragOver] = useState(false);
+  const isComparison = state.selectedPrompts.includes(COMPARISON_PROMPT);
 
   // Event handlers
   const handleDragEnter = (e) => {
@@ -25,10 +26,7 @@ export default function DropZone({ onFileUpload }) {
     e.preventDefault();
     setIsDragOver(false);
 
-    const file = e.dataTransfer.files[0];
-    if (file) {
-      validateAndUpload(file);
-    }
+    handleFiles(Array.from(e.dataTransfer.files));
   };
 
   const handleClick = () => {
@@ -39,36 +37,79 @@ export default function DropZone({ onFileUpload }) {
     const input = document.createElement('input');
     input.type = 'file';
     input.accept = '.txt,.pdf,.docx';
+    input.multiple = true;
     input.onchange = (e) => {
-      const file = e.target.files[0];
-      if (file) validateAndUpload(file);
+      handleFiles(Array.from(e.target.files));
     };
     input.click();
   };
 
-  const validateAndUpload = (file) => {
+  const handleFiles = (files) => {
+    if (files.length === 0) return;
+
+    if (!isComparison) {
+      // Several documents go to the batch queue
+      if (files.length > 1 && onBatchUpload) {
+        const validFiles = files.filter(isValidFile);
+        if (validFiles.length > 0) onBatchUpload(validFiles);
+        return;
+      }
+      validateAndUpload(files[0]);
+      return;
+    }
+
+    // Comparison: two files at once, or a second file added to the first
+    let versions = files.slice(0, 2);
+    if (versions.length === 1 && state.documentFile && !state.documentFile.compareWith) {
+      versions = [state.documentFile.file, files[0]];
+    }
+
+    if (versions.length === 1) {
+      validateAndUpload(versions[0]);
+      return;
+    }
+
+    // Oldest file is the previous version
+    const [previous, current] = [...versions].sort((a, b) => a.lastModified - b.lastModified);
+    if (!isValidFile(previous) || !isValidFile(current)) return;
+
+    onFileUpload({
+      ...toDocumentFile(current),
+      compareWith: { name: previous.name, path: previous.path }
+    });
+  };
+
+  const isValidFile = (file) => {
     // Validate file extension
     const ext = file.name.split('.').pop().toLowerCase();
     if (!['txt', 'pdf', 'docx'].includes(ext)) {
       alert('Ugyldigt filformat. Kun .txt, .pdf og .docx understøttes.');
-      return;
+      return false;
     }
 
     // Validate file size (10MB max)
     if (file.size > 10 * 1024 * 1024) {
       alert('Filen er for stor. Maksimal størrelse er 10MB.');
-      return;
+      return false;
     }
 
+    return true;
+  };
+
+  const toDocumentFile = (file) => ({
+    file,
+    name: file.name,
+    size: file.size,
+    type: file.name.split('.').pop().toLowerCase(),
+    path: file.path,  // Electron provides this
+    uploadedAt: new Date()
+  });
+
+  const validateAndUpload = (file) => {
+    if (!isValidFile(file)) return;
+
     // Call upload callback
-    onFileUpload({
-      file,
-      name: file.name,
-      size: file.size,
-      type: ext,
-      path: file.path,  // Electron provides this
-      uploadedAt: new Date()
-    });
+    onFileUpload(toDocumentFile(file));
   };
 
   // Get dynamic icon based on state
@@ -97,6 +138,15 @@ export default function DropZone({ onFileUpload }) {
 
   // Get dynamic text based on state
   const getText = () => {
+    if (isComparison && !isDragOver && ['idle', 'prompt-selected'].includes(state.uiState)) {
+      if (state.documentFile?.compareWith) {
+        return `${state.documentFile.compareWith.name} → ${state.documentFile.name}`;
+      }
+      return state.documentFile
+        ? 'Træk den anden version hertil'
+        : 'Træk tidligere og ny version hertil';
+    }
+
     switch (state.uiState) {
       case 'idle':
         return 'Træk dokument hertil';
@@ -106,7 +156,9 @@ export default function DropZone({ onFileUpload }) {
         return 'Slip for at uploade';
       case 'analysis-running':
       case 'completed':
-        return state.documentFile?.name || '';
+        return state.documentFile?.compareWith
+          ? `${state.documentFile.compareWith.name} → ${state.documentFile.name}`
+          : state.documentFile?.name || '';
       case 'error':
         return null;  // Hide text in error state
       default:
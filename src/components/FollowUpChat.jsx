@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from 'react';
+import { MessageSquare, Send, Square, FilePlus } from 'lucide-react';
+
+/**
+ * FollowUpChat Component
+ *
+ * Follow-up questions on the completed analysis ("Hvad betyder § 14 for opsigelse
+ * efter 3 år?"). The provider that made the analysis answers with the document,
+ * prompt and analysis as context. The thread is stored with the analysis and can be
+ * added to the report as an appendix.
+ *
+ * Props:
+ * - analysisId: Id of the completed analysis
+ * - visible: Whether the panel is shown
+ */
+export default function FollowUpChat({ analysisId, visible }) {
+  const [open, setOpen] = useState(false);
+  const [followUps, setFollowUps] = useState([]);
+  const [question, setQuestion] = useState('');
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+  const [appending, setAppending] = useState(false);
+  const [appendedCount, setAppendedCount] = useState(0);
+  const threadRef = useRef(null);
+
+  // A new analysis starts a new thread (questions asked earlier are loaded from the record)
+  useEffect(() => {
+    setOpen(false);
+    setFollowUps([]);
+    setError(null);
+    setAppendedCount(0);
+    if (!analysisId) return;
+    window.electronAPI.getFollowUps(analysisId)
+      .then(setFollowUps)
+      .catch(err => console.error('Failed to load follow-up questions:', err));
+  }, [analysisId]);
+
+  // Keep the newest answer in view
+  useEffect(() => {
+    if (threadRef.current) {
+      threadRef.current.scrollTop = threadRef.current.scrollHeight;
+    }
+  }, [followUps, pending]);
+
+  if (!visible || !analysisId) {
+    return null;
+  }
+
+  async function ask() {
+    const text = question.trim();
+    if (!text || pending) return;
+
+    setPending(text);
+    setQuestion('');
+    setError(null);
+    try {
+      const followUp = await window.electronAPI.askFollowUp({ analysisId, question: text });
+      setFollowUps(current => [...current, followUp]);
+    } catch (err) {
+      // Stopped by the user - give the question back so it can be edited
+      setQuestion(text);
+      const message = getErrorMessage(err);
+      if (!message.includes('afbrudt')) {
+        setError(message);
+      }
+    } finally {
+      setPending(null);
+    }
+  }
+
+  async function appendToReport() {
+    setAppending(true);
+    setError(null);
+    try {
+      await window.electronAPI.appendFollowUpsToReport(analysisId);
+      setAppendedCount(followUps.length);
+    } catch (err) {
+      setError(getErrorMessage(err));
+    } finally {
+      setAppending(false);
+    }
+  }
+
+  function handleKeyDown(event) {
+    // Enter sends, Shift+Enter adds a line
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      ask();
+    }
+  }
+
+  if (!open) {
+    return (
+      <div className="follow-up-panel collapsed">
+        <button className="follow-up-toggle" onClick={() => setOpen(true)}>
+          <MessageSquare size={14} />
+          <span>
+            {followUps.length > 0
+              ? `Opfølgende spørgsmål (${followUps.length})`
+              : 'Stil et opfølgende spørgsmål'}
+          </span>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="follow-up-panel">
+      {(followUps.length > 0 || pending) && (
+        <div className="follow-up-thread" ref={threadRef} aria-live="polite">
+          {followUps.map(followUp => (
+            <div key={followUp.date} className="follow-up-entry">
+              <p className="follow-up-question">{followUp.question}</p>
+              <p className="follow-up-answer">{followUp.answer}</p>
+            </div>
+          ))}
+          {pending && (
+            <div className="follow-up-entry">
+              <p className="follow-up-question">{pending}</p>
+              <p className="follow-up-answer pending">Tænker…</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {error && <p className="follow-up-error">{error}</p>}
+
+      <div className="follow-up-input">
+        <textarea
+          value={question}
+          onChange={(event) => setQuestion(event.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Fx: Hvad betyder § 14 for opsigelse efter 3 år?"
+          rows={2}
+          disabled={Boolean(pending)}
+          aria-label="Opfølgende spørgsmål"
+        />
+        {pending ? (
+          <button
+            className="follow-up-send"
+            onClick={() => window.electronAPI.cancelFollowUp()}
+            aria-label="Stop"
+          >
+            <Square size={14} />
+          </button>
+        ) : (
+          <button
+            className="follow-up-send"
+            onClick={ask}
+            disabled={!question.trim()}
+            aria-label="Send spørgsmål"
+          >
+            <Send size={14} />
+          </button>
+        )}
+      </div>
+
+      {followUps.length > 0 && (
+        <button
+          className="follow-up-toggle"
+          onClick={appendToReport}
+          disabled={appending || Boolean(pending) || appendedCount === followUps.length}
+        >
+          <FilePlus size={14} />
+          <span>
+            {appendedCount === followUps.length
+              ? 'Tilføjet til rapporten'
+              : 'Tilføj spørgsmål og svar til rapporten'}
+          </span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Electron prefixes errors from the main process ("Error invoking remote method ...: Error: ")
+function getErrorMessage(error) {
+  return (error?.message || 'En ukendt fejl opstod').replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
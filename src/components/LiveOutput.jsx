@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+
+// The answer ends with the structured findings block - only the readable analysis is shown
+const FINDINGS_BLOCK_START = '```json';
+
+export default function LiveOutput({ text }) {
+  const outputRef = useRef(null);
+  const visibleText = text.split(FINDINGS_BLOCK_START)[0];
+
+  // Keep the newest text in view
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [visibleText]);
+
+  if (!visibleText.trim()) {
+    return null;
+  }
+
+  return (
+    <pre className="live-output" ref={outputRef} aria-live="polite">
+      {visibleText}
+    </pre>
+  );
+}
@@ -1,11 +1,26 @@
-export default function PromptButton({ label, selected, onClick }) {
+import { icons } from 'lucide-react';
+
+export default function PromptButton({ label, description, icon, selected, onClick }) {
+  const Icon = getIcon(icon);
   return (
     <button
       className={`prompt-btn ${selected ? 'selected' : ''}`}
       onClick={onClick}
+      title={description || undefined}
       aria-label={`Select ${label} prompt`}
     >
+      {Icon && <Icon size={16} aria-hidden="true" />}
       {label}
     </button>
   );
 }
+
+// lucide icon by its kebab-case name from the prompt frontmatter ("file-text" → FileText)
+function getIcon(name) {
+  if (!name) return null;
+  const componentName = name
+    .split('-')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+  return icons[componentName] || null;
+}
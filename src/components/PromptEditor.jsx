@@ -0,0 +1,136 @@
+import { useMemo, useState } from 'react';
+import { Marked } from 'marked';
+
+// Preview only: HTML in the prompt is shown as text
+const markdown = new Marked({
+  renderer: {
+    html: (html) => escapeHtml(html)
+  }
+});
+
+/**
+ * PromptEditor Component
+ *
+ * Edit a user prompt with markdown preview. The text is validated by the main process
+ * (frontmatter, empty prompt, missing fields) before it is saved in the user's prompt
+ * directory; built-in prompt files are never written.
+ *
+ * Props:
+ * - initialName: Prompt name (file name without .md)
+ * - initialContent: Prompt file, frontmatter included
+ * - nameEditable: Whether the name can be changed (a new copy)
+ * - builtinNames: Names of the built-in prompts (saving under one overrides it)
+ * - onClose: Called when the editor is closed without saving
+ * - onSaved: Called after the prompt is saved
+ */
+export default function PromptEditor({ initialName, initialContent, nameEditable, builtinNames = [], onClose, onSaved }) {
+  const [name, setName] = useState(initialName);
+  const [content, setContent] = useState(initialContent);
+  const [validation, setValidation] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // The frontmatter is metadata, not part of the prompt the model sees
+  const preview = useMemo(
+    () => markdown.parse(content.replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(\r?\n|$)/, '')),
+    [content]
+  );
+  const overridesBuiltin = builtinNames.includes(name);
+
+  async function validate() {
+    const result = await window.electronAPI.validatePrompt({ name, content });
+    setValidation(result);
+  }
+
+  async function save() {
+    setSaving(true);
+    try {
+      const result = await window.electronAPI.saveUserPrompt({ name, content });
+      if (result.success) {
+        onSaved();
+      } else {
+        setValidation({ valid: false, error: result.error });
+      }
+    } catch (error) {
+      setValidation({ valid: false, error: error.message });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="prompt-editor-backdrop">
+      <div className="prompt-editor" role="dialog" aria-label="Redigér prompt">
+        <div className="prompt-editor-header">
+          <label className="prompt-editor-name">
+            Navn
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => {
+                setName(event.target.value.trim());
+                setValidation(null);
+              }}
+              disabled={!nameEditable}
+              placeholder="fx lejekontrakt-review"
+            />
+          </label>
+          <button className="close-button" onClick={onClose} aria-label="Luk editor">
+            ×
+          </button>
+        </div>
+
+        {overridesBuiltin && (
+          <p className="settings-hint">
+            Gemmes som tilpasset version af den indbyggede prompt. Originalen bevares og kan gendannes.
+          </p>
+        )}
+
+        <div className="prompt-editor-body">
+          <textarea
+            value={content}
+            onChange={(event) => {
+              setContent(event.target.value);
+              setValidation(null);
+            }}
+            spellCheck={false}
+            aria-label="Prompt tekst"
+          />
+          <div
+            className="prompt-editor-preview"
+            aria-label="Forhåndsvisning"
+            dangerouslySetInnerHTML={{ __html: preview }}
+          />
+        </div>
+
+        {validation && (
+          <div className={`prompt-editor-validation ${validation.valid ? 'ok' : 'error'}`}>
+            {validation.valid
+              ? (validation.warnings ? 'Gyldig, men:' : 'Prompten er gyldig')
+              : validation.error}
+            {validation.warnings && (
+              <ul>
+                {validation.warnings.map(warning => <li key={warning}>{warning}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="prompt-editor-actions">
+          <button className="upload-button" onClick={validate} disabled={saving}>
+            Validér
+          </button>
+          <button className="upload-button" onClick={onClose} disabled={saving}>
+            Annuller
+          </button>
+          <button className="upload-button primary" onClick={save} disabled={saving || !name}>
+            {saving ? 'Gemmer…' : 'Gem'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * PromptHistory Component
+ *
+ * The exact prompts an analysis ran with, from the prompt history: version and content
+ * hash, the text the model received (the provider instructions before it and the findings
+ * instructions after it are listed too),
+ * and a line diff against the current prompt or another stored version. "Kør igen" re-runs the analysis with the same prompt versions, so a changed
+ * prompt file does not change the result.
+ *
+ * Props:
+ * - analysisId: Analysis to show
+ * - prompts: Available prompts (PromptInfo[], for display names)
+ * - onRerun: Called with the analysis:run parameters of the re-run
+ * - onClose: Called when the dialog is closed
+ */
+export default function PromptHistory({ analysisId, prompts = [], onRerun, onClose }) {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setHistory(null);
+    setError(null);
+    window.electronAPI.getAnalysisPrompts(analysisId)
+      .then(setHistory)
+      .catch(err => setError(getErrorMessage(err)));
+  }, [analysisId]);
+
+  const getDisplayName = (name) => prompts.find(prompt => prompt.name === name)?.displayName || name;
+
+  return (
+    <div className="prompt-editor-backdrop">
+      <div className="prompt-editor prompt-history" role="dialog" aria-label="Promptens historik">
+        <div className="prompt-editor-header">
+          <h3>Prompt for analysen</h3>
+          <button className="close-button" onClick={onClose} aria-label="Luk">
+            ×
+          </button>
+        </div>
+
+        {error && <p className="prompt-library-error">{error}</p>}
+        {!history && !error && <p className="settings-hint">Indlæser…</p>}
+
+        {history && (
+          <div className="prompt-history-list">
+            {history.prompts.map(prompt => (
+              <AnalysisPrompt key={prompt.promptName} prompt={prompt} displayName={prompt.displayName || getDisplayName(prompt.promptName)} />
+            ))}
+          </div>
+        )}
+
+        <div className="prompt-editor-actions">
+          {history && !history.rerun && (
+            <span className="settings-hint">Analysen er fra før prompthistorikken og kan ikke køres igen med samme prompt.</span>
+          )}
+          <button className="upload-button" onClick={onClose}>
+            Luk
+          </button>
+          <button
+            className="upload-button primary"
+            onClick={() => onRerun(history.rerun)}
+            disabled={!history?.rerun || history.prompts.some(prompt => !prompt.content)}
+          >
+            Kør igen med samme promptversion
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One prompt of the analysis: its text, or the changes to the current or another stored version
+function AnalysisPrompt({ prompt, displayName }) {
+  const [compareWith, setCompareWith] = useState(prompt.changed ? 'current' : '');
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setError(null);
+    if (compareWith === '' || compareWith === 'current') {
+      setDiff(compareWith === 'current' ? prompt.diff : null);
+      return;
+    }
+    window.electronAPI.diffPromptVersions({ fromHash: prompt.hash, toHash: compareWith })
+      .then(setDiff)
+      .catch(err => setError(getErrorMessage(err)));
+  }, [compareWith, prompt]);
+
+  const otherVersions = prompt.versions.filter(version => version.hash !== prompt.hash);
+
+  return (
+    <div className="prompt-history-entry">
+      <div className="prompt-history-meta">
+        <strong>{displayName}</strong>
+        {prompt.hash ? (
+          <span title={prompt.hash}>
+            Version {prompt.version || '-'} · #{prompt.hash.slice(0, 12)}
+          </span>
+        ) : (
+          <span>Ingen version registreret</span>
+        )}
+        <span className={`prompt-source-badge ${prompt.changed ? 'override' : 'user'}`}>
+          {getStatusLabel(prompt)}
+        </span>
+        {prompt.content && (
+          <select
+            className="model-select"
+            value={compareWith}
+            onChange={(event) => setCompareWith(event.target.value)}
+            aria-label={`Sammenlign ${displayName}`}
+          >
+            <option value="">Vis prompten</option>
+            {prompt.current && <option value="current">Forskelle til aktuel version</option>}
+            {otherVersions.map(version => (
+              <option key={version.hash} value={version.hash}>
+                Forskelle til version {version.version || '-'} · #{version.hash.slice(0, 12)} ({version.lastUsed.split('T')[0]})
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && <p className="prompt-library-error">{error}</p>}
+
+      {prompt.content && !diff && <pre className="prompt-history-text">{prompt.content}</pre>}
+
+      {diff && (
+        <pre className="prompt-history-text">
+          {diff.map((line, index) => (
+            <div key={index} className={`prompt-diff-line ${line.type}`}>
+              {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+            </div>
+          ))}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+function getStatusLabel(prompt) {
+  if (!prompt.hash) return 'Ukendt version';
+  if (!prompt.content) return 'Ikke i historikken';
+  if (!prompt.current) return 'Prompten er slettet';
+  return prompt.changed ? 'Ændret siden' : 'Uændret';
+}
+
+// Electron prefixes errors from the main process ("Error invoking remote method ...: Error: ")
+function getErrorMessage(error) {
+  return (error?.message || 'En ukendt fejl opstod').replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+}
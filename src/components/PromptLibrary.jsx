@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import PromptEditor from './PromptEditor';
+
+/**
+ * PromptLibrary Component
+ *
+ * The prompts in the selector: the built-ins shipped with the app and the user's own
+ * prompts in ~/.contract-reviewer/prompts. A built-in cannot be changed - it is duplicated
+ * and the copy edited. A copy saved under the built-in's name overrides it and is marked
+ * "Tilpasset"; deleting the copy restores the built-in.
+ *
+ * Props:
+ * - prompts: Available prompts (PromptInfo[])
+ * - onChange: Called after a prompt is saved or deleted
+ */
+export default function PromptLibrary({ prompts = [], onChange }) {
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  const builtinNames = prompts
+    .filter(prompt => prompt.source === 'builtin' || prompt.overridesBuiltin)
+    .map(prompt => prompt.name);
+
+  async function duplicate(prompt) {
+    setError(null);
+    const content = await window.electronAPI.readPromptSource({ name: prompt.name });
+    if (content === null) {
+      setError(`Prompten "${prompt.displayName}" kunne ikke læses`);
+      return;
+    }
+    setEditing({
+      name: getCopyName(prompt.name, prompts),
+      content: content.replace(/^displayName:[ \t]*(.*)$/m, (line, displayName) => `displayName: ${displayName} (kopi)`),
+      isNew: true
+    });
+  }
+
+  async function edit(prompt) {
+    setError(null);
+    const content = await window.electronAPI.readPromptSource({ name: prompt.name });
+    if (content === null) {
+      setError(`Prompten "${prompt.displayName}" kunne ikke læses`);
+      return;
+    }
+    setEditing({ name: prompt.name, content, isNew: false });
+  }
+
+  async function remove(prompt) {
+    setError(null);
+    const result = await window.electronAPI.deleteUserPrompt(prompt.name);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    onChange();
+  }
+
+  function handleSaved() {
+    setEditing(null);
+    onChange();
+  }
+
+  return (
+    <div className="settings-section">
+      <h3>Prompts</h3>
+      <p className="settings-hint">
+        Indbyggede prompts kan ikke ændres. Dupliker en prompt for at tilpasse den - dine prompts gemmes i ~/.contract-reviewer/prompts.
+      </p>
+      {error && <p className="prompt-library-error">{error}</p>}
+      <div className="diagnostics-list">
+        {prompts.map(prompt => (
+          <div key={prompt.name} className="diagnostics-row prompt-library-row">
+            <span className="client" title={prompt.description || undefined}>{prompt.displayName}</span>
+            <span className={`prompt-source-badge ${prompt.overridesBuiltin ? 'override' : prompt.source}`}>
+              {prompt.overridesBuiltin ? 'Tilpasset' : prompt.source === 'user' ? 'Egen' : 'Indbygget'}
+            </span>
+            <button
+              className="upload-button"
+              onClick={() => duplicate(prompt)}
+              aria-label={`Dupliker ${prompt.displayName}`}
+            >
+              Dupliker
+            </button>
+            {prompt.source === 'user' && (
+              <>
+                <button
+                  className="upload-button"
+                  onClick={() => edit(prompt)}
+                  aria-label={`Redigér ${prompt.displayName}`}
+                >
+                  Redigér
+                </button>
+                <button
+                  className="upload-button"
+                  onClick={() => remove(prompt)}
+                  aria-label={prompt.overridesBuiltin ? `Gendan original ${prompt.displayName}` : `Slet ${prompt.displayName}`}
+                >
+                  {prompt.overridesBuiltin ? 'Gendan original' : 'Slet'}
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {editing && (
+        <PromptEditor
+          initialName={editing.name}
+          initialContent={editing.content}
+          nameEditable={editing.isNew}
+          builtinNames={builtinNames}
+          onClose={() => setEditing(null)}
+          onSaved={handleSaved}
+        />
+      )}
+    </div>
+  );
+}
+
+// "compliance-check" → "compliance-check-kopi" (or "-kopi-2" etc. if taken)
+function getCopyName(name, prompts) {
+  const base = `${name.replace(/-kopi(-\d+)?$/, '')}-kopi`;
+  let copyName = base;
+  for (let index = 2; prompts.some(prompt => prompt.name === copyName); index++) {
+    copyName = `${base}-${index}`;
+  }
+  return copyName;
+}
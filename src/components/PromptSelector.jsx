@@ -1,26 +1,25 @@
 import PromptButton from './PromptButton';
 
-export default function PromptSelector({ selected, onSelect, visible }) {
+// One button per prompt file in prompts/ (label, icon and tooltip come from its frontmatter)
+// Several prompts can be selected - they run as one job with a combined report
+export default function PromptSelector({ prompts, selected, onSelect, visible }) {
   return (
-    <div className={`prompt-buttons ${!visible ? 'hidden' : ''}`}>
-      <PromptButton
-        label="Kontrakt"
-        promptName="franchise-contract-review"
-        selected={selected === 'franchise-contract-review'}
-        onClick={() => onSelect('franchise-contract-review')}
-      />
-      <PromptButton
-        label="Manual"
-        promptName="franchise-manual-review"
-        selected={selected === 'franchise-manual-review'}
-        onClick={() => onSelect('franchise-manual-review')}
-      />
-      <PromptButton
-        label="Compliance"
-        promptName="compliance-check"
-        selected={selected === 'compliance-check'}
-        onClick={() => onSelect('compliance-check')}
-      />
+    <div className={`prompt-selector ${!visible ? 'hidden' : ''}`}>
+      <div className="prompt-buttons">
+        {prompts.map(prompt => (
+          <PromptButton
+            key={prompt.name}
+            label={prompt.displayName}
+            description={prompt.description}
+            icon={prompt.icon}
+            selected={selected.includes(prompt.name)}
+            onClick={() => onSelect(prompt.name)}
+          />
+        ))}
+      </div>
+      {selected.length > 1 && (
+        <div className="prompt-hint">{selected.length} analyser – samlet rapport med et kapitel pr. analyse</div>
+      )}
     </div>
   );
 }
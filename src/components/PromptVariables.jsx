@@ -0,0 +1,66 @@
+/**
+ * PromptVariables Component
+ *
+ * Inputs for the template variables the selected prompts use ({{clientName}},
+ * {{perspective}}, {{industry}}, {{jurisdiction}} or a prompt's own). The values are
+ * rendered into the prompts when the analysis starts and stored with the analysis.
+ * An empty field uses the prompt's default.
+ *
+ * Props:
+ * - prompts: Selected prompts (PromptInfo[])
+ * - clientName: Client name (shared with the rest of the app)
+ * - values: Other variable values ({ [name]: value })
+ * - onClientNameChange: Callback with the new client name
+ * - onChange: Callback with (name, value)
+ * - visible: Whether to show the inputs
+ */
+export default function PromptVariables({ prompts = [], clientName, values = {}, onClientNameChange, onChange, visible }) {
+  const names = [...new Set(prompts.flatMap(prompt => prompt.variables || []))];
+
+  if (names.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`prompt-variables ${!visible ? 'hidden' : ''}`}>
+      {names.map(name => (
+        <label key={name} className="prompt-variable">
+          <span>{VARIABLE_LABELS[name] || name}</span>
+          {name === 'perspective' ? (
+            <select
+              className="model-select"
+              value={values.perspective || 'franchisee'}
+              onChange={(event) => onChange(name, event.target.value)}
+            >
+              <option value="franchisee">Franchisetager</option>
+              <option value="franchisor">Franchisegiver</option>
+            </select>
+          ) : (
+            <input
+              type="text"
+              className="model-select"
+              value={name === 'clientName' ? clientName : values[name] || ''}
+              onChange={(event) => (name === 'clientName'
+                ? onClientNameChange(event.target.value)
+                : onChange(name, event.target.value))}
+              placeholder={VARIABLE_PLACEHOLDERS[name] || ''}
+            />
+          )}
+        </label>
+      ))}
+    </div>
+  );
+}
+
+const VARIABLE_LABELS = {
+  clientName: 'Klient',
+  perspective: 'Perspektiv',
+  industry: 'Branche',
+  jurisdiction: 'Jurisdiktion'
+};
+
+const VARIABLE_PLACEHOLDERS = {
+  clientName: 'Klientens navn',
+  industry: 'fx restauration',
+  jurisdiction: 'Danmark'
+};
@@ -10,9 +10,11 @@ import { useState } from 'react';
  * - providerName: Internal provider identifier (e.g., "gemini")
  * - selected: Whether this button is selected
  * - version: CLI version string (optional)
+ * - model: Selected model (optional; not shown when the CLI's default model is used)
+ * - local: Whether the provider runs a local model (shows the "lokal / fortrolig" marker)
  * - onClick: Click callback
  */
-function ProviderButton({ label, selected, version, onClick }) {
+function ProviderButton({ label, selected, version, model, local, onClick }) {
   const [_isHovered, _setIsHovered] = useState(false);
 
   return (
@@ -25,6 +27,8 @@ function ProviderButton({ label, selected, version, onClick }) {
     >
       <span className="provider-label">{label}</span>
       {version && <span className="version">v{version}</span>}
+      {model && <span className="version provider-model">{model}</span>}
+      {local && <span className="local-badge" title="Dokumentet forlader ikke computeren">lokal / fortrolig</span>}
     </button>
   );
 }
@@ -18,7 +18,7 @@ export default function ProviderErrorOverlay({ visible }) {
         <ul className="error-links">
           <li><a href="https://ai.google.dev/gemini-api/docs/cli" target="_blank" rel="noopener noreferrer">Gemini CLI</a></li>
           <li><a href="https://claude.ai/cli" target="_blank" rel="noopener noreferrer">Claude CLI</a></li>
-          <li><a href="https://platform.openai.com/docs" target="_blank" rel="noopener noreferrer">OpenAI CLI</a></li>
+          <li><a href="https://github.com/openai/codex" target="_blank" rel="noopener noreferrer">OpenAI Codex CLI</a></li>
         </ul>
       </div>
     </div>
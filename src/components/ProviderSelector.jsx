@@ -12,8 +12,13 @@ import ProviderButton from './ProviderButton';
  * - onSelect: Callback when provider is selected
  * - visible: Whether to show the selector
  * - loading: Whether providers are being detected
+ * - providerModels: Model and parameters per provider (no model = the CLI's default; local: first installed)
+ * - onModelSelect: Callback when a model is selected for the selected provider
+ * - consensus: Whether the analysis runs on Claude and Gemini with a consensus report
+ * - consensusAvailable: Whether consensus can be used (both CLIs installed, one analysis type)
+ * - onConsensusToggle: Callback when consensus is switched on or off
  */
-function ProviderSelector({ availableProviders, selected, onSelect, visible, loading }) {
+function ProviderSelector({ availableProviders, selected, onSelect, visible, loading, providerModels = {}, onModelSelect, consensus, consensusAvailable, onConsensusToggle }) {
   // Show loading state while detecting providers
   if (loading) {
     return (
@@ -34,6 +39,12 @@ function ProviderSelector({ availableProviders, selected, onSelect, visible, loa
   // If only one provider available, optionally hide selector (or show it disabled)
   // For now, we'll always show it for transparency
 
+  // Local providers run one of the models installed on this computer,
+  // the others one of the models their CLI accepts (or the CLI's default model)
+  const selectedProvider = installedProviders.find(p => p.name === selected);
+  const models = selectedProvider?.local ? selectedProvider.models || [] : selectedProvider?.models || null;
+  const selectedModel = providerModels[selected]?.model || null;
+
   return (
     <div className={`provider-buttons ${!visible && 'hidden'}`}>
       {installedProviders.map(provider => (
@@ -43,9 +54,34 @@ function ProviderSelector({ availableProviders, selected, onSelect, visible, loa
           providerName={provider.name}
           selected={selected === provider.name}
           version={provider.version}
+          model={providerModels[provider.name]?.model}
+          local={provider.local}
           onClick={() => onSelect(provider.name)}
         />
       ))}
+      {models && (models.length > 0 ? (
+        <select
+          className="model-select"
+          value={selectedModel || (selectedProvider.local ? models[0].name : '')}
+          onChange={(e) => onModelSelect(e.target.value)}
+          aria-label={selectedProvider.local ? 'Vælg lokal model' : 'Vælg model'}
+        >
+          {!selectedProvider.local && <option value="">Standardmodel</option>}
+          {models.map(model => (
+            <option key={model.name} value={model.name}>
+              {model.name}{model.size ? ` (${model.size})` : ''}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <span className="model-missing">Ingen lokale modeller – kør "ollama pull llama3.1"</span>
+      ))}
+      {consensusAvailable && (
+        <label className="consensus-toggle" title="Kør analysen med både Claude og Gemini og saml fundene i en konsensusrapport">
+          <input type="checkbox" checked={consensus} onChange={onConsensusToggle} />
+          Konsensus (Claude + Gemini)
+        </label>
+      )}
     </div>
   );
 }
@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react';
+import { FolderPlus, FolderOpen, X } from 'lucide-react';
+
+/**
+ * QueuePanel Component
+ *
+ * Shows the batch analysis queue (jobs run in the main process) with
+ * per-job status, progress and cancel. Updates arrive over 'queue:update'.
+ *
+ * Props:
+ * - onAddFolder: Callback to add a whole folder to the queue
+ * - canAddFolder: Whether adding documents is possible right now
+ */
+
+const STATUS_LABELS = {
+  queued: 'I kø',
+  running: 'Kører',
+  completed: 'Færdig',
+  failed: 'Fejlet',
+  cancelled: 'Annulleret'
+};
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export default function QueuePanel({ onAddFolder, canAddFolder }) {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    window.electronAPI.getQueue()
+      .then(setJobs)
+      .catch(error => console.error('Failed to load queue:', error));
+
+    window.electronAPI.onQueueUpdate(setJobs);
+
+    return () => {
+      window.electronAPI.removeQueueUpdateListener();
+    };
+  }, []);
+
+  const finishedCount = jobs.filter(job => FINISHED_STATUSES.includes(job.status)).length;
+  const activeCount = jobs.length - finishedCount;
+
+  if (jobs.length === 0) {
+    if (!canAddFolder) return null;
+    return (
+      <div className="queue-panel empty">
+        <button className="queue-add-folder" onClick={onAddFolder}>
+          <FolderPlus size={14} />
+          <span>Analysér en hel mappe</span>
+        </button>
+      </div>
+    );
+  }
+
+  const getStatusText = (job) => {
+    if (job.status === 'running') {
+      return `${job.progress}%`;
+    }
+    if (job.status === 'completed' && job.result?.riskScore) {
+      return `${STATUS_LABELS.completed} · risiko ${job.result.riskScore.score}/100`;
+    }
+    return STATUS_LABELS[job.status] || job.status;
+  };
+
+  const cancelJob = async (jobId) => {
+    try {
+      await window.electronAPI.cancelQueueJob(jobId);
+    } catch (error) {
+      console.error('Failed to cancel job:', error);
+    }
+  };
+
+  const openReports = async (outputPath) => {
+    try {
+      await window.electronAPI.openPath(outputPath);
+    } catch (error) {
+      console.error('Failed to open reports:', error);
+    }
+  };
+
+  return (
+    <div className="queue-panel">
+      <div className="queue-header">
+        <span className="queue-title">Batch-kø · {finishedCount} af {jobs.length} færdige</span>
+        <div className="queue-actions">
+          {canAddFolder && (
+            <button onClick={onAddFolder} title="Tilføj mappe til køen" aria-label="Tilføj mappe til køen">
+              <FolderPlus size={14} />
+            </button>
+          )}
+          {activeCount > 0 && (
+            <button onClick={() => window.electronAPI.cancelQueue()}>Stop alle</button>
+          )}
+          {finishedCount > 0 && (
+            <button onClick={() => window.electronAPI.clearFinishedJobs()}>Ryd færdige</button>
+          )}
+        </div>
+      </div>
+
+      <ul className="queue-list">
+        {jobs.map(job => (
+          <li key={job.id} className={`queue-job ${job.status}`}>
+            <span className="queue-job-name" title={job.documentPath}>{job.documentName}</span>
+            <span className="queue-job-status" title={job.error || job.message || ''}>
+              {getStatusText(job)}
+            </span>
+            {job.status === 'running' && (
+              <div className="queue-job-progress">
+                <div className="queue-job-progress-fill" style={{ width: `${job.progress}%` }} />
+              </div>
+            )}
+            {job.status === 'completed' && job.result?.outputPath && (
+              <button
+                className="queue-job-action"
+                onClick={() => openReports(job.result.outputPath)}
+                aria-label={`Åbn rapporter for ${job.documentName}`}
+              >
+                <FolderOpen size={14} />
+              </button>
+            )}
+            {!FINISHED_STATUSES.includes(job.status) && (
+              <button
+                className="queue-job-action"
+                onClick={() => cancelJob(job.id)}
+                aria-label={`Annuller ${job.documentName}`}
+              >
+                <X size={14} />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
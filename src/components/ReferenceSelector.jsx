@@ -0,0 +1,49 @@
+import { FolderOpen, X } from 'lucide-react';
+
+/**
+ * ReferenceSelector Component
+ *
+ * Lets users attach a folder of reference materials (previous contracts,
+ * the client's manual, best-practice documents) to the next analysis.
+ *
+ * Props:
+ * - referencePath: Currently selected folder (null = none)
+ * - onChange: Callback with the new folder path (or null to clear)
+ * - visible: Whether to show the selector
+ */
+export default function ReferenceSelector({ referencePath, onChange, visible }) {
+  const handleSelect = async () => {
+    try {
+      const folderPath = await window.electronAPI.selectDirectory();
+      if (folderPath) {
+        onChange(folderPath);
+      }
+    } catch (error) {
+      console.error('Failed to select reference folder:', error);
+    }
+  };
+
+  const folderName = referencePath ? referencePath.split(/[/\\]/).filter(Boolean).pop() : null;
+
+  return (
+    <div className={`reference-selector ${!visible ? 'hidden' : ''}`}>
+      <button
+        className={`reference-btn ${referencePath ? 'selected' : ''}`}
+        onClick={handleSelect}
+        title={referencePath || 'Vælg en mappe med referencemateriale'}
+      >
+        <FolderOpen size={14} />
+        <span>{folderName ? `Referencer: ${folderName}` : 'Tilføj referencemateriale'}</span>
+      </button>
+      {referencePath && (
+        <button
+          className="reference-clear"
+          onClick={() => onChange(null)}
+          aria-label="Fjern referencemateriale"
+        >
+          <X size={14} />
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+/**
+ * RiskSummary Component
+ *
+ * Shows the overall risk score of a completed analysis, so the client sees
+ * "how bad is it?" before opening the report.
+ *
+ * Props:
+ * - riskScore: Risk score from the analysis ({ score, level, counts, topics }), or null
+ * - label: Analysis type shown above the level (optional; used when several prompts ran in one job)
+ */
+
+const LEVEL_CLASSES = {
+  'Høj': 'high',
+  'Middel': 'medium',
+  'Lav': 'low'
+};
+
+export default function RiskSummary({ riskScore, label }) {
+  if (!riskScore) return null;
+
+  const counts = Object.entries(riskScore.counts)
+    .filter(([, count]) => count > 0)
+    .map(([level, count]) => `${count} ${level.toLowerCase()}`)
+    .join(' · ');
+  const topics = riskScore.topics.slice(0, 3).map(topic => topic.topic).join(', ');
+
+  return (
+    <div className={`risk-summary risk-${LEVEL_CLASSES[riskScore.level] || 'low'}`}>
+      <div className="risk-score">
+        <span className="risk-value">{riskScore.score}</span>
+        <span className="risk-max">/100</span>
+      </div>
+      <div className="risk-details">
+        {label && <div className="risk-label">{label}</div>}
+        <div className="risk-level">{riskScore.level} risiko</div>
+        <div className="risk-counts">{counts || 'Ingen fund'}</div>
+        {topics && <div className="risk-topics">{topics}</div>}
+      </div>
+    </div>
+  );
+}
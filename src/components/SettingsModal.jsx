@@ -1,17 +1,29 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import PromptLibrary from './PromptLibrary';
+
+// Max parallel batch jobs per provider
+const MAX_QUEUE_CONCURRENCY = 4;
 
 export default function SettingsModal({
   isOpen,
   onClose,
   settings,
   recentAnalyses,
-  onSettingChange
+  recentClients,
+  prompts = [],
+  providers = [],
+  onSettingChange,
+  onPromptsChange,
+  onShowPrompt
 }) {
   const [isClosing, setIsClosing] = useState(false);
   const [uploadingLogo, setUploadingLogo] = useState(false);
   const [showSaveToast, setShowSaveToast] = useState(false);
   const [logoPreview, setLogoPreview] = useState(null);
   const [showResetConfirm, setShowResetConfirm] = useState(false);
+  const [referenceClient, setReferenceClient] = useState('');
+  const [usage, setUsage] = useState(null);
 
   // Refs to store timeout IDs for cleanup
   const closeTimeoutRef = useRef(null);
@@ -134,6 +146,35 @@ export default function SettingsModal({
     return path.split(/[/\\]/).pop();
   }
 
+  // ========== Usage ==========
+
+  // Reload the ledger every time the modal opens (analyses may have finished since)
+  useEffect(() => {
+    if (!isOpen) return;
+    window.electronAPI.getUsage()
+      .then(setUsage)
+      .catch(error => console.error('Failed to load usage:', error));
+  }, [isOpen]);
+
+  async function changeUsagePrice(provider, kind, value) {
+    const price = Math.max(0, parseFloat(String(value).replace(',', '.')) || 0);
+    const current = settings.usagePrices?.[provider] || { input: 0, output: 0 };
+    await handleChange('usagePrices', {
+      ...(settings.usagePrices || {}),
+      [provider]: { ...current, [kind]: price }
+    });
+  }
+
+  function formatTokens(tokens) {
+    return (tokens || 0).toLocaleString('da-DK');
+  }
+
+  function formatCost(costUsd, estimated) {
+    // Estimated token counts give an approximate cost
+    const cost = (costUsd || 0).toLocaleString('da-DK', { style: 'currency', currency: 'USD' });
+    return estimated ? `≈ ${cost}` : cost;
+  }
+
   // ========== Format Toggles ==========
 
   async function toggleFormat(format) {
@@ -150,6 +191,79 @@ export default function SettingsModal({
     await handleChange('defaultFormats', newFormats);
   }
 
+  // ========== Client Reference Folders ==========
+
+  async function addClientReferenceFolder() {
+    const clientName = referenceClient.trim();
+    if (!clientName) return;
+
+    try {
+      const folderPath = await window.electronAPI.selectDirectory();
+      if (!folderPath) return;
+
+      await handleChange('clientReferenceFolders', {
+        ...(settings.clientReferenceFolders || {}),
+        [clientName]: folderPath
+      });
+      setReferenceClient('');
+    } catch (error) {
+      console.error('Failed to select reference folder:', error);
+    }
+  }
+
+  async function removeClientReferenceFolder(clientName) {
+    const { [clientName]: _removed, ...remaining } = settings.clientReferenceFolders || {};
+    await handleChange('clientReferenceFolders', remaining);
+  }
+
+  // ========== Batch Queue ==========
+
+  async function changeQueueConcurrency(provider, value) {
+    const concurrency = Math.min(MAX_QUEUE_CONCURRENCY, Math.max(1, parseInt(value, 10) || 1));
+    await handleChange('queueConcurrency', {
+      ...(settings.queueConcurrency || {}),
+      [provider]: concurrency
+    });
+  }
+
+  // ========== Models ==========
+
+  // Empty fields mean the CLI's default (the option is left out of the command)
+  async function changeProviderModel(provider, key, value) {
+    let parsed = value === '' ? null : value;
+    if (parsed !== null && key === 'temperature') {
+      parsed = Math.min(2, Math.max(0, parseFloat(String(value).replace(',', '.')) || 0));
+    } else if (parsed !== null && key === 'maxTokens') {
+      parsed = Math.max(1, parseInt(value, 10) || 1);
+    }
+
+    await handleChange('providerModels', {
+      ...(settings.providerModels || {}),
+      [provider]: { ...(settings.providerModels?.[provider] || {}), [key]: parsed }
+    });
+  }
+
+  // Installed providers with a model or parameter to choose
+  const configurableProviders = providers.filter(provider => provider.available &&
+    (provider.models?.length > 0 || provider.parameters?.temperature || provider.parameters?.maxTokens));
+
+  // ========== Provider Fallback ==========
+
+  async function addFallbackProvider(provider) {
+    if (!provider) return;
+    await handleChange('fallbackProviders', [...(settings.fallbackProviders || []), provider]);
+  }
+
+  async function moveFallbackProviderUp(index) {
+    const order = [...(settings.fallbackProviders || [])];
+    [order[index - 1], order[index]] = [order[index], order[index - 1]];
+    await handleChange('fallbackProviders', order);
+  }
+
+  async function removeFallbackProvider(provider) {
+    await handleChange('fallbackProviders', (settings.fallbackProviders || []).filter(name => name !== provider));
+  }
+
   // ========== Reset to Defaults ==========
 
   async function handleResetSettings() {
@@ -167,6 +281,24 @@ export default function SettingsModal({
       // Auto-open (false)
       await onSettingChange('autoOpen', defaultSettings.outputPreferences?.autoOpen || false);
 
+      // Client reference folders (none)
+      await onSettingChange('clientReferenceFolders', defaultSettings.clientReferenceFolders || {});
+
+      // Provider fallback (off)
+      await onSettingChange('fallbackProviders', defaultSettings.fallbackProviders || []);
+
+      // Model prices for usage accounting
+      await onSettingChange('usagePrices', defaultSettings.usagePrices || {});
+
+      // Provider instructions (on)
+      await onSettingChange('useProviderInstructions', defaultSettings.useProviderInstructions ?? true);
+
+      // Model and parameters (the CLIs' defaults)
+      await onSettingChange('providerModels', defaultSettings.providerModels || {});
+
+      // Batch queue (one analysis at a time per provider)
+      await onSettingChange('queueConcurrency', defaultSettings.queueConcurrency || { claude: 1, gemini: 1, openai: 1, ollama: 1 });
+
       // Clear recent analyses (by updating state - this doesn't persist)
       // The recentAnalyses are managed separately and will be empty after reset
 
@@ -187,14 +319,16 @@ export default function SettingsModal({
     return `${day}-${month}-${year}`;
   }
 
+  function formatFindingsSummary(summary) {
+    // { 'Høj': 2, 'Middel': 1, 'Lav': 0 } → "2 høj, 1 middel"
+    const parts = Object.entries(summary)
+      .filter(([, count]) => count > 0)
+      .map(([level, count]) => `${count} ${level.toLowerCase()}`);
+    return parts.length > 0 ? parts.join(', ') : 'ingen fund';
+  }
+
   function getPromptLabel(promptType) {
-    const labels = {
-      'franchise-contract-review': 'Kontrakt',
-      'franchise-manual-review': 'Manual',
-      'franchise-compliance-audit': 'Compliance',
-      'compliance-check': 'Compliance'
-    };
-    return labels[promptType] || promptType;
+    return prompts.find(prompt => prompt.name === promptType)?.displayName || promptType;
   }
 
   async function openFolder(folderPath) {
@@ -236,24 +370,43 @@ export default function SettingsModal({
           {/* Content */}
           <div className="settings-content">
 
+            {/* Section: Provider Diagnostics */}
+            <DiagnosticsPanel providers={providers} active={isOpen} />
+
             {/* Section 4: Recent Analyses */}
             <div className="settings-section">
               <h3>Seneste Analyser</h3>
               {recentAnalyses && recentAnalyses.length > 0 ? (
                 <div className="recent-list">
                   {recentAnalyses.slice(0, 5).map((analysis, idx) => (
-                    <button
-                      key={idx}
-                      className="recent-item"
-                      onClick={() => openFolder(analysis.outputPath)}
-                    >
-                      <span className="arrow">›</span>
-                      <span className="client">{analysis.clientName || 'Unnamed Client'}</span>
-                      <span className="separator">•</span>
-                      <span className="date">{formatDate(analysis.date)}</span>
-                      <span className="separator">•</span>
-                      <span className="prompt">{getPromptLabel(analysis.promptType)}</span>
-                    </button>
+                    <div key={idx} className="recent-row">
+                      <button
+                        className="recent-item"
+                        onClick={() => openFolder(analysis.outputPath)}
+                      >
+                        <span className="arrow">›</span>
+                        <span className="client">{analysis.clientName || 'Unnamed Client'}</span>
+                        <span className="separator">•</span>
+                        <span className="date">{formatDate(analysis.date)}</span>
+                        <span className="separator">•</span>
+                        <span className="prompt">{(analysis.promptTypes || [analysis.promptType]).map(getPromptLabel).join(' + ')}</span>
+                        {analysis.findingsSummary && (
+                          <>
+                            <span className="separator">•</span>
+                            <span className="findings">{formatFindingsSummary(analysis.findingsSummary)}</span>
+                          </>
+                        )}
+                      </button>
+                      {analysis.analysisId && onShowPrompt && (
+                        <button
+                          className="upload-button"
+                          onClick={() => onShowPrompt(analysis.analysisId)}
+                          aria-label={`Vis prompten bag analysen for ${analysis.clientName || 'Unnamed Client'}`}
+                        >
+                          Prompt
+                        </button>
+                      )}
+                    </div>
                   ))}
                 </div>
               ) : (
@@ -261,6 +414,82 @@ export default function SettingsModal({
               )}
             </div>
 
+            {/* Section: Usage */}
+            <div className="settings-section">
+              <h3>Forbrug</h3>
+              {usage && usage.summary.total.analyses > 0 ? (
+                <>
+                  <p className="settings-hint">
+                    {usage.summary.total.analyses} analyser • {formatTokens(usage.summary.total.totalTokens)} tokens • {formatCost(usage.summary.total.costUsd, usage.summary.total.estimated)}
+                    {usage.summary.total.estimated && ' (≈ = anslået, da CLI\'en ikke rapporterede forbrug)'}
+                  </p>
+                  <table className="usage-table">
+                    <thead>
+                      <tr>
+                        <th>Klient</th>
+                        <th>Analyser</th>
+                        <th>Tokens</th>
+                        <th>Omkostning</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {usage.summary.clients.map(client => (
+                        <tr key={client.clientName}>
+                          <td>{client.clientName}</td>
+                          <td>{client.analyses}</td>
+                          <td>{formatTokens(client.totalTokens)}</td>
+                          <td>{formatCost(client.costUsd, client.estimated)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <label className="usage-subheading">Seneste analyser:</label>
+                  <table className="usage-table">
+                    <tbody>
+                      {usage.recent.map((entry, idx) => (
+                        <tr key={`${entry.analysisId}-${idx}`}>
+                          <td>{formatDate(entry.date.split('T')[0])}</td>
+                          <td>{entry.clientName || 'Ingen klient'}</td>
+                          <td>{entry.documentName}</td>
+                          <td>{entry.provider}</td>
+                          <td>{formatTokens(entry.totalTokens)}</td>
+                          <td>{formatCost(entry.costUsd, entry.estimated)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              ) : (
+                <p className="empty-state">Intet forbrug registreret endnu</p>
+              )}
+              <div className="checkbox-group">
+                <label>Priser (USD pr. million tokens, input / output):</label>
+                <div className="checkbox-row">
+                  {providers.map(({ name: id, displayName }) => (
+                    <label key={id} className="concurrency-input">
+                      {displayName}
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={settings.usagePrices?.[id]?.input ?? 0}
+                        onChange={(e) => changeUsagePrice(id, 'input', e.target.value)}
+                        aria-label={`${displayName} inputpris`}
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={settings.usagePrices?.[id]?.output ?? 0}
+                        onChange={(e) => changeUsagePrice(id, 'output', e.target.value)}
+                        aria-label={`${displayName} outputpris`}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+
             {/* Section 3: Session State */}
             <div className="settings-section">
               <h3>Seneste Provider</h3>
@@ -315,6 +544,200 @@ export default function SettingsModal({
               </div>
             </div>
 
+            {/* Section: Client Reference Folders */}
+            <div className="settings-section">
+              <h3>Referencemateriale pr. Klient</h3>
+              {Object.keys(settings.clientReferenceFolders || {}).length > 0 ? (
+                <div className="reference-folder-list">
+                  {Object.entries(settings.clientReferenceFolders).map(([clientName, folderPath]) => (
+                    <div key={clientName} className="reference-folder-item">
+                      <span className="client">{clientName}</span>
+                      <span className="folder" title={folderPath}>{getFilename(folderPath)}</span>
+                      <button
+                        className="remove-button"
+                        onClick={() => removeClientReferenceFolder(clientName)}
+                        aria-label={`Fjern referencemappe for ${clientName}`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="empty-state">Ingen standardmapper endnu</p>
+              )}
+
+              <div className="input-group reference-folder-form">
+                <input
+                  type="text"
+                  list="reference-client-options"
+                  placeholder="Klientnavn"
+                  value={referenceClient}
+                  onChange={(e) => setReferenceClient(e.target.value)}
+                />
+                <datalist id="reference-client-options">
+                  {(recentClients || []).map(clientName => (
+                    <option key={clientName} value={clientName} />
+                  ))}
+                </datalist>
+                <button
+                  onClick={addClientReferenceFolder}
+                  disabled={!referenceClient.trim()}
+                  className="upload-button"
+                >
+                  Vælg mappe
+                </button>
+              </div>
+            </div>
+
+            {/* Section: Batch Queue */}
+            <div className="settings-section">
+              <h3>Batch-kø</h3>
+              <div className="checkbox-group">
+                <label>Samtidige analyser pr. provider:</label>
+                <div className="checkbox-row">
+                  {providers.map(({ name: id, displayName }) => (
+                    <label key={id} className="concurrency-input">
+                      {displayName}
+                      <input
+                        type="number"
+                        min="1"
+                        max={MAX_QUEUE_CONCURRENCY}
+                        value={settings.queueConcurrency?.[id] || 1}
+                        onChange={(e) => changeQueueConcurrency(id, e.target.value)}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {/* Section: Prompts */}
+            <PromptLibrary prompts={prompts} onChange={onPromptsChange} />
+
+            {/* Section: Models */}
+            <div className="settings-section">
+              <h3>Modeller</h3>
+              <p className="settings-hint">
+                Vælg model og parametre pr. provider, fx en større model til kontrakter og en hurtigere til manualer. Tomme felter bruger CLI'ens standard.
+              </p>
+              {configurableProviders.length > 0 ? (
+                configurableProviders.map(({ name: id, displayName, local, models = [], parameters = {} }) => (
+                  <div key={id} className="checkbox-row model-settings">
+                    <span className="client">{displayName}</span>
+                    {models.length > 0 && (
+                      <select
+                        className="fallback-select"
+                        value={settings.providerModels?.[id]?.model || ''}
+                        onChange={(e) => changeProviderModel(id, 'model', e.target.value)}
+                        aria-label={`${displayName} model`}
+                      >
+                        <option value="">{local ? 'Første installerede' : 'Standardmodel'}</option>
+                        {models.map(model => (
+                          <option key={model.name} value={model.name}>{model.name}</option>
+                        ))}
+                      </select>
+                    )}
+                    {parameters.temperature && (
+                      <label className="concurrency-input">
+                        Temperatur
+                        <input
+                          type="number"
+                          min="0"
+                          max="2"
+                          step="0.1"
+                          value={settings.providerModels?.[id]?.temperature ?? ''}
+                          onChange={(e) => changeProviderModel(id, 'temperature', e.target.value)}
+                        />
+                      </label>
+                    )}
+                    {parameters.maxTokens && (
+                      <label className="concurrency-input">
+                        Maks. tokens
+                        <input
+                          type="number"
+                          min="1"
+                          step="100"
+                          value={settings.providerModels?.[id]?.maxTokens ?? ''}
+                          onChange={(e) => changeProviderModel(id, 'maxTokens', e.target.value)}
+                        />
+                      </label>
+                    )}
+                  </div>
+                ))
+              ) : (
+                <p className="empty-state">Ingen installerede providere med modelvalg</p>
+              )}
+            </div>
+
+            {/* Section: Provider Instructions */}
+            <div className="settings-section">
+              <h3>Provider-instruktioner</h3>
+              <p className="settings-hint">
+                Instruktioner til den enkelte provider (tone, fokus, domæneviden) fra provider-configs/&lt;provider&gt;-instructions.md sættes foran analyse-prompten.
+              </p>
+              <div className="checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={settings.useProviderInstructions !== false}
+                    onChange={(e) => handleChange('useProviderInstructions', e.target.checked)}
+                  />
+                  Brug provider-instruktioner ved analyser og opfølgende spørgsmål
+                </label>
+              </div>
+            </div>
+
+            {/* Section: Provider Fallback */}
+            <div className="settings-section">
+              <h3>Reserve-providere</h3>
+              <p className="settings-hint">
+                Ved midlertidige fejl (fx rate limit eller netværk) prøves igen, og derefter skiftes til næste provider i rækkefølgen. En lokal analyse (Ollama) skifter kun til andre lokale providere - aldrig til en cloud-provider.
+              </p>
+              {(settings.fallbackProviders || []).length > 0 ? (
+                <div className="reference-folder-list">
+                  {settings.fallbackProviders.map((name, index) => (
+                    <div key={name} className="reference-folder-item">
+                      <span className="client">{index + 1}.</span>
+                      <span className="folder">
+                        {providers.find(provider => provider.name === name)?.displayName || name}
+                      </span>
+                      {index > 0 && (
+                        <button
+                          className="remove-button"
+                          onClick={() => moveFallbackProviderUp(index)}
+                          aria-label={`Flyt ${name} op`}
+                        >
+                          ↑
+                        </button>
+                      )}
+                      <button
+                        className="remove-button"
+                        onClick={() => removeFallbackProvider(name)}
+                        aria-label={`Fjern ${name} som reserve`}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="empty-state">Ingen reserve-providere – analysen stopper ved fejl</p>
+              )}
+              <select
+                className="fallback-select"
+                value=""
+                onChange={(e) => addFallbackProvider(e.target.value)}
+              >
+                <option value="">Tilføj reserve-provider…</option>
+                {providers
+                  .filter(provider => !(settings.fallbackProviders || []).includes(provider.name))
+                  .map(provider => (
+                    <option key={provider.name} value={provider.name}>{provider.displayName}</option>
+                  ))}
+              </select>
+            </div>
+
             {/* Section 1: Style Settings */}
             <div className="settings-section">
               <h3>Udseende</h3>
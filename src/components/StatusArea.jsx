@@ -3,6 +3,8 @@ import StatusMessage from './StatusMessage';
 import StatusTime from './StatusTime';
 import ProgressIndicator from './ProgressIndicator';
 import ErrorMessage from './ErrorMessage';
+import RiskSummary from './RiskSummary';
+import LiveOutput from './LiveOutput';
 
 export default function StatusArea({ onRetry }) {
   const state = useAppState();
@@ -25,21 +27,63 @@ export default function StatusArea({ onRetry }) {
       'Næsten færdig'
     ];
 
+    // Long documents are analyzed in parts - show which part is running
+    const chunk = state.analysisChunk;
+    let message = stageMessages[state.currentStage] || stageMessages[0];
+    if (state.currentStage === 1 && chunk) {
+      message = state.analysisProgress >= 70
+        ? `Samler ${chunk.total} delanalyser`
+        : `Analyserer del ${chunk.current} af ${chunk.total}`;
+    }
+    // Several prompts in one job - show which analysis is running
+    const prompt = state.analysisPrompt;
+    if (state.currentStage === 1 && prompt) {
+      message = `Analyse ${prompt.current} af ${prompt.total}: ${message.charAt(0).toLowerCase()}${message.slice(1)}`;
+    }
+    // The selected provider failed - another one from the fallback order took over
+    if (state.analysisProvider) {
+      message = `${message} (skiftet til ${state.analysisProvider})`;
+    }
+
     return (
       <div className="status-area">
-        <StatusMessage text={stageMessages[state.currentStage] || stageMessages[0]} />
+        <StatusMessage text={message} />
         <StatusTime text={stageTimeEstimates[state.currentStage] || stageTimeEstimates[0]} />
         <ProgressIndicator currentStage={state.currentStage} totalStages={3} />
+        {state.currentStage === 1 && <LiveOutput text={state.streamText} />}
       </div>
     );
   }
 
-  // Completed - show execution time
+  // Completed - show risk score (if structured findings were returned) and execution time
   if (state.uiState === 'completed' && state.analysisResult) {
     const seconds = Math.round(state.analysisResult.executionTime / 1000);
+    const analyses = state.analysisResult.analyses || [];
+    const consensus = state.analysisResult.metadata?.consensus;
     return (
       <div className="status-area">
+        {analyses.length > 1 && !consensus
+          ? analyses.map(analysis => (
+            <RiskSummary
+              key={analysis.promptName}
+              riskScore={analysis.riskScore}
+              label={getPromptDisplayName(state.availablePrompts, analysis.promptName)}
+            />
+          ))
+          : <RiskSummary riskScore={state.analysisResult.riskScore} label={consensus ? 'Konsensus' : undefined} />}
+        {consensus && (
+          <StatusTime text={`${consensus.agreed} fælles fund, ${consensus.conflicts} med forskellig alvorlighed, ${consensus.single} kun fundet af én model`} />
+        )}
+        {consensus?.failed?.length > 0 && (
+          <StatusTime text={`Uden ${consensus.failed.map(failure => failure.provider).join(', ')} (fejlede)`} />
+        )}
         <StatusTime text={`${seconds} sekunder`} />
+        {state.analysisResult.usage && (
+          <StatusTime text={formatUsage(state.analysisResult.usage)} />
+        )}
+        {state.analysisResult.metadata?.fallbacks?.length > 0 && (
+          <StatusTime text={`Analyseret med ${state.analysisResult.metadata.provider} – ${state.analysisResult.metadata.fallbacks[0].from} fejlede`} />
+        )}
       </div>
     );
   }
@@ -60,3 +104,15 @@ export default function StatusArea({ onRetry }) {
   // Fallback - hidden
   return null;
 }
+
+// Display name of a prompt (falls back to the prompt name)
+function getPromptDisplayName(availablePrompts, promptName) {
+  return availablePrompts.find(prompt => prompt.name === promptName)?.displayName || promptName;
+}
+
+// Tokens and model cost of the analysis ("≈" when the CLI did not report usage)
+function formatUsage(usage) {
+  const prefix = usage.estimated ? '≈ ' : '';
+  const cost = (usage.costUsd || 0).toLocaleString('da-DK', { style: 'currency', currency: 'USD' });
+  return `${prefix}${(usage.totalTokens || 0).toLocaleString('da-DK')} tokens • ${prefix}${cost}`;
+}
@@ -1,4 +1,11 @@
 import { createContext, useContext, useReducer, useEffect } from 'react';
+import { summarizeFindings } from '../utils/findings.js';
+
+// Prompt that compares two versions of a document (needs a previous version)
+export const COMPARISON_PROMPT = 'contract-comparison';
+
+// Providers compared in a consensus review
+export const CONSENSUS_PROVIDERS = ['claude', 'gemini'];
 
 // ========== Initial State ==========
 
@@ -9,19 +16,29 @@ const initialState = {
   // Document
   documentFile: null,
 
-  // Prompt
-  selectedPrompt: null,
+  // Prompts (several prompts run as one job with a combined report)
+  selectedPrompts: [],
   availablePrompts: [],  // Loaded from backend on mount
+  promptVariables: {},  // Template values for the next analysis ({ perspective, industry, jurisdiction }; client name is clientName)
+
+  // Reference materials folder for the next analysis (null = none)
+  referencePath: null,
 
   // CLI Provider
   availableProviders: [],  // Detected on mount
   selectedProvider: null,  // Auto-select first available
   providersLoading: true,  // Loading state for provider detection
+  providerModels: {},  // Model and parameters per provider ({ claude: { model: 'opus' } }; none = CLI default)
+  consensus: false,  // Run the prompt on every CONSENSUS_PROVIDERS provider and merge the findings
 
   // Analysis
   analysisResult: null,
   analysisProgress: 0,
   currentStage: 0,
+  analysisChunk: null,  // { current, total } when a long document is analyzed in parts
+  analysisPrompt: null,  // { current, total } when several prompts run in one job
+  streamText: '',  // Answer text received so far (streaming providers)
+  analysisProvider: null,  // Provider that took over after a fallback (null = the selected one)
 
   // Error
   error: null,
@@ -38,6 +55,11 @@ const initialState = {
     autoOpen: false,
     organizationMode: 'client'
   },
+  clientReferenceFolders: {},  // { [clientName]: folderPath }
+  queueConcurrency: { claude: 1, gemini: 1, openai: 1, ollama: 1 },  // Parallel batch jobs per provider
+  fallbackProviders: [],  // Tried in order when the selected provider fails with a recoverable error
+  useProviderInstructions: true,  // Put provider-configs/<provider>-instructions.md before the prompt
+  usagePrices: {},  // { [provider]: { input, output } } in USD per million tokens (defaults from settings.json)
 
   // Settings Modal specific
   logoPath: null,
@@ -46,6 +68,29 @@ const initialState = {
   recentAnalyses: []
 };
 
+// ========== Helpers ==========
+
+// Prompts selected last time (older settings only store a single lastPrompt)
+function getLastPrompts(settings) {
+  if (settings.lastPrompts?.length > 0) return settings.lastPrompts;
+  return settings.lastPrompt ? [settings.lastPrompt] : [];
+}
+
+// Findings per severity across every analysis in the job (null without structured findings)
+// A consensus job counts the merged findings, not each provider's
+function getFindingsSummary(result) {
+  const analyses = result.analyses?.length > 0 && !result.metadata?.consensus ? result.analyses : [result];
+  const structured = analyses.filter(analysis => analysis.findings);
+  return structured.length > 0 ? summarizeFindings(structured.flatMap(analysis => analysis.findings)) : null;
+}
+
+// Reference folder for the next analysis: the client's folder (Indstillinger → Referencemateriale pr. Klient),
+// unless a folder was picked by hand on the main screen
+function getClientReferencePath(state, clientName, folders = state.clientReferenceFolders) {
+  const followsClient = !state.referencePath || state.referencePath === state.clientReferenceFolders[state.clientName];
+  return followsClient ? folders[clientName] || null : state.referencePath;
+}
+
 // ========== Reducer ==========
 
 function appReducer(state, action) {
@@ -64,18 +109,27 @@ function appReducer(state, action) {
         availablePrompts: state.availablePrompts,
         availableProviders: state.availableProviders,
         selectedProvider: state.selectedProvider,
+        providerModels: state.providerModels,
+        consensus: state.consensus,
         clientName: state.clientName,
         branding: state.branding,
         recentClients: state.recentClients,
-        outputPreferences: state.outputPreferences
+        outputPreferences: state.outputPreferences,
+        clientReferenceFolders: state.clientReferenceFolders,
+        referencePath: state.referencePath,
+        promptVariables: state.promptVariables,
+        queueConcurrency: state.queueConcurrency,
+        fallbackProviders: state.fallbackProviders,
+        useProviderInstructions: state.useProviderInstructions,
+        usagePrices: state.usagePrices
       };
 
     // ========== Document Actions ==========
     case 'UPLOAD_DOCUMENT':
       return {
         ...state,
-        documentFile: action.payload,  // { file, name, size, type, uploadedAt, path }
-        uiState: state.selectedPrompt ? 'prompt-selected' : 'idle',
+        documentFile: action.payload,  // { file, name, size, type, uploadedAt, path, compareWith? }
+        uiState: state.selectedPrompts.length > 0 ? 'prompt-selected' : 'idle',
         error: null
       };
 
@@ -89,19 +143,37 @@ function appReducer(state, action) {
       };
 
     // ========== Prompt Actions ==========
-    case 'SELECT_PROMPT':
+    case 'TOGGLE_PROMPT': {
+      const promptName = action.payload;  // 'franchise-contract-review' | etc.
+      let selectedPrompts;
+      if (state.selectedPrompts.includes(promptName)) {
+        selectedPrompts = state.selectedPrompts.filter(name => name !== promptName);
+      } else if (promptName === COMPARISON_PROMPT) {
+        // Comparison needs two versions and always runs on its own
+        selectedPrompts = [promptName];
+      } else {
+        selectedPrompts = [...state.selectedPrompts.filter(name => name !== COMPARISON_PROMPT), promptName];
+      }
+
       return {
         ...state,
-        selectedPrompt: action.payload,  // 'franchise-contract-review' | etc.
-        uiState: 'prompt-selected',
+        selectedPrompts,
+        uiState: selectedPrompts.length > 0 ? 'prompt-selected' : 'idle',
         error: null
       };
+    }
 
-    case 'LOAD_PROMPTS_SUCCESS':
+    case 'LOAD_PROMPTS_SUCCESS': {
+      const availablePrompts = action.payload;  // PromptInfo[]
+      // A deleted user prompt can no longer be selected
+      const selectedPrompts = state.selectedPrompts.filter(name => availablePrompts.some(prompt => prompt.name === name));
       return {
         ...state,
-        availablePrompts: action.payload  // PromptInfo[]
+        availablePrompts,
+        selectedPrompts,
+        uiState: state.uiState === 'prompt-selected' && selectedPrompts.length === 0 ? 'idle' : state.uiState
       };
+    }
 
     // ========== CLI Provider Actions ==========
     case 'LOAD_PROVIDERS_SUCCESS': {
@@ -122,6 +194,28 @@ function appReducer(state, action) {
         selectedProvider: action.payload  // 'claude' | 'gemini' | 'openai'
       };
 
+    case 'TOGGLE_CONSENSUS':
+      return {
+        ...state,
+        consensus: !state.consensus
+      };
+
+    // ========== Reference Actions ==========
+    case 'SET_REFERENCE_PATH':
+      return {
+        ...state,
+        referencePath: action.payload  // folder path or null
+      };
+
+    case 'SET_PROMPT_VARIABLE':
+      return {
+        ...state,
+        promptVariables: {
+          ...state.promptVariables,
+          [action.payload.name]: action.payload.value
+        }
+      };
+
     // ========== Analysis Actions ==========
     case 'START_ANALYSIS':
       return {
@@ -129,15 +223,32 @@ function appReducer(state, action) {
         uiState: 'analysis-running',
         analysisProgress: 0,
         currentStage: 0,
+        analysisChunk: null,
+        analysisPrompt: null,
+        streamText: '',
+        analysisProvider: null,
         analysisResult: null,
         error: null
       };
 
+    case 'ANALYSIS_STREAM':
+      // Ignore text that arrives after the analysis finished or was cancelled
+      if (state.uiState !== 'analysis-running') {
+        return state;
+      }
+      return {
+        ...state,
+        streamText: action.payload.reset ? action.payload.text : state.streamText + action.payload.text
+      };
+
     case 'UPDATE_PROGRESS':
       return {
         ...state,
         analysisProgress: action.payload.progress,  // 0-100
-        currentStage: action.payload.stage          // 0-2
+        currentStage: action.payload.stage,         // 0-2
+        analysisChunk: action.payload.chunk || null,
+        analysisPrompt: action.payload.prompt || null,
+        analysisProvider: action.payload.provider || null
       };
 
     case 'ANALYSIS_SUCCESS': {
@@ -145,10 +256,13 @@ function appReducer(state, action) {
 
       // Add to recent analyses
       const newAnalysis = {
-        clientName: state.clientName || 'Unnamed Client',
+        analysisId: result.analysisId,
+        clientName: result.metadata?.clientName || state.clientName || 'Unnamed Client',
         date: new Date().toISOString().split('T')[0], // YYYY-MM-DD
-        promptType: state.selectedPrompt,
-        outputPath: result.metadata?.outputPath || ''
+        promptType: result.metadata?.promptName || state.selectedPrompts[0],
+        promptTypes: result.metadata?.promptNames || state.selectedPrompts,
+        outputPath: result.metadata?.outputPath || '',
+        findingsSummary: getFindingsSummary(result)
       };
 
       const updatedRecentAnalyses = [
@@ -162,6 +276,7 @@ function appReducer(state, action) {
         analysisResult: result,  // AnalysisResult
         analysisProgress: 100,
         currentStage: 2,
+        streamText: '',
         error: null,
         recentAnalyses: updatedRecentAnalyses
       };
@@ -179,7 +294,8 @@ function appReducer(state, action) {
     case 'UPDATE_CLIENT_NAME':
       return {
         ...state,
-        clientName: action.payload
+        clientName: action.payload,
+        referencePath: getClientReferencePath(state, action.payload)
       };
 
     case 'UPDATE_BRANDING':
@@ -216,6 +332,15 @@ function appReducer(state, action) {
     case 'UPDATE_SETTING': {
       const { key, value } = action.payload;
 
+      // A folder assigned to the current client applies to the next analysis
+      if (key === 'clientReferenceFolders') {
+        return {
+          ...state,
+          clientReferenceFolders: value,
+          referencePath: getClientReferencePath(state, state.clientName, value)
+        };
+      }
+
       // Handle nested settings
       if (key === 'defaultFormats') {
         return {
@@ -252,9 +377,16 @@ function appReducer(state, action) {
         recentClients: action.payload.recentClients || [],
         outputPreferences: action.payload.outputPreferences || initialState.outputPreferences,
         selectedProvider: action.payload.lastProvider || state.selectedProvider,
-        selectedPrompt: action.payload.lastPrompt || null,
+        providerModels: action.payload.providerModels || {},
+        selectedPrompts: getLastPrompts(action.payload),
         logoPath: action.payload.logoPath || null,
-        recentAnalyses: action.payload.recentAnalyses || []
+        recentAnalyses: action.payload.recentAnalyses || [],
+        clientReferenceFolders: action.payload.clientReferenceFolders || {},
+        referencePath: getClientReferencePath(state, state.clientName, action.payload.clientReferenceFolders || {}),
+        queueConcurrency: action.payload.queueConcurrency || initialState.queueConcurrency,
+        fallbackProviders: action.payload.fallbackProviders || [],
+        useProviderInstructions: action.payload.useProviderInstructions !== false,
+        usagePrices: action.payload.usagePrices || {}
       };
 
     // ========== Error Actions ==========
@@ -327,7 +459,14 @@ export function AppProvider({ children }) {
         type: 'UPDATE_PROGRESS',
         payload: {
           progress: progress.percent,  // 0-100
-          stage: progress.stage         // 0-2
+          stage: progress.stage,        // 0-2
+          chunk: progress.totalChunks
+            ? { current: progress.chunk, total: progress.totalChunks }
+            : null,
+          prompt: progress.totalPrompts
+            ? { current: progress.prompt, total: progress.totalPrompts }
+            : null,
+          provider: progress.provider || null
         }
       });
     };
@@ -339,6 +478,22 @@ export function AppProvider({ children }) {
     };
   }, []);
 
+  // Listen for streamed analysis text
+  useEffect(() => {
+    const handleStream = (chunk) => {
+      dispatch({
+        type: 'ANALYSIS_STREAM',
+        payload: { text: chunk.text, reset: chunk.reset }
+      });
+    };
+
+    const subscription = window.electronAPI.onAnalysisStream(handleStream);
+
+    return () => {
+      window.electronAPI.removeAnalysisStreamListener(subscription);
+    };
+  }, []);
+
   // Listen for error events
   useEffect(() => {
     const handleError = (error) => {
@@ -360,13 +515,20 @@ export function AppProvider({ children }) {
     const timeoutId = setTimeout(() => {
       const settingsToSave = {
         lastProvider: state.selectedProvider,
-        lastPrompt: state.selectedPrompt,
+        providerModels: state.providerModels,
+        lastPrompt: state.selectedPrompts[0] || null,
+        lastPrompts: state.selectedPrompts,
         clientName: state.clientName,
         branding: state.branding,
         recentClients: state.recentClients,
         outputPreferences: state.outputPreferences,
         logoPath: state.logoPath,
-        recentAnalyses: state.recentAnalyses
+        recentAnalyses: state.recentAnalyses,
+        clientReferenceFolders: state.clientReferenceFolders,
+        queueConcurrency: state.queueConcurrency,
+        fallbackProviders: state.fallbackProviders,
+        useProviderInstructions: state.useProviderInstructions,
+        usagePrices: state.usagePrices
       };
 
       window.electronAPI.saveSettings(settingsToSave).catch(err => {
@@ -377,13 +539,19 @@ export function AppProvider({ children }) {
     return () => clearTimeout(timeoutId);
   }, [
     state.selectedProvider,
-    state.selectedPrompt,
+    state.providerModels,
+    state.selectedPrompts,
     state.clientName,
     state.branding,
     state.recentClients,
     state.outputPreferences,
     state.logoPath,
-    state.recentAnalyses
+    state.recentAnalyses,
+    state.clientReferenceFolders,
+    state.queueConcurrency,
+    state.fallbackProviders,
+    state.useProviderInstructions,
+    state.usagePrices
   ]);
 
   return (
@@ -433,14 +601,16 @@ export function useHasDocument() {
 
 export function useHasPrompt() {
   const state = useAppState();
-  return state.selectedPrompt !== null;
+  return state.selectedPrompts.length > 0;
 }
 
 export function useCanStartAnalysis() {
   const state = useAppState();
+  const needsPreviousVersion = state.selectedPrompts.includes(COMPARISON_PROMPT);
   return (
-    state.selectedPrompt !== null &&
+    state.selectedPrompts.length > 0 &&
     state.documentFile !== null &&
+    (!needsPreviousVersion || Boolean(state.documentFile.compareWith)) &&
     state.selectedProvider !== null &&
     state.uiState === 'prompt-selected'
   );
@@ -12,14 +12,23 @@ import { ProviderErrorFactory } from './ProviderError.js';
  * @property {string} content
  */
 
+/**
+ * @typedef {Object} ReferenceContext
+ * @property {string} name - Label shown to the model (file name)
+ * @property {string} text - Reference text
+ * @property {boolean} [truncated] - Whether the text was cut to fit the token budget
+ */
+
 /**
  * @typedef {Object} ProviderContext
  * @property {string} instructions - Combined instruction text (from prompt files, system instructions)
+ * @property {ReferenceContext[]} [references] - Reference materials (sent separately from the document)
  * @property {Object.<string, string>} [metadata] - Optional metadata for logging
  */
 
 /**
  * @typedef {Object} ProviderOptions
+ * @property {string} [model] - Model to run (one of capabilities.models)
  * @property {number} [temperature]
  * @property {number} [maxTokens]
  * @property {boolean} [stream]
@@ -37,6 +46,8 @@ import { ProviderErrorFactory } from './ProviderError.js';
  * @property {number} [inputTokens]
  * @property {number} [outputTokens]
  * @property {number} [totalTokens]
+ * @property {number} [costUsd] - Cost reported by the CLI (if it reports one)
+ * @property {boolean} [estimated] - Token counts are a local estimate (the CLI reported no usage)
  */
 
 /**
@@ -45,6 +56,7 @@ import { ProviderErrorFactory } from './ProviderError.js';
  * @property {string} [model]
  * @property {number} [latencyMs]
  * @property {*} [raw]
+ * @property {number} [chunkCount] - Set by chunked analysis (number of chunks the response combines)
  */
 
 /**
@@ -60,6 +72,7 @@ import { ProviderErrorFactory } from './ProviderError.js';
  * @property {boolean} temperature
  * @property {boolean} maxTokens
  * @property {boolean} systemMessages
+ * @property {string[] | null} models - Models that can be selected ([] = any model name, null = no model selection)
  */
 
 /**
@@ -74,11 +87,17 @@ import { ProviderErrorFactory } from './ProviderError.js';
  * @param {ProgressUpdate} progress
  */
 
+/**
+ * @callback TextCallback
+ * @param {string} text - Next piece of the answer
+ */
+
 /**
  * @typedef {Object} ExecutionOptions
  * @property {number} [timeout] - Maximum execution time in milliseconds (default: 300000)
  * @property {AbortSignal} [signal] - Cancellation token
  * @property {ProgressCallback} [onProgress] - Progress callback
+ * @property {TextCallback} [onText] - Receives the answer as it is generated (providers with streaming capability)
  */
 
 /**
@@ -159,6 +178,33 @@ export class BaseCLIProvider {
     throw new Error('Subclass must implement cliCommand getter');
   }
 
+  /**
+   * Flag that makes the CLI print its version
+   * @protected
+   * @returns {string}
+   */
+  get versionFlag() {
+    return '--version';
+  }
+
+  /**
+   * Context window size in tokens (input + output)
+   * Override in subclass with the model's actual limit
+   * @returns {number}
+   */
+  get contextWindow() {
+    return 100000;
+  }
+
+  /**
+   * Whether the model runs on this computer (documents are not sent to a cloud service)
+   * Override in subclass for local model providers
+   * @returns {boolean}
+   */
+  get isLocal() {
+    return false;
+  }
+
   // ========== Abstract Methods (Subclass Must Implement) ==========
 
   /**
@@ -199,6 +245,19 @@ export class BaseCLIProvider {
     throw new Error('Subclass must implement parseError()');
   }
 
+  /**
+   * Extract answer text from one line of streamed output
+   * Override in subclasses with streaming capability; called for each complete
+   * stdout line when the request was built with options.stream
+   *
+   * @protected
+   * @param {string} _line
+   * @returns {string | null} Text to append to the answer, or null for non-text lines
+   */
+  parseStreamLine(_line) {
+    return null;
+  }
+
   // ========== Lifecycle Hooks (Optional Override) ==========
 
   /**
@@ -233,45 +292,120 @@ export class BaseCLIProvider {
   async send(request, options = {}) {
     const startTime = Date.now();
 
-    // 1. Check CLI availability
+    // 1. Check the request itself
+    const requestProblem = this.validateRequest(request);
+    if (requestProblem) {
+      throw ProviderErrorFactory.invalidRequest(this.id, requestProblem);
+    }
+
+    // 2. Check CLI availability
     if (!(await this.isAvailable())) {
       throw ProviderErrorFactory.notInstalled(this.id);
     }
 
-    // 2. Pre-execution hook
+    // 3. Check the requested model and parameters
+    const problem = this.validateOptions(request.options);
+    if (problem) {
+      throw ProviderErrorFactory.invalidOptions(this.id, problem);
+    }
+
+    // 4. Pre-execution hook
     await this.beforeExecute(request);
 
-    // 3. Build command
-    const command = this.buildCommand(request);
+    // 5. Build command (in streaming mode if the caller wants text as it arrives)
+    const streaming = Boolean(options.onText) && this.capabilities.streaming;
+    const command = this.buildCommand(
+      streaming ? { ...request, options: { ...request.options, stream: true } } : request
+    );
 
-    // 4. Execute process
-    const result = await this._executeProcess(command, options);
+    // 6. Execute process (not started if the caller cancelled in the meantime)
+    if (options.signal?.aborted) {
+      throw ProviderErrorFactory.cancelled(this.id);
+    }
+    const result = await this._executeProcess(command, { ...options, onText: streaming ? options.onText : undefined });
 
-    // 5. Check for errors
+    // 7. Check for errors
     if (!result.success) {
       throw this.parseError(result);
     }
 
-    // 6. Normalize output
+    // 8. Normalize output
     const content = this.normalizeOutput(result.stdout, result.stderr);
 
-    // 7. Build response
+    // 9. Build response
     const response = {
       message: { role: 'assistant', content },
-      usage: this._extractUsage(result.stderr),
+      usage: this._extractUsage(result.stdout, result.stderr) || this._estimateUsage(command, content),
       providerMeta: {
         providerId: this.id,
+        model: request.options?.model,
         latencyMs: Date.now() - startTime,
         raw: { stdout: result.stdout, stderr: result.stderr }
       }
     };
 
-    // 8. Post-execution hook
+    // 10. Post-execution hook
     await this.afterExecute(response);
 
     return response;
   }
 
+  /**
+   * Check that a request has something to send
+   * @param {LLMRequest} request
+   * @returns {string | null} Problem description (Danish), or null if valid
+   */
+  validateRequest(request) {
+    if (!request || !Array.isArray(request.messages) || request.messages.length === 0) {
+      return 'forespørgslen indeholder ingen beskeder';
+    }
+    if (request.messages.some(message => typeof message?.content !== 'string' || !message.content.trim())) {
+      return 'en besked i forespørgslen er tom';
+    }
+    if (typeof request.context?.instructions !== 'string') {
+      return 'forespørgslen mangler instruktioner';
+    }
+    return null;
+  }
+
+  /**
+   * Check a requested model and parameters against the capabilities
+   * @param {ProviderOptions} [options]
+   * @returns {string | null} Problem description (Danish), or null if valid
+   */
+  validateOptions(options = {}) {
+    const { models, temperature, maxTokens } = this.capabilities;
+
+    if (options.model) {
+      if (!models) {
+        return `${this.displayName} understøtter ikke valg af model`;
+      }
+      if (models.length > 0 && !models.includes(options.model)) {
+        return `ukendt model "${options.model}" (mulige modeller: ${models.join(', ')})`;
+      }
+    }
+
+    if (options.temperature !== undefined && options.temperature !== null) {
+      if (!temperature) {
+        return `${this.displayName} understøtter ikke temperatur`;
+      }
+      if (typeof options.temperature !== 'number' || options.temperature < 0 || options.temperature > 2) {
+        return 'temperaturen skal være mellem 0 og 2';
+      }
+    }
+
+    if (options.maxTokens !== undefined && options.maxTokens !== null) {
+      if (!maxTokens) {
+        return `${this.displayName} understøtter ikke maks. antal tokens`;
+      }
+      if (!Number.isInteger(options.maxTokens) || options.maxTokens <= 0) {
+        return 'maks. antal tokens skal være et positivt heltal';
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Check if CLI is installed and accessible
    * @returns {Promise<boolean>}
@@ -315,7 +449,7 @@ export class BaseCLIProvider {
 
     return new Promise((resolve) => {
       let stdout = '';
-      const child = spawn(this.cliCommand, ['--version'], { shell: true });
+      const child = spawn(this.cliCommand, [this.versionFlag], { shell: true });
 
       child.stdout.on('data', (chunk) => {
         stdout += chunk.toString();
@@ -332,6 +466,62 @@ export class BaseCLIProvider {
     });
   }
 
+  /**
+   * Estimate token count for text
+   * Rough character-based estimate (no tokenizer available for CLI providers);
+   * override in subclass if the provider tokenizes differently
+   *
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 3.5);
+  }
+
+  /**
+   * Format reference materials as a labelled block for the prompt
+   * Shared by subclasses so all providers present references the same way
+   *
+   * @protected
+   * @param {ReferenceContext[]} [references]
+   * @returns {string} Reference block ('' when there are no references)
+   */
+  formatReferences(references) {
+    if (!references || references.length === 0) {
+      return '';
+    }
+
+    const blocks = references.map((ref, index) => {
+      const note = ref.truncated ? ' – forkortet' : '';
+      return `### Reference ${index + 1}: ${ref.name}${note}\n\n${ref.text}`;
+    });
+
+    return 'REFERENCEMATERIALER\n' +
+      'Følgende referencematerialer er vedlagt. De er ikke en del af det dokument, der skal analyseres. ' +
+      'Brug dem til sammenligning og henvis til dem med navn (fx "Reference 1: kontrakt-2022.pdf").\n\n' +
+      `${blocks.join('\n\n')}\n\nSLUT PÅ REFERENCEMATERIALER`;
+  }
+
+  /**
+   * Format the conversation as one prompt for stdin
+   * A single message is sent as-is; a multi-turn history (follow-up questions on an
+   * analysis) is written as a transcript so the CLI answers the last message
+   *
+   * @protected
+   * @param {Message[]} messages
+   * @returns {string}
+   */
+  formatConversation(messages) {
+    if (messages.length === 1) {
+      return messages[0].content;
+    }
+
+    const labels = { system: 'SYSTEM', user: 'BRUGER', assistant: 'ASSISTENT' };
+    return messages
+      .map((m) => `${labels[m.role] || m.role.toUpperCase()}:\n${m.content}`)
+      .join('\n\n');
+  }
+
   // ========== Private Helpers ==========
 
   /**
@@ -345,11 +535,12 @@ export class BaseCLIProvider {
    */
   async _executeProcess(command, options) {
     return new Promise((resolve) => {
-      const { timeout = 300000, signal, onProgress } = options;
+      const { timeout = 300000, signal, onProgress, onText } = options;
       const startTime = Date.now();
 
       let stdout = '';
       let stderr = '';
+      let lineBuffer = ''; // Incomplete stdout line (streaming)
       let timedOut = false;
       let cancelled = false;
 
@@ -382,10 +573,22 @@ export class BaseCLIProvider {
         child.stdin.end(); // CRITICAL: Signal EOF
       }
 
+      // Pass streamed answer text on to the caller
+      const emitStreamLine = (line) => {
+        const text = this.parseStreamLine(line);
+        if (text) onText(text);
+      };
+
       // Collect stdout
       child.stdout.on('data', (chunk) => {
         stdout += chunk.toString();
 
+        if (onText) {
+          const lines = (lineBuffer + chunk.toString()).split('\n');
+          lineBuffer = lines.pop();
+          lines.forEach(emitStreamLine);
+        }
+
         if (onProgress) {
           onProgress({
             percent: this._estimateProgress(Date.now() - startTime, timeout),
@@ -404,6 +607,10 @@ export class BaseCLIProvider {
       child.on('exit', (code, exitSignal) => {
         clearTimeout(timeoutHandle);
 
+        if (onText && lineBuffer) {
+          emitStreamLine(lineBuffer);
+        }
+
         if (signal) {
           signal.removeEventListener('abort', onAbort);
         }
@@ -484,15 +691,30 @@ export class BaseCLIProvider {
   }
 
   /**
-   * Extract usage info from stderr (provider-specific patterns)
+   * Extract usage info from the CLI output (provider-specific JSON or verbose output)
    * Override in subclass if provider reports usage
    *
    * @private
+   * @param {string} _stdout
    * @param {string} _stderr
    * @returns {UsageInfo | undefined}
    */
-  _extractUsage(_stderr) {
+  _extractUsage(_stdout, _stderr) {
     // Default: no usage extraction
     return undefined;
   }
+
+  /**
+   * Estimate usage from the text sent and received (for CLIs that report no usage)
+   *
+   * @private
+   * @param {CLICommand} command
+   * @param {string} content - Normalized answer
+   * @returns {UsageInfo}
+   */
+  _estimateUsage(command, content) {
+    const inputTokens = this.estimateTokens([...command.args, command.stdin || ''].join('\n'));
+    const outputTokens = this.estimateTokens(content);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+  }
 }
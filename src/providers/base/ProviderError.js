@@ -93,6 +93,7 @@ export class ProviderErrorFactory {
       'claude-cli': 'Claude CLI',
       'gemini-cli': 'Gemini CLI',
       'openai-cli': 'OpenAI CLI',
+      'ollama-cli': 'Ollama',
       'claude-api': 'Claude API'
     };
     return names[providerId] || providerId;
@@ -117,8 +118,8 @@ export class ProviderErrorFactory {
         ];
       case 'openai-cli':
         return [
-          'Kør "openai login" i din terminal',
-          'Tjek at din OpenAI API nøgle er gyldig'
+          'Kør "codex login" i din terminal',
+          'Eller sæt OPENAI_API_KEY miljøvariabel med en gyldig API nøgle'
         ];
       case 'claude-api':
         return [
@@ -149,8 +150,13 @@ export class ProviderErrorFactory {
         ];
       case 'openai-cli':
         return [
-          'Installer OpenAI CLI: pip install openai',
-          'Se mere på: https://platform.openai.com/docs/api-reference'
+          'Installer OpenAI Codex CLI: npm install -g @openai/codex',
+          'Se mere på: https://github.com/openai/codex'
+        ];
+      case 'ollama-cli':
+        return [
+          'Installer Ollama: https://ollama.com/download',
+          'Hent derefter en model, fx "ollama pull llama3.1"'
         ];
       default:
         return ['Installer CLI værktøjet for din provider'];
@@ -228,6 +234,46 @@ export class ProviderErrorFactory {
     });
   }
 
+  /**
+   * Create CONFIG error for a request without messages or instructions
+   * @param {string} providerId
+   * @param {string} problem - What is wrong (Danish)
+   * @returns {ProviderError}
+   */
+  static invalidRequest(providerId, problem) {
+    return new ProviderError({
+      type: 'CONFIG',
+      providerId,
+      message: `Invalid request: ${problem}`,
+      isRecoverable: false,
+      userMessage: `Ugyldig forespørgsel til ${this.getProviderDisplayName(providerId)}: ${problem}`,
+      recoverySuggestions: [
+        'Tjek at dokumentet indeholder tekst',
+        'Tjek at den valgte prompt findes og ikke er tom'
+      ]
+    });
+  }
+
+  /**
+   * Create CONFIG error for a model or parameter the provider does not support
+   * @param {string} providerId
+   * @param {string} problem - What is wrong (Danish)
+   * @returns {ProviderError}
+   */
+  static invalidOptions(providerId, problem) {
+    return new ProviderError({
+      type: 'CONFIG',
+      providerId,
+      message: `Invalid model options: ${problem}`,
+      isRecoverable: false,
+      userMessage: `Ugyldigt modelvalg for ${this.getProviderDisplayName(providerId)}: ${problem}`,
+      recoverySuggestions: [
+        'Vælg en anden model i Indstillinger → Modeller',
+        'Nulstil indstillingerne for provideren'
+      ]
+    });
+  }
+
   /**
    * Create NETWORK error
    * @param {string} providerId
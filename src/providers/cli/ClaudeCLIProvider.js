@@ -6,6 +6,36 @@
 import { BaseCLIProvider } from '../base/BaseCLIProvider.js';
 import { CLIErrorMapper } from '../base/CLIErrorMapper.js';
 
+// Streaming mode prints one JSON event per line ("--output-format stream-json")
+const STREAM_JSON_START = /^\s*\{"type":/;
+
+/**
+ * Parse stream-json output into events (non-JSON lines are skipped)
+ * @param {string} stdout
+ * @returns {Object[]}
+ */
+function parseStreamEvents(stdout) {
+  return stdout.split('\n').flatMap((line) => {
+    try {
+      return line.trim() ? [JSON.parse(line)] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Get the text delta of a partial message event
+ * @param {Object} event
+ * @returns {string | null}
+ */
+function getTextDelta(event) {
+  const delta = event.type === 'stream_event' && event.event?.type === 'content_block_delta'
+    ? event.event.delta
+    : null;
+  return delta?.type === 'text_delta' ? delta.text : null;
+}
+
 /**
  * Claude CLI Provider
  * Extends BaseCLIProvider with Claude-specific command building
@@ -24,13 +54,19 @@ export class ClaudeCLIProvider extends BaseCLIProvider {
   /** @type {import('../base/BaseCLIProvider.js').ProviderCapabilities} */
   get capabilities() {
     return {
-      streaming: false,
+      streaming: true,
       temperature: false,
       maxTokens: false,
-      systemMessages: true
+      systemMessages: true,
+      models: ['sonnet', 'opus', 'haiku'] // Aliases for the latest model of each family
     };
   }
 
+  /** @type {number} Claude models accept 200k tokens */
+  get contextWindow() {
+    return 200000;
+  }
+
   /** @protected */
   get cliCommand() {
     return 'claude';
@@ -45,15 +81,26 @@ export class ClaudeCLIProvider extends BaseCLIProvider {
   buildCommand(request) {
     const args = ['--print'];
 
+    if (request.options?.model) {
+      args.push('--model', request.options.model);
+    }
+
+    // Stream text deltas as JSON events (--verbose is required with stream-json in print mode)
+    if (request.options?.stream) {
+      args.push('--output-format', 'stream-json', '--verbose', '--include-partial-messages');
+    }
+
     // Add system prompt if present in context
     if (request.context.instructions) {
       args.push('--system-prompt', request.context.instructions);
     }
 
     // Build user message from conversation history
-    const userMessage = request.messages
-      .map((m) => `${m.role}: ${m.content}`)
-      .join('\n\n');
+    const conversation = this.formatConversation(request.messages);
+
+    // Reference materials go ahead of the conversation, clearly separated from the document
+    const references = this.formatReferences(request.context.references);
+    const userMessage = references ? `${references}\n\n${conversation}` : conversation;
 
     return {
       args,
@@ -62,21 +109,70 @@ export class ClaudeCLIProvider extends BaseCLIProvider {
     };
   }
 
+  /**
+   * Extract the text delta from a stream-json event
+   * @protected
+   * @param {string} line
+   * @returns {string | null}
+   */
+  parseStreamLine(line) {
+    try {
+      return getTextDelta(JSON.parse(line));
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Normalize Claude CLI output
+   * In streaming mode the answer is the final "result" event (or the streamed deltas if it is missing)
    * @protected
    * @param {string} stdout
    * @param {string} _stderr
    * @returns {string}
    */
   normalizeOutput(stdout, _stderr) {
+    let text = stdout;
+
+    if (STREAM_JSON_START.test(stdout)) {
+      const events = parseStreamEvents(stdout);
+      const result = events.filter((event) => event.type === 'result').pop();
+      text = typeof result?.result === 'string'
+        ? result.result
+        : events.map((event) => getTextDelta(event) || '').join('');
+    }
+
     return (
-      stdout
+      text
         .replace(/\x1b\[[0-9;]*m/g, '') // Remove ANSI codes
         .trim()
     );
   }
 
+  /**
+   * Extract usage from the final stream-json "result" event (tokens incl. prompt cache, and cost)
+   * Plain text output reports no usage
+   * @private
+   * @param {string} stdout
+   * @param {string} _stderr
+   * @returns {import('../base/BaseCLIProvider.js').UsageInfo | undefined}
+   */
+  _extractUsage(stdout, _stderr) {
+    if (!STREAM_JSON_START.test(stdout)) return undefined;
+
+    const result = parseStreamEvents(stdout).filter((event) => event.type === 'result').pop();
+    if (!result?.usage) return undefined;
+
+    const { input_tokens = 0, cache_creation_input_tokens = 0, cache_read_input_tokens = 0, output_tokens = 0 } = result.usage;
+    const inputTokens = input_tokens + cache_creation_input_tokens + cache_read_input_tokens;
+    return {
+      inputTokens,
+      outputTokens: output_tokens,
+      totalTokens: inputTokens + output_tokens,
+      ...(typeof result.total_cost_usd === 'number' ? { costUsd: result.total_cost_usd } : {})
+    };
+  }
+
   /**
    * Parse Claude CLI error
    * @protected
@@ -84,6 +180,14 @@ export class ClaudeCLIProvider extends BaseCLIProvider {
    * @returns {import('../base/ProviderError.js').ProviderError}
    */
   parseError(result) {
+    // In streaming mode API errors are reported in the final "result" event on stdout
+    if (STREAM_JSON_START.test(result.stdout)) {
+      const errorEvent = parseStreamEvents(result.stdout).find((event) => event.type === 'result' && event.is_error);
+      if (errorEvent) {
+        return CLIErrorMapper.map(this.id, { ...result, stderr: `${result.stderr}\n${errorEvent.result || errorEvent.subtype || ''}` });
+      }
+    }
+
     // Use default error mapping with full ProcessResult (preserves cancelled/timedOut flags)
     return CLIErrorMapper.map(this.id, result);
   }
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Configurable CLI Provider
+ * Runs a user-defined CLI described by a JSON definition (~/.contract-reviewer/providers/*.json)
+ */
+
+import { platform } from 'os';
+import { BaseCLIProvider } from '../base/BaseCLIProvider.js';
+import { CLIErrorMapper } from '../base/CLIErrorMapper.js';
+import { ProviderError } from '../base/ProviderError.js';
+
+// Placeholder in the args template replaced by the instructions (systemPrompt: "flag")
+const SYSTEM_PROMPT_PLACEHOLDER = '{{systemPrompt}}';
+
+// Placeholders for the selected model and parameters - an argument whose option
+// is not set is left out, so flags are written as one argument ("--model={{model}}")
+const OPTION_PLACEHOLDERS = {
+  model: '{{model}}',
+  temperature: '{{temperature}}',
+  maxTokens: '{{maxTokens}}'
+};
+
+// Context window when the definition does not set one (conservative)
+const DEFAULT_CONTEXT_WINDOW = 32000;
+
+/**
+ * Quote a value as one shell argument (processes are spawned with shell: true)
+ * @param {string} value
+ * @returns {string}
+ */
+function quoteShellArg(value) {
+  if (platform() === 'win32') {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Configurable CLI Provider
+ * Extends BaseCLIProvider with command building, output cleanup and
+ * error patterns taken from a provider definition
+ */
+export class ConfigurableCLIProvider extends BaseCLIProvider {
+  /**
+   * @param {CustomProviderDefinition} definition - Validated definition (see registry.js)
+   */
+  constructor(definition) {
+    super();
+
+    /** @type {CustomProviderDefinition} */
+    this._definition = definition;
+
+    /** @type {RegExp[]} */
+    this._outputCleanup = (definition.outputCleanup || []).map((pattern) => new RegExp(pattern, 'gm'));
+
+    /** @type {RegExp[]} */
+    this._authErrorPatterns = (definition.authErrorPatterns || []).map((pattern) => new RegExp(pattern, 'i'));
+  }
+
+  /** @type {string} */
+  get id() {
+    return `${this._definition.name}-cli`;
+  }
+
+  /** @type {string} */
+  get displayName() {
+    return this._definition.displayName;
+  }
+
+  /** @type {import('../base/BaseCLIProvider.js').ProviderCapabilities} */
+  get capabilities() {
+    return {
+      streaming: false,
+      temperature: this._hasPlaceholder('temperature'),
+      maxTokens: this._hasPlaceholder('maxTokens'),
+      systemMessages: this._definition.systemPrompt === 'flag',
+      models: this._definition.models || (this._hasPlaceholder('model') ? [] : null)
+    };
+  }
+
+  /** @type {number} */
+  get contextWindow() {
+    return this._definition.contextWindow || DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /** @protected */
+  get cliCommand() {
+    return this._definition.command;
+  }
+
+  /** @protected */
+  get versionFlag() {
+    return this._definition.versionFlag || '--version';
+  }
+
+  /**
+   * Get CLI version number (first x.y.z in the version output)
+   * @returns {Promise<string | null>}
+   */
+  async getVersion() {
+    const version = await super.getVersion();
+    const match = version?.match(/(\d+\.\d+\.\d+)/);
+    return match ? match[1] : version;
+  }
+
+  /**
+   * Build command from the args template
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').LLMRequest} request
+   * @returns {import('../base/BaseCLIProvider.js').CLICommand}
+   */
+  buildCommand(request) {
+    const instructions = request.context.instructions || '';
+    const asFlag = this._definition.systemPrompt === 'flag';
+
+    const args = (this._definition.args || []).flatMap((arg) => {
+      if (arg.includes(SYSTEM_PROMPT_PLACEHOLDER)) {
+        return [quoteShellArg(arg.split(SYSTEM_PROMPT_PLACEHOLDER).join(asFlag ? instructions : ''))];
+      }
+
+      const option = Object.keys(OPTION_PLACEHOLDERS).find((key) => arg.includes(OPTION_PLACEHOLDERS[key]));
+      if (!option) {
+        return [arg];
+      }
+      const value = request.options?.[option];
+      return value === undefined || value === null
+        ? []
+        : [quoteShellArg(arg.split(OPTION_PLACEHOLDERS[option]).join(String(value)))];
+    });
+
+    // Instructions not passed as an argument are prepended to stdin
+    const prompt = [
+      asFlag ? null : instructions,
+      this.formatReferences(request.context.references),
+      this.formatConversation(request.messages)
+    ].filter(Boolean).join('\n\n---\n\n');
+
+    return {
+      args,
+      stdin: prompt,
+      env: this._definition.env || {}
+    };
+  }
+
+  /**
+   * Normalize output: remove ANSI codes and every match of the cleanup patterns
+   * @protected
+   * @param {string} stdout
+   * @param {string} _stderr
+   * @returns {string}
+   */
+  normalizeOutput(stdout, _stderr) {
+    let text = stdout
+      .replace(/\x1b\[[0-9;]*m/g, '') // Remove ANSI codes
+      .replace(/\r/g, ''); // Remove carriage returns
+
+    for (const pattern of this._outputCleanup) {
+      text = text.replace(pattern, '');
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Whether an argument of the args template takes the option
+   * @private
+   * @param {keyof OPTION_PLACEHOLDERS} option
+   * @returns {boolean}
+   */
+  _hasPlaceholder(option) {
+    return (this._definition.args || []).some((arg) => arg.includes(OPTION_PLACEHOLDERS[option]));
+  }
+
+  /**
+   * Parse CLI error - the definition's auth patterns first, then default mapping
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').ProcessResult} result
+   * @returns {import('../base/ProviderError.js').ProviderError}
+   */
+  parseError(result) {
+    const errorText = `${result.stderr}\n${result.stdout}`;
+
+    if (!result.cancelled && !result.timedOut && this._authErrorPatterns.some((pattern) => pattern.test(errorText))) {
+      return new ProviderError({
+        type: 'AUTH',
+        providerId: this.id,
+        message: `${this.displayName} authentication required`,
+        isRecoverable: true,
+        userMessage: `Du skal logge ind på ${this.displayName}`,
+        recoverySuggestions: [
+          this._definition.loginHint || `Log ind med "${this._definition.command}" i din terminal`,
+          'Prøv derefter igen'
+        ],
+        technicalDetails: { exitCode: result.code, stderr: result.stderr }
+      });
+    }
+
+    return CLIErrorMapper.map(this.id, result);
+  }
+}
+
+/**
+ * @typedef {import('../registry.js').CustomProviderDefinition} CustomProviderDefinition
+ */
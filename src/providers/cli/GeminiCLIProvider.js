@@ -21,16 +21,25 @@ export class GeminiCLIProvider extends BaseCLIProvider {
     return 'Gemini (Local CLI)';
   }
 
-  /** @type {import('../base/BaseCLIProvider.js').ProviderCapabilities} */
+  /**
+   * The CLI has no sampling flags - temperature and output length use the model defaults
+   * @type {import('../base/BaseCLIProvider.js').ProviderCapabilities}
+   */
   get capabilities() {
     return {
       streaming: false,
-      temperature: true, // Gemini supports temperature
+      temperature: false,
       maxTokens: false,
-      systemMessages: true
+      systemMessages: true,
+      models: ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite']
     };
   }
 
+  /** @type {number} Gemini 2.x models accept ~1M tokens */
+  get contextWindow() {
+    return 1000000;
+  }
+
   /** @protected */
   get cliCommand() {
     return 'gemini';
@@ -45,11 +54,17 @@ export class GeminiCLIProvider extends BaseCLIProvider {
   buildCommand(request) {
     const args = [];
 
+    if (request.options?.model) {
+      args.push('--model', request.options.model);
+    }
+
     // Gemini CLI doesn't have --system-prompt flag
-    // Prepend instructions to user message instead
-    const systemAndUser = request.context.instructions
-      ? `${request.context.instructions}\n\n---\n\n${request.messages[0].content}`
-      : request.messages[0].content;
+    // Prepend instructions (and reference materials) to user message instead
+    const systemAndUser = [
+      request.context.instructions,
+      this.formatReferences(request.context.references),
+      this.formatConversation(request.messages)
+    ].filter(Boolean).join('\n\n---\n\n');
 
     return {
       args,
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Ollama CLI Provider
+ * Runs a local model through "ollama run" - documents never leave the computer
+ */
+
+import { BaseCLIProvider } from '../base/BaseCLIProvider.js';
+import { CLIErrorMapper } from '../base/CLIErrorMapper.js';
+import { ProviderError } from '../base/ProviderError.js';
+import { listLocalModels } from '../../utils/cli-detector.js';
+
+/** @type {RegExp[]} Model not pulled */
+const MODEL_NOT_FOUND_PATTERNS = [
+  /model\s+["']?[^\s"']+["']?\s+not\s+found/i,
+  /pull\s+model\s+manifest/i
+];
+
+/** @type {RegExp[]} Ollama server not running */
+const SERVER_DOWN_PATTERNS = [
+  /could\s+not\s+connect\s+to\s+(a\s+running\s+)?ollama/i,
+  /is\s+ollama\s+running/i
+];
+
+// Context window when OLLAMA_CONTEXT_LENGTH is not set
+const DEFAULT_CONTEXT_WINDOW = 32768;
+
+/**
+ * Ollama CLI Provider
+ * Extends BaseCLIProvider with Ollama-specific command building and model selection
+ */
+export class OllamaCLIProvider extends BaseCLIProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string | null} [options.model] - Installed model to run (default: first model from "ollama list")
+   */
+  constructor({ model = null } = {}) {
+    super();
+
+    /** @type {string | null} */
+    this._model = model;
+  }
+
+  /** @type {string} */
+  get id() {
+    return 'ollama-cli';
+  }
+
+  /** @type {string} */
+  get displayName() {
+    return 'Ollama (Local Model)';
+  }
+
+  /**
+   * "ollama run" has no sampling flags - temperature and output length
+   * can only be set in the model's Modelfile
+   * @type {import('../base/BaseCLIProvider.js').ProviderCapabilities}
+   */
+  get capabilities() {
+    return {
+      streaming: false,
+      temperature: false,
+      maxTokens: false,
+      systemMessages: false,
+      models: [] // Any installed model ("ollama list")
+    };
+  }
+
+  /**
+   * The server's context length (OLLAMA_CONTEXT_LENGTH) - Ollama silently cuts
+   * longer input, so the server must run with at least this value
+   * @type {number}
+   */
+  get contextWindow() {
+    return Number(process.env.OLLAMA_CONTEXT_LENGTH) || DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /** @type {boolean} */
+  get isLocal() {
+    return true;
+  }
+
+  /** @type {string | null} Model used for the next request */
+  get model() {
+    return this._model;
+  }
+
+  /** @protected */
+  get cliCommand() {
+    return 'ollama';
+  }
+
+  /**
+   * Get CLI version number ("ollama version is 0.3.12" -> "0.3.12")
+   * @returns {Promise<string | null>}
+   */
+  async getVersion() {
+    const version = await super.getVersion();
+    const match = version?.match(/(\d+\.\d+\.\d+)/);
+    return match ? match[1] : version;
+  }
+
+  /**
+   * Pick the first installed model when none was selected
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').LLMRequest} _request
+   * @returns {Promise<void>}
+   */
+  async beforeExecute(_request) {
+    if (this._model) return;
+
+    const [first] = await listLocalModels('ollama');
+    if (!first) {
+      throw new ProviderError({
+        type: 'CONFIG',
+        providerId: this.id,
+        message: 'No local models installed',
+        isRecoverable: true,
+        userMessage: 'Der er ingen lokale modeller installeret',
+        recoverySuggestions: [
+          'Hent en model, fx "ollama pull llama3.1"',
+          'Start Ollama-appen, hvis den ikke kører'
+        ]
+      });
+    }
+    this._model = first.name;
+  }
+
+  /**
+   * Record which model produced the answer
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').LLMResponse} response
+   * @returns {Promise<void>}
+   */
+  async afterExecute(response) {
+    response.providerMeta.model = this._model;
+  }
+
+  /**
+   * Build Ollama CLI command
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').LLMRequest} request
+   * @returns {import('../base/BaseCLIProvider.js').CLICommand}
+   */
+  buildCommand(request) {
+    // No system prompt flag - prepend instructions (and reference materials)
+    const prompt = [
+      request.context.instructions,
+      this.formatReferences(request.context.references),
+      this.formatConversation(request.messages)
+    ].filter(Boolean).join('\n\n---\n\n');
+
+    // --verbose prints token counts and timings to stderr (used for usage accounting)
+    return {
+      args: ['run', this._model, '--verbose'],
+      stdin: prompt
+    };
+  }
+
+  /**
+   * Normalize Ollama CLI output
+   * Reasoning models print a "Thinking..." block before the answer; it is removed
+   * @protected
+   * @param {string} stdout
+   * @param {string} _stderr
+   * @returns {string}
+   */
+  normalizeOutput(stdout, _stderr) {
+    return (
+      stdout
+        .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '') // Remove ANSI codes (incl. cursor control)
+        .replace(/\r/g, '') // Remove carriage returns
+        .replace(/^\s*Thinking\.\.\.\n[\s\S]*?\n\.\.\.done thinking\.\n/, '')
+        .trim()
+    );
+  }
+
+  /**
+   * Extract token counts from the --verbose statistics ("prompt eval count: 26 token(s)")
+   * @private
+   * @param {string} _stdout
+   * @param {string} stderr
+   * @returns {import('../base/BaseCLIProvider.js').UsageInfo | undefined}
+   */
+  _extractUsage(_stdout, stderr) {
+    const count = (pattern) => Number(stderr.match(pattern)?.[1] ?? NaN);
+    const inputTokens = count(/^prompt eval count:\s*(\d+)/m);
+    const outputTokens = count(/^eval count:\s*(\d+)/m);
+    if (Number.isNaN(outputTokens)) return undefined;
+
+    // The prompt count is missing when the whole prompt was cached
+    const input = Number.isNaN(inputTokens) ? 0 : inputTokens;
+    return { inputTokens: input, outputTokens, totalTokens: input + outputTokens, costUsd: 0 };
+  }
+
+  /**
+   * Parse Ollama CLI error
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').ProcessResult} result
+   * @returns {import('../base/ProviderError.js').ProviderError}
+   */
+  parseError(result) {
+    if (!result.cancelled && !result.timedOut) {
+      if (MODEL_NOT_FOUND_PATTERNS.some((pattern) => pattern.test(result.stderr))) {
+        return new ProviderError({
+          type: 'CONFIG',
+          providerId: this.id,
+          message: `Model ${this._model} not found`,
+          isRecoverable: true,
+          userMessage: `Den lokale model "${this._model}" er ikke installeret`,
+          recoverySuggestions: [
+            `Hent modellen med "ollama pull ${this._model}"`,
+            'Eller vælg en anden installeret model'
+          ],
+          technicalDetails: { exitCode: result.code, stderr: result.stderr }
+        });
+      }
+
+      if (SERVER_DOWN_PATTERNS.some((pattern) => pattern.test(result.stderr))) {
+        return new ProviderError({
+          type: 'NETWORK',
+          providerId: this.id,
+          message: 'Ollama server not running',
+          isRecoverable: true,
+          userMessage: 'Ollama kører ikke',
+          recoverySuggestions: [
+            'Start Ollama-appen eller kør "ollama serve" i en terminal',
+            'Prøv derefter igen'
+          ],
+          technicalDetails: { exitCode: result.code, stderr: result.stderr }
+        });
+      }
+    }
+
+    return CLIErrorMapper.map(this.id, result);
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview OpenAI CLI Provider
+ * Implements OpenAI-specific CLI logic for the Codex CLI ("codex exec")
+ */
+
+import { BaseCLIProvider } from '../base/BaseCLIProvider.js';
+import { CLIErrorMapper } from '../base/CLIErrorMapper.js';
+import { ProviderError } from '../base/ProviderError.js';
+
+/** @type {RegExp[]} Billing quota used up (reported with HTTP 429, so checked before rate limits) */
+const QUOTA_PATTERNS = [
+  /insufficient_quota/i,
+  /exceeded\s+your\s+current\s+quota/i
+];
+
+/** @type {RegExp[]} Model not available for the account */
+const MODEL_PATTERNS = [
+  /model_not_found/i,
+  /model\s+.*\s+does\s+not\s+exist/i
+];
+
+// Session transcript markers printed by older Codex versions:
+// "[2025-01-01T12:00:00] codex" starts the answer, "[...] tokens used: 1234" ends it
+const ANSWER_MARKER = /^\[[^\]]+\]\s+codex\s*$/gm;
+const TOKENS_USED_LINE = /\n\[[^\]]+\]\s+tokens used:[\s\S]*$/;
+
+// Token total ("tokens used: 1234" in the transcript, "tokens used\n1,234" on stderr in newer versions)
+const TOKENS_USED = /tokens used:?\s*([\d,.]+)/i;
+
+/**
+ * OpenAI CLI Provider
+ * Extends BaseCLIProvider with Codex-specific command building
+ */
+export class OpenAICLIProvider extends BaseCLIProvider {
+  /** @type {string} */
+  get id() {
+    return 'openai-cli';
+  }
+
+  /** @type {string} */
+  get displayName() {
+    return 'OpenAI (Local CLI)';
+  }
+
+  /** @type {import('../base/BaseCLIProvider.js').ProviderCapabilities} */
+  get capabilities() {
+    return {
+      streaming: false,
+      temperature: false,
+      maxTokens: false,
+      systemMessages: false,
+      models: ['gpt-5-codex', 'gpt-5']
+    };
+  }
+
+  /** @type {number} Conservative: the smallest current OpenAI models accept 128k tokens */
+  get contextWindow() {
+    return 128000;
+  }
+
+  /** @protected */
+  get cliCommand() {
+    return 'codex';
+  }
+
+  /**
+   * Get CLI version number ("codex-cli 0.46.0" -> "0.46.0")
+   * @returns {Promise<string | null>}
+   */
+  async getVersion() {
+    const version = await super.getVersion();
+    const match = version?.match(/(\d+\.\d+\.\d+)/);
+    return match ? match[1] : version;
+  }
+
+  /**
+   * Build Codex CLI command
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').LLMRequest} request
+   * @returns {import('../base/BaseCLIProvider.js').CLICommand}
+   */
+  buildCommand(request) {
+    // Non-interactive run; read-only sandbox since the agent must not touch the user's files
+    const args = ['exec', '--skip-git-repo-check', '--sandbox', 'read-only', '--color', 'never'];
+    if (request.options?.model) {
+      args.push('--model', request.options.model);
+    }
+    // "-" reads the prompt from stdin (documents are too long for an argument)
+    args.push('-');
+
+    // Codex has no system prompt flag - prepend instructions (and reference materials)
+    const prompt = [
+      request.context.instructions,
+      this.formatReferences(request.context.references),
+      this.formatConversation(request.messages)
+    ].filter(Boolean).join('\n\n---\n\n');
+
+    return {
+      args,
+      stdin: prompt
+    };
+  }
+
+  /**
+   * Normalize Codex CLI output
+   * Newer versions print only the final answer on stdout; older versions print
+   * the whole session, so only the text after the last "codex" marker is kept.
+   * @protected
+   * @param {string} stdout
+   * @param {string} _stderr
+   * @returns {string}
+   */
+  normalizeOutput(stdout, _stderr) {
+    const text = stdout
+      .replace(/\x1b\[[0-9;]*m/g, '') // Remove ANSI codes
+      .replace(/\r/g, ''); // Remove carriage returns
+
+    const markers = [...text.matchAll(ANSWER_MARKER)];
+    if (markers.length === 0) {
+      return text.trim();
+    }
+
+    const last = markers[markers.length - 1];
+    return text
+      .slice(last.index + last[0].length)
+      .replace(TOKENS_USED_LINE, '')
+      .trim();
+  }
+
+  /**
+   * Extract the token total Codex prints at the end of a run (no input/output split)
+   * @private
+   * @param {string} stdout
+   * @param {string} stderr
+   * @returns {import('../base/BaseCLIProvider.js').UsageInfo | undefined}
+   */
+  _extractUsage(stdout, stderr) {
+    const match = `${stdout}\n${stderr}`.match(TOKENS_USED);
+    const totalTokens = match ? Number(match[1].replace(/[,.]/g, '')) : NaN;
+    return Number.isNaN(totalTokens) ? undefined : { totalTokens };
+  }
+
+  /**
+   * Parse Codex CLI error
+   * The API reports errors with codes like "context_length_exceeded", partly on stdout
+   * @protected
+   * @param {import('../base/BaseCLIProvider.js').ProcessResult} result
+   * @returns {import('../base/ProviderError.js').ProviderError}
+   */
+  parseError(result) {
+    // Only error lines from stdout - the rest may echo the document
+    const stdoutErrors = result.stdout.split('\n').filter((line) => /error/i.test(line));
+    const errorText = [result.stderr, ...stdoutErrors].join('\n');
+
+    if (!result.cancelled && !result.timedOut) {
+      if (QUOTA_PATTERNS.some((pattern) => pattern.test(errorText))) {
+        return new ProviderError({
+          type: 'QUOTA_EXCEEDED',
+          providerId: this.id,
+          message: 'OpenAI quota exceeded',
+          isRecoverable: false,
+          userMessage: 'Din OpenAI kvote er brugt op',
+          recoverySuggestions: [
+            'Tjek forbrug og betaling på https://platform.openai.com/usage',
+            'Prøv med en anden provider (Claude, Gemini)'
+          ],
+          technicalDetails: { exitCode: result.code, stderr: errorText }
+        });
+      }
+
+      if (MODEL_PATTERNS.some((pattern) => pattern.test(errorText))) {
+        return new ProviderError({
+          type: 'CONFIG',
+          providerId: this.id,
+          message: 'OpenAI model not available',
+          isRecoverable: true,
+          userMessage: 'Den valgte OpenAI model er ikke tilgængelig for din konto',
+          recoverySuggestions: [
+            'Vælg en anden model i Indstillinger → Modeller',
+            'Tjek at din konto har adgang til modellen'
+          ],
+          technicalDetails: { exitCode: result.code, stderr: errorText }
+        });
+      }
+    }
+
+    // Error codes use underscores ("rate_limit_exceeded") - match the default patterns on words
+    return CLIErrorMapper.map(this.id, { ...result, stderr: errorText.replace(/_/g, ' ') });
+  }
+}
@@ -1,50 +1,66 @@
 /**
  * @fileoverview Provider factory functions
- * Creates provider instances wrapped for compatibility with analysis-runner
+ * Creates provider instances; callers send LLMRequests (see request.js) and get LLMResponses
  */
 
 import { ClaudeCLIProvider } from './cli/ClaudeCLIProvider.js';
 import { GeminiCLIProvider } from './cli/GeminiCLIProvider.js';
-import { LegacyAdapterBridge } from './LegacyAdapterBridge.js';
+import { OpenAICLIProvider } from './cli/OpenAICLIProvider.js';
+import { OllamaCLIProvider } from './cli/OllamaCLIProvider.js';
+import { createProvider } from './registry.js';
 
 /**
- * Create Claude CLI adapter (compatible with legacy interface)
- * @returns {LegacyAdapterBridge}
+ * Create Claude CLI provider
+ * @returns {ClaudeCLIProvider}
  */
 export function createClaudeProvider() {
-  const provider = new ClaudeCLIProvider();
-  return new LegacyAdapterBridge(provider);
+  return new ClaudeCLIProvider();
 }
 
 /**
- * Create Gemini CLI adapter (compatible with legacy interface)
- * @returns {LegacyAdapterBridge}
+ * Create Gemini CLI provider
+ * @returns {GeminiCLIProvider}
  */
 export function createGeminiProvider() {
-  const provider = new GeminiCLIProvider();
-  return new LegacyAdapterBridge(provider);
+  return new GeminiCLIProvider();
 }
 
 /**
- * Get provider by name
+ * Create OpenAI (Codex) CLI provider
+ * @returns {OpenAICLIProvider}
+ */
+export function createOpenAIProvider() {
+  return new OpenAICLIProvider();
+}
+
+/**
+ * Create Ollama provider for a local model
+ * @param {Object} [options]
+ * @param {string | null} [options.model] - Installed model (default: first installed)
+ * @returns {OllamaCLIProvider}
+ */
+export function createOllamaProvider(options = {}) {
+  return new OllamaCLIProvider(options);
+}
+
+/**
+ * Get provider by name (built-in or user-defined, see registry.js)
  * @param {string} providerName - 'claude', 'gemini', etc.
- * @returns {LegacyAdapterBridge}
+ * @param {import('./registry.js').ProviderModelOptions} [options] - Model and parameters to run with
+ * @returns {import('./base/BaseCLIProvider.js').BaseCLIProvider}
  */
-export function getProvider(providerName) {
-  switch (providerName.toLowerCase()) {
-    case 'claude':
-      return createClaudeProvider();
-    case 'gemini':
-      return createGeminiProvider();
-    default:
-      throw new Error(`Unknown provider: ${providerName}`);
-  }
+export function getProvider(providerName, options = {}) {
+  return createProvider(providerName.toLowerCase(), options);
 }
 
 // Export providers directly for advanced usage
 export { ClaudeCLIProvider } from './cli/ClaudeCLIProvider.js';
 export { GeminiCLIProvider } from './cli/GeminiCLIProvider.js';
+export { OpenAICLIProvider } from './cli/OpenAICLIProvider.js';
+export { OllamaCLIProvider } from './cli/OllamaCLIProvider.js';
+export { ConfigurableCLIProvider } from './cli/ConfigurableCLIProvider.js';
 export { BaseCLIProvider } from './base/BaseCLIProvider.js';
 export { ProviderError, ProviderErrorFactory } from './base/ProviderError.js';
 export { CLIErrorMapper } from './base/CLIErrorMapper.js';
-export { LegacyAdapterBridge } from './LegacyAdapterBridge.js';
+export { buildAnalysisRequest, buildFollowUpRequest, buildRequestOptions, getRequestParameters } from './request.js';
+export { getProviderDefinitions, getProviderNames, getProviderCapabilities, hasProvider, loadCustomProviders } from './registry.js';
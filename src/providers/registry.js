@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Provider registry
+ * Single list of all providers: the built-in CLIs plus user-defined CLIs loaded
+ * from ~/.contract-reviewer/providers/*.json. Detection (cli-detector), validation
+ * and provider creation (analysis-runner, cli-runner) all read from here.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { ClaudeCLIProvider } from './cli/ClaudeCLIProvider.js';
+import { GeminiCLIProvider } from './cli/GeminiCLIProvider.js';
+import { OpenAICLIProvider } from './cli/OpenAICLIProvider.js';
+import { OllamaCLIProvider } from './cli/OllamaCLIProvider.js';
+import { ConfigurableCLIProvider } from './cli/ConfigurableCLIProvider.js';
+import { warn } from '../utils/logger.js';
+
+export const CUSTOM_PROVIDERS_DIR = path.join(homedir(), '.contract-reviewer', 'providers');
+
+// Provider names become ids ("<name>-cli") and settings keys
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Built-in providers
+ * NOTE: Users can manually select their preferred provider via ProviderSelector UI
+ * First available provider is auto-selected on initial load
+ * @type {ProviderDefinition[]}
+ */
+const BUILTIN_PROVIDERS = [
+  {
+    name: 'gemini',
+    displayName: 'Gemini CLI',
+    command: 'gemini',
+    versionFlag: '--version',
+    installUrl: 'https://ai.google.dev/gemini-api/docs/cli',
+    create: () => new GeminiCLIProvider()
+  },
+  {
+    name: 'claude',
+    displayName: 'Claude CLI',
+    command: 'claude',
+    versionFlag: '--version',
+    installUrl: 'https://claude.ai/cli',
+    create: () => new ClaudeCLIProvider()
+  },
+  {
+    name: 'openai',
+    displayName: 'OpenAI Codex CLI',
+    command: 'codex',
+    versionFlag: '--version',
+    installUrl: 'https://github.com/openai/codex',
+    create: () => new OpenAICLIProvider()
+  },
+  {
+    name: 'ollama',
+    displayName: 'Ollama',
+    command: 'ollama',
+    versionFlag: '--version',
+    installUrl: 'https://ollama.com/download',
+    local: true,  // Runs models on this computer (confidential documents)
+    listModelsArgs: 'list',
+    create: ({ model } = {}) => new OllamaCLIProvider({ model })
+  }
+];
+
+/** @type {ProviderDefinition[] | null} Loaded on first use */
+let customProviders = null;
+
+/**
+ * Validate a user-defined provider definition
+ * @param {Object} definition - Parsed JSON
+ * @returns {string | null} Problem description, or null if valid
+ */
+export function validateProviderDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return 'definitionen skal være et JSON-objekt';
+  }
+  if (typeof definition.name !== 'string' || !NAME_PATTERN.test(definition.name)) {
+    return '"name" skal være små bogstaver, tal, "-" eller "_"';
+  }
+  if (typeof definition.command !== 'string' || !definition.command.trim()) {
+    return '"command" er påkrævet';
+  }
+  if (definition.args !== undefined && (!Array.isArray(definition.args) || definition.args.some(arg => typeof arg !== 'string'))) {
+    return '"args" skal være en liste af tekster';
+  }
+  if (definition.systemPrompt !== undefined && !['flag', 'stdin'].includes(definition.systemPrompt)) {
+    return '"systemPrompt" skal være "flag" eller "stdin"';
+  }
+  if (definition.systemPrompt === 'flag' && !(definition.args || []).some(arg => arg.includes('{{systemPrompt}}'))) {
+    return '"systemPrompt": "flag" kræver {{systemPrompt}} i "args"';
+  }
+  if (definition.models !== undefined) {
+    if (!Array.isArray(definition.models) || definition.models.some(model => typeof model !== 'string' || !model.trim())) {
+      return '"models" skal være en liste af modelnavne';
+    }
+    if (!(definition.args || []).some(arg => arg.includes('{{model}}'))) {
+      return '"models" kræver {{model}} i "args"';
+    }
+  }
+  if (definition.contextWindow !== undefined && !(Number.isInteger(definition.contextWindow) && definition.contextWindow > 0)) {
+    return '"contextWindow" skal være et positivt heltal';
+  }
+
+  for (const key of ['outputCleanup', 'authErrorPatterns']) {
+    const patterns = definition[key];
+    if (patterns === undefined) continue;
+    if (!Array.isArray(patterns)) {
+      return `"${key}" skal være en liste af regulære udtryk`;
+    }
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern);
+      } catch {
+        return `ugyldigt regulært udtryk i "${key}": ${pattern}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * (Re)load user-defined providers from a directory of JSON files
+ * Invalid files and names that clash with other providers are skipped with a warning.
+ * @param {string} [directory] - Defaults to ~/.contract-reviewer/providers
+ * @returns {ProviderDefinition[]} Loaded custom providers
+ */
+export function loadCustomProviders(directory = CUSTOM_PROVIDERS_DIR) {
+  const loaded = [];
+
+  if (existsSync(directory)) {
+    const files = readdirSync(directory).filter(file => file.toLowerCase().endsWith('.json')).sort();
+
+    for (const file of files) {
+      let definition;
+      try {
+        definition = JSON.parse(readFileSync(path.join(directory, file), 'utf8'));
+      } catch (err) {
+        warn('Skipping custom provider with invalid JSON', { file, error: err.message });
+        continue;
+      }
+
+      const problem = validateProviderDefinition(definition);
+      if (problem) {
+        warn('Skipping invalid custom provider', { file, problem });
+        continue;
+      }
+
+      const taken = [...BUILTIN_PROVIDERS, ...loaded].some(provider => provider.name === definition.name);
+      if (taken) {
+        warn('Skipping custom provider with duplicate name', { file, name: definition.name });
+        continue;
+      }
+
+      loaded.push({
+        name: definition.name,
+        displayName: definition.displayName || definition.name,
+        command: definition.command,
+        versionFlag: definition.versionFlag || '--version',
+        installUrl: definition.installUrl || null,
+        custom: true,
+        create: () => new ConfigurableCLIProvider({ ...definition, displayName: definition.displayName || definition.name })
+      });
+    }
+  }
+
+  customProviders = loaded;
+  return loaded;
+}
+
+/**
+ * Get all providers: built-in first, then user-defined
+ * @returns {ProviderDefinition[]}
+ */
+export function getProviderDefinitions() {
+  if (customProviders === null) {
+    loadCustomProviders();
+  }
+  return [...BUILTIN_PROVIDERS, ...customProviders];
+}
+
+/**
+ * Get a provider definition by name
+ * @param {string} name - e.g. 'claude' or a custom provider's name
+ * @returns {ProviderDefinition | null}
+ */
+export function getProviderDefinition(name) {
+  return getProviderDefinitions().find(provider => provider.name === name) || null;
+}
+
+/**
+ * Get the names of all registered providers
+ * @returns {string[]}
+ */
+export function getProviderNames() {
+  return getProviderDefinitions().map(provider => provider.name);
+}
+
+/**
+ * Check if a provider is registered
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function hasProvider(name) {
+  return getProviderDefinition(name) !== null;
+}
+
+/**
+ * Create a provider
+ * The model options are passed per request (see buildRequestOptions); a local provider
+ * also uses the model as its default
+ * @param {string} name - Provider name
+ * @param {ProviderModelOptions} [options] - Model and parameters to run with
+ * @returns {import('./base/BaseCLIProvider.js').BaseCLIProvider}
+ * @throws {Error} If the provider is not registered
+ */
+export function createProvider(name, options = {}) {
+  const definition = getProviderDefinition(name);
+  if (!definition) {
+    throw new Error(`Unknown provider: ${name}`);
+  }
+  return definition.create(options);
+}
+
+/**
+ * Get what a provider supports (model selection, sampling parameters, streaming)
+ * @param {string} name - Provider name
+ * @returns {import('./base/BaseCLIProvider.js').ProviderCapabilities | null} Null if the provider is not registered
+ */
+export function getProviderCapabilities(name) {
+  const definition = getProviderDefinition(name);
+  return definition ? definition.create().capabilities : null;
+}
+
+/**
+ * Provider definition type
+ * @typedef {Object} ProviderDefinition
+ * @property {string} name - Provider name used in settings and IPC ('claude', 'intern-llm')
+ * @property {string} displayName - Name shown in the UI
+ * @property {string} command - CLI command
+ * @property {string} versionFlag - Flag that prints the version
+ * @property {string | null} installUrl - Where to get the CLI
+ * @property {boolean} [local] - Runs models on this computer
+ * @property {string} [listModelsArgs] - Arguments that list installed models (local providers)
+ * @property {boolean} [custom] - Loaded from a user definition file
+ * @property {function(Object): import('./base/BaseCLIProvider.js').BaseCLIProvider} create - Creates a provider instance
+ */
+
+/**
+ * Model and parameters for a provider (settings.providerModels[name])
+ * @typedef {Object} ProviderModelOptions
+ * @property {string | null} [model] - One of capabilities.models (null = the CLI's default model)
+ * @property {number | null} [temperature] - Only if capabilities.temperature
+ * @property {number | null} [maxTokens] - Only if capabilities.maxTokens
+ */
+
+/**
+ * User-defined provider file (~/.contract-reviewer/providers/<name>.json)
+ * @typedef {Object} CustomProviderDefinition
+ * @property {string} name - Unique name (lowercase letters, digits, "-", "_")
+ * @property {string} [displayName] - Name shown in the UI (default: name)
+ * @property {string} command - CLI command
+ * @property {string[]} [args] - Argument template; "{{systemPrompt}}" is replaced by the instructions, and
+ *   "{{model}}", "{{temperature}}" and "{{maxTokens}}" by the selected options (arguments without a value are left out)
+ * @property {string[]} [models] - Models that can be selected for {{model}} (default: any model name)
+ * @property {'flag' | 'stdin'} [systemPrompt] - Pass instructions in args ("flag") or prepend them to stdin (default)
+ * @property {string} [versionFlag] - Flag that prints the version (default: --version)
+ * @property {number} [contextWindow] - Context window in tokens (default: 32000)
+ * @property {string[]} [outputCleanup] - Regular expressions removed from the output (multiline)
+ * @property {string[]} [authErrorPatterns] - Regular expressions that identify login errors (case-insensitive)
+ * @property {string} [loginHint] - Shown when an auth error occurs, e.g. 'Kør "intern-llm login"'
+ * @property {Object<string, string>} [env] - Extra environment variables
+ * @property {string} [installUrl] - Where to get the CLI
+ */
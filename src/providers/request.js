@@ -0,0 +1,90 @@
+/**
+ * @fileoverview LLMRequest construction
+ * The services (analysis-runner, chunked analysis, findings repair, cli-runner) send the
+ * same kind of request: one document to analyze under a set of instructions, with
+ * reference materials and the model options of the selected provider.
+ * Follow-up questions on an analysis continue that request as a conversation.
+ */
+
+// Options a user can set per provider (see settings.providerModels)
+const MODEL_OPTION_KEYS = ['model', 'temperature', 'maxTokens'];
+
+/**
+ * Build the request for analyzing a document
+ * @param {Object} params
+ * @param {string} params.document - Document text (or chunk, or text to repair)
+ * @param {string} params.instructions - Prompt text
+ * @param {import('./base/BaseCLIProvider.js').ReferenceContext[]} [params.references] - Reference materials
+ * @param {Object.<string, string>} [params.metadata] - Logged with the request (e.g. documentPath, promptPath)
+ * @param {import('./base/BaseCLIProvider.js').ProviderOptions} [params.options] - Model and parameters
+ * @returns {import('./base/BaseCLIProvider.js').LLMRequest}
+ */
+export function buildAnalysisRequest({ document, instructions, references = [], metadata = {}, options = {} }) {
+  return {
+    messages: [
+      {
+        role: 'user',
+        content: `Please analyze the following document:\n\n${document}`
+      }
+    ],
+    context: {
+      instructions,
+      references,
+      metadata
+    },
+    options
+  };
+}
+
+/**
+ * Build the request for a follow-up question on a completed analysis
+ * The document and the analysis are the first exchange of the conversation, so the
+ * question is answered with the same context the analysis had; earlier questions follow
+ * @param {Object} params
+ * @param {string} params.document - Document text the analysis ran on
+ * @param {string} params.instructions - Prompt text
+ * @param {string} params.analysis - The analysis (markdown)
+ * @param {Array<{question: string, answer: string}>} [params.thread] - Earlier questions and answers
+ * @param {string} params.question - The new question
+ * @param {Object.<string, string>} [params.metadata] - Logged with the request
+ * @param {import('./base/BaseCLIProvider.js').ProviderOptions} [params.options] - Model and parameters
+ * @returns {import('./base/BaseCLIProvider.js').LLMRequest}
+ */
+export function buildFollowUpRequest({ document, instructions, analysis, thread = [], question, metadata = {}, options = {} }) {
+  const request = buildAnalysisRequest({ document, instructions, metadata, options });
+  request.messages.push(
+    { role: 'assistant', content: analysis },
+    ...thread.flatMap(entry => [
+      { role: 'user', content: entry.question },
+      { role: 'assistant', content: entry.answer }
+    ]),
+    { role: 'user', content: question }
+  );
+  return request;
+}
+
+/**
+ * Request options from a provider's model settings
+ * Unset options are left out (the CLI's defaults apply)
+ * @param {import('./registry.js').ProviderModelOptions} [modelOptions]
+ * @returns {import('./base/BaseCLIProvider.js').ProviderOptions}
+ */
+export function buildRequestOptions(modelOptions = {}) {
+  return Object.fromEntries(
+    MODEL_OPTION_KEYS
+      .filter(key => modelOptions[key] !== undefined && modelOptions[key] !== null && modelOptions[key] !== '')
+      .map(key => [key, modelOptions[key]])
+  );
+}
+
+/**
+ * Sampling parameters a request ran with (for report metadata)
+ * @param {import('./base/BaseCLIProvider.js').ProviderOptions} options
+ * @returns {{temperature?: number, maxTokens?: number} | undefined} Undefined if none were set
+ */
+export function getRequestParameters({ temperature, maxTokens } = {}) {
+  const parameters = Object.fromEntries(
+    Object.entries({ temperature, maxTokens }).filter(([, value]) => value !== undefined)
+  );
+  return Object.keys(parameters).length > 0 ? parameters : undefined;
+}
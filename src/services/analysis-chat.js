@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Follow-up questions on a completed analysis
+ * A question is answered by the provider that produced the analysis, with the document,
+ * the prompt and the analysis as the start of the conversation (see buildFollowUpRequest),
+ * followed by the earlier questions. A document too long for the provider's context window (analyzed
+ * in chunks) is narrowed to the clauses the question cites. The thread is stored in the analysis
+ * record and can be added to the reports as an appendix.
+ */
+
+import path from 'path';
+import { getProvider } from '../providers/index.js';
+import { buildFollowUpRequest } from '../providers/request.js';
+import { getDocumentTokenBudget } from './chunked-analysis.js';
+import { findClauseReferences, renderAnchoredDocument } from '../utils/document-model.js';
+import { loadPrompt } from '../utils/prompt-loader.js';
+import { loadPromptVersion } from '../utils/prompt-history.js';
+import { combineInstructions, loadProviderInstructions } from '../utils/provider-config-loader.js';
+import { generateReport } from '../utils/report-generator.js';
+import { ANALYSES_DIR, loadAnalysisRecord, saveAnalysisRecord } from '../utils/analysis-store.js';
+import { computeCost, recordUsage } from '../utils/usage-ledger.js';
+import { loadSettings } from '../utils/settings-manager.js';
+import { info, warn, ErrorFactory } from '../utils/logger.js';
+
+// A question is shorter than an analysis, but the whole document is sent again
+const DEFAULT_TIMEOUT_MS = 180000;
+
+// Added to the prompt: answer the question instead of repeating the analysis
+const FOLLOW_UP_INSTRUCTIONS = 'Analysen ovenfor er færdig. Brugeren stiller nu opfølgende spørgsmål til dokumentet og analysen. ' +
+  'Svar kort og præcist på dansk på det seneste spørgsmål, henvis til klausuler i formatet "§ 12.3", ' +
+  'og gentag ikke analysen. Medtag ingen JSON-blok med fund.';
+
+// In front of the cited clauses when the whole document does not fit the provider's context window
+const CITED_CLAUSES_NOTE = 'Dokumentet er for langt til at blive sendt i sin helhed. Kun de klausuler, spørgsmålet henviser til, er medtaget.';
+
+/**
+ * Questions and answers asked on an analysis so far
+ * @param {string} analysisId
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to ~/.contract-reviewer/analyses
+ * @returns {import('../utils/analysis-store.js').FollowUp[]}
+ * @throws {import('../utils/logger.js').EnhancedError} If the analysis is not stored
+ */
+export function getFollowUps(analysisId, { dir = ANALYSES_DIR } = {}) {
+  return requireRecord(analysisId, dir).followUps || [];
+}
+
+/**
+ * Ask a follow-up question on a completed analysis
+ * The answer is appended to the thread in the analysis record and its usage to the usage ledger.
+ * @param {string} analysisId
+ * @param {string} question - E.g. "Hvad betyder § 14 for opsigelse efter 3 år?"
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - CLI timeout in ms (default: 180000)
+ * @param {AbortSignal} [options.signal] - Aborting stops the CLI
+ * @param {string} [options.dir] - Defaults to ~/.contract-reviewer/analyses
+ * @returns {Promise<import('../utils/analysis-store.js').FollowUp>}
+ * @throws {import('../utils/logger.js').EnhancedError} If the question is empty, the analysis is not
+ *   stored, the document is too long for the provider and the question cites no clause, the provider
+ *   fails (with the provider's error type) or the question is cancelled
+ */
+export async function askFollowUp(analysisId, question, { timeout = DEFAULT_TIMEOUT_MS, signal, dir = ANALYSES_DIR } = {}) {
+  if (typeof question !== 'string' || !question.trim()) {
+    throw ErrorFactory.generic('Skriv et spørgsmål', ['Spørgsmålet må ikke være tomt']);
+  }
+
+  const record = requireRecord(analysisId, dir);
+  const followUps = record.followUps || [];
+  const provider = getProvider(record.provider, record.options);
+  const customInstructions = await readProviderInstructions(record);
+
+  const instructions = combineInstructions(`${readInstructions(record)}\n\n${FOLLOW_UP_INSTRUCTIONS}`, customInstructions);
+  const analysis = formatAnalyses(record.analyses);
+  const conversation = [analysis, ...followUps.flatMap(entry => [entry.question, entry.answer]), question.trim()].join('\n\n');
+
+  const request = buildFollowUpRequest({
+    document: selectDocument(record, provider, `${instructions}\n\n${conversation}`, question),
+    instructions,
+    analysis,
+    thread: followUps,
+    question: question.trim(),
+    metadata: { analysisId, documentPath: record.documentPath },
+    options: record.options
+  });
+
+  info('Asking follow-up question', { analysisId, provider: record.provider, followUp: followUps.length + 1 });
+
+  let response;
+  try {
+    response = await provider.send(request, { timeout, signal });
+  } catch (err) {
+    if (err.name !== 'ProviderError') throw err;
+    throw err.type === 'CANCELLED' ? ErrorFactory.cancelled() : ErrorFactory.providerError(err);
+  }
+
+  const usage = response.usage
+    ? { ...response.usage, costUsd: computeCost(response.usage, loadSettings().usagePrices?.[record.provider]) }
+    : null;
+  const followUp = {
+    question: question.trim(),
+    answer: response.message.content,
+    date: new Date().toISOString(),
+    provider: record.provider,
+    model: response.providerMeta?.model || null,
+    usage
+  };
+
+  if (!saveAnalysisRecord({ ...record, followUps: [...followUps, followUp] }, dir)) {
+    warn('Follow-up answer could not be stored', { analysisId });
+  }
+  if (usage) {
+    recordUsage([{
+      analysisId,
+      date: followUp.date,
+      clientName: record.clientName || '',
+      documentName: path.basename(record.documentPath),
+      promptName: 'follow-up',
+      provider: record.provider,
+      model: followUp.model,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      costUsd: usage.costUsd,
+      estimated: Boolean(usage.estimated)
+    }]);
+  }
+
+  return followUp;
+}
+
+/**
+ * Regenerate the analysis' reports with the questions and answers as an appendix
+ * The reports are overwritten in place (the findings JSON is left as it is).
+ * @param {string} analysisId
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to ~/.contract-reviewer/analyses
+ * @returns {Promise<Array<{format: string, path: string}>>} The updated reports
+ * @throws {import('../utils/logger.js').EnhancedError} If there are no questions or no report could be written
+ */
+export async function appendFollowUpsToReport(analysisId, { dir = ANALYSES_DIR } = {}) {
+  const record = requireRecord(analysisId, dir);
+  const followUps = record.followUps || [];
+  if (followUps.length === 0) {
+    throw ErrorFactory.generic('Der er ingen opfølgende spørgsmål at tilføje', ['Stil et spørgsmål først']);
+  }
+
+  const updated = [];
+  for (const file of record.report.files.filter(report => report.format !== 'json')) {
+    try {
+      await generateReport({ ...record.report.config, format: file.format, outputPath: file.path, followUps });
+      updated.push(file);
+    } catch (err) {
+      warn(`Failed to add follow-up questions to ${file.format} report`, { error: err.message });
+    }
+  }
+
+  if (updated.length === 0) {
+    throw ErrorFactory.generic(
+      'Rapporten kunne ikke opdateres',
+      ['Luk rapporten, hvis den er åben i et andet program', 'Tjek log filen for fejl']
+    );
+  }
+
+  info('Follow-up questions added to report', { analysisId, followUps: followUps.length, reports: updated.length });
+  return updated;
+}
+
+/**
+ * @private
+ */
+function requireRecord(analysisId, dir) {
+  const record = loadAnalysisRecord(analysisId, dir);
+  if (!record) {
+    throw ErrorFactory.analysisNotFound(analysisId);
+  }
+  return record;
+}
+
+/**
+ * The document text sent with a question: the whole document when it fits the provider's context window
+ * next to the prompt and the conversation, otherwise only the clauses the question cites (documents that
+ * were analyzed in chunks)
+ * @private
+ */
+function selectDocument(record, provider, conversation, question) {
+  const budget = getDocumentTokenBudget(provider, conversation);
+  if (provider.estimateTokens(record.documentContent) <= budget) {
+    return record.documentContent;
+  }
+
+  const cited = findClauseReferences(question, record.report?.config?.clauseIndex || []);
+  const document = cited.length > 0 ? `${CITED_CLAUSES_NOTE}\n\n${renderAnchoredDocument({ sections: cited })}` : null;
+  if (!document || provider.estimateTokens(document) > budget) {
+    throw ErrorFactory.followUpTooLong(record.provider, cited.length > 0);
+  }
+
+  info('Document too long for follow-up question, sending cited clauses only', {
+    analysisId: record.analysisId,
+    clauses: cited.map(section => section.label)
+  });
+  return document;
+}
+
+/**
+ * Prompts the analysis ran with: the exact version from the prompt history, or (for analyses
+ * from before the history) the current prompt rendered with its variables. A prompt removed since is left out.
+ * @private
+ */
+function readInstructions({ promptNames, clientName, promptVariables, promptVersions = [] }) {
+  const variables = { clientName, ...promptVariables };
+  return promptNames
+    .map(name => {
+      const used = promptVersions.find(version => version.promptName === name);
+      const stored = used && loadPromptVersion(used.hash);
+      return stored ? { success: true, content: stored.content } : loadPrompt(name, { variables });
+    })
+    .filter(prompt => prompt.success)
+    .map(prompt => prompt.content)
+    .join('\n\n---\n\n');
+}
+
+/**
+ * The provider instructions the analysis ran with (from the prompt history), or the current ones for
+ * analyses from before they were recorded
+ * @private
+ */
+async function readProviderInstructions({ provider, instructionVersions }) {
+  const used = instructionVersions?.find(version => version.provider === provider);
+  if (used) {
+    return used.hash ? loadPromptVersion(used.hash)?.content ?? null : null;
+  }
+  return loadSettings().useProviderInstructions !== false ? loadProviderInstructions(provider) : null;
+}
+
+/**
+ * The analysis as the provider's first answer (one section per prompt or provider if there were several)
+ * @private
+ */
+function formatAnalyses(analyses) {
+  if (analyses.length === 1) {
+    return analyses[0].output;
+  }
+  return analyses
+    .map(analysis => `# ${analysis.promptName} (${analysis.provider})\n\n${analysis.output}`)
+    .join('\n\n---\n\n');
+}
@@ -0,0 +1,239 @@
+import { existsSync, readdirSync, statSync } from 'fs';
+import path from 'path';
+import { SUPPORTED_EXTENSIONS } from '../utils/document-extractor.js';
+import { info, ErrorFactory } from '../utils/logger.js';
+
+/**
+ * Analysis Queue
+ * Runs many document analyses (e.g. a whole folder when onboarding a new chain)
+ * in the main process. Jobs run in order, with a configurable number of
+ * parallel jobs per provider, and report progress per job.
+ */
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Queue of analysis jobs
+ */
+export class AnalysisQueue {
+  /**
+   * @param {Object} options
+   * @param {function(Object, function): Promise<Object>} options.runAnalysis - Runs one analysis (analysis-runner)
+   * @param {function(string): boolean} options.cancelAnalysis - Cancels an analysis by id
+   * @param {function(string): number} [options.getConcurrency] - Max parallel jobs for a provider (default: 1 = sequential)
+   * @param {function(QueueJob[]): void} [options.onUpdate] - Called with all jobs whenever a job changes
+   */
+  constructor({ runAnalysis, cancelAnalysis, getConcurrency = () => 1, onUpdate = () => {} }) {
+    this._runAnalysis = runAnalysis;
+    this._cancelAnalysis = cancelAnalysis;
+    this._getConcurrency = getConcurrency;
+    this._onUpdate = onUpdate;
+    this._jobs = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Add documents to the queue
+   * @param {string[]} documentPaths - Documents to analyze
+   * @param {Object} options - Analysis options shared by all jobs (provider, promptName, clientName, ...)
+   * @returns {QueueJob[]} The new jobs
+   */
+  add(documentPaths, options) {
+    const createdAt = new Date().toISOString();
+    const jobs = documentPaths.map(documentPath => ({
+      id: `job-${Date.now()}-${this._nextId++}`,
+      documentPath,
+      documentName: path.basename(documentPath),
+      provider: options.provider,
+      promptName: options.promptName,
+      options: { ...options, documentPath },
+      status: 'queued',
+      progress: 0,
+      message: '',
+      result: null,
+      error: null,
+      createdAt,
+      startedAt: null,
+      finishedAt: null
+    }));
+
+    this._jobs.push(...jobs);
+    info('Documents added to analysis queue', { count: jobs.length, provider: options.provider });
+
+    this._schedule();
+    this._emit();
+    return jobs.map(job => this._snapshot(job));
+  }
+
+  /**
+   * Cancel a job (queued jobs are skipped, running jobs are stopped)
+   * @param {string} jobId - Job id
+   * @returns {boolean} Whether the job was cancelled
+   */
+  cancel(jobId) {
+    const job = this._jobs.find(candidate => candidate.id === jobId);
+    if (!job) return false;
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      this._emit();
+      return true;
+    }
+
+    // The job is marked cancelled when its analysis returns
+    if (job.status === 'running') {
+      return this._cancelAnalysis(job.id);
+    }
+
+    return false;
+  }
+
+  /**
+   * Cancel all queued and running jobs
+   * @returns {boolean} Whether any job was cancelled
+   */
+  cancelAll() {
+    return this._jobs
+      .filter(job => !FINISHED_STATUSES.includes(job.status))
+      .map(job => this.cancel(job.id))
+      .some(Boolean);
+  }
+
+  /**
+   * Remove completed, failed and cancelled jobs
+   */
+  clearFinished() {
+    this._jobs = this._jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+    this._emit();
+  }
+
+  /**
+   * Get all jobs in queue order
+   * @returns {QueueJob[]}
+   */
+  getJobs() {
+    return this._jobs.map(job => this._snapshot(job));
+  }
+
+  /**
+   * Start queued jobs while their provider has free slots
+   * @private
+   */
+  _schedule() {
+    const running = {};
+    this._jobs
+      .filter(job => job.status === 'running')
+      .forEach(job => {
+        running[job.provider] = (running[job.provider] || 0) + 1;
+      });
+
+    this._jobs
+      .filter(job => job.status === 'queued')
+      .forEach(job => {
+        const limit = Math.max(1, Number(this._getConcurrency(job.provider)) || 1);
+        if ((running[job.provider] || 0) >= limit) return;
+
+        running[job.provider] = (running[job.provider] || 0) + 1;
+        this._start(job);
+      });
+  }
+
+  /**
+   * Run one job and schedule the next when it finishes
+   * @private
+   */
+  async _start(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.message = 'Starting analysis';
+
+    let result;
+    try {
+      result = await this._runAnalysis({ ...job.options, analysisId: job.id }, (progress) => {
+        job.progress = progress.percent;
+        job.message = progress.message;
+        this._emit();
+      });
+    } catch (err) {
+      result = { success: false, error: err.message };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    if (result.success) {
+      job.status = 'completed';
+      job.progress = 100;
+      job.result = {
+        reportPaths: Object.fromEntries((result.reports || []).map(report => [report.format, report.path])),
+        outputPath: result.metadata?.outputPath || '',
+        riskScore: result.riskScore || null
+      };
+    } else if (result.errorCode === 'ANALYSIS_CANCELLED') {
+      job.status = 'cancelled';
+    } else {
+      job.status = 'failed';
+      job.error = result.userMessage || result.error || 'Analysen fejlede';
+    }
+
+    info('Queue job finished', { jobId: job.id, status: job.status, document: job.documentName });
+
+    this._schedule();
+    this._emit();
+  }
+
+  /**
+   * Notify listener with the current jobs
+   * @private
+   */
+  _emit() {
+    this._onUpdate(this.getJobs());
+  }
+
+  /**
+   * Public view of a job (without the analysis options)
+   * @private
+   */
+  _snapshot(job) {
+    const { options: _options, ...snapshot } = job;
+    return { ...snapshot, result: job.result ? { ...job.result } : null };
+  }
+}
+
+/**
+ * List the documents in a folder that can be analyzed (not recursive)
+ * @param {string} folderPath - Folder to scan
+ * @returns {string[]} Absolute document paths in name order
+ */
+export function listFolderDocuments(folderPath) {
+  if (!folderPath || !existsSync(folderPath) || !statSync(folderPath).isDirectory()) {
+    throw ErrorFactory.generic(
+      `Mappen findes ikke: ${folderPath}`,
+      ['Vælg en eksisterende mappe med dokumenter']
+    );
+  }
+
+  return readdirSync(folderPath)
+    .filter(name => !name.startsWith('.'))
+    .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).substring(1).toLowerCase()))
+    .map(name => path.join(folderPath, name))
+    .filter(filePath => statSync(filePath).isFile())
+    .sort((a, b) => a.localeCompare(b, 'da'));
+}
+
+/**
+ * Queue job type definition
+ * @typedef {Object} QueueJob
+ * @property {string} id - Job id (also the analysis id)
+ * @property {string} documentPath - Document being analyzed
+ * @property {string} documentName - File name of the document
+ * @property {string} provider - CLI provider
+ * @property {string} promptName - Prompt used
+ * @property {'queued'|'running'|'completed'|'failed'|'cancelled'} status - Job status
+ * @property {number} progress - Progress 0-100
+ * @property {string} message - Current progress message
+ * @property {{reportPaths: Object<string, string>, outputPath: string, riskScore: Object|null}|null} result - Result when completed
+ * @property {string|null} error - User-facing error when failed
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} startedAt - ISO timestamp
+ * @property {string|null} finishedAt - ISO timestamp
+ */
@@ -1,8 +1,23 @@
 import path from 'path';
-import { createClaudeProvider, createGeminiProvider } from '../providers/index.js';
-import { getPromptPath, promptExists } from '../utils/prompt-loader.js';
+import { getProvider, getProviderNames, hasProvider } from '../providers/index.js';
+import { buildAnalysisRequest, buildRequestOptions, getRequestParameters } from '../providers/request.js';
+import { loadPrompt, promptExists } from '../utils/prompt-loader.js';
 import { generateReport } from '../utils/report-generator.js';
 import { generateOutputPath } from '../utils/output-manager.js';
+import { extractDocumentText } from '../utils/document-extractor.js';
+import { buildDocumentModel, renderAnchoredDocument } from '../utils/document-model.js';
+import { diffDocuments, renderChangeSet } from '../utils/clause-diff.js';
+import { loadReferenceMaterials } from '../utils/reference-loader.js';
+import { FINDINGS_INSTRUCTIONS_NAME, getFindingsInstructions } from '../utils/findings.js';
+import { computeRiskScore } from '../utils/risk-score.js';
+import { buildConsensus } from '../utils/consensus.js';
+import { addUsage, computeCost, recordUsage } from '../utils/usage-ledger.js';
+import { saveAnalysisRecord } from '../utils/analysis-store.js';
+import { hashPrompt, loadPromptVersion, recordPromptVersion } from '../utils/prompt-history.js';
+import { combineInstructions, getInstructionsName, loadProviderInstructions } from '../utils/provider-config-loader.js';
+import { getDocumentTokenBudget, runChunkedAnalysis } from './chunked-analysis.js';
+import { extractFindings } from './findings-extraction.js';
+import { createProviderChain, getCurrentProvider, runWithFallback } from './provider-fallback.js';
 import { loadSettings, updateLastProvider, updateLastPrompt, addRecentClient, getBranding } from '../utils/settings-manager.js';
 import { info, warn, error as logError, ErrorFactory, EnhancedError } from '../utils/logger.js';
 
@@ -10,73 +25,118 @@ import { info, warn, error as logError, ErrorFactory, EnhancedError } from '../u
  * Analysis Runner
  * Orchestrates the complete document analysis workflow:
  * 1. Validate inputs
- * 2. Execute CLI analysis
- * 3. Generate professional reports
- * 4. Update settings and track usage
+ * 2. Extract document text (PDF, DOCX, TXT) and build the clause model
+ *    (plus reference materials, if a reference folder is given)
+ *    In comparison mode the previous version is extracted too and diffed clause by clause
+ * 3. Execute CLI analysis (map-reduce over chunks if the document exceeds the context window)
+ *    and validate the structured findings block (with a repair pass if it is invalid)
+ *    With several prompts, step 3 runs once per prompt on the same extracted document
+ *    In consensus mode the prompt runs on several providers in parallel and their findings are merged
+ * 4. Generate professional reports (plus a JSON file with the findings)
+ *    With several prompts: one report set per prompt plus a combined report with a chapter per prompt
+ *    In consensus mode: one report set per provider plus a consensus report with a chapter per provider
+ * 5. Update settings and record token usage and model cost in the usage ledger
+ * 6. Store the analysis record (follow-up questions are answered from it)
  */
 
-// Cancellation state
-let isCancelled = false;
-let currentAnalysisId = null;
-let currentAdapter = null; // Store current adapter to kill its process
+// Prompt used when two versions are compared
+const COMPARISON_PROMPT = 'contract-comparison';
+
+// Providers that must answer for a consensus review
+const MIN_CONSENSUS_PROVIDERS = 2;
+
+// Share of the context budget reference materials may use
+const REFERENCE_BUDGET_SHARE = 0.4;
+
+// Typical answer length in characters - streamed progress approaches 70% as the answer grows past it
+const EXPECTED_OUTPUT_CHARS = 12000;
+
+// Running analyses by id: { id, cancelled, controller } (aborting the controller kills their CLI processes)
+const activeAnalyses = new Map();
 
 /**
- * Cancel the currently running analysis
+ * Cancel a running analysis
+ * @param {string} [analysisId] - Analysis to cancel (default: every running analysis)
+ * @returns {boolean} Whether anything was cancelled
  */
-export function cancelAnalysis() {
-  if (currentAnalysisId) {
-    info('Analysis cancellation requested', { analysisId: currentAnalysisId });
-    isCancelled = true;
-
-    // Kill the running CLI process
-    if (currentAdapter && typeof currentAdapter.cancel === 'function') {
-      currentAdapter.cancel();
-    }
+export function cancelAnalysis(analysisId) {
+  const runs = analysisId
+    ? [activeAnalyses.get(analysisId)].filter(Boolean)
+    : [...activeAnalyses.values()];
 
-    return true;
-  }
-  return false;
+  runs.forEach(run => {
+    info('Analysis cancellation requested', { analysisId: run.id });
+    run.cancelled = true;
+
+    stopProviders(run);
+  });
+
+  return runs.length > 0;
 }
 
 /**
  * Run complete document analysis
  * @param {Object} options - Analysis options
- * @param {string} options.provider - CLI provider ('claude', 'gemini', 'openai')
- * @param {string} options.documentPath - Path to document to analyze
+ * @param {string} options.provider - CLI provider ('claude', 'gemini', 'openai', 'ollama' or a user-defined provider)
+ * @param {Object<string, import('../providers/registry.js').ProviderModelOptions>} options.providerModels - Model and parameters per provider (default: settings.providerModels)
+ * @param {string|null} options.model - Model for the selected provider (optional; overrides providerModels)
+ * @param {string} options.documentPath - Path to document to analyze (the new version in comparison mode)
+ * @param {string} options.compareWithPath - Path to the previous version (optional; enables comparison mode)
  * @param {string} options.promptName - Name of system prompt to use
+ * @param {string[]} options.promptNames - Several prompts to run in one job (optional; overrides promptName)
  * @param {string} options.clientName - Client name (optional)
+ * @param {Object<string, string>} options.promptVariables - Values for the prompt templates, e.g.
+ *   { perspective: 'franchisor', industry: 'Restauration', jurisdiction: 'Danmark' } (clientName is added)
+ * @param {Object<string, string>} options.promptVersions - Run these prompts with a version from the prompt history
+ *   instead of the current file ({ [promptName]: hash }, e.g. to re-run an analysis with the same prompt)
+ * @param {Object<string, string|null>} options.instructionVersions - Run these providers with their instructions from
+ *   the prompt history instead of provider-configs/ ({ [provider]: hash }, null = without instructions)
+ * @param {string} options.findingsVersion - Append the findings instructions from the prompt history (by hash)
+ *   instead of the current ones (optional; for re-runs)
  * @param {string[]} options.outputFormats - Formats to generate (default: ['pdf'])
- * @param {string} options.referencePath - Path to reference materials (optional)
+ * @param {string|null} options.referencePath - Folder with reference materials (optional;
+ *   defaults to the client's reference folder from settings, null = no references)
  * @param {Object} options.customBranding - Custom branding override (optional)
  * @param {number} options.timeout - CLI timeout in ms (default: 300000)
+ * @param {string} options.analysisId - Id used to cancel this analysis (optional; generated if omitted)
+ * @param {string[]} options.fallbackProviders - Providers to fall over to on recoverable errors, in order
+ *   (optional; default: settings.fallbackProviders)
+ * @param {number} options.retryDelayMs - First backoff delay before retrying a transient error (default: 5000)
+ * @param {string[]|null} options.consensusProviders - Run the prompt on each of these providers in parallel and
+ *   merge their findings into a consensus report (optional; e.g. ['claude', 'gemini'], one prompt only, no fallbacks)
+ * @param {boolean} options.providerInstructions - Put each provider's provider-configs/<provider>-instructions.md
+ *   before the prompt (default: settings.useProviderInstructions)
+ * @param {function({text: string, promptName: string, reset: boolean}): void} options.onStream - Receives the
+ *   answer text as it is generated (optional; streaming providers only, reset = a new answer starts)
  * @returns {Promise<AnalysisResult>} Analysis result with report paths
  */
 export async function runAnalysis(options, progressCallback = null) {
   const startTime = Date.now();
-  const analysisId = `analysis-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const analysisId = options.analysisId || `analysis-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-  // Reset cancellation state for this analysis
-  isCancelled = false;
-  currentAnalysisId = analysisId;
+  // Per-analysis cancellation state (several analyses may run at once)
+  // eslint-disable-next-line no-undef
+  const run = { id: analysisId, cancelled: false, controller: new AbortController() };
+
+  // Providers to try (selected first, then fallbacks) - created once the providers exist
+  // (the first provider's chain in consensus mode)
+  let chain = null;
+  activeAnalyses.set(analysisId, run);
 
   // Helper to check if cancelled
   const checkCancellation = () => {
-    if (isCancelled) {
-      currentAnalysisId = null;
-      const error = new Error('Analysen blev afbrudt');
-      error.errorCode = 'ANALYSIS_CANCELLED';
-      error.code = 'ANALYSIS_CANCELLED';
-      error.userMessage = 'Analysen blev afbrudt';
-      error.recoverySuggestions = ['Analysen blev stoppet af brugeren'];
-      throw error;
+    if (run.cancelled) {
+      throw ErrorFactory.cancelled();
     }
   };
 
-  // Helper to send progress updates
-  const sendProgress = (percent, stage, message) => {
+  // Helper to send progress updates (extra: e.g. { chunk, totalChunks } for chunked analysis)
+  const sendProgress = (percent, stage, message, extra = {}) => {
     checkCancellation(); // Check before sending progress
     if (progressCallback && typeof progressCallback === 'function') {
-      progressCallback({ percent, stage, message });
+      // After a fallback the UI shows which provider is running
+      const fallback = chain?.switches.length > 0 ? { provider: chain.providers[chain.index] } : {};
+      progressCallback({ percent, stage, message, ...fallback, ...extra });
     }
   };
 
@@ -88,11 +148,24 @@ export async function runAnalysis(options, progressCallback = null) {
     const {
       provider = settings.lastProvider || 'claude',
       documentPath,
-      promptName = settings.lastPrompt || 'franchise-contract-review',
+      compareWithPath,
+      promptName = compareWithPath ? COMPARISON_PROMPT : (settings.lastPrompt || 'franchise-contract-review'),
+      promptNames = [promptName],
       clientName,
+      promptVariables: variables = {},
+      promptVersions = {},
+      instructionVersions = {},
+      findingsVersion = null,
       outputFormats = [settings.output?.defaultFormat || 'pdf'],
-      referencePath,
+      referencePath = getClientReferenceFolder(settings, clientName),
       customBranding,
+      providerModels = settings.providerModels || {},
+      model = null,
+      onStream,
+      fallbackProviders = settings.fallbackProviders || [],
+      retryDelayMs = 5000,
+      consensusProviders = null,
+      providerInstructions = settings.useProviderInstructions !== false,
       timeout = 300000  // 5 minutes - Gemini CLI can take 2-3 minutes for analysis
     } = options;
 
@@ -100,8 +173,11 @@ export async function runAnalysis(options, progressCallback = null) {
     info('Starting document analysis', {
       provider,
       documentPath,
-      promptName,
-      clientName: clientName || 'N/A'
+      compareWithPath: compareWithPath || 'N/A',
+      promptNames,
+      consensusProviders: consensusProviders || 'N/A',
+      clientName: clientName || 'N/A',
+      referencePath: referencePath || 'N/A'
     });
 
     // Send initial progress
@@ -110,130 +186,319 @@ export async function runAnalysis(options, progressCallback = null) {
     // Step 1: Validate inputs
     info('Validating inputs');
     sendProgress(5, 0, 'Validating inputs');
-    await validateInputs({ provider, documentPath, promptName });
+    const prompts = [...new Set(promptNames)];
+    await validateInputs({ provider, documentPath, prompts, compareWithPath, consensusProviders });
 
-    // Step 2: Get prompt path
-    const promptPath = getPromptPath(promptName);
-    if (!promptExists(promptName)) {
-      throw ErrorFactory.generic(
-        `Prompt '${promptName}' findes ikke`,
-        ['Tjek at prompt navnet er korrekt', 'Se tilgængelige prompts i prompts/ mappen']
-      );
+    // Step 2: Load every prompt (system prompt rendered with the variables, and frontmatter metadata)
+    const promptVariables = { clientName: clientName || '', ...variables };
+    const loadedPrompts = prompts.map(name => {
+      if (promptVersions[name]) {
+        return loadStoredPrompt(name, promptVersions[name]);
+      }
+      if (!promptExists(name)) {
+        throw ErrorFactory.generic(
+          `Prompt '${name}' findes ikke`,
+          ['Tjek at prompt navnet er korrekt', 'Se tilgængelige prompts i prompts/ mappen']
+        );
+      }
+      const loadResult = loadPrompt(name, { variables: promptVariables });
+      if (!loadResult.success) {
+        throw ErrorFactory.generic(
+          `Prompt '${name}' kunne ikke indlæses`,
+          [loadResult.error, 'Tjek prompt filens frontmatter']
+        );
+      }
+      return loadResult;
+    });
+
+    // Step 3: Extract document text (same plain text for every provider)
+    info('Extracting document text', { documentPath });
+    sendProgress(10, 0, 'Extracting document text');
+    const document = await extractDocumentText(documentPath);
+    const documentModel = buildDocumentModel(document);
+    info('Document text extracted', {
+      format: document.format,
+      pageCount: document.pageCount,
+      textLength: document.text.length,
+      clauseCount: documentModel.sections.filter(section => section.number).length
+    });
+
+    // Comparison mode: diff the previous version against the new one
+    let comparison = null;
+    if (compareWithPath) {
+      info('Extracting previous version for comparison', { compareWithPath });
+      const previousModel = buildDocumentModel(await extractDocumentText(compareWithPath));
+      const diff = diffDocuments(previousModel, documentModel);
+      comparison = {
+        oldFileName: path.basename(compareWithPath),
+        newFileName: path.basename(documentPath),
+        ...diff
+      };
+      info('Clause diff computed', {
+        changes: diff.changes.length,
+        unchanged: diff.unchangedCount
+      });
     }
 
-    // Step 3: Create adapter
-    info('Creating CLI adapter', { provider });
-    console.log('[DEBUG] Creating adapter for provider:', provider);
+    // Step 4: Create providers (one per provider in consensus mode)
+    const providers = consensusProviders ? [...new Set(consensusProviders)] : [provider];
+    info('Creating providers', { providers });
     sendProgress(15, 0, 'Preparing CLI');
-    const adapter = getAdapter(provider);
-    currentAdapter = adapter; // Store for cancellation
-    console.log('[DEBUG] Adapter created:', adapter.providerName);
-
-    // Check if CLI is available
-    console.log('[DEBUG] Checking if CLI is available...');
-    const isAvailable = await adapter.isAvailable();
-    console.log('[DEBUG] CLI available:', isAvailable);
-    if (!isAvailable) {
-      throw ErrorFactory.cliNotFound(provider);
+    // Each provider runs with its own model and parameters (a fallback provider too)
+    const getModelOptions = (name) => ({
+      ...providerModels[name],
+      ...(name === provider && model ? { model } : {})
+    });
+    const instances = new Map(providers.map(name => [name, createAnalysisProvider(name, getModelOptions(name))]));
+    const primaryProvider = instances.get(providers[0]);
+    const createProvider = (name) => instances.get(name) || createAnalysisProvider(name, getModelOptions(name));
+
+    // Availability is checked per provider in the chain (a missing CLI falls over like other recoverable errors)
+    // In consensus mode each provider runs alone - falling over to another provider would defeat the comparison
+    // A local (confidential) review never falls over to a cloud provider - it fails instead
+    const knownFallbacks = fallbackProviders.filter(name => hasProvider(name));
+    const fallbacks = primaryProvider.isLocal
+      ? knownFallbacks.filter(name => createProvider(name).isLocal)
+      : knownFallbacks;
+    if (fallbacks.length < knownFallbacks.length) {
+      info('Skipping cloud fallback providers for local analysis', { provider, fallbacks });
     }
+    const chains = consensusProviders
+      ? providers.map(name => createProviderChain(name, [], createProvider))
+      : [createProviderChain(provider, fallbacks, createProvider)];
+    chain = chains[0];
 
-    // Step 4: Execute CLI analysis
-    info('Executing CLI analysis');
-    console.log('[DEBUG] Calling adapter.execute() with timeout:', timeout);
-    sendProgress(20, 1, 'Analyzing content');
-
-    // Start simulated progress updates during long CLI execution
-    // Mapped to Stage 1 range: 20-80% (most of the time is here)
-    let currentProgress = 20;
-    const progressInterval = setInterval(() => {
-      // Check cancellation before sending progress (don't throw, just stop)
-      if (isCancelled) {
-        clearInterval(progressInterval);
-        return;
-      }
+    // Request options of every provider a chain may run
+    const optionsByProvider = Object.fromEntries(chains
+      .flatMap(item => item.providers)
+      .map(name => [name, buildRequestOptions(getModelOptions(name))]));
 
-      if (currentProgress < 70) {
-        currentProgress += 2;  // Increment by 2% every 3 seconds
-        try {
-          sendProgress(currentProgress, 1, 'Analyzing content');
-        } catch {
-          // If error during progress (e.g., cancellation), stop interval
-          clearInterval(progressInterval);
-        }
-      }
-    }, 3000);  // Update every 3 seconds
+    // Custom instructions of every provider a chain may run (read now, so an edit applies to the next analysis)
+    const instructionsByProvider = Object.fromEntries(await Promise.all(Object.keys(optionsByProvider)
+      .map(async name => [name, name in instructionVersions
+        ? loadStoredInstructions(name, instructionVersions[name])
+        : providerInstructions ? await loadProviderInstructions(name) : null])));
+    const instructedProviders = Object.keys(instructionsByProvider).filter(name => instructionsByProvider[name]);
+    if (instructedProviders.length > 0) {
+      info('Using provider instructions', { providers: instructedProviders });
+    }
 
-    let cliResult;
-    try {
-      cliResult = await adapter.execute({
-        documentPath,
-        systemPromptPath: promptPath,
-        referencePath,
-        timeout
+    // Step 5: Execute CLI analysis (once per prompt)
+    info('Executing CLI analysis', { timeout });
+
+    // Every prompt also asks for the machine-readable findings block
+    const findingsInstructions = findingsVersion ? loadStoredFindingsInstructions(findingsVersion) : getFindingsInstructions();
+    const systemPrompts = loadedPrompts.map(prompt => `${prompt.content}\n\n${findingsInstructions}`);
+    // In comparison mode the model only sees the changed clauses
+    const documentContent = comparison
+      ? renderChangeSet(comparison, { oldName: comparison.oldFileName, newName: comparison.newFileName })
+      : renderAnchoredDocument(documentModel);
+    // The longest prompt and smallest context window leave the smallest budget; references must fit in every request
+    const contextBudget = Math.min(...systemPrompts.flatMap(systemPrompt =>
+      [...instances].map(([name, instance]) =>
+        getDocumentTokenBudget(instance, combineInstructions(systemPrompt, instructionsByProvider[name])))
+    ));
+
+    // Reference materials are sent with every request and get at most a share of the budget
+    let references = null;
+    if (referencePath) {
+      references = await loadReferenceMaterials(referencePath, {
+        maxTokens: Math.floor(contextBudget * REFERENCE_BUDGET_SHARE),
+        estimate: (text) => primaryProvider.estimateTokens(text)
       });
-      console.log('[DEBUG] adapter.execute() returned. Success:', cliResult.success);
+    }
+    const referenceContext = references ? references.documents : [];
 
-      // Clear interval and jump to 75%
-      clearInterval(progressInterval);
-      sendProgress(75, 1, 'Analysis complete');
-
-      if (!cliResult.success) {
-        // Handle specific error codes
-        if (cliResult.errorCode === 'CANCELLED') {
-          // Throw same error as checkCancellation() for consistent handling
-          const error = new Error('Analysen blev afbrudt');
-          error.errorCode = 'ANALYSIS_CANCELLED';
-          error.code = 'ANALYSIS_CANCELLED';
-          error.userMessage = 'Analysen blev afbrudt';
-          error.recoverySuggestions = ['Analysen blev stoppet af brugeren'];
-          throw error;
-        } else if (cliResult.errorCode === 'AUTH_REQUIRED') {
-          throw ErrorFactory.authRequired(provider);
-        } else if (cliResult.errorCode === 'TIMEOUT') {
-          throw ErrorFactory.timeout(timeout);
-        } else if (cliResult.errorCode === 'FILE_NOT_FOUND') {
-          throw ErrorFactory.fileNotFound(documentPath);
-        }
+    // The prompts share the 20-77% progress range
+    const promptSpan = 57 / prompts.length;
+    const analyses = [];
+    const failedProviders = [];
+    for (const [index, name] of prompts.entries()) {
+      const sendPromptProgress = (percent, stage, message, extra = {}) => sendProgress(
+        Math.round(20 + promptSpan * index + (percent - 20) * promptSpan / 57),
+        stage,
+        message,
+        prompts.length > 1 ? { ...extra, prompt: index + 1, totalPrompts: prompts.length, promptName: name } : extra
+      );
 
-        throw ErrorFactory.generic(
-          cliResult.error || 'CLI analyse fejlede',
-          ['Tjek log filen for flere detaljer', 'Prøv med en anden CLI provider']
-        );
+      info('Running prompt', { promptName: name, prompt: index + 1, totalPrompts: prompts.length });
+      const request = {
+        promptName: name,
+        documentType: loadedPrompts[index].metadata.documentType,
+        systemPrompt: systemPrompts[index],
+        documentContent,
+        documentModel,
+        comparison,
+        references: referenceContext,
+        referenceTokens: references?.totalTokens || 0,
+        metadata: { documentPath, promptPath: loadedPrompts[index].filePath },
+        optionsByProvider,
+        instructionsByProvider,
+        timeout,
+        retryDelayMs,
+        onStream: typeof onStream === 'function'
+          ? (text, reset) => onStream({ text, promptName: name, reset })
+          : null
+      };
+      if (chains.length > 1) {
+        const consensusRun = await analyzeWithConsensus(chains, request, sendPromptProgress, run);
+        analyses.push(...consensusRun.analyses);
+        failedProviders.push(...consensusRun.failed);
+      } else {
+        analyses.push(await analyzeWithPrompt(chain, request, sendPromptProgress, run));
       }
+    }
 
-      info('CLI analysis completed successfully', {
-        executionTime: cliResult.executionTime,
-        outputLength: cliResult.output?.length || 0
+    // Consensus mode: merge the providers' findings
+    const consensus = chains.length > 1
+      ? buildConsensus(analyses.map(analysis => ({ provider: analysis.provider, findings: analysis.findings })), failedProviders)
+      : null;
+    if (consensus) {
+      info('Consensus computed', {
+        agreed: consensus.agreed.length,
+        conflicts: consensus.conflicts.length,
+        single: consensus.single.length,
+        missing: consensus.missing,
+        failed: consensus.failed.map(failure => failure.provider)
       });
-    } catch (err) {
-      clearInterval(progressInterval);
-      throw err;
     }
 
-    // Step 5: Generate reports
+    // Step 6: Generate reports
     info('Generating reports', { formats: outputFormats });
     sendProgress(80, 2, 'Generating reports');
-    const reports = await generateReports({
-      cliResult,
+    const reportOptions = {
       documentPath,
       clientName,
-      promptName,
       outputFormats,
-      customBranding: customBranding || getBranding()
-    });
+      customBranding: customBranding || getBranding(),
+      clauseIndex: documentModel.sections,
+      references,
+      comparison,
+      // Only local if every analysis ran on a local provider (a consensus review may mix them)
+      local: analyses.every(analysis => analysis.local),
+      fallbacks: chain.switches
+    };
+    const consensusRiskScore = consensus ? computeRiskScore(consensus.findings) : null;
+    for (const analysis of analyses) {
+      const { reports: analysisReports, config } = await generateReports({
+        ...reportOptions,
+        local: analysis.local,
+        cliResult: analysis.cliResult,
+        promptName: analysis.promptName,
+        documentType: analysis.documentType,
+        findings: analysis.findings,
+        riskScore: analysis.riskScore,
+        // Several report sets for the same document are written in the same second
+        reportName: analyses.length > 1 ? (consensus ? analysis.provider : analysis.promptName) : null
+      });
+      analysis.reports = analysisReports;
+      analysis.reportConfig = config;
+    }
+    const reportSet = analyses.length > 1
+      ? await generateReports({
+        ...reportOptions,
+        cliResult: analyses[0].cliResult,
+        promptName: analyses[0].promptName,
+        documentType: analyses[0].documentType,
+        chapters: analyses,
+        consensus,
+        findings: consensus?.findings,
+        riskScore: consensusRiskScore,
+        reportName: consensus ? 'konsensus' : 'samlet'
+      })
+      : { reports: analyses[0].reports, config: analyses[0].reportConfig };
+    const { reports } = reportSet;
     sendProgress(95, 2, 'Finalizing');
 
-    // Step 6: Update settings
+    // Step 7: Update settings
     updateLastProvider(provider);
-    updateLastPrompt(promptName);
+    updateLastPrompt(prompts[0]);
     if (clientName) {
       addRecentClient(clientName);
     }
 
+    // Price each analysis' usage with its provider's rates (a cost reported by the CLI wins) and record it
+    const prices = settings.usagePrices || {};
+    analyses.forEach(analysis => {
+      if (analysis.usage) {
+        analysis.usage = { ...analysis.usage, costUsd: computeCost(analysis.usage, prices[analysis.provider]) };
+      }
+    });
+    const usage = addUsage(...analyses.map(analysis => analysis.usage));
+    recordUsage(analyses.filter(analysis => analysis.usage).map(analysis => ({
+      analysisId,
+      date: new Date().toISOString(),
+      clientName: clientName || '',
+      documentName: path.basename(documentPath),
+      promptName: analysis.promptName,
+      provider: analysis.provider,
+      model: analysis.cliResult.model || null,
+      inputTokens: analysis.usage.inputTokens || 0,
+      outputTokens: analysis.usage.outputTokens || 0,
+      totalTokens: analysis.usage.totalTokens || 0,
+      costUsd: analysis.usage.costUsd,
+      estimated: Boolean(analysis.usage.estimated)
+    })));
+
+    // Keep the exact prompts, so the report can be explained and re-run after the prompt files change
+    // (the system prompt sent is the prompt followed by the findings instructions, recorded on their own)
+    recordPromptVersion({
+      promptName: FINDINGS_INSTRUCTIONS_NAME,
+      content: findingsInstructions,
+      metadata: { displayName: 'Instruktioner til strukturerede fund', version: null, documentType: null, source: 'app' }
+    });
+    const usedFindingsVersion = hashPrompt(findingsInstructions);
+    const usedPromptVersions = loadedPrompts.map((prompt, index) => {
+      recordPromptVersion({ promptName: prompts[index], content: prompt.content, metadata: prompt.metadata, variables: promptVariables });
+      return { promptName: prompts[index], version: prompt.metadata.version, hash: hashPrompt(prompt.content) };
+    });
+    // ...and the provider instructions that were put before them (hash null = none)
+    const usedInstructionVersions = [...new Set(analyses.map(analysis => analysis.provider))].map(name => {
+      const content = instructionsByProvider[name];
+      if (!content) {
+        return { provider: name, hash: null };
+      }
+      recordPromptVersion({
+        promptName: getInstructionsName(name),
+        content,
+        metadata: { displayName: `Provider-instruktioner (${name})`, version: null, documentType: null, source: 'provider' }
+      });
+      return { provider: name, hash: hashPrompt(content) };
+    });
+
+    // Keep the analysis for follow-up questions (and for adding them to the report)
+    saveAnalysisRecord({
+      analysisId,
+      date: new Date().toISOString(),
+      documentPath,
+      clientName: clientName || '',
+      provider: analyses[0].provider,
+      options: optionsByProvider[analyses[0].provider],
+      promptNames: prompts,
+      promptVariables,
+      promptVersions: usedPromptVersions,
+      instructionVersions: usedInstructionVersions,
+      findingsVersion: usedFindingsVersion,
+      compareWithPath: compareWithPath || null,
+      referencePath: referencePath || null,
+      consensusProviders,
+      documentContent,
+      analyses: analyses.map(analysis => ({
+        promptName: analysis.promptName,
+        provider: analysis.provider,
+        output: analysis.cliResult.output
+      })),
+      report: { config: reportSet.config, files: reports },
+      followUps: []
+    });
+
     const totalTime = Date.now() - startTime;
     info('Analysis completed successfully', {
       totalTime,
-      reportsGenerated: reports.length
+      promptCount: analyses.length,
+      reportsGenerated: reports.length,
+      totalTokens: usage?.totalTokens ?? 'N/A',
+      costUsd: usage?.costUsd ?? 'N/A'
     });
 
     // Send final progress
@@ -244,18 +509,55 @@ export async function runAnalysis(options, progressCallback = null) {
       ? path.dirname(reports[0].path)
       : '';
 
-    // Return result
+    // Return result (top-level analysis fields are those of the first prompt, or the merged consensus findings)
+    const [primary] = analyses;
     return {
       success: true,
-      cliResult,
+      analysisId,
+      cliResult: primary.cliResult,
+      findings: consensus ? consensus.findings : primary.findings,
+      riskScore: consensus ? consensusRiskScore : primary.riskScore,
       reports,
+      usage,
+      analyses: analyses.map(analysis => ({
+        promptName: analysis.promptName,
+        provider: analysis.provider,
+        usage: analysis.usage,
+        findings: analysis.findings,
+        riskScore: analysis.riskScore,
+        findingsStatus: analysis.findingsStatus,
+        reports: analysis.reports
+      })),
       executionTime: totalTime,
       metadata: {
-        provider,
-        promptName,
+        provider: primary.provider,
+        requestedProvider: provider,
+        fallbacks: chain.switches,
+        consensus: consensus && {
+          providers: consensus.providers,
+          missing: consensus.missing,
+          failed: consensus.failed,
+          agreed: consensus.agreed.length,
+          conflicts: consensus.conflicts.length,
+          single: consensus.single.length
+        },
+        model: primary.cliResult.model,
+        parameters: primary.cliResult.parameters,
+        local: reportOptions.local,
+        promptName: primary.promptName,
+        promptNames: prompts,
+        promptVersions: usedPromptVersions,
+        instructionVersions: usedInstructionVersions,
+        findingsVersion: usedFindingsVersion,
         clientName,
         documentPath,
-        outputPath
+        outputPath,
+        comparedWith: comparison?.oldFileName,
+        changeCount: comparison?.changes.length,
+        findingsStatus: primary.findingsStatus,
+        references: references
+          ? references.documents.map(doc => ({ name: doc.name, truncated: doc.truncated }))
+          : []
       }
     };
 
@@ -272,6 +574,7 @@ export async function runAnalysis(options, progressCallback = null) {
     // Return error result
     return {
       success: false,
+      analysisId,
       error: err.message,
       errorCode: err.errorCode || err.code,  // Preserve error code for cancellation detection
       userMessage: err.getUserMessage ? err.getUserMessage() : err.message,
@@ -280,23 +583,291 @@ export async function runAnalysis(options, progressCallback = null) {
     };
   } finally {
     // Clean up cancellation state
-    currentAnalysisId = null;
-    currentAdapter = null;
-    isCancelled = false;
+    activeAnalyses.delete(analysisId);
+  }
+}
+
+/**
+ * Run one prompt against the extracted document and extract its structured findings
+ * Recoverable provider errors are retried and fall over to the next provider in the chain;
+ * throws on final failure (the ProviderError as an EnhancedError with the provider's error type)
+ * @private
+ */
+async function analyzeWithPrompt(chain, request, sendProgress, run) {
+  const { promptName, documentType, comparison, metadata, timeout } = request;
+  const startTime = Date.now();
+
+  sendProgress(20, 1, 'Analyzing content');
+
+  let response;
+  try {
+    response = await runWithFallback(chain, (provider, name) => executePrompt(provider, {
+      ...request,
+      systemPrompt: combineInstructions(request.systemPrompt, request.instructionsByProvider?.[name]),
+      options: request.optionsByProvider[name]
+    }, sendProgress, run), {
+      retryDelayMs: request.retryDelayMs,
+      isCancelled: () => run.cancelled,
+      signal: run.controller.signal,
+      onRetry: ({ provider, attempt }) => sendProgress(20, 1, `Retrying ${provider} (attempt ${attempt})`),
+      onSwitch: ({ to }) => sendProgress(20, 1, `Switching to ${to}`)
+    });
+  } catch (err) {
+    throw toAnalysisError(err);
+  }
+
+  const { current: provider } = chain;
+  const providerName = getCurrentProvider(chain);
+  const options = request.optionsByProvider[providerName];
+  const chunkCount = response.providerMeta?.chunkCount || 1;
+
+  sendProgress(75, 1, 'Analysis complete');
+  info('CLI analysis completed successfully', {
+    promptName,
+    provider: providerName,
+    executionTime: Date.now() - startTime,
+    outputLength: response.message.content.length,
+    chunkCount
+  });
+
+  // Split off the findings block; reports render the markdown and findings separately
+  // (a repair pass runs on the provider that produced the analysis)
+  const analysis = await extractFindings(provider, response.message.content, {
+    requestOptions: options,
+    metadata,
+    timeout,
+    signal: run.controller.signal,
+    onRepair: () => sendProgress(77, 1, 'Repairing structured findings')
+  });
+  const riskScore = computeRiskScore(analysis.findings);
+  info('Structured findings', {
+    promptName,
+    status: analysis.findingsStatus,
+    findingCount: analysis.findings?.length ?? 0,
+    riskScore: riskScore?.score ?? 'N/A'
+  });
+
+  return {
+    promptName,
+    provider: providerName,
+    local: provider.isLocal,
+    documentType: comparison ? 'comparison' : documentType,
+    // What the reports show about the analysis (output without the findings block)
+    cliResult: {
+      success: true,
+      provider: providerName,
+      output: analysis.markdown,
+      model: response.providerMeta?.model,
+      parameters: getRequestParameters(options),
+      cliVersion: await provider.getVersion(),
+      executionTime: Date.now() - startTime,
+      chunkCount
+    },
+    // The analysis call(s) plus any findings repair
+    usage: addUsage(response.usage, analysis.usage),
+    findings: analysis.findings,
+    findingsStatus: analysis.findingsStatus,
+    riskScore
+  };
+}
+
+/**
+ * Run one prompt on several providers in parallel (consensus mode)
+ * Progress is the average of the providers'; the live output follows the first provider.
+ * A failing provider is left out of the consensus; the review fails if fewer than two providers answer.
+ * @private
+ * @returns {Promise<{analyses: Object[], failed: import('../utils/consensus.js').ConsensusFailure[]}>}
+ */
+async function analyzeWithConsensus(chains, request, sendProgress, run) {
+  const percents = chains.map(() => 20);
+
+  const results = await Promise.allSettled(chains.map((chain, index) => {
+    const [provider] = chain.providers;
+    const sendProviderProgress = (percent, stage, message, extra = {}) => {
+      percents[index] = percent;
+      const average = Math.round(percents.reduce((sum, value) => sum + value, 0) / percents.length);
+      sendProgress(average, stage, `${provider}: ${message}`, extra);
+    };
+
+    return analyzeWithPrompt(chain, { ...request, onStream: index === 0 ? request.onStream : null }, sendProviderProgress, run)
+      .then(analysis => ({ ...analysis, title: `Analyse fra ${provider}` }));
+  }));
+
+  const analyses = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const failures = results
+    .map((result, index) => ({ provider: chains[index].providers[0], error: result.reason }))
+    .filter((_failure, index) => results[index].status === 'rejected');
+  if (failures.length > 0 && (run.cancelled || analyses.length < MIN_CONSENSUS_PROVIDERS)) {
+    throw failures[0].error;
+  }
+
+  failures.forEach(({ provider, error }) => warn('Consensus provider failed, continuing without it', { provider, error: error.message }));
+  return {
+    analyses,
+    failed: failures.map(({ provider, error }) => ({
+      provider,
+      errorCode: error.errorCode || 'UNKNOWN',
+      reason: error.userMessage || error.message
+    }))
+  };
+}
+
+/**
+ * Kill the running CLI processes of an analysis (and keep new ones from starting)
+ * @private
+ */
+function stopProviders(run) {
+  run.controller.abort();
+}
+
+/**
+ * Error thrown for a failed provider call: cancellation as such, other ProviderErrors
+ * with the provider's error type, message and suggestions (other errors as-is)
+ * @private
+ */
+function toAnalysisError(err) {
+  if (err.name !== 'ProviderError') {
+    return err;
+  }
+  return err.type === 'CANCELLED' ? ErrorFactory.cancelled() : ErrorFactory.providerError(err);
+}
+
+/**
+ * Execute one prompt with a provider - in one call, or in chunks if the document
+ * exceeds the provider's context window
+ * @private
+ */
+async function executePrompt(provider, request, sendProgress, run) {
+  const { systemPrompt, documentContent, documentModel, comparison, metadata, options, timeout } = request;
+  const signal = run.controller.signal;
+  const documentTokens = provider.estimateTokens(documentContent);
+  const tokenBudget = getDocumentTokenBudget(provider, systemPrompt) - request.referenceTokens;
+
+  // Map-reduce over clause-aligned chunks (progress reported per chunk)
+  const executeChunked = (maxTokens) => runChunkedAnalysis(provider, {
+    documentModel,
+    maxTokens,
+    systemPrompt,
+    references: request.references,
+    requestOptions: options,
+    metadata,
+    timeout,
+    signal,
+    onProgress: ({ phase, chunk, total }) => {
+      if (phase === 'consolidate') {
+        sendProgress(70, 1, 'Consolidating chunk results', { chunk, totalChunks: total });
+      } else {
+        const percent = 20 + Math.floor(50 * (chunk - 1) / total);
+        sendProgress(percent, 1, `Analyzing chunk ${chunk} of ${total}`, { chunk, totalChunks: total });
+      }
+    }
+  });
+
+  // Chunking applies to full documents; a comparison change set is always sent in one piece
+  if (documentTokens > tokenBudget && !comparison) {
+    info('Document exceeds context window, using chunked analysis', { provider: provider.id, documentTokens, tokenBudget });
+    return executeChunked(tokenBudget);
+  }
+
+  const llmRequest = buildAnalysisRequest({
+    document: documentContent,
+    instructions: systemPrompt,
+    references: request.references,
+    metadata,
+    options
+  });
+
+  try {
+    return await executeSinglePass(provider, llmRequest, { timeout, signal }, sendProgress, run, request.onStream);
+  } catch (err) {
+    // The estimate was too optimistic - retry in chunks of half the document size
+    if (err.type === 'CONTEXT_LENGTH' && !comparison) {
+      warn('Provider rejected document as too long, retrying with chunked analysis', { documentTokens });
+      return executeChunked(Math.floor(documentTokens / 2));
+    }
+    throw err;
   }
 }
 
+/**
+ * Execute the analysis in a single CLI call
+ * Streaming providers report progress (20-70%) from the answer text received so far;
+ * for the others progress is simulated while the CLI runs, since they report none
+ * @private
+ */
+async function executeSinglePass(provider, llmRequest, sendOptions, sendProgress, run, onStream) {
+  if (provider.capabilities.streaming) {
+    return executeStreaming(provider, llmRequest, sendOptions, sendProgress, run, onStream);
+  }
+
+  let currentProgress = 20;
+  const progressInterval = setInterval(() => {
+    // Check cancellation before sending progress (don't throw, just stop)
+    if (run.cancelled) {
+      clearInterval(progressInterval);
+      return;
+    }
+
+    if (currentProgress < 70) {
+      currentProgress += 2;  // Increment by 2% every 3 seconds
+      try {
+        sendProgress(currentProgress, 1, 'Analyzing content');
+      } catch {
+        // If error during progress (e.g., cancellation), stop interval
+        clearInterval(progressInterval);
+      }
+    }
+  }, 3000);  // Update every 3 seconds
+
+  try {
+    return await provider.send(llmRequest, sendOptions);
+  } finally {
+    clearInterval(progressInterval);
+  }
+}
+
+/**
+ * Execute the analysis with streamed output
+ * @private
+ */
+async function executeStreaming(provider, llmRequest, sendOptions, sendProgress, run, onStream) {
+  let receivedChars = 0;
+  let currentProgress = 20;
+
+  onStream?.('', true);
+
+  return provider.send(llmRequest, {
+    ...sendOptions,
+    onText: (text) => {
+      // Called from the process' stdout handler - must not throw
+      if (run.cancelled) return;
+
+      receivedChars += text.length;
+      onStream?.(text, false);
+
+      const percent = 20 + Math.floor(50 * (1 - Math.exp(-receivedChars / EXPECTED_OUTPUT_CHARS)));
+      if (percent > currentProgress) {
+        currentProgress = percent;
+        try {
+          sendProgress(percent, 1, 'Analyzing content', { receivedChars });
+        } catch {
+          // Cancelled between the check and the update - the abort signal stops the process
+        }
+      }
+    }
+  });
+}
+
 /**
  * Validate analysis inputs
  * @private
  */
-async function validateInputs({ provider, documentPath, promptName }) {
+async function validateInputs({ provider, documentPath, prompts, compareWithPath, consensusProviders }) {
   // Validate provider
-  const validProviders = ['claude', 'gemini', 'openai'];
-  if (!validProviders.includes(provider)) {
+  if (!provider || !hasProvider(provider)) {
     throw ErrorFactory.generic(
       `Ugyldig provider: ${provider}`,
-      [`Brug en af: ${validProviders.join(', ')}`]
+      [`Brug en af: ${getProviderNames().join(', ')}`]
     );
   }
 
@@ -305,42 +876,161 @@ async function validateInputs({ provider, documentPath, promptName }) {
     throw ErrorFactory.generic('Dokumentsti er påkrævet');
   }
 
-  // File existence is checked by adapter, so we don't need to check here
+  // File existence and format are checked by the document extractor
 
-  // Validate prompt name
-  if (!promptName) {
+  // Validate prompt names
+  if (prompts.length === 0 || prompts.some(name => !name)) {
     throw ErrorFactory.generic('Prompt navn er påkrævet');
   }
+
+  // A comparison needs both versions and cannot share the job with other prompts
+  if (prompts.length > 1 && (compareWithPath || prompts.includes(COMPARISON_PROMPT))) {
+    throw ErrorFactory.generic(
+      'Sammenligning kan ikke kombineres med andre analysetyper',
+      ['Kør sammenligningen som en separat analyse']
+    );
+  }
+
+  // Consensus compares one prompt across at least two registered providers
+  if (consensusProviders) {
+    const unknown = consensusProviders.filter(name => !hasProvider(name));
+    if (unknown.length > 0) {
+      throw ErrorFactory.generic(
+        `Ugyldig provider til konsensus: ${unknown.join(', ')}`,
+        [`Brug en af: ${getProviderNames().join(', ')}`]
+      );
+    }
+    if (new Set(consensusProviders).size < MIN_CONSENSUS_PROVIDERS) {
+      throw ErrorFactory.generic('Konsensus kræver mindst to forskellige providere');
+    }
+    if (prompts.length > 1) {
+      throw ErrorFactory.generic(
+        'Konsensus kan kun køres med én analysetype',
+        ['Vælg én analysetype, eller slå konsensus fra']
+      );
+    }
+  }
 }
 
 /**
- * Get CLI adapter for provider
+ * A prompt version from the prompt history (in the shape loadPrompt returns)
  * @private
  */
-function getAdapter(provider) {
-  switch (provider) {
-    case 'claude':
-      return createClaudeProvider();
-    case 'gemini':
-      return createGeminiProvider();
-    case 'openai':
-      // TODO: Implement OpenAI adapter
-      throw ErrorFactory.generic(
-        'OpenAI CLI adapter er ikke implementeret endnu',
-        ['Brug Claude CLI i stedet', 'OpenAI support kommer i fremtidige versioner']
-      );
-    default:
-      throw ErrorFactory.generic(`Ukendt provider: ${provider}`);
+function loadStoredPrompt(name, hash) {
+  const stored = loadPromptVersion(hash);
+  if (!stored || stored.promptName !== name) {
+    throw ErrorFactory.generic(
+      `Promptversion ${String(hash).slice(0, 12)} af '${name}' findes ikke i prompthistorikken`,
+      ['Kør analysen med den aktuelle version af prompten']
+    );
+  }
+  return {
+    success: true,
+    content: stored.content,
+    metadata: {
+      name,
+      displayName: stored.displayName,
+      documentType: stored.documentType,
+      version: stored.version,
+      source: stored.source
+    },
+    filePath: null
+  };
+}
+
+/**
+ * A provider's instructions from the prompt history (null hash = the analysis ran without instructions)
+ * @private
+ */
+function loadStoredInstructions(provider, hash) {
+  if (!hash) {
+    return null;
+  }
+  const stored = loadPromptVersion(hash);
+  if (!stored || stored.promptName !== getInstructionsName(provider)) {
+    throw ErrorFactory.generic(
+      `Provider-instruktioner ${String(hash).slice(0, 12)} for '${provider}' findes ikke i prompthistorikken`,
+      ['Kør analysen med de aktuelle provider-instruktioner']
+    );
+  }
+  return stored.content;
+}
+
+/**
+ * The findings instructions from the prompt history
+ * @private
+ */
+function loadStoredFindingsInstructions(hash) {
+  const stored = loadPromptVersion(hash);
+  if (!stored || stored.promptName !== FINDINGS_INSTRUCTIONS_NAME) {
+    throw ErrorFactory.generic(
+      `Instruktionerne til strukturerede fund ${String(hash).slice(0, 12)} findes ikke i prompthistorikken`,
+      ['Kør analysen med de aktuelle instruktioner']
+    );
+  }
+  return stored.content;
+}
+
+/**
+ * Get the default reference folder for a client from settings
+ * @private
+ */
+function getClientReferenceFolder(settings, clientName) {
+  if (!clientName) return null;
+  return settings.clientReferenceFolders?.[clientName] || null;
+}
+
+/**
+ * Create the provider for a name
+ * @private
+ */
+function createAnalysisProvider(provider, options) {
+  try {
+    return getProvider(provider, options);
+  } catch {
+    throw ErrorFactory.generic(`Ukendt provider: ${provider}`);
   }
 }
 
 /**
  * Generate reports in multiple formats
+ * With chapters (one per prompt) a combined report is generated instead of a single-analysis report
+ * @returns {Promise<{reports: Array<{format: string, path: string}>, config: Object}>} The files and the
+ *   report configuration they share (without format and path - stored to regenerate the reports)
  * @private
  */
-async function generateReports({ cliResult, documentPath, clientName, promptName, outputFormats, customBranding }) {
+async function generateReports({ cliResult, documentPath, clientName, promptName, documentType: analysisType, outputFormats, customBranding, clauseIndex, references, comparison, local, fallbacks, findings, riskScore, chapters, consensus, reportName }) {
   const reports = [];
-  const documentName = path.basename(documentPath, path.extname(documentPath));
+  const baseName = path.basename(documentPath, path.extname(documentPath));
+  const documentName = reportName ? `${baseName}-${reportName}` : baseName;
+  // The chapters of a consensus report are the same analysis type
+  const documentType = chapters && !consensus ? 'combined' : analysisType;
+  const config = {
+    cliResult,
+    metadata: {
+      originalFileName: path.basename(documentPath),
+      originalFormat: path.extname(documentPath).substring(1),
+      clientName,
+      documentType,
+      comparedWith: comparison?.oldFileName,
+      references: references ? references.documents.map(doc => doc.name) : [],
+      local: Boolean(local),
+      fallbacks: fallbacks || []
+    },
+    branding: customBranding,
+    clauseIndex,
+    comparison,
+    findings,
+    riskScore,
+    consensus,
+    chapters: chapters?.map(chapter => ({
+      title: chapter.title,
+      documentType: chapter.documentType,
+      cliResult: chapter.cliResult,
+      findings: chapter.findings,
+      riskScore: chapter.riskScore
+    }))
+  };
 
   for (const format of outputFormats) {
     try {
@@ -352,18 +1042,7 @@ async function generateReports({ cliResult, documentPath, clientName, promptName
         organizeByDate: true
       });
 
-      const reportPath = await generateReport({
-        format,
-        outputPath,
-        cliResult,
-        metadata: {
-          originalFileName: path.basename(documentPath),
-          originalFormat: path.extname(documentPath).substring(1),
-          clientName,
-          documentType: getDocumentType(promptName)
-        },
-        branding: customBranding
-      });
+      const reportPath = await generateReport({ format, outputPath, ...config });
 
       info(`Report generated: ${format}`, { path: reportPath });
 
@@ -385,30 +1064,48 @@ async function generateReports({ cliResult, documentPath, clientName, promptName
     );
   }
 
-  return reports;
-}
-
-/**
- * Get document type from prompt name
- * @private
- */
-function getDocumentType(promptName) {
-  if (promptName.includes('contract')) {
-    return 'contract';
-  } else if (promptName.includes('manual')) {
-    return 'manual';
-  } else if (promptName.includes('compliance')) {
-    return 'compliance';
+  // Structured findings for downstream tooling, next to the reports
+  if (findings) {
+    try {
+      const reportPath = await generateReport({
+        format: 'json',
+        outputPath: reports[0].path.replace(/\.[^.]+$/, '.json'),
+        cliResult,
+        metadata: {
+          originalFileName: path.basename(documentPath),
+          clientName,
+          documentType,
+          promptName,
+          comparedWith: comparison?.oldFileName,
+          local: Boolean(local),
+          fallbacks: fallbacks || []
+        },
+        findings,
+        riskScore,
+        consensus
+      });
+      reports.push({ format: 'json', path: reportPath });
+    } catch (err) {
+      warn('Failed to write findings JSON', { error: err.message });
+    }
   }
-  return 'general';
+
+  return { reports, config };
 }
 
 /**
  * Analysis result type definition
  * @typedef {Object} AnalysisResult
  * @property {boolean} success - Whether analysis succeeded
- * @property {CLIResult} cliResult - CLI execution result (if success)
- * @property {Array<{format: string, path: string}>} reports - Generated reports (if success)
+ * @property {string} analysisId - Id of the analysis (see cancelAnalysis)
+ * @property {Object} cliResult - The analysis as shown in the reports (if success; first prompt with several):
+ *   { provider, output (without the findings block), model, parameters, cliVersion, executionTime, chunkCount }
+ * @property {import('../utils/findings.js').Finding[]|null} findings - Structured findings (null = markdown only)
+ * @property {import('../utils/risk-score.js').RiskScore|null} riskScore - Overall risk score (null without findings)
+ * @property {Array<{format: string, path: string}>} reports - Generated reports (if success; the combined report with several prompts)
+ * @property {Object|null} usage - Tokens and cost of the whole job ({ inputTokens, outputTokens, totalTokens, costUsd, estimated })
+ * @property {Array<Object>} analyses - One entry per prompt (per provider in consensus mode):
+ *   { promptName, provider, usage, findings, riskScore, findingsStatus, reports } (if success)
  * @property {number} executionTime - Total execution time in ms
  * @property {Object} metadata - Analysis metadata (if success)
  * @property {string} error - Error message (if failure)
@@ -0,0 +1,197 @@
+import { planChunks } from '../utils/document-chunker.js';
+import { buildAnalysisRequest } from '../providers/request.js';
+import { addUsage } from '../utils/usage-ledger.js';
+import { info, warn } from '../utils/logger.js';
+
+/**
+ * Chunked Analysis
+ * Map-reduce analysis for documents that exceed the provider's context window:
+ * 1. Split the document into clause-aligned chunks that fit the budget
+ * 2. Run the selected prompt on each chunk (map)
+ * 3. Consolidate the partial analyses into one report in the prompt's output format (reduce);
+ *    partial analyses that do not fit one request are consolidated in groups first
+ */
+
+// Tokens kept free for the model's answer
+const OUTPUT_RESERVE_TOKENS = 8000;
+
+// Share of the context window we plan for (token estimates are approximate)
+const CONTEXT_SAFETY_MARGIN = 0.85;
+
+/**
+ * Calculate how many document tokens fit in one request
+ * @param {import('../providers/base/BaseCLIProvider.js').BaseCLIProvider} provider
+ * @param {string} systemPrompt - Instruction text sent with every request
+ * @returns {number} Token budget for document text
+ */
+export function getDocumentTokenBudget(provider, systemPrompt) {
+  const usable = Math.floor(provider.contextWindow * CONTEXT_SAFETY_MARGIN);
+  return Math.max(1000, usable - provider.estimateTokens(systemPrompt) - OUTPUT_RESERVE_TOKENS);
+}
+
+/**
+ * Run map-reduce analysis over document chunks
+ * A failing chunk's ProviderError is thrown as-is (the fallback chain decides what happens next)
+ *
+ * @param {import('../providers/base/BaseCLIProvider.js').BaseCLIProvider} provider
+ * @param {Object} options
+ * @param {import('../utils/document-model.js').DocumentModel} options.documentModel - Document model
+ * @param {number} options.maxTokens - Token budget per chunk
+ * @param {string} options.systemPrompt - Selected prompt text
+ * @param {Array<{name: string, text: string, truncated?: boolean}>} [options.references] - Reference materials (sent with every chunk)
+ * @param {import('../providers/base/BaseCLIProvider.js').ProviderOptions} [options.requestOptions] - Model and parameters
+ * @param {Object.<string, string>} [options.metadata] - Request metadata (document and prompt path)
+ * @param {number} options.timeout - Timeout per CLI call in ms
+ * @param {AbortSignal} [options.signal] - Cancels the running call
+ * @param {function({phase: 'chunk'|'consolidate', chunk: number, total: number}): void} [options.onProgress] - Progress callback
+ * @returns {Promise<import('../providers/base/BaseCLIProvider.js').LLMResponse>} The consolidated answer, with the usage
+ *   of all calls and `providerMeta.chunkCount`
+ * @throws {import('../providers/base/ProviderError.js').ProviderError}
+ */
+export async function runChunkedAnalysis(provider, options) {
+  const { documentModel, maxTokens, systemPrompt, references = [], requestOptions, metadata, timeout, signal, onProgress } = options;
+  const startTime = Date.now();
+
+  const chunks = planChunks(documentModel, maxTokens, (text) => provider.estimateTokens(text));
+  info('Document split into chunks', { chunkCount: chunks.length, maxTokens });
+
+  // Map: analyze each chunk with the selected prompt
+  const partials = [];
+  const usages = [];
+  for (const chunk of chunks) {
+    onProgress?.({ phase: 'chunk', chunk: chunk.index, total: chunk.total });
+
+    let response;
+    try {
+      response = await provider.send(buildAnalysisRequest({
+        document: chunk.text,
+        instructions: buildChunkInstructions(chunk, systemPrompt),
+        references,
+        metadata,
+        options: requestOptions
+      }), { timeout, signal });
+    } catch (error) {
+      warn('Chunk analysis failed', { chunk: chunk.index, errorCode: error.type });
+      throw error;
+    }
+
+    partials.push({ from: chunk.index, to: chunk.index, total: chunk.total, range: chunk.range, output: response.message.content });
+    usages.push(response.usage);
+  }
+
+  // Reduce: merge partial analyses into one report
+  onProgress?.({ phase: 'consolidate', chunk: chunks.length, total: chunks.length });
+
+  // Too long for one request: consolidate groups that fit, then the group results (until one request is enough)
+  let sections = partials;
+  for (let stage = 1; provider.estimateTokens(buildConsolidationInput(sections)) > maxTokens; stage++) {
+    const groups = groupPartials(sections, maxTokens, (text) => provider.estimateTokens(text));
+    if (groups.length === 1) {
+      warn('Partial analyses exceed the token budget for consolidation', { chunkCount: chunks.length, partials: sections.length });
+      break;
+    }
+
+    info('Consolidating partial analyses in groups', { stage, partials: sections.length, groups: groups.length });
+    const merged = [];
+    for (const group of groups) {
+      if (group.length === 1) {
+        merged.push(group[0]);
+        continue;
+      }
+      const response = await provider.send(buildAnalysisRequest({
+        document: buildConsolidationInput(group),
+        instructions: buildGroupConsolidationInstructions(group.length, systemPrompt),
+        metadata,
+        options: requestOptions
+      }), { timeout, signal });
+      usages.push(response.usage);
+      merged.push({ from: group[0].from, to: group[group.length - 1].to, total: group[0].total, range: null, output: response.message.content });
+    }
+    sections = merged;
+  }
+
+  const response = await provider.send(buildAnalysisRequest({
+    document: buildConsolidationInput(sections),
+    instructions: buildConsolidationInstructions(sections.length, systemPrompt),
+    metadata,
+    options: requestOptions
+  }), { timeout, signal });
+
+  return {
+    ...response,
+    usage: addUsage(...usages, response.usage),
+    providerMeta: {
+      ...response.providerMeta,
+      latencyMs: Date.now() - startTime,
+      chunkCount: chunks.length
+    }
+  };
+}
+
+/**
+ * Prepend chunk context to the selected prompt
+ * @private
+ */
+function buildChunkInstructions(chunk, systemPrompt) {
+  return `Dokumentet er for langt til at blive analyseret på én gang og er delt i ${chunk.total} dele. ` +
+    `Du modtager del ${chunk.index} af ${chunk.total} (${chunk.range}). ` +
+    'Analyser kun denne del efter instruktionen nedenfor og henvis til klausulerne med deres nummer. ' +
+    'Den samlede vurdering af hele dokumentet laves bagefter ud fra alle delanalyser.' +
+    `\n\n---\n\n${systemPrompt}`;
+}
+
+/**
+ * Instructions for the consolidation pass
+ * @private
+ */
+function buildConsolidationInstructions(chunkCount, systemPrompt) {
+  return `Du modtager ${chunkCount} delanalyser af det samme dokument. Hver delanalyse dækker et udsnit af klausulerne. ` +
+    'Sammenfat dem til én samlet analyse af hele dokumentet i præcis det outputformat, som instruktionen nedenfor beskriver. ' +
+    'Fjern gentagelser, bevar alle væsentlige fund og klausulhenvisninger (fx "§ 12.3 (s. 7)"), ' +
+    'og giv én samlet vurdering for hele dokumentet. Nævn ikke at analysen er lavet i dele.' +
+    `\n\n---\n\n${systemPrompt}`;
+}
+
+/**
+ * Instructions for consolidating a group of partial analyses (an intermediate stage)
+ * @private
+ */
+function buildGroupConsolidationInstructions(partialCount, systemPrompt) {
+  return `Du modtager ${partialCount} delanalyser af det samme dokument. Tilsammen dækker de et udsnit af klausulerne. ` +
+    'Sammenfat dem til én delanalyse af dette udsnit i det outputformat, som instruktionen nedenfor beskriver. ' +
+    'Fjern gentagelser og bevar alle væsentlige fund og klausulhenvisninger (fx "§ 12.3 (s. 7)"). ' +
+    'Den samlede vurdering af hele dokumentet laves bagefter ud fra alle delanalyser.' +
+    `\n\n---\n\n${systemPrompt}`;
+}
+
+/**
+ * Split partial analyses into consecutive groups whose consolidation input fits the budget
+ * A group has at least two analyses (if there are two), so every stage shortens the list.
+ * @private
+ */
+function groupPartials(partials, maxTokens, estimate) {
+  const groups = [];
+  let group = [];
+  for (const partial of partials) {
+    if (group.length >= 2 && estimate(buildConsolidationInput([...group, partial])) > maxTokens) {
+      groups.push(group);
+      group = [];
+    }
+    group.push(partial);
+  }
+  groups.push(group);
+  return groups;
+}
+
+/**
+ * Format partial analyses as the "document" for the consolidation pass
+ * @private
+ */
+function buildConsolidationInput(partials) {
+  return partials
+    .map(({ from, to, total, range, output }) => {
+      const title = from === to ? `Delanalyse ${from} af ${total} (${range})` : `Delanalyse ${from}–${to} af ${total}`;
+      return `## ${title}\n\n${output}`;
+    })
+    .join('\n\n');
+}
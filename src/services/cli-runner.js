@@ -1,5 +1,16 @@
-import { ClaudeAdapter } from '../adapters/claude-adapter.js';
+import { readFile } from 'fs/promises';
 import { existsSync, statSync } from 'fs';
+import { createProvider, getProviderNames } from '../providers/registry.js';
+import { buildAnalysisRequest, buildRequestOptions, getRequestParameters } from '../providers/request.js';
+import { extractDocumentText } from '../utils/document-extractor.js';
+import { loadReferenceMaterials } from '../utils/reference-loader.js';
+
+/**
+ * CLI Runner
+ * Runs one prompt file on one document with a registered provider and returns a plain
+ * result object instead of throwing - for scripts and integration tests. Provider errors
+ * keep the provider's error type (see ProviderError), e.g. 'NOT_INSTALLED' or 'AUTH'.
+ */
 
 /**
  * Validate a CLI request object
@@ -11,7 +22,7 @@ function validateCLIRequest(request) {
   if (!request.provider) {
     throw new Error('Provider is required');
   }
-  const validProviders = ['claude', 'gemini', 'openai'];
+  const validProviders = getProviderNames();
   if (!validProviders.includes(request.provider)) {
     throw new Error(`Invalid provider: ${request.provider}. Must be one of: ${validProviders.join(', ')}`);
   }
@@ -56,27 +67,6 @@ function validateCLIRequest(request) {
   }
 }
 
-/**
- * Get the appropriate CLI adapter for the provider
- * @param {string} provider - Provider name ('claude', 'gemini', 'openai')
- * @returns {CLIAdapter} The adapter instance
- * @throws {Error} If provider is not supported
- */
-function getAdapter(provider) {
-  switch (provider) {
-    case 'claude':
-      return new ClaudeAdapter();
-    case 'gemini':
-      // TODO: Implement GeminiAdapter in future phase
-      throw new Error('Gemini adapter not yet implemented');
-    case 'openai':
-      // TODO: Implement OpenAIAdapter in future phase
-      throw new Error('OpenAI adapter not yet implemented');
-    default:
-      throw new Error(`Unsupported provider: ${provider}`);
-  }
-}
-
 /**
  * Execute a CLI command using the specified provider
  * @param {CLIRequest} request - The CLI request configuration
@@ -86,23 +76,58 @@ export async function runCLI(request) {
   const startTime = Date.now();
 
   try {
-    // Validate request
     validateCLIRequest(request);
+  } catch (error) {
+    return {
+      success: false,
+      provider: request.provider || 'unknown',
+      error: error.message,
+      errorCode: 'CONFIG',
+      recoverable: false,
+      executionTime: Date.now() - startTime
+    };
+  }
 
-    // Get appropriate adapter
-    const adapter = getAdapter(request.provider);
+  const provider = createProvider(request.provider, request.options);
+  const options = buildRequestOptions(request.options);
 
-    // Execute CLI command
-    const result = await adapter.execute(request);
+  try {
+    const [document, instructions, references] = await Promise.all([
+      extractDocumentText(request.documentPath),
+      readFile(request.systemPromptPath, 'utf8'),
+      request.referencePath ? loadReferenceMaterials(request.referencePath) : null
+    ]);
+
+    const response = await provider.send(buildAnalysisRequest({
+      document: document.text,
+      instructions,
+      references: references ? references.documents : [],
+      metadata: { documentPath: request.documentPath, promptPath: request.systemPromptPath },
+      options
+    }), {
+      timeout: request.timeout,
+      signal: request.signal
+    });
 
-    return result;
+    return {
+      success: true,
+      provider: request.provider,
+      output: response.message.content,
+      model: response.providerMeta?.model,
+      parameters: getRequestParameters(options),
+      usage: response.usage,
+      executionTime: Date.now() - startTime,
+      cliVersion: await provider.getVersion()
+    };
   } catch (error) {
-    // Return error result if validation or adapter creation fails
     return {
       success: false,
-      provider: request.provider || 'unknown',
-      error: error.message,
-      errorCode: 'INVALID_REQUEST',
+      provider: request.provider,
+      error: error.userMessage || error.message,
+      // Document errors are EnhancedErrors (errorCode), provider errors ProviderErrors (type)
+      errorCode: error.type || error.errorCode || 'UNKNOWN',
+      recoverable: Boolean(error.isRecoverable),
+      recoverySuggestions: error.recoverySuggestions || [],
       executionTime: Date.now() - startTime
     };
   }
@@ -115,8 +140,7 @@ export async function runCLI(request) {
  */
 export async function isProviderAvailable(provider) {
   try {
-    const adapter = getAdapter(provider);
-    return await adapter.isAvailable();
+    return await createProvider(provider).isAvailable();
   } catch {
     return false;
   }
@@ -129,8 +153,7 @@ export async function isProviderAvailable(provider) {
  */
 export async function getProviderVersion(provider) {
   try {
-    const adapter = getAdapter(provider);
-    return await adapter.getVersion();
+    return await createProvider(provider).getVersion();
   } catch {
     return null;
   }
@@ -142,23 +165,13 @@ export async function getProviderVersion(provider) {
  * @returns {Promise<CLIResult>}
  */
 export async function runCLIAuto(request) {
-  // Try providers in order of preference
-  const providers = ['claude', 'gemini', 'openai'];
-
-  for (const provider of providers) {
-    try {
-      const adapter = getAdapter(provider);
-      const isAvailable = await adapter.isAvailable();
-
-      if (isAvailable) {
-        return await runCLI({
-          ...request,
-          provider
-        });
-      }
-    } catch {
-      // Skip to next provider
-      continue;
+  // Try providers in registry order
+  for (const provider of getProviderNames()) {
+    if (await isProviderAvailable(provider)) {
+      return runCLI({
+        ...request,
+        provider
+      });
     }
   }
 
@@ -166,8 +179,38 @@ export async function runCLIAuto(request) {
   return {
     success: false,
     provider: 'none',
-    error: 'No CLI providers available. Please install Claude CLI, Gemini CLI, or OpenAI CLI.',
-    errorCode: 'CLI_NOT_FOUND',
+    error: 'Ingen CLI providere er installeret. Installer fx Claude CLI, Gemini CLI eller OpenAI Codex CLI.',
+    errorCode: 'NOT_INSTALLED',
+    recoverable: false,
     executionTime: 0
   };
 }
+
+/**
+ * CLI request
+ * @typedef {Object} CLIRequest
+ * @property {string} provider - Registered provider name ('claude', 'gemini', ...)
+ * @property {string} documentPath - Document to analyze (txt, pdf or docx)
+ * @property {string} systemPromptPath - Prompt file
+ * @property {string} [referencePath] - Folder with reference materials
+ * @property {import('../providers/registry.js').ProviderModelOptions} [options] - Model and parameters
+ * @property {number} [timeout] - Milliseconds before the CLI is stopped (default: 300000)
+ * @property {AbortSignal} [signal] - Cancels the run
+ */
+
+/**
+ * CLI result
+ * @typedef {Object} CLIResult
+ * @property {boolean} success
+ * @property {string} provider
+ * @property {string} [output] - Answer (if success)
+ * @property {string} [model] - Requested model (if set)
+ * @property {{temperature?: number, maxTokens?: number}} [parameters] - Sampling parameters (if set)
+ * @property {import('../providers/base/BaseCLIProvider.js').UsageInfo} [usage]
+ * @property {string | null} [cliVersion]
+ * @property {string} [error] - User message (Danish, if failure)
+ * @property {string} [errorCode] - Provider error type, e.g. 'NOT_INSTALLED', 'AUTH' or 'CONFIG' (if failure)
+ * @property {boolean} [recoverable] - Whether another attempt or provider may succeed (if failure)
+ * @property {string[]} [recoverySuggestions] - What to do about it (Danish, if failure)
+ * @property {number} executionTime - Milliseconds
+ */
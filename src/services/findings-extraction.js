@@ -0,0 +1,81 @@
+import { extractFindingsBlock, parseFindings, getRepairInstructions } from '../utils/findings.js';
+import { buildAnalysisRequest } from '../providers/request.js';
+import { addUsage } from '../utils/usage-ledger.js';
+import { info, warn } from '../utils/logger.js';
+
+/**
+ * Findings Extraction
+ * Turns the raw analysis output into markdown plus validated structured findings:
+ * 1. Parse the JSON findings block the prompt asked for
+ * 2. If it is missing or invalid, ask the provider to repair it
+ * 3. If that fails too, fall back to markdown only (findings = null)
+ */
+
+// Repair calls made before falling back to markdown only
+const REPAIR_ATTEMPTS = 1;
+
+/**
+ * Extract and validate structured findings from an analysis answer
+ *
+ * @param {import('../providers/base/BaseCLIProvider.js').BaseCLIProvider} provider - Provider that produced the analysis
+ * @param {string} output - Analysis answer (markdown with the findings block)
+ * @param {Object} options
+ * @param {import('../providers/base/BaseCLIProvider.js').ProviderOptions} [options.requestOptions] - Model and parameters
+ * @param {Object.<string, string>} [options.metadata] - Request metadata (document and prompt path)
+ * @param {number} options.timeout - Timeout per CLI call in ms
+ * @param {AbortSignal} [options.signal] - Cancels a running repair call
+ * @param {function(): void} [options.onRepair] - Called before a repair call
+ * @returns {Promise<StructuredAnalysis>} Markdown and findings
+ */
+export async function extractFindings(provider, output, options) {
+  const { requestOptions, metadata, timeout, signal, onRepair } = options;
+  const { markdown, json } = extractFindingsBlock(output);
+
+  let { findings, errors } = parseFindings(json);
+  if (findings) {
+    return { markdown, findings, findingsStatus: 'valid' };
+  }
+
+  let invalidJson = json;
+  let usage = null;
+  for (let attempt = 1; attempt <= REPAIR_ATTEMPTS; attempt++) {
+    warn('Findings block invalid, requesting repair', { attempt, errors: errors.slice(0, 5) });
+    onRepair?.();
+
+    let response;
+    try {
+      response = await provider.send(buildAnalysisRequest({
+        document: invalidJson ? `${markdown}\n\n---\n\nUGYLDIG JSON:\n${invalidJson}` : markdown,
+        instructions: getRepairInstructions(errors),
+        metadata,
+        options: requestOptions
+      }), { timeout, signal });
+    } catch (error) {
+      warn('Findings repair call failed', { errorCode: error.type || error.message });
+      break;
+    }
+    usage = addUsage(usage, response.usage);
+
+    const repaired = extractFindingsBlock(response.message.content);
+    // The model may answer with bare JSON instead of a fenced block
+    invalidJson = repaired.json ?? repaired.markdown;
+    ({ findings, errors } = parseFindings(invalidJson));
+
+    if (findings) {
+      info('Findings block repaired', { attempt, findingCount: findings.length });
+      return { markdown, findings, findingsStatus: 'repaired', usage };
+    }
+  }
+
+  warn('No valid findings block, falling back to markdown only', { errors: errors.slice(0, 5) });
+  return { markdown, findings: null, findingsStatus: 'unavailable', usage };
+}
+
+/**
+ * Structured analysis type definition
+ * @typedef {Object} StructuredAnalysis
+ * @property {string} markdown - Analysis markdown without the findings block
+ * @property {import('../utils/findings.js').Finding[]|null} findings - Validated findings (null = markdown only)
+ * @property {'valid'|'repaired'|'unavailable'} findingsStatus - How the findings were obtained
+ * @property {import('../providers/base/BaseCLIProvider.js').UsageInfo|null} [usage] - Usage of the repair calls (if any)
+ */
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Provider fallback chain
+ * Retries transient provider errors with exponential backoff, then falls over to the
+ * next available provider in the chain (settings.fallbackProviders). Only ProviderErrors
+ * the provider flags as recoverable are handled - everything else is thrown as-is.
+ */
+
+import { ProviderErrorFactory } from '../providers/base/ProviderError.js';
+import { info, warn } from '../utils/logger.js';
+
+// Errors that may go away by themselves - retried on the same provider before falling over
+const RETRYABLE_ERROR_CODES = ['RATE_LIMIT', 'NETWORK', 'TIMEOUT', 'MODEL_OVERLOADED'];
+
+/**
+ * Create a provider chain: the selected provider first, then the fallbacks in order
+ * The chain is sticky - once a provider has been abandoned, later calls start at the next one.
+ * @param {string} provider - Selected provider
+ * @param {string[]} fallbackProviders - Providers to try next, in order
+ * @param {function(string): import('../providers/base/BaseCLIProvider.js').BaseCLIProvider} createProvider - Creates the provider for a name
+ * @returns {ProviderChain}
+ */
+export function createProviderChain(provider, fallbackProviders, createProvider) {
+  return {
+    providers: [provider, ...fallbackProviders.filter(name => name !== provider)]
+      .filter((name, index, names) => names.indexOf(name) === index),
+    index: 0,
+    current: null,
+    switches: [],
+    createProvider
+  };
+}
+
+/**
+ * Run an attempt on the chain's current provider, retrying and falling over on recoverable errors
+ * @param {ProviderChain} chain - Mutated: current provider and recorded switches
+ * @param {function(import('../providers/base/BaseCLIProvider.js').BaseCLIProvider, string): Promise<*>} attempt - Runs the
+ *   work with a provider (and its name); throws a ProviderError on failure
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries per provider for transient errors (default: 2)
+ * @param {number} [options.retryDelayMs] - First backoff delay, doubled per retry (default: 5000)
+ * @param {function(): boolean} [options.isCancelled] - Stops retrying when true
+ * @param {AbortSignal} [options.signal] - Aborting ends a backoff wait at once (and stops retrying)
+ * @param {function({provider: string, attempt: number, delayMs: number, errorCode: string}): void} [options.onRetry]
+ * @param {function(ProviderSwitch): void} [options.onSwitch]
+ * @returns {Promise<*>} Result of the successful attempt
+ * @throws {import('../providers/base/ProviderError.js').ProviderError} The last error when every provider failed,
+ *   or the first non-recoverable one (other errors are thrown as-is)
+ */
+export async function runWithFallback(chain, attempt, options = {}) {
+  const { maxRetries = 2, retryDelayMs = 5000, isCancelled = () => false, signal, onRetry, onSwitch } = options;
+  let lastError = null;
+
+  while (chain.index < chain.providers.length) {
+    const provider = chain.providers[chain.index];
+
+    if (!chain.current) {
+      const created = chain.createProvider(provider);
+      if (!(await created.isAvailable())) {
+        lastError = ProviderErrorFactory.notInstalled(created.id);
+        switchProvider(chain, lastError, 0, onSwitch);
+        continue;
+      }
+      chain.current = created;
+    }
+
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt(chain.current, provider);
+      } catch (error) {
+        if (error.name !== 'ProviderError' || !error.isRecoverable || isCancelled()) {
+          throw error;
+        }
+        lastError = error;
+      }
+
+      if (!RETRYABLE_ERROR_CODES.includes(lastError.type) || retry >= maxRetries) {
+        switchProvider(chain, lastError, retry + 1, onSwitch);
+        break;
+      }
+
+      const delayMs = retryDelayMs * 2 ** retry;
+      warn('Recoverable provider error, retrying', { provider, errorCode: lastError.type, retry: retry + 1, delayMs });
+      onRetry?.({ provider, attempt: retry + 2, delayMs, errorCode: lastError.type });
+      await wait(delayMs, signal);
+
+      if (isCancelled() || signal?.aborted) {
+        throw lastError;
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Name of the provider the chain is on (the last one once every provider failed)
+ * @param {ProviderChain} chain
+ * @returns {string}
+ */
+export function getCurrentProvider(chain) {
+  return chain.providers[Math.min(chain.index, chain.providers.length - 1)];
+}
+
+/**
+ * Backoff wait that ends early when the signal aborts
+ * @private
+ */
+function wait(delayMs, signal) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, delayMs);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * Abandon the current provider and record why
+ * @private
+ */
+function switchProvider(chain, error, attempts, onSwitch) {
+  const from = chain.providers[chain.index];
+  chain.index++;
+  chain.current = null;
+
+  const to = chain.providers[chain.index];
+  if (!to) {
+    warn('Provider failed and no fallback providers are left', { provider: from, errorCode: error.type });
+    return;
+  }
+
+  const providerSwitch = { from, to, errorCode: error.type, reason: error.userMessage || error.type, attempts };
+  chain.switches.push(providerSwitch);
+  info('Falling back to next provider', providerSwitch);
+  onSwitch?.(providerSwitch);
+}
+
+/**
+ * Provider chain state
+ * @typedef {Object} ProviderChain
+ * @property {string[]} providers - Providers in the order they are tried
+ * @property {number} index - Current provider
+ * @property {import('../providers/base/BaseCLIProvider.js').BaseCLIProvider | null} current - Current provider (null until first use)
+ * @property {ProviderSwitch[]} switches - Providers abandoned so far
+ * @property {function(string): import('../providers/base/BaseCLIProvider.js').BaseCLIProvider} createProvider
+ */
+
+/**
+ * Provider switch (recorded in report metadata)
+ * @typedef {Object} ProviderSwitch
+ * @property {string} from - Provider that failed
+ * @property {string} to - Provider tried next
+ * @property {string} errorCode - Error type, e.g. 'RATE_LIMIT'
+ * @property {string} reason - User message of the error (Danish)
+ * @property {number} attempts - Attempts made on the failed provider
+ */
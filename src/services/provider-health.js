@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Provider health check
+ * Sends a tiny smoke prompt to a provider with a short timeout, so a CLI that is installed
+ * but logged out (or out of quota) shows up before an analysis has run for minutes.
+ * Failures are classified by the provider's error mapping (CLIErrorMapper) and the
+ * status is cached with a timestamp in ~/.contract-reviewer/health.json.
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { getProviderDefinition } from '../providers/registry.js';
+import { CLIErrorMapper } from '../providers/base/CLIErrorMapper.js';
+import { info, warn } from '../utils/logger.js';
+
+export const HEALTH_FILE = path.join(homedir(), '.contract-reviewer', 'health.json');
+
+// A cached status older than this is checked again
+export const HEALTH_MAX_AGE_MS = 15 * 60 * 1000;
+
+// Short timeout - a healthy CLI answers the smoke prompt in seconds
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const SMOKE_PROMPT = 'Svar kun med ordet OK.';
+
+/**
+ * Run the smoke prompt on one provider
+ * @param {string} name - Provider name
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before the check fails (default: 30000)
+ * @param {import('../providers/registry.js').ProviderModelOptions} [options.modelOptions] - Model the analyses run with
+ * @returns {Promise<HealthStatus>}
+ * @throws {Error} If the provider is not registered
+ */
+export async function checkProviderHealth(name, { timeout = DEFAULT_TIMEOUT_MS, modelOptions = {} } = {}) {
+  const definition = getProviderDefinition(name);
+  if (!definition) {
+    throw new Error(`Unknown provider: ${name}`);
+  }
+
+  const provider = definition.create(modelOptions);
+  const startTime = Date.now();
+
+  try {
+    // Same model as the analyses (a model the account cannot use is a health problem too)
+    const response = await provider.send({
+      messages: [{ role: 'user', content: SMOKE_PROMPT }],
+      context: { instructions: '', references: [] },
+      options: modelOptions.model ? { model: modelOptions.model } : {}
+    }, { timeout });
+
+    info('Provider health check passed', { provider: name });
+    return {
+      provider: name,
+      ok: true,
+      errorCode: null,
+      message: 'Klar',
+      suggestions: [],
+      version: await provider.getVersion(),
+      model: response.providerMeta?.model || null,
+      latencyMs: Date.now() - startTime,
+      checkedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    const providerError = error.name === 'ProviderError'
+      ? error
+      : CLIErrorMapper.map(provider.id, {
+        success: false,
+        code: -1,
+        stdout: '',
+        stderr: error.message,
+        signal: null,
+        timedOut: false,
+        cancelled: false
+      });
+
+    warn('Provider health check failed', { provider: name, errorCode: providerError.type });
+    return {
+      provider: name,
+      ok: false,
+      errorCode: providerError.type,
+      ...describeFailure(providerError, timeout),
+      version: providerError.type === 'NOT_INSTALLED' ? null : await provider.getVersion(),
+      model: modelOptions.model || null,
+      latencyMs: Date.now() - startTime,
+      checkedAt: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Health of several providers: cached status while fresh, otherwise a new check
+ * Checks run in parallel; new results are written to the cache.
+ * @param {string[]} names - Provider names
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Check even if the cached status is fresh
+ * @param {number} [options.maxAgeMs] - Age at which a cached status is checked again (default: 15 minutes)
+ * @param {number} [options.timeout] - Timeout per check in milliseconds
+ * @param {Object<string, import('../providers/registry.js').ProviderModelOptions>} [options.providerModels] - Model per provider
+ * @param {string} [options.file] - Defaults to ~/.contract-reviewer/health.json
+ * @returns {Promise<HealthStatus[]>} In the order of names
+ */
+export async function getProvidersHealth(names, options = {}) {
+  const {
+    force = false,
+    maxAgeMs = HEALTH_MAX_AGE_MS,
+    timeout,
+    providerModels = {},
+    file = HEALTH_FILE
+  } = options;
+
+  const cache = loadHealthCache(file);
+  const isFresh = (status) => status && Date.now() - new Date(status.checkedAt).getTime() < maxAgeMs;
+
+  const results = await Promise.all(names.map(name =>
+    !force && isFresh(cache[name])
+      ? cache[name]
+      : checkProviderHealth(name, { timeout, modelOptions: providerModels[name] })
+  ));
+
+  saveHealthCache({ ...cache, ...Object.fromEntries(results.map(status => [status.provider, status])) }, file);
+  return results;
+}
+
+/**
+ * Load the cached status per provider
+ * @param {string} [file] - Defaults to ~/.contract-reviewer/health.json
+ * @returns {Object<string, HealthStatus>}
+ */
+export function loadHealthCache(file = HEALTH_FILE) {
+  try {
+    if (!existsSync(file)) return {};
+    const cache = JSON.parse(readFileSync(file, 'utf8'));
+    return cache && typeof cache === 'object' && !Array.isArray(cache) ? cache : {};
+  } catch (error) {
+    console.error('Failed to load provider health cache:', error.message);
+    return {};
+  }
+}
+
+/**
+ * @private
+ */
+function saveHealthCache(cache, file) {
+  try {
+    if (!existsSync(path.dirname(file))) {
+      mkdirSync(path.dirname(file), { recursive: true });
+    }
+    writeFileSync(file, JSON.stringify(cache, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Failed to save provider health cache:', error.message);
+  }
+}
+
+/**
+ * User message and guidance for a failed check
+ * A timeout here is not about document length - the CLI may be waiting for a login
+ * @private
+ */
+function describeFailure(providerError, timeout) {
+  if (providerError.type === 'TIMEOUT') {
+    return {
+      message: `Svarede ikke inden for ${Math.round(timeout / 1000)} sekunder`,
+      suggestions: [
+        'Tjek at du er logget ind – nogle CLI\'er venter på login i browseren',
+        'Tjek din internetforbindelse og prøv igen'
+      ]
+    };
+  }
+
+  return {
+    message: providerError.userMessage,
+    suggestions: providerError.getRecoverySuggestions()
+  };
+}
+
+/**
+ * Result of a health check
+ * @typedef {Object} HealthStatus
+ * @property {string} provider - Provider name
+ * @property {boolean} ok - The provider answered the smoke prompt
+ * @property {string | null} errorCode - Error type, e.g. 'AUTH' or 'NOT_INSTALLED' (null if ok)
+ * @property {string} message - Status for the user (Danish)
+ * @property {string[]} suggestions - What to do about it (Danish, e.g. the provider's login command)
+ * @property {string | null} version - CLI version
+ * @property {string | null} model - Model that was checked (null = the CLI's default)
+ * @property {number} latencyMs - Time to answer (or fail)
+ * @property {string} checkedAt - ISO timestamp
+ */
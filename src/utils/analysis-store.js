@@ -0,0 +1,103 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+
+/**
+ * Analysis Store
+ * One record per completed analysis in ~/.contract-reviewer/analyses/<analysisId>.json:
+ * what was analyzed with which prompt and provider, the text the model saw, the analysis
+ * and what the reports were generated from. Follow-up questions are answered from the
+ * record and their thread is kept in it.
+ */
+
+export const ANALYSES_DIR = path.join(homedir(), '.contract-reviewer', 'analyses');
+
+// Analysis ids become file names
+const ANALYSIS_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Save an analysis record (replaces an existing record with the same id)
+ * @param {AnalysisRecord} record
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/analyses
+ * @returns {boolean} Success status
+ */
+export function saveAnalysisRecord(record, dir = ANALYSES_DIR) {
+  try {
+    if (!ANALYSIS_ID_PATTERN.test(record.analysisId || '')) {
+      throw new Error(`Invalid analysis id: ${record.analysisId}`);
+    }
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(getRecordPath(record.analysisId, dir), JSON.stringify(record, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error('Failed to save analysis record:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Load an analysis record
+ * @param {string} analysisId
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/analyses
+ * @returns {AnalysisRecord|null} Null if there is no (readable) record
+ */
+export function loadAnalysisRecord(analysisId, dir = ANALYSES_DIR) {
+  try {
+    if (!ANALYSIS_ID_PATTERN.test(analysisId || '')) return null;
+    const file = getRecordPath(analysisId, dir);
+    if (!existsSync(file)) return null;
+    const record = JSON.parse(readFileSync(file, 'utf8'));
+    return record && typeof record === 'object' && !Array.isArray(record) ? record : null;
+  } catch (error) {
+    console.error('Failed to load analysis record:', error.message);
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function getRecordPath(analysisId, dir) {
+  return path.join(dir, `${analysisId}.json`);
+}
+
+/**
+ * Stored analysis
+ * @typedef {Object} AnalysisRecord
+ * @property {string} analysisId
+ * @property {string} date - ISO timestamp
+ * @property {string} documentPath
+ * @property {string} clientName
+ * @property {string} provider - Provider that produced the (first) analysis
+ * @property {Object} options - Request options it ran with (model, parameters)
+ * @property {string[]} promptNames
+ * @property {Object<string, string>} [promptVariables] - Values the prompt templates were rendered with
+ * @property {Array<{promptName: string, version: string|null, hash: string}>} [promptVersions] - Exact prompts
+ *   the analysis ran with (the text is in the prompt history)
+ * @property {Array<{provider: string, hash: string|null}>} [instructionVersions] - Provider instructions put before
+ *   the prompts, per provider that answered (null = none; the text is in the prompt history)
+ * @property {string} [findingsVersion] - Hash of the findings instructions appended to every prompt
+ *   (the text is in the prompt history)
+ * @property {string|null} [compareWithPath] - Previous version in comparison mode
+ * @property {string|null} [referencePath] - Reference materials folder
+ * @property {string[]|null} [consensusProviders] - Providers of a consensus review
+ * @property {string} documentContent - Text sent to the model (anchored document or change set)
+ * @property {Array<{promptName: string, provider: string, output: string}>} analyses - Analysis per prompt
+ *   (per provider in consensus mode), without the findings block
+ * @property {{config: Object, files: Array<{format: string, path: string}>}} report - Report configuration
+ *   (without format and path) and the files written from it
+ * @property {FollowUp[]} followUps - Questions asked after the analysis, oldest first
+ */
+
+/**
+ * Follow-up question and answer
+ * @typedef {Object} FollowUp
+ * @property {string} question
+ * @property {string} answer
+ * @property {string} date - ISO timestamp
+ * @property {string} provider
+ * @property {string|null} model
+ * @property {import('../providers/base/BaseCLIProvider.js').UsageInfo|null} usage
+ */
@@ -0,0 +1,302 @@
+/**
+ * Clause Diff
+ * Deterministic clause-level comparison of two versions of a document.
+ * Clauses are matched by number first and then by text similarity, so
+ * renumbered clauses are recognised as changed rather than removed + added.
+ */
+
+// Clauses with the same number are only paired if they are at least this similar
+// (or share a heading) - otherwise the numbering has shifted
+const SAME_NUMBER_MIN_SIMILARITY = 0.3;
+
+// Unmatched clauses are paired across numbers above this similarity
+const MOVED_MIN_SIMILARITY = 0.5;
+
+/**
+ * Compare two document models clause by clause
+ * @param {import('./document-model.js').DocumentModel} oldModel - Previous version
+ * @param {import('./document-model.js').DocumentModel} newModel - Revised version
+ * @returns {ClauseDiff} Changes in new-document order
+ */
+export function diffDocuments(oldModel, newModel) {
+  const oldSections = oldModel.sections;
+  const newSections = newModel.sections;
+  const pairs = new Map(); // new index -> old index
+  const matchedOld = new Set();
+
+  // Pass 1: same clause number (or both the untitled introduction)
+  newSections.forEach((newSection, newIndex) => {
+    const oldIndex = oldSections.findIndex((oldSection, index) =>
+      !matchedOld.has(index) && getClauseKey(oldSection) === getClauseKey(newSection)
+    );
+    if (oldIndex === -1) return;
+
+    const oldSection = oldSections[oldIndex];
+    const sameHeading = normalize(oldSection.heading) === normalize(newSection.heading) && Boolean(newSection.heading);
+    if (sameHeading || similarity(oldSection.text, newSection.text) >= SAME_NUMBER_MIN_SIMILARITY) {
+      pairs.set(newIndex, oldIndex);
+      matchedOld.add(oldIndex);
+    }
+  });
+
+  // Pass 2: best text match among the remaining clauses (renumbered or moved)
+  const candidates = [];
+  newSections.forEach((newSection, newIndex) => {
+    if (pairs.has(newIndex)) return;
+    oldSections.forEach((oldSection, oldIndex) => {
+      if (matchedOld.has(oldIndex)) return;
+      const score = similarity(sectionText(oldSection), sectionText(newSection));
+      if (score >= MOVED_MIN_SIMILARITY) {
+        candidates.push({ newIndex, oldIndex, score });
+      }
+    });
+  });
+  candidates
+    .sort((a, b) => b.score - a.score || a.newIndex - b.newIndex)
+    .forEach(({ newIndex, oldIndex }) => {
+      if (pairs.has(newIndex) || matchedOld.has(oldIndex)) return;
+      pairs.set(newIndex, oldIndex);
+      matchedOld.add(oldIndex);
+    });
+
+  // Collect changes with a sort position in the new document
+  const entries = [];
+  let unchangedCount = 0;
+
+  newSections.forEach((newSection, newIndex) => {
+    if (!pairs.has(newIndex)) {
+      entries.push({ position: newIndex, type: 'added', oldSection: null, newSection, similarity: 0 });
+      return;
+    }
+
+    const oldSection = oldSections[pairs.get(newIndex)];
+    const textChanged = normalize(sectionText(oldSection)) !== normalize(sectionText(newSection));
+    const renumbered = oldSection.number !== newSection.number;
+
+    if (!textChanged && !renumbered) {
+      unchangedCount++;
+      return;
+    }
+
+    entries.push({
+      position: newIndex,
+      type: textChanged ? 'changed' : 'renumbered',
+      oldSection,
+      newSection,
+      similarity: similarity(sectionText(oldSection), sectionText(newSection))
+    });
+  });
+
+  // Removed clauses are placed after the nearest preceding clause that still exists
+  const newIndexByOld = new Map([...pairs].map(([newIndex, oldIndex]) => [oldIndex, newIndex]));
+  oldSections.forEach((oldSection, oldIndex) => {
+    if (matchedOld.has(oldIndex)) return;
+
+    let position = -1;
+    for (let i = oldIndex - 1; i >= 0; i--) {
+      if (newIndexByOld.has(i)) {
+        position = newIndexByOld.get(i);
+        break;
+      }
+    }
+    entries.push({ position: position + 0.5 + oldIndex / 10000, type: 'removed', oldSection, newSection: null, similarity: 0 });
+  });
+
+  const changes = entries
+    .sort((a, b) => a.position - b.position)
+    .map(({ position: _position, ...change }, index) => ({
+      number: index + 1,
+      label: (change.newSection || change.oldSection).label,
+      ...change
+    }));
+
+  return {
+    changes,
+    unchangedCount,
+    oldClauseCount: oldSections.length,
+    newClauseCount: newSections.length
+  };
+}
+
+/**
+ * Render the change set as text for the comparison prompt
+ * Only changed clauses are included; each change gets a stable number ("Ændring 3")
+ *
+ * @param {ClauseDiff} diff - Clause diff
+ * @param {{oldName: string, newName: string}} names - File names of the two versions
+ * @returns {string} Change set text
+ */
+export function renderChangeSet(diff, { oldName, newName }) {
+  const header = [
+    'Sammenligning af to versioner af samme dokument.',
+    `Tidligere version: ${oldName}`,
+    `Ny version: ${newName}`,
+    `${diff.unchangedCount} klausuler er uændrede og er udeladt. Der er fundet ${diff.changes.length} ændringer:`
+  ].join('\n');
+
+  if (diff.changes.length === 0) {
+    return `${header}\n\nIngen ændringer fundet.`;
+  }
+
+  const blocks = diff.changes.map((change) => {
+    const lines = [`### Ændring ${change.number} – ${formatChangeTitle(change)}`];
+    if (change.oldSection) {
+      lines.push(`TIDLIGERE (${formatSectionLabel(change.oldSection)}):`, sectionText(change.oldSection) || '(tom)');
+    }
+    if (change.newSection) {
+      lines.push(`NY (${formatSectionLabel(change.newSection)}):`, sectionText(change.newSection) || '(tom)');
+    }
+    return lines.join('\n');
+  });
+
+  return `${header}\n\n${blocks.join('\n\n')}`;
+}
+
+/**
+ * Extract the model's assessment of each change from the analysis output
+ * The comparison prompt asks for one "### Ændring N" section per change
+ *
+ * @param {string} output - Analysis output (markdown)
+ * @returns {Map<number, string>} Change number -> assessment text
+ */
+export function extractChangeAssessments(output) {
+  const assessments = new Map();
+  const pattern = /^#{2,4}\s*Ændring\s+(\d+)\b.*$/gim;
+  const matches = [...(output || '').matchAll(pattern)];
+
+  matches.forEach((match) => {
+    // The assessment runs until the next heading (usually the next change)
+    const start = match.index + match[0].length;
+    const nextHeading = output.slice(start).search(/^#{1,4}\s/m);
+    const end = nextHeading === -1 ? output.length : start + nextHeading;
+    const text = output.slice(start, end).trim();
+    if (text) {
+      assessments.set(Number(match[1]), text);
+    }
+  });
+
+  return assessments;
+}
+
+/**
+ * Danish label for a change type
+ * @param {ChangeType} type - Change type
+ * @returns {string} Label
+ */
+export function getChangeTypeLabel(type) {
+  const labels = {
+    added: 'Tilføjet',
+    removed: 'Fjernet',
+    changed: 'Ændret',
+    renumbered: 'Omnummereret'
+  };
+  return labels[type] || type;
+}
+
+/**
+ * Title for a change, e.g. "§ 4 Territorium (ændret, tidligere § 3)"
+ * @param {ClauseChange} change - Clause change
+ * @returns {string} Title
+ */
+export function formatChangeTitle(change) {
+  const section = change.newSection || change.oldSection;
+  const heading = section.heading ? ` ${section.heading}` : '';
+  const previous = change.oldSection && change.newSection && change.oldSection.number !== change.newSection.number
+    ? `, tidligere ${change.oldSection.label}`
+    : '';
+  return `${section.label}${heading} (${getChangeTypeLabel(change.type).toLowerCase()}${previous})`;
+}
+
+/**
+ * Section label with page, e.g. "§ 4, s. 2"
+ * @private
+ */
+function formatSectionLabel(section) {
+  return section.page ? `${section.label}, s. ${section.page}` : section.label;
+}
+
+/**
+ * Key used to pair clauses by number
+ * @private
+ */
+function getClauseKey(section) {
+  return section.number || section.id;
+}
+
+/**
+ * Heading and body text of a clause
+ * @private
+ */
+function sectionText(section) {
+  return [section.heading, section.text].filter(Boolean).join('\n');
+}
+
+/**
+ * Normalize text for comparison (case and whitespace insensitive)
+ * @private
+ */
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Dice coefficient over word bigrams (unigrams for very short texts)
+ * @private
+ */
+function similarity(a, b) {
+  const wordsA = normalize(a).split(' ').filter(Boolean);
+  const wordsB = normalize(b).split(' ').filter(Boolean);
+  if (wordsA.length === 0 && wordsB.length === 0) return 1;
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const useBigrams = wordsA.length > 1 && wordsB.length > 1;
+  const gramsA = toGrams(wordsA, useBigrams);
+  const gramsB = toGrams(wordsB, useBigrams);
+
+  let overlap = 0;
+  gramsA.forEach((count, gram) => {
+    overlap += Math.min(count, gramsB.get(gram) || 0);
+  });
+
+  const total = [...gramsA.values()].reduce((sum, n) => sum + n, 0) + [...gramsB.values()].reduce((sum, n) => sum + n, 0);
+  return (2 * overlap) / total;
+}
+
+/**
+ * Count word n-grams
+ * @private
+ */
+function toGrams(words, bigrams) {
+  const grams = new Map();
+  const count = bigrams ? words.length - 1 : words.length;
+  for (let i = 0; i < count; i++) {
+    const gram = bigrams ? `${words[i]} ${words[i + 1]}` : words[i];
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Change type
+ * @typedef {'added'|'removed'|'changed'|'renumbered'} ChangeType
+ */
+
+/**
+ * Clause change type definition
+ * @typedef {Object} ClauseChange
+ * @property {number} number - 1-based change number (referenced by the model as "Ændring N")
+ * @property {string} label - Clause label in the new version (old version for removed clauses)
+ * @property {ChangeType} type - Kind of change
+ * @property {import('./document-model.js').DocumentSection|null} oldSection - Clause in the previous version
+ * @property {import('./document-model.js').DocumentSection|null} newSection - Clause in the revised version
+ * @property {number} similarity - Text similarity 0-1 between the versions
+ */
+
+/**
+ * Clause diff type definition
+ * @typedef {Object} ClauseDiff
+ * @property {ClauseChange[]} changes - Changes in new-document order
+ * @property {number} unchangedCount - Clauses identical in both versions
+ * @property {number} oldClauseCount - Sections in the previous version
+ * @property {number} newClauseCount - Sections in the revised version
+ */
@@ -1,38 +1,10 @@
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { platform } from 'os';
+import { getProviderCapabilities, getProviderDefinition, getProviderDefinitions, loadCustomProviders } from '../providers/registry.js';
 
 const execPromise = promisify(exec);
 
-/**
- * CLI provider definitions
- * NOTE: Users can now manually select their preferred provider via ProviderSelector UI
- * First available provider is auto-selected on initial load
- */
-const CLI_PROVIDERS = {
-  gemini: {
-    name: 'gemini',
-    displayName: 'Gemini CLI',
-    command: 'gemini',
-    versionFlag: '--version',
-    installUrl: 'https://ai.google.dev/gemini-api/docs/cli'
-  },
-  claude: {
-    name: 'claude',
-    displayName: 'Claude CLI',
-    command: 'claude',
-    versionFlag: '--version',
-    installUrl: 'https://claude.ai/cli'
-  },
-  openai: {
-    name: 'openai',
-    displayName: 'OpenAI CLI',
-    command: 'openai',
-    versionFlag: '--version',
-    installUrl: 'https://platform.openai.com/docs/api-reference/cli'
-  }
-};
-
 /**
  * Check if a command exists on the system
  * @param {string} command - The command to check
@@ -79,7 +51,7 @@ async function getCommandVersion(command, versionFlag = '--version') {
  * @returns {Promise<boolean>} True if available, false otherwise
  */
 export async function isCLIAvailable(providerName) {
-  const provider = CLI_PROVIDERS[providerName];
+  const provider = getProviderDefinition(providerName);
   if (!provider) {
     return false;
   }
@@ -93,7 +65,7 @@ export async function isCLIAvailable(providerName) {
  * @returns {Promise<string|null>} Version string or null if not available
  */
 export async function getCLIVersion(providerName) {
-  const provider = CLI_PROVIDERS[providerName];
+  const provider = getProviderDefinition(providerName);
   if (!provider) {
     return null;
   }
@@ -111,49 +83,87 @@ export async function getCLIVersion(providerName) {
  * @returns {Promise<CLIProvider[]>} Array of CLI provider information
  */
 export async function detectAvailableCLIs() {
-  const providers = Object.values(CLI_PROVIDERS);
-
-  const results = await Promise.all(
-    providers.map(async (provider) => {
-      const available = await commandExists(provider.command);
-      const version = available ? await getCommandVersion(provider.command, provider.versionFlag) : null;
-
-      return {
-        name: provider.name,
-        displayName: provider.displayName,
-        available,
-        version,
-        installUrl: provider.installUrl
-      };
-    })
-  );
-
-  return results;
+  // Re-read user-defined providers so new definition files show up without a restart
+  loadCustomProviders();
+  const providers = getProviderDefinitions();
+
+  return Promise.all(providers.map(describeProvider));
 }
 
 /**
- * Get information about a specific CLI provider
- * @param {string} providerName - The provider name
- * @returns {Promise<CLIProvider|null>} Provider information or null if not found
+ * Detect one provider: installed version and the models and parameters that can be selected
+ * @private
+ * @param {import('../providers/registry.js').ProviderDefinition} provider
+ * @returns {Promise<CLIProvider>}
  */
-export async function getCLIProvider(providerName) {
-  const provider = CLI_PROVIDERS[providerName];
-  if (!provider) {
-    return null;
-  }
-
+async function describeProvider(provider) {
   const available = await commandExists(provider.command);
   const version = available ? await getCommandVersion(provider.command, provider.versionFlag) : null;
+  const capabilities = getProviderCapabilities(provider.name);
+
+  // Local providers offer the installed models, the others the models their CLI accepts
+  let models;
+  if (provider.listModelsArgs) {
+    models = available ? await listLocalModels(provider.name) : undefined;
+  } else if (capabilities.models?.length > 0) {
+    models = capabilities.models.map(name => ({ name, id: '', size: '', modified: '' }));
+  }
 
   return {
     name: provider.name,
     displayName: provider.displayName,
     available,
     version,
-    installUrl: provider.installUrl
+    installUrl: provider.installUrl,
+    local: Boolean(provider.local),
+    custom: Boolean(provider.custom),
+    models,
+    parameters: { temperature: capabilities.temperature, maxTokens: capabilities.maxTokens }
   };
 }
 
+/**
+ * List the models installed for a local model provider (e.g. "ollama list")
+ * @param {string} providerName - The provider name
+ * @returns {Promise<LocalModel[]>} Installed models in the CLI's order (empty if unavailable)
+ */
+export async function listLocalModels(providerName) {
+  const provider = getProviderDefinition(providerName);
+  if (!provider?.listModelsArgs) {
+    return [];
+  }
+
+  try {
+    const { stdout } = await execPromise(`${provider.command} ${provider.listModelsArgs}`);
+    // Table with a header row: NAME  ID  SIZE  MODIFIED (columns separated by 2+ spaces)
+    return stdout
+      .split('\n')
+      .slice(1)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [name, id, size, modified] = line.split(/\s{2,}/);
+        return { name, id: id || '', size: size || '', modified: modified || '' };
+      });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get information about a specific CLI provider
+ * @param {string} providerName - The provider name
+ * @returns {Promise<CLIProvider|null>} Provider information or null if not found
+ */
+export async function getCLIProvider(providerName) {
+  const provider = getProviderDefinition(providerName);
+  if (!provider) {
+    return null;
+  }
+
+  return describeProvider(provider);
+}
+
 /**
  * Get list of available (installed) CLI providers
  * @returns {Promise<CLIProvider[]>} Array of available CLI providers
@@ -171,3 +181,26 @@ export async function getUnavailableCLIs() {
   const allProviders = await detectAvailableCLIs();
   return allProviders.filter(provider => !provider.available);
 }
+
+/**
+ * Detected provider
+ * @typedef {Object} CLIProvider
+ * @property {string} name
+ * @property {string} displayName
+ * @property {boolean} available - CLI is installed
+ * @property {string | null} version
+ * @property {string | null} installUrl
+ * @property {boolean} local - Runs models on this computer
+ * @property {boolean} custom - User-defined provider
+ * @property {LocalModel[]} [models] - Models that can be selected (installed models for local providers)
+ * @property {{temperature: boolean, maxTokens: boolean}} parameters - Sampling parameters the CLI accepts
+ */
+
+/**
+ * Local model type definition (also used for the models a cloud CLI accepts, without id/size/modified)
+ * @typedef {Object} LocalModel
+ * @property {string} name - Model name to run, e.g. "llama3.1:8b"
+ * @property {string} id - Model id
+ * @property {string} size - Size on disk, e.g. "4.7 GB"
+ * @property {string} modified - When the model was pulled, e.g. "2 weeks ago"
+ */
@@ -0,0 +1,176 @@
+/**
+ * Consensus
+ * Merges the structured findings of the same prompt run on several providers:
+ * findings the providers agree on, findings only one provider raised, and
+ * findings they raised with different severity. Findings are matched on the
+ * cited clause and, where no clause is cited, on category and quoted text.
+ */
+
+import { SEVERITY_LEVELS, sortFindingsBySeverity } from './findings.js';
+
+// Word overlap (0-1) at which two findings without a clause are about the same thing
+const TEXT_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Merge the findings of several providers
+ * @param {Array<{provider: string, findings: import('./findings.js').Finding[]|null}>} results - One entry per provider
+ * @param {ConsensusFailure[]} [failed] - Providers that failed (named in the report, not compared)
+ * @returns {Consensus}
+ */
+export function buildConsensus(results, failed = []) {
+  const compared = results.filter(result => result.findings);
+  const groups = [];
+
+  for (const { provider, findings } of compared) {
+    for (const finding of sortFindingsBySeverity(findings)) {
+      const group = findBestGroup(groups, provider, finding);
+      if (group) {
+        group.findings.push({ provider, finding });
+      } else {
+        groups.push({ findings: [{ provider, finding }] });
+      }
+    }
+  }
+
+  const shared = groups.filter(group => group.findings.length > 1).map(toConsensusFinding);
+
+  return {
+    providers: results.map(result => result.provider),
+    missing: results.filter(result => !result.findings).map(result => result.provider),
+    failed,
+    agreed: shared.filter(item => !item.conflict),
+    conflicts: shared.filter(item => item.conflict),
+    single: groups.filter(group => group.findings.length === 1).map(toConsensusFinding),
+    // One finding per group at the most severe assessment (basis for the overall risk score)
+    findings: sortFindingsBySeverity(groups.map(group => toConsensusFinding(group).finding))
+  };
+}
+
+/**
+ * Summary line, e.g. "4 fælles fund, 2 med forskellig alvorlighed, 3 kun fundet af én model"
+ * @param {Consensus} consensus
+ * @returns {string}
+ */
+export function summarizeConsensus(consensus) {
+  return [
+    `${consensus.agreed.length} fælles fund`,
+    `${consensus.conflicts.length} med forskellig alvorlighed`,
+    `${consensus.single.length} kun fundet af én model`
+  ].join(', ');
+}
+
+/**
+ * The group a finding belongs to: one without a finding from the same provider,
+ * citing the same clause (or, without a clause, with similar category and quote)
+ * @private
+ */
+function findBestGroup(groups, provider, finding) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const group of groups) {
+    if (group.findings.some(item => item.provider === provider)) continue;
+
+    const [{ finding: other }] = group.findings;
+    const score = matchScore(finding, other);
+    if (score > bestScore) {
+      best = group;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * How well two findings match (0 = not the same finding)
+ * @private
+ */
+function matchScore(a, b) {
+  const clauseA = normalizeClause(a.clause);
+  const clauseB = normalizeClause(b.clause);
+  if (clauseA !== clauseB) return 0;
+
+  const sameCategory = normalizeText(a.category) === normalizeText(b.category);
+  const textOverlap = wordOverlap(a.quote || a.explanation, b.quote || b.explanation);
+
+  // Without a clause the text has to show it is the same issue
+  if (!clauseA && !sameCategory && textOverlap < TEXT_MATCH_THRESHOLD) return 0;
+
+  return 1 + (sameCategory ? 1 : 0) + textOverlap;
+}
+
+/**
+ * Consensus entry for a group of matched findings
+ * @private
+ */
+function toConsensusFinding(group) {
+  const severities = [...new Set(group.findings.map(item => item.finding.severity))];
+  const [mostSevere] = group.findings
+    .map(item => item.finding)
+    .sort((a, b) => SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity));
+
+  return {
+    finding: mostSevere,
+    providers: group.findings.map(item => item.provider),
+    severities: Object.fromEntries(group.findings.map(item => [item.provider, item.finding.severity])),
+    conflict: severities.length > 1
+  };
+}
+
+/**
+ * "§ 12.3", "§12.3" and "12.3" cite the same clause
+ * @private
+ */
+function normalizeClause(clause) {
+  return clause ? clause.replace(/[§\s]/g, '').replace(/\.$/, '').toLowerCase() : null;
+}
+
+/**
+ * @private
+ */
+function normalizeText(text) {
+  return (text || '').trim().toLowerCase();
+}
+
+/**
+ * Share of the shorter text's words found in the other text
+ * @private
+ */
+function wordOverlap(a, b) {
+  const words = (text) => new Set(normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 2));
+  const wordsA = words(a);
+  const wordsB = words(b);
+  const size = Math.min(wordsA.size, wordsB.size);
+  if (size === 0) return 0;
+  return [...wordsA].filter(word => wordsB.has(word)).length / size;
+}
+
+/**
+ * Finding raised by one or more providers
+ * @typedef {Object} ConsensusFinding
+ * @property {import('./findings.js').Finding} finding - The finding (the most severe assessment if they differ)
+ * @property {string[]} providers - Providers that raised it
+ * @property {Object<string, string>} severities - Severity per provider
+ * @property {boolean} conflict - Whether the providers assessed the severity differently
+ */
+
+/**
+ * Merged findings of several providers
+ * @typedef {Object} Consensus
+ * @property {string[]} providers - Compared providers
+ * @property {string[]} missing - Providers without structured findings (not part of the comparison)
+ * @property {ConsensusFailure[]} failed - Providers whose analysis failed (not part of the comparison)
+ * @property {ConsensusFinding[]} agreed - Raised by several providers with the same severity
+ * @property {ConsensusFinding[]} conflicts - Raised by several providers with different severity
+ * @property {ConsensusFinding[]} single - Raised by one provider only
+ * @property {import('./findings.js').Finding[]} findings - One finding per issue, most severe assessment
+ */
+
+/**
+ * Provider that failed in a consensus review
+ * @typedef {Object} ConsensusFailure
+ * @property {string} provider
+ * @property {string} errorCode - E.g. 'RATE_LIMIT'
+ * @property {string} reason - User message of the error (Danish)
+ */
@@ -0,0 +1,149 @@
+import { renderAnchoredDocument } from './document-model.js';
+
+/**
+ * Document Chunker
+ * Splits a document model into chunks that fit a provider's input budget.
+ * Chunks follow clause boundaries; clauses that are too large on their own
+ * are split by paragraph (and, as a last resort, by sentence).
+ */
+
+// Conservative characters-per-token ratio for Danish legal text
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Rough token estimate for text (used when the provider has no estimator)
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Plan chunks for a document
+ * @param {import('./document-model.js').DocumentModel} model - Document model
+ * @param {number} maxTokens - Token budget per chunk (document text only)
+ * @param {function(string): number} [estimate] - Token estimator
+ * @returns {DocumentChunk[]} Chunks in document order
+ */
+export function planChunks(model, maxTokens, estimate = estimateTokens) {
+  if (!maxTokens || maxTokens <= 0) {
+    throw new Error('maxTokens must be a positive number');
+  }
+
+  const units = model.sections.flatMap((section) => splitSection(section, maxTokens, estimate));
+
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+
+  units.forEach((unit) => {
+    const tokens = estimate(unit.text) + estimate(unit.heading || '') + 10; // + anchor line
+    if (current.length > 0 && currentTokens + tokens > maxTokens) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(unit);
+    currentTokens += tokens;
+  });
+  if (current.length > 0) {
+    groups.push(current);
+  }
+
+  return groups.map((sections, index) => ({
+    index: index + 1,
+    total: groups.length,
+    sections,
+    range: formatRange(sections),
+    text: renderAnchoredDocument({ ...model, sections })
+  }));
+}
+
+/**
+ * Split a section that exceeds the budget into parts
+ * @private
+ */
+function splitSection(section, maxTokens, estimate) {
+  if (estimate(section.text) <= maxTokens) {
+    return [section];
+  }
+
+  const pieces = section.text
+    .split(/\n\n+/)
+    .flatMap((paragraph) => (estimate(paragraph) <= maxTokens ? [paragraph] : splitParagraph(paragraph, maxTokens, estimate)));
+
+  const parts = [];
+  let buffer = '';
+  pieces.forEach((piece) => {
+    const candidate = buffer ? `${buffer}\n\n${piece}` : piece;
+    if (buffer && estimate(candidate) > maxTokens) {
+      parts.push(buffer);
+      buffer = piece;
+    } else {
+      buffer = candidate;
+    }
+  });
+  if (buffer) {
+    parts.push(buffer);
+  }
+
+  return parts.map((text, index) => ({
+    ...section,
+    heading: index === 0 ? section.heading : `${section.heading || ''} (fortsat)`.trim(),
+    text
+  }));
+}
+
+/**
+ * Split a very long paragraph at sentence boundaries (or hard-wrap if needed)
+ * @private
+ */
+function splitParagraph(paragraph, maxTokens, estimate) {
+  const sentences = paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph];
+  const maxChars = Math.max(1, Math.floor(paragraph.length * (maxTokens / estimate(paragraph))));
+
+  const pieces = [];
+  let buffer = '';
+  sentences.forEach((sentence) => {
+    if (sentence.length > maxChars) {
+      if (buffer) pieces.push(buffer.trim());
+      buffer = '';
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars).trim());
+      }
+      return;
+    }
+    if (buffer && estimate(buffer + sentence) > maxTokens) {
+      pieces.push(buffer.trim());
+      buffer = '';
+    }
+    buffer += sentence;
+  });
+  if (buffer.trim()) {
+    pieces.push(buffer.trim());
+  }
+
+  return pieces;
+}
+
+/**
+ * Describe the clauses covered by a chunk, e.g. "§ 1 – § 12.3"
+ * @private
+ */
+function formatRange(sections) {
+  const labels = sections.map((section) => section.label);
+  const first = labels[0];
+  const last = labels[labels.length - 1];
+  return first === last ? first : `${first} – ${last}`;
+}
+
+/**
+ * Document chunk type definition
+ * @typedef {Object} DocumentChunk
+ * @property {number} index - 1-based chunk number
+ * @property {number} total - Total number of chunks
+ * @property {import('./document-model.js').DocumentSection[]} sections - Clauses (or clause parts) in this chunk
+ * @property {string} range - Clause range description (e.g. "§ 1 – § 12.3")
+ * @property {string} text - Anchored chunk text to send to the provider
+ */
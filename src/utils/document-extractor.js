@@ -0,0 +1,218 @@
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+import mammoth from 'mammoth';
+import { ErrorFactory } from './logger.js';
+
+/**
+ * Document Extractor
+ * Turns uploaded PDF, DOCX and TXT files into normalized plain text
+ * with paragraph boundaries preserved (paragraphs separated by a blank line)
+ */
+
+/**
+ * File extensions accepted by the extractor (and by DropZone)
+ */
+export const SUPPORTED_EXTENSIONS = ['txt', 'pdf', 'docx'];
+
+// Lines that start a new paragraph even without terminal punctuation on the previous line
+// (clause numbers, paragraph signs, bullets)
+const PARAGRAPH_START_PATTERN = /^(§|\d+(\.\d+)*[.)]?\s|[-•*]\s|[a-zæøå]\)\s|(klausul|punkt|artikel|afsnit|bilag)\s+\d)/i;
+
+/**
+ * Extract normalized text from a document
+ * @param {string} filePath - Path to .pdf, .docx or .txt file
+ * @returns {Promise<ExtractedDocument>} Extracted document
+ * @throws {EnhancedError} FILE_NOT_FOUND, INVALID_FORMAT, DOCUMENT_ENCRYPTED, DOCUMENT_CORRUPT or DOCUMENT_NO_TEXT
+ */
+export async function extractDocumentText(filePath) {
+  if (!filePath || !existsSync(filePath)) {
+    throw ErrorFactory.fileNotFound(filePath);
+  }
+
+  const format = path.extname(filePath).substring(1).toLowerCase();
+
+  switch (format) {
+    case 'pdf':
+      return extractPdf(filePath);
+    case 'docx':
+      return extractDocx(filePath);
+    case 'txt':
+      return extractTxt(filePath);
+    default:
+      throw ErrorFactory.invalidFormat(format || 'ukendt', SUPPORTED_EXTENSIONS);
+  }
+}
+
+/**
+ * Normalize extracted text
+ * Unifies line endings, strips control characters, collapses repeated
+ * whitespace and keeps at most one blank line between paragraphs
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .replace(/^\uFEFF/, '') // Byte order mark
+    .replace(/\r\n?/g, '\n')
+    .replace(/\f/g, '\n\n') // Form feeds are page breaks
+    .replace(/[\u0000-\u0008\u000B\u000E-\u001F]/g, '')
+    .replace(/\u00A0/g, ' ') // Non-breaking spaces
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text from PDF, keeping the text of each page separately
+ * @private
+ */
+async function extractPdf(filePath) {
+  // Copy into a standalone array: pdf.js reads the underlying ArrayBuffer and
+  // ignores the byte offset of small, pooled Node buffers
+  const buffer = new Uint8Array(await readFile(filePath));
+  const rawPages = [];
+
+  let data;
+  try {
+    data = await pdfParse(buffer, {
+      pagerender: (pageData) => renderPdfPage(pageData).then((text) => {
+        rawPages.push(text);
+        return text;
+      })
+    });
+  } catch (err) {
+    if (err?.name === 'PasswordException' || /password|encrypt/i.test(err?.message || '')) {
+      throw ErrorFactory.encryptedDocument(filePath);
+    }
+    throw ErrorFactory.corruptDocument(filePath, 'pdf', err);
+  }
+
+  const pages = rawPages.map((pageText) => normalizeText(reflowPdfLines(pageText)));
+  const text = pages.filter((page) => page.length > 0).join('\n\n');
+
+  // A PDF with pages but no text layer is a scanned/image-only document
+  if (text.length === 0) {
+    throw ErrorFactory.noExtractableText(filePath);
+  }
+
+  return {
+    text,
+    format: 'pdf',
+    pages,
+    pageCount: data.numpages || pages.length
+  };
+}
+
+/**
+ * Extract text from DOCX (mammoth separates paragraphs with blank lines)
+ * @private
+ */
+async function extractDocx(filePath) {
+  let result;
+  try {
+    result = await mammoth.extractRawText({ path: filePath });
+  } catch (err) {
+    throw ErrorFactory.corruptDocument(filePath, 'docx', err);
+  }
+
+  const text = normalizeText(result.value);
+  if (text.length === 0) {
+    throw ErrorFactory.noExtractableText(filePath);
+  }
+
+  return {
+    text,
+    format: 'docx',
+    pages: null,
+    pageCount: null
+  };
+}
+
+/**
+ * Read plain text file
+ * @private
+ */
+async function extractTxt(filePath) {
+  const text = normalizeText(await readFile(filePath, 'utf8'));
+  if (text.length === 0) {
+    throw ErrorFactory.noExtractableText(filePath);
+  }
+
+  return {
+    text,
+    format: 'txt',
+    pages: null,
+    pageCount: null
+  };
+}
+
+/**
+ * Render a PDF page to text, breaking lines when the y-position changes
+ * @private
+ */
+async function renderPdfPage(pageData) {
+  const content = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    const y = item.transform[5];
+    if (lastY !== undefined && y !== lastY) {
+      text += '\n';
+    }
+    text += item.str;
+    lastY = y;
+  }
+
+  return text;
+}
+
+/**
+ * Join visual PDF lines back into paragraphs
+ * A line break is kept as a paragraph break when the previous line ends a
+ * sentence or the next line starts a clause, bullet or heading
+ * @private
+ */
+function reflowPdfLines(pageText) {
+  const lines = pageText.split('\n').map((line) => line.trim());
+  let result = '';
+
+  lines.forEach((line, index) => {
+    if (index === 0) {
+      result = line;
+      return;
+    }
+
+    const previous = lines[index - 1];
+    if (line.length === 0) {
+      result += '\n\n';
+    } else if (previous.length === 0) {
+      result += line;
+    } else if (/[.:;!?]$/.test(previous) || PARAGRAPH_START_PATTERN.test(line)) {
+      result += `\n\n${line}`;
+    } else if (/\w-$/.test(previous)) {
+      // Re-join words hyphenated across lines
+      result = result.slice(0, -1) + line;
+    } else {
+      result += ` ${line}`;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Extracted document type definition
+ * @typedef {Object} ExtractedDocument
+ * @property {string} text - Normalized plain text, paragraphs separated by a blank line
+ * @property {'pdf'|'docx'|'txt'} format - Source format
+ * @property {string[]|null} pages - Normalized text per page (PDF only)
+ * @property {number|null} pageCount - Number of pages (PDF only)
+ */
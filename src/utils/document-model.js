@@ -0,0 +1,342 @@
+/**
+ * Document Model
+ * Builds a clause-aware representation of extracted document text:
+ * numbered clauses ("§ 12.3", "12.3", "Klausul 4"), headings, page numbers
+ * (PDF only) and paragraph offsets. The model provides stable clause anchors
+ * that the LLM cites and the report generator links back to.
+ */
+
+// Clause number at the start of a line: "§ 12.3", "Klausul 4", "Punkt 2.1", "12.3 Titel", "4. OPSIGELSE"
+// A bare number must not run into more digits ("200.000 kr."); without "." or ")" after it ("12.3 Titel")
+// the rest of the line must read like a heading, so "30 dage efter ..." is not a clause (see parseClauseStart)
+const CLAUSE_START_PATTERN = /^(?:§\s*(\d{1,3}(?:\.\d{1,2})*)\.?|(?:klausul|punkt|artikel|afsnit|pkt\.)\s+(\d{1,3}(?:\.\d{1,2})*)\.?|(\d{1,3}(?:\.\d{1,2})*)(?:(\.(?!\d)|\))|(?=\s\S)))\s*(.*)$/i;
+
+// Clause references inside analysis text: "§ 12.3", "§§ 4", "klausul 4", "punkt 2.1"
+const CLAUSE_REFERENCE_PATTERN = /(?:§§?\s*|\b(?:klausul|punkt|artikel|pkt\.)\s+)(\d{1,3}(?:\.\d{1,3})*)/gi;
+
+// A heading is short and does not read like a sentence
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * Build a clause-aware document model from extracted text
+ * @param {import('./document-extractor.js').ExtractedDocument} document - Extracted document
+ * @returns {DocumentModel} Document model
+ */
+export function buildDocumentModel(document) {
+  const text = document.text || '';
+  const pageStarts = getPageStartOffsets(document);
+  const pageAt = (offset) => findPage(pageStarts, offset);
+
+  const paragraphs = [];
+  const sections = [];
+  let current = null;
+
+  // Walk the text line by line, tracking character offsets
+  let offset = 0;
+  let paragraphStart = null;
+  const lines = text.split('\n');
+
+  lines.forEach((line) => {
+    const lineOffset = offset;
+    offset += line.length + 1;
+
+    // Paragraph boundaries (blank lines)
+    if (line.trim().length === 0) {
+      if (paragraphStart !== null) {
+        paragraphs.push(createParagraph(text, paragraphStart, lineOffset - 1, pageAt));
+        paragraphStart = null;
+      }
+      if (current) current.lines.push('');
+      return;
+    }
+    if (paragraphStart === null) {
+      paragraphStart = lineOffset;
+    }
+
+    const clause = parseClauseStart(line);
+    if (clause) {
+      if (current) sections.push(finalizeSection(current));
+      current = {
+        number: clause.number,
+        heading: clause.heading,
+        offset: lineOffset,
+        page: pageAt(lineOffset),
+        lines: clause.body ? [clause.body] : []
+      };
+      return;
+    }
+
+    if (!current) {
+      // Text before the first numbered clause
+      current = { number: null, heading: null, offset: lineOffset, page: pageAt(lineOffset), lines: [] };
+    }
+    current.lines.push(line);
+  });
+
+  if (paragraphStart !== null) {
+    paragraphs.push(createParagraph(text, paragraphStart, text.length, pageAt));
+  }
+  if (current) sections.push(finalizeSection(current));
+
+  // Keep anchors unique if a number appears twice (e.g. numbering restarts in an appendix)
+  const seen = new Map();
+  sections.forEach((section) => {
+    const count = seen.get(section.id) || 0;
+    seen.set(section.id, count + 1);
+    if (count > 0) {
+      section.id = `${section.id}-${count + 1}`;
+    }
+  });
+
+  return {
+    format: document.format,
+    pageCount: document.pageCount || null,
+    text,
+    sections,
+    paragraphs
+  };
+}
+
+/**
+ * Format the citation for a section, e.g. "§ 12.3 (s. 7)"
+ * @param {DocumentSection} section - Section to cite
+ * @returns {string} Citation
+ */
+export function formatClauseReference(section) {
+  const label = section.label;
+  return section.page ? `${label} (s. ${section.page})` : label;
+}
+
+/**
+ * Render the document with a stable anchor line in front of every clause
+ * This is the text sent to the LLM so it can cite "§ 12.3 (s. 7)"
+ *
+ * @param {DocumentModel} model - Document model
+ * @returns {string} Anchored document text
+ */
+export function renderAnchoredDocument(model) {
+  const hasClauses = model.sections.some((section) => section.number);
+  if (!hasClauses) {
+    // Join section text rather than using model.text so partial models (chunks) render only their own part
+    return model.sections.map((section) => section.text).filter(Boolean).join('\n\n');
+  }
+
+  const intro = model.pageCount
+    ? 'Dokumentet er opdelt i klausuler markeret med [§ nummer | s. side]. Henvis altid til klausuler i formatet "§ 12.3 (s. 7)".'
+    : 'Dokumentet er opdelt i klausuler markeret med [§ nummer]. Henvis altid til klausuler i formatet "§ 12.3".';
+
+  const blocks = model.sections.map((section) => {
+    const body = section.text;
+    if (!section.number) {
+      return body;
+    }
+    const anchor = section.page ? `[${section.label} | s. ${section.page}]` : `[${section.label}]`;
+    const heading = section.heading ? ` ${section.heading}` : '';
+    return `${anchor}${heading}${body ? `\n${body}` : ''}`;
+  });
+
+  return `${intro}\n\n${blocks.filter(Boolean).join('\n\n')}`;
+}
+
+/**
+ * Split analysis text into plain segments and clause references
+ * Only references that resolve to a clause in the model are linked
+ *
+ * @param {string} text - Analysis text (e.g. a report paragraph)
+ * @param {DocumentSection[]} sections - Clause index from the document model
+ * @returns {Array<{text: string, section?: DocumentSection}>} Segments in order
+ */
+export function splitClauseReferences(text, sections) {
+  if (!text || !sections || sections.length === 0) {
+    return [{ text: text || '' }];
+  }
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CLAUSE_REFERENCE_PATTERN)) {
+    const section = findSectionByNumber(sections, match[1]);
+    if (!section) continue;
+
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index) });
+    }
+    segments.push({ text: match[0], section });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex) });
+  }
+
+  return segments;
+}
+
+/**
+ * Find all clauses referenced in analysis text (unique, in order of first mention)
+ * @param {string} text - Analysis text
+ * @param {DocumentSection[]} sections - Clause index from the document model
+ * @returns {DocumentSection[]} Referenced sections
+ */
+export function findClauseReferences(text, sections) {
+  const referenced = [];
+  splitClauseReferences(text, sections).forEach((segment) => {
+    if (segment.section && !referenced.includes(segment.section)) {
+      referenced.push(segment.section);
+    }
+  });
+  return referenced;
+}
+
+/**
+ * Look up a section by clause number ("12.3")
+ * @param {DocumentSection[]} sections - Clause index
+ * @param {string} number - Clause number
+ * @returns {DocumentSection|undefined} Matching section
+ */
+export function findSectionByNumber(sections, number) {
+  const normalized = normalizeClauseNumber(number);
+  return sections.find((section) => section.number === normalized);
+}
+
+/**
+ * Parse a clause number at the start of a line
+ * @private
+ */
+function parseClauseStart(line) {
+  const match = line.trim().match(CLAUSE_START_PATTERN);
+  if (!match) return null;
+
+  const number = normalizeClauseNumber(match[1] || match[2] || match[3]);
+  const rest = (match[5] || '').trim();
+
+  // "12.3 Titel" - a bare number without "." or ")" only starts a clause before a heading
+  if (match[3] && !match[4] && !isHeadingLike(rest)) {
+    return null;
+  }
+
+  // "4. KONTRAKTPERIODE" - the rest of the line is the heading
+  if (rest.length > 0 && rest.length <= MAX_HEADING_LENGTH && !/[.;]$/.test(rest)) {
+    const colon = rest.match(/^([^.:]{1,60}):\s*(.*)$/);
+    if (colon && colon[2]) {
+      return { number, heading: colon[1].trim(), body: colon[2].trim() };
+    }
+    return { number, heading: rest.replace(/:$/, ''), body: '' };
+  }
+
+  // "1. TERRITORY: The franchisee shall ..." - heading before colon, body after
+  const colon = rest.match(/^([^.:]{1,60}):\s+(.+)$/);
+  if (colon) {
+    return { number, heading: colon[1].trim(), body: colon[2].trim() };
+  }
+
+  // "2.1 Franchisetageren skal ..." - numbered clause without heading
+  return { number, heading: null, body: rest };
+}
+
+/**
+ * Short text without sentence punctuation ("Opsigelse", "TERRITORY")
+ * @private
+ */
+function isHeadingLike(text) {
+  return text.length <= MAX_HEADING_LENGTH && !/[.,;:!?]/.test(text);
+}
+
+/**
+ * Normalize a clause number ("12.3." -> "12.3")
+ * @private
+ */
+function normalizeClauseNumber(number) {
+  return String(number).replace(/\.$/, '');
+}
+
+/**
+ * Finish a section under construction
+ * @private
+ */
+function finalizeSection(current) {
+  const text = current.lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  const number = current.number;
+
+  return {
+    id: number ? `klausul-${number.replace(/\./g, '-')}` : 'indledning',
+    number,
+    label: number ? `§ ${number}` : 'Indledning',
+    heading: current.heading,
+    level: number ? number.split('.').length : 0,
+    page: current.page,
+    offset: current.offset,
+    text
+  };
+}
+
+/**
+ * Create paragraph entry with offsets and page
+ * @private
+ */
+function createParagraph(text, start, end, pageAt) {
+  return {
+    offset: start,
+    length: end - start,
+    page: pageAt(start),
+    text: text.slice(start, end)
+  };
+}
+
+/**
+ * Compute the character offset where each page starts in the combined text
+ * (the extractor joins non-empty pages with a blank line)
+ * @private
+ */
+function getPageStartOffsets(document) {
+  if (!Array.isArray(document.pages)) {
+    return null;
+  }
+
+  const starts = [];
+  let offset = 0;
+  document.pages.forEach((pageText, index) => {
+    if (pageText.length === 0) return;
+    starts.push({ page: index + 1, offset });
+    offset += pageText.length + 2;
+  });
+  return starts;
+}
+
+/**
+ * Find the page containing a character offset
+ * @private
+ */
+function findPage(pageStarts, offset) {
+  if (!pageStarts) return null;
+
+  let page = null;
+  for (const start of pageStarts) {
+    if (start.offset > offset) break;
+    page = start.page;
+  }
+  return page;
+}
+
+/**
+ * Document section (clause) type definition
+ * @typedef {Object} DocumentSection
+ * @property {string} id - Stable anchor id (e.g. "klausul-12-3")
+ * @property {string|null} number - Clause number (e.g. "12.3"), null for text before the first clause
+ * @property {string} label - Display label (e.g. "§ 12.3")
+ * @property {string|null} heading - Clause heading if present
+ * @property {number} level - Nesting depth (1 for "12", 2 for "12.3")
+ * @property {number|null} page - Page where the clause starts (PDF only)
+ * @property {number} offset - Character offset in the document text
+ * @property {string} text - Clause body text
+ */
+
+/**
+ * Document model type definition
+ * @typedef {Object} DocumentModel
+ * @property {string} format - Source format
+ * @property {number|null} pageCount - Number of pages (PDF only)
+ * @property {string} text - Normalized document text
+ * @property {DocumentSection[]} sections - Clauses in document order
+ * @property {Array<{offset: number, length: number, page: number|null, text: string}>} paragraphs - Paragraphs with offsets
+ */
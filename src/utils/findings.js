@@ -0,0 +1,281 @@
+/**
+ * Structured Findings
+ * Schema, prompt instructions and parsing for the machine-readable findings
+ * block the model appends to its markdown analysis. Reports, history and
+ * downstream tooling read findings from here instead of parsing headings.
+ */
+
+// Name of the findings instructions in the prompt history
+export const FINDINGS_INSTRUCTIONS_NAME = 'findings-instructions';
+
+// Severity levels, most severe first
+export const SEVERITY_LEVELS = ['Høj', 'Middel', 'Lav'];
+
+/**
+ * JSON schema for the findings block
+ * Only the subset of JSON Schema understood by validateFindings() is used
+ */
+export const FINDINGS_SCHEMA = {
+  type: 'object',
+  required: ['findings'],
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'clause', 'severity', 'quote', 'explanation', 'suggestion'],
+        properties: {
+          category: { type: 'string', minLength: 1 },
+          clause: { type: ['string', 'null'] },
+          severity: { type: 'string', enum: SEVERITY_LEVELS },
+          quote: { type: 'string' },
+          explanation: { type: 'string', minLength: 1 },
+          suggestion: { type: ['string', 'null'] },
+          change: { type: 'integer' }
+        }
+      }
+    }
+  }
+};
+
+// Example shown to the model (kept in sync with FINDINGS_SCHEMA)
+const FINDINGS_EXAMPLE = {
+  findings: [
+    {
+      category: 'Juridisk risiko',
+      clause: '§ 12.3',
+      severity: 'Høj',
+      quote: 'Franchisegiver kan opsige aftalen med 3 måneders varsel.',
+      explanation: 'Kort ensidigt opsigelsesvarsel giver franchisetager ringe sikkerhed for investeringen.',
+      suggestion: 'Hver af parterne kan opsige aftalen med 12 måneders varsel til udgangen af et kalenderår.'
+    }
+  ]
+};
+
+/**
+ * Instructions appended to every analysis prompt
+ * @returns {string} Findings instructions (Danish)
+ */
+export function getFindingsInstructions() {
+  return [
+    '## Strukturerede fund',
+    '',
+    'Afslut dit svar med præcis én JSON-kodeblok (```json ... ```) efter den sidste markdown-sektion. ' +
+      'Blokken skal indeholde alle fund fra analysen - hver risiko, uklar formulering, manglende klausul eller vurderet ændring - i dette format:',
+    '',
+    '```json',
+    JSON.stringify(FINDINGS_EXAMPLE, null, 2),
+    '```',
+    '',
+    'Regler for blokken:',
+    '- "category": kort kategori, fx "Juridisk risiko", "Uklar formulering", "Manglende klausul" eller "Ændring"',
+    '- "clause": klausulnummeret som i dokumentet (fx "§ 12.3"), eller null hvis fundet ikke hører til en bestemt klausul',
+    `- "severity": præcis en af ${SEVERITY_LEVELS.map(level => `"${level}"`).join(', ')}`,
+    '- "quote": ordret citat fra dokumentet, eller tom streng hvis der ikke er noget at citere (fx en manglende klausul)',
+    '- "explanation": forklaring af problemet',
+    '- "suggestion": forslag til ny formulering, eller null',
+    '- "change": kun ved sammenligning af versioner - nummeret på den ændring fundet vedrører ("Ændring N")',
+    '- Blokken skal være gyldig JSON, og der må ikke stå tekst efter den.'
+  ].join('\n');
+}
+
+/**
+ * Split the analysis output into markdown and the findings JSON block
+ * The last ```json block is used; it is removed from the markdown.
+ *
+ * @param {string} output - Raw analysis output
+ * @returns {{markdown: string, json: string|null}} Markdown without the block, and the block's content
+ */
+export function extractFindingsBlock(output) {
+  const text = output || '';
+  const blocks = [...text.matchAll(/```json[^\n]*\n([\s\S]*?)```/gi)];
+  if (blocks.length === 0) {
+    return { markdown: text.trim(), json: null };
+  }
+
+  const block = blocks[blocks.length - 1];
+  const markdown = (text.slice(0, block.index) + text.slice(block.index + block[0].length))
+    .replace(/\n*#{1,4}\s*Strukturerede fund\s*$/i, '')
+    .trim();
+
+  return { markdown, json: block[1].trim() };
+}
+
+/**
+ * Parse and validate a findings block
+ * @param {string|null} json - JSON text from the findings block
+ * @returns {{findings: Finding[]|null, errors: string[]}} Findings (null if invalid) and validation errors
+ */
+export function parseFindings(json) {
+  if (!json) {
+    return { findings: null, errors: ['Ingen JSON-blok med fund fundet'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    return { findings: null, errors: [`Ugyldig JSON: ${err.message}`] };
+  }
+
+  // Tolerate a bare array of findings
+  if (Array.isArray(data)) {
+    data = { findings: data };
+  }
+  if (data && Array.isArray(data.findings)) {
+    data.findings = data.findings.map(normalizeFinding);
+  }
+
+  const errors = validateFindings(data);
+  return errors.length === 0
+    ? { findings: data.findings, errors }
+    : { findings: null, errors };
+}
+
+/**
+ * Validate findings data against FINDINGS_SCHEMA
+ * @param {*} data - Parsed findings block
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateFindings(data) {
+  return validateValue(data, FINDINGS_SCHEMA, '$');
+}
+
+/**
+ * Instructions for repairing an invalid or missing findings block
+ * @param {string[]} errors - Validation errors from the previous attempt
+ * @returns {string} Repair instructions (Danish)
+ */
+export function getRepairInstructions(errors) {
+  return [
+    'Du modtager en færdig analyse i markdown og eventuelt en JSON-blok med fund, som ikke kunne valideres.',
+    'Fejl:',
+    ...errors.map(message => `- ${message}`),
+    '',
+    'Svar KUN med én rettet JSON-kodeblok, der indeholder alle fund fra analysen. Skriv ingen anden tekst.',
+    '',
+    getFindingsInstructions()
+  ].join('\n');
+}
+
+/**
+ * Count findings per severity
+ * @param {Finding[]} findings - Findings
+ * @returns {Object<string, number>} Count per severity level, e.g. { 'Høj': 2, 'Middel': 1, 'Lav': 0 }
+ */
+export function summarizeFindings(findings) {
+  const summary = Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]));
+  (findings || []).forEach(finding => {
+    summary[finding.severity]++;
+  });
+  return summary;
+}
+
+/**
+ * Sort findings by severity (most severe first), keeping the model's order within a level
+ * @param {Finding[]} findings - Findings
+ * @returns {Finding[]} Sorted copy
+ */
+export function sortFindingsBySeverity(findings) {
+  return [...(findings || [])].sort((a, b) =>
+    SEVERITY_LEVELS.indexOf(a.severity) - SEVERITY_LEVELS.indexOf(b.severity)
+  );
+}
+
+/**
+ * Normalize common variations before validation (case, whitespace, empty values)
+ * @private
+ */
+function normalizeFinding(finding) {
+  if (!finding || typeof finding !== 'object' || Array.isArray(finding)) {
+    return finding;
+  }
+
+  const normalized = { ...finding };
+  if (typeof normalized.severity === 'string') {
+    const severity = normalized.severity.trim().toLowerCase();
+    normalized.severity = SEVERITY_LEVELS.find(level => level.toLowerCase() === severity) || normalized.severity;
+  }
+  ['clause', 'suggestion'].forEach(key => {
+    if (normalized[key] === undefined || (typeof normalized[key] === 'string' && !normalized[key].trim())) {
+      normalized[key] = null;
+    }
+  });
+  if (normalized.quote === undefined || normalized.quote === null) {
+    normalized.quote = '';
+  }
+  return normalized;
+}
+
+/**
+ * Minimal JSON Schema validation (type, required, properties, items, enum, minLength)
+ * @private
+ */
+function validateValue(value, schema, location) {
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    return [`${location}: forventede ${types.join(' eller ')}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: skal være en af ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.minLength && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push(`${location}: må ikke være tom`);
+  }
+
+  if (schema.properties && matchesType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${location}.${key}: mangler`);
+      }
+    });
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (key in value) {
+        errors.push(...validateValue(value[key], propertySchema, `${location}.${key}`));
+      }
+    });
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(item, schema.items, `${location}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Finding type definition
+ * @typedef {Object} Finding
+ * @property {string} category - Kind of finding, e.g. "Juridisk risiko"
+ * @property {string|null} clause - Clause reference, e.g. "§ 12.3"
+ * @property {'Høj'|'Middel'|'Lav'} severity - Severity
+ * @property {string} quote - Verbatim quote from the document ('' if none)
+ * @property {string} explanation - Why this is a problem
+ * @property {string|null} suggestion - Suggested wording
+ * @property {number} [change] - Change number (comparison mode only)
+ */
@@ -156,37 +156,26 @@ export class EnhancedError extends Error {
  */
 export const ErrorFactory = {
   /**
-   * CLI not found error
+   * Provider error (keeps the provider's error type, Danish message and suggestions)
    */
-  cliNotFound: (provider) => new EnhancedError(
-    `${provider} CLI not found`,
+  providerError: (providerError) => new EnhancedError(
+    providerError.message,
     {
-      userMessage: `${provider} CLI er ikke installeret eller kan ikke findes.`,
-      recoverySuggestions: [
-        `Installer ${provider} CLI fra den officielle hjemmeside`,
-        `Kontroller at CLI'en er tilgængelig i din PATH`,
-        `Genstart terminalen efter installation`,
-        `Prøv en anden CLI provider (Claude, Gemini, eller OpenAI)`
-      ],
-      errorCode: 'CLI_NOT_FOUND',
-      context: { provider }
+      userMessage: providerError.userMessage,
+      recoverySuggestions: providerError.recoverySuggestions,
+      errorCode: providerError.type,
+      context: { provider: providerError.providerId }
     }
   ),
 
   /**
-   * Authentication error
+   * Analysis cancelled by the user
    */
-  authRequired: (provider) => new EnhancedError(
-    `${provider} CLI requires authentication`,
+  cancelled: () => new EnhancedError(
+    'Analysen blev afbrudt',
     {
-      userMessage: `${provider} CLI kræver autentificering.`,
-      recoverySuggestions: [
-        `Kør '${provider.toLowerCase()} login' i terminalen`,
-        `Log ind med dine credentials`,
-        `Prøv kommandoen igen`
-      ],
-      errorCode: 'AUTH_REQUIRED',
-      context: { provider }
+      recoverySuggestions: ['Analysen blev stoppet af brugeren'],
+      errorCode: 'ANALYSIS_CANCELLED'
     }
   ),
 
@@ -242,6 +231,107 @@ export const ErrorFactory = {
     }
   ),
 
+  /**
+   * Password-protected document error
+   */
+  encryptedDocument: (filePath) => new EnhancedError(
+    `Document is encrypted: ${filePath}`,
+    {
+      userMessage: 'Dokumentet er beskyttet med adgangskode og kan ikke læses.',
+      recoverySuggestions: [
+        'Fjern adgangskoden fra PDF-filen og prøv igen',
+        'Gem dokumentet som en ny PDF uden kryptering',
+        'Brug en Word (.docx) version af dokumentet i stedet'
+      ],
+      errorCode: 'DOCUMENT_ENCRYPTED',
+      context: { filePath }
+    }
+  ),
+
+  /**
+   * Corrupt or unreadable document error
+   */
+  corruptDocument: (filePath, format, cause) => new EnhancedError(
+    `Failed to read ${format} document: ${cause?.message || filePath}`,
+    {
+      userMessage: `Dokumentet (${format}) er beskadiget eller kan ikke læses.`,
+      recoverySuggestions: [
+        'Åbn dokumentet i Word eller en PDF-læser for at kontrollere det',
+        'Gem dokumentet igen og prøv på ny',
+        'Prøv at eksportere dokumentet til et andet format'
+      ],
+      errorCode: 'DOCUMENT_CORRUPT',
+      context: { filePath, format, cause: cause?.message }
+    }
+  ),
+
+  /**
+   * Document without extractable text (e.g. scanned PDF)
+   */
+  noExtractableText: (filePath) => new EnhancedError(
+    `No extractable text in document: ${filePath}`,
+    {
+      userMessage: 'Dokumentet indeholder ingen læsbar tekst.',
+      recoverySuggestions: [
+        'Dokumentet er muligvis scannet som billeder - kør OCR på det først',
+        'Brug en tekstbaseret PDF eller Word (.docx) version',
+        'Kontroller at dokumentet ikke er tomt'
+      ],
+      errorCode: 'DOCUMENT_NO_TEXT',
+      context: { filePath }
+    }
+  ),
+
+  /**
+   * Reference materials folder missing or not a folder
+   */
+  referencePathInvalid: (referencePath) => new EnhancedError(
+    `Reference path is not a directory: ${referencePath}`,
+    {
+      userMessage: 'Mappen med referencemateriale blev ikke fundet.',
+      recoverySuggestions: [
+        'Vælg mappen igen',
+        'Kontroller at mappen ikke er flyttet eller omdøbt',
+        'Fjern referencemappen for at analysere uden referencer'
+      ],
+      errorCode: 'REFERENCE_PATH_INVALID',
+      context: { referencePath }
+    }
+  ),
+
+  /**
+   * Stored analysis not found (follow-up questions need the analysis record)
+   */
+  analysisNotFound: (analysisId) => new EnhancedError(
+    `Analysis record not found: ${analysisId}`,
+    {
+      userMessage: 'Analysen blev ikke fundet.',
+      recoverySuggestions: [
+        'Kør analysen igen for at stille opfølgende spørgsmål'
+      ],
+      errorCode: 'ANALYSIS_NOT_FOUND',
+      context: { analysisId }
+    }
+  ),
+
+  /**
+   * Follow-up question on a document too long for the provider's context window
+   * (only the clauses the question cites can be sent)
+   */
+  followUpTooLong: (provider, citesClauses) => new EnhancedError(
+    `Document too long for a follow-up question with ${provider}`,
+    {
+      userMessage: citesClauses
+        ? 'Klausulerne, spørgsmålet henviser til, er for lange til at blive sendt sammen med analysen.'
+        : 'Dokumentet er for langt til at blive sendt med spørgsmålet.',
+      recoverySuggestions: citesClauses
+        ? ['Henvis til færre klausuler i spørgsmålet']
+        : ['Henvis til de klausuler, spørgsmålet handler om, fx "§ 12.3"'],
+      errorCode: 'CONFIG',
+      context: { provider }
+    }
+  ),
+
   /**
    * Generic error with custom message
    */
@@ -0,0 +1,262 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+import { loadPrompt } from './prompt-loader.js';
+import { PROVIDER_CONFIGS_DIR, getInstructionsName, loadProviderInstructions } from './provider-config-loader.js';
+import { FINDINGS_INSTRUCTIONS_NAME, getFindingsInstructions } from './findings.js';
+
+/**
+ * Prompt History
+ * Every rendered prompt an analysis has run with, in ~/.contract-reviewer/prompt-history/<hash>.json
+ * (and the provider instructions put before it, as '<provider>-instructions', and the findings
+ * instructions appended to it, as 'findings-instructions').
+ * The file name is the SHA-256 of the prompt text, so a version is stored once however often it
+ * is used, and a report can be explained (and its analysis re-run) after the prompt file changes.
+ */
+
+export const PROMPT_HISTORY_DIR = path.join(homedir(), '.contract-reviewer', 'prompt-history');
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Content hash of a rendered prompt
+ * @param {string} content - System prompt as sent to the model
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashPrompt(content) {
+  return createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Store a rendered prompt (or mark an existing version as used again)
+ * @param {Object} prompt
+ * @param {string} prompt.promptName
+ * @param {string} prompt.content - System prompt as sent to the model
+ * @param {import('./prompt-loader.js').PromptMetadata} prompt.metadata - Metadata of the prompt file
+ * @param {Object<string, string>} [prompt.variables] - Template values it was rendered with
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/prompt-history
+ * @returns {PromptVersion|null} The stored version (null if it could not be saved)
+ */
+export function recordPromptVersion({ promptName, content, metadata, variables = {} }, dir = PROMPT_HISTORY_DIR) {
+  try {
+    const hash = hashPrompt(content);
+    const now = new Date().toISOString();
+    const stored = loadPromptVersion(hash, dir);
+    const entry = stored
+      ? { ...stored, lastUsed: now, useCount: (stored.useCount || 1) + 1 }
+      : {
+        hash,
+        promptName,
+        displayName: metadata.displayName,
+        version: metadata.version,
+        documentType: metadata.documentType,
+        source: metadata.source,
+        variables,
+        content,
+        firstUsed: now,
+        lastUsed: now,
+        useCount: 1
+      };
+
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    writeFileSync(path.join(dir, `${hash}.json`), JSON.stringify(entry, null, 2), 'utf8');
+    return entry;
+  } catch (error) {
+    console.error('Failed to save prompt version:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Load a prompt version by its hash
+ * @param {string} hash
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/prompt-history
+ * @returns {PromptVersion|null} Null if the version is not in the history
+ */
+export function loadPromptVersion(hash, dir = PROMPT_HISTORY_DIR) {
+  try {
+    if (!HASH_PATTERN.test(hash || '')) return null;
+    const file = path.join(dir, `${hash}.json`);
+    if (!existsSync(file)) return null;
+    const entry = JSON.parse(readFileSync(file, 'utf8'));
+    return entry && typeof entry.content === 'string' ? entry : null;
+  } catch (error) {
+    console.error('Failed to load prompt version:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Every stored version of a prompt, most recently used first (without the prompt text)
+ * @param {string} promptName
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/prompt-history
+ * @returns {Array<Omit<PromptVersion, 'content'>>}
+ */
+export function listPromptVersions(promptName, dir = PROMPT_HISTORY_DIR) {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => loadPromptVersion(path.basename(file, '.json'), dir))
+    .filter(entry => entry && entry.promptName === promptName)
+    .sort((a, b) => b.lastUsed.localeCompare(a.lastUsed))
+    .map(({ content: _content, ...summary }) => summary);
+}
+
+/**
+ * The prompts an analysis ran with, each compared with the prompt as it is now
+ * (rendered with the analysis' variables). Analyses from before the history have no versions.
+ * @param {import('./analysis-store.js').AnalysisRecord} record
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/prompt-history
+ * @returns {AnalysisPrompt[]}
+ */
+export function getAnalysisPrompts(record, dir = PROMPT_HISTORY_DIR) {
+  const variables = { clientName: record.clientName, ...record.promptVariables };
+
+  return record.promptNames.map(promptName => {
+    const used = record.promptVersions?.find(version => version.promptName === promptName) || null;
+    const stored = used && loadPromptVersion(used.hash, dir);
+    const loaded = loadPrompt(promptName, { variables });
+    const current = loaded.success
+      ? { version: loaded.metadata.version, hash: hashPrompt(loaded.content), content: loaded.content }
+      : null;
+
+    return {
+      promptName,
+      version: used?.version ?? null,
+      hash: used?.hash ?? null,
+      content: stored?.content ?? null,
+      current,
+      changed: Boolean(used && current && used.hash !== current.hash),
+      diff: stored && current ? diffLines(stored.content, current.content) : null,
+      versions: listPromptVersions(promptName, dir)
+    };
+  });
+}
+
+/**
+ * The provider instructions an analysis ran with, each compared with the provider's file as it is now
+ * (in the same shape as the prompts; providers that ran without instructions are left out), followed
+ * by the findings instructions appended to every prompt
+ * @param {import('./analysis-store.js').AnalysisRecord} record
+ * @param {string} [dir] - Defaults to ~/.contract-reviewer/prompt-history
+ * @param {string} [configsDir] - Defaults to provider-configs/ in the app folder
+ * @returns {Promise<AnalysisPrompt[]>}
+ */
+export async function getAnalysisInstructions(record, dir = PROMPT_HISTORY_DIR, configsDir = PROVIDER_CONFIGS_DIR) {
+  const used = (record.instructionVersions || []).filter(version => version.hash);
+
+  const instructions = await Promise.all(used.map(async ({ provider, hash }) => {
+    const promptName = getInstructionsName(provider);
+    const stored = loadPromptVersion(hash, dir);
+    const content = await loadProviderInstructions(provider, configsDir);
+    const current = content ? { version: null, hash: hashPrompt(content), content } : null;
+
+    return {
+      promptName,
+      displayName: `Provider-instruktioner (${provider})`,
+      version: null,
+      hash,
+      content: stored?.content ?? null,
+      current,
+      changed: Boolean(current && hash !== current.hash),
+      diff: stored && current ? diffLines(stored.content, current.content) : null,
+      versions: listPromptVersions(promptName, dir)
+    };
+  }));
+  return record.findingsVersion ? [...instructions, getFindingsVersion(record.findingsVersion, dir)] : instructions;
+}
+
+/**
+ * The findings instructions an analysis ran with, compared with the current ones
+ * @private
+ */
+function getFindingsVersion(hash, dir) {
+  const stored = loadPromptVersion(hash, dir);
+  const content = getFindingsInstructions();
+  const current = { version: null, hash: hashPrompt(content), content };
+
+  return {
+    promptName: FINDINGS_INSTRUCTIONS_NAME,
+    displayName: 'Instruktioner til strukturerede fund',
+    version: null,
+    hash,
+    content: stored?.content ?? null,
+    current,
+    changed: hash !== current.hash,
+    diff: stored ? diffLines(stored.content, current.content) : null,
+    versions: listPromptVersions(FINDINGS_INSTRUCTIONS_NAME, dir)
+  };
+}
+
+/**
+ * Line diff of two prompt texts (longest common subsequence)
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Lines in new-text order
+ */
+export function diffLines(oldText, newText) {
+  const oldLines = oldText.split(/\r?\n/);
+  const newLines = newText.split(/\r?\n/);
+
+  // common[i][j]: length of the longest common subsequence of oldLines[i..] and newLines[j..]
+  const common = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      common[i][j] = oldLines[i] === newLines[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      lines.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || common[i + 1][j] >= common[i][j + 1])) {
+      lines.push({ type: 'removed', text: oldLines[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: newLines[j] });
+      j++;
+    }
+  }
+  return lines;
+}
+
+/**
+ * Stored prompt version
+ * @typedef {Object} PromptVersion
+ * @property {string} hash - SHA-256 of the content
+ * @property {string} promptName
+ * @property {string} displayName
+ * @property {string|null} version - Frontmatter version of the prompt file
+ * @property {string|null} documentType - Null for provider instructions
+ * @property {'builtin'|'user'|'provider'} source - 'provider' for provider instructions
+ * @property {Object<string, string>} variables - Template values of the first analysis that used it
+ * @property {string} content - System prompt as sent to the model
+ * @property {string} firstUsed - ISO timestamp
+ * @property {string} lastUsed - ISO timestamp
+ * @property {number} useCount - Analyses that ran with it
+ */
+
+/**
+ * Prompt of an analysis with the current prompt for comparison
+ * @typedef {Object} AnalysisPrompt
+ * @property {string} promptName
+ * @property {string} [displayName] - Set for provider instructions
+ * @property {string|null} version - Version the analysis ran with (null before the history)
+ * @property {string|null} hash
+ * @property {string|null} content - Null if the version is not in the history
+ * @property {{version: string|null, hash: string, content: string}|null} current - Null if the prompt is deleted
+ * @property {boolean} changed - The prompt has changed since the analysis
+ * @property {Array<{type: 'same'|'added'|'removed', text: string}>|null} diff - Analysis version → current
+ * @property {Array<Omit<PromptVersion, 'content'>>} versions - Every stored version of the prompt
+ */
@@ -1,10 +1,76 @@
-import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { existsSync, mkdirSync, readdirSync, readFileSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 /**
  * Prompt Loader Utility
- * Handles loading and validation of system prompts from the prompts/ directory
+ * Handles loading and validation of system prompts from the built-in prompts/ directory
+ * and the user's prompt directory (~/.contract-reviewer/prompts). A user prompt with the
+ * name of a built-in overrides it; the built-in files are never written.
+ *
+ * A prompt file starts with YAML frontmatter describing the review type; the rest of
+ * the file is the system prompt sent to the model:
+ *
+ *   ---
+ *   displayName: Kontrakt
+ *   description: Analysér franchisekontrakt for juridiske risici
+ *   icon: file-text
+ *   documentType: contract
+ *   outputSections:
+ *     - Kort vurdering
+ *   ---
+ *   # Franchisekontrakt Gennemgang - System Prompt
+ *
+ * The system prompt is a template rendered at analysis time (see renderPromptTemplate):
+ * variables such as {{clientName}} and {{perspective}}, includes of shared fragments from
+ * partials/ ({{> client-context}}) and conditional sections ({{#if industry}} ... {{/if}}).
+ */
+
+// Values used when the frontmatter leaves a field out
+const DEFAULT_DOCUMENT_TYPE = 'general';
+const DEFAULT_LANGUAGE = 'da';
+
+// Prompt names are file names: lowercase letters, digits and hyphens
+const PROMPT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// New review types and edited copies of the built-ins (the app folder is read-only when packaged)
+export const USER_PROMPTS_DIR = path.join(homedir(), '.contract-reviewer', 'prompts');
+
+let userPromptsDir = USER_PROMPTS_DIR;
+
+// Shared fragments included with {{> name}}, in partials/ of either prompt directory
+const PARTIALS_DIR_NAME = 'partials';
+
+// Values used when the analysis leaves a template variable empty
+export const PROMPT_VARIABLE_DEFAULTS = {
+  perspective: 'franchisee',
+  jurisdiction: 'Danmark'
+};
+
+// {{name}}, {{#if name}}, {{#if name == "value"}}, {{#if name != "value"}}, {{else}} and {{/if}}
+const TEMPLATE_TAG = /\{\{\s*(#if\s+[^}]*?|else|\/if|[A-Za-z]\w*)\s*\}\}/g;
+const PARTIAL_TAG = /\{\{\s*>\s*([\w-]+)\s*\}\}/g;
+// A block tag on a line of its own takes the line with it
+const BLOCK_TAG_LINE = /^[ \t]*(\{\{\s*(?:#if\b[^}]*|else|\/if)\s*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Prompt metadata from the frontmatter
+ * @typedef {Object} PromptMetadata
+ * @property {string} name - File name without .md (the prompt's id)
+ * @property {string} displayName - Button label, e.g. "Kontrakt" (default: the name in Title Case)
+ * @property {string} description - One line shown as tooltip
+ * @property {string|null} icon - lucide icon name, e.g. "file-text"
+ * @property {string} documentType - Analysis type in reports: contract, manual, compliance, comparison or general
+ * @property {string|null} recommendedProvider - Provider the prompt is written for, e.g. "claude"
+ * @property {string[]} outputSections - Headings the analysis is asked to contain
+ * @property {string|null} version - Prompt version, e.g. "1.0.0"
+ * @property {string} language - Language of the analysis, e.g. "da"
+ * @property {number|null} order - Position in the prompt selector (prompts without come last, by name)
+ * @property {string[]} variables - Template variables the prompt uses, e.g. ["clientName", "perspective"]
+ * @property {'builtin'|'user'} source - Where the prompt file is
+ * @property {boolean} overridesBuiltin - A user prompt replacing the built-in with the same name
+ * @property {string} filePath - Absolute path to the prompt file
  */
 
 /**
@@ -22,12 +88,38 @@ export function getPromptsDirectory() {
 }
 
 /**
- * List all available prompt files in the prompts directory
+ * Get the user's prompt directory
+ * @returns {string} Absolute path (default: ~/.contract-reviewer/prompts)
+ */
+export function getUserPromptsDirectory() {
+  return userPromptsDir;
+}
+
+/**
+ * Read user prompts from another directory (used by tests)
+ * @param {string} [directory] - Defaults to ~/.contract-reviewer/prompts
+ */
+export function setUserPromptsDirectory(directory = USER_PROMPTS_DIR) {
+  userPromptsDir = directory;
+}
+
+/**
+ * List all available prompts: the built-ins and the user's prompts
+ * A user prompt with the name of a built-in is listed once (it overrides the built-in).
  * @returns {string[]} Array of prompt file names (without .md extension)
  */
 export function listAvailablePrompts() {
-  const promptsDir = getPromptsDirectory();
+  return [...new Set([
+    ...listPromptFiles(getPromptsDirectory()),
+    ...listPromptFiles(userPromptsDir)
+  ])];
+}
 
+/**
+ * Prompt files in a directory
+ * @private
+ */
+function listPromptFiles(promptsDir) {
   if (!existsSync(promptsDir)) {
     return [];
   }
@@ -53,22 +145,142 @@ export function listAvailablePrompts() {
 }
 
 /**
- * Get detailed information about all available prompts
- * @returns {Array<{name: string, displayName: string, filePath: string, exists: boolean}>}
+ * Get the metadata of all available prompts, in selector order
+ * Prompts that cannot be loaded (e.g. invalid frontmatter) are left out and logged.
+ * @returns {PromptMetadata[]}
  */
 export function getAvailablePromptsInfo() {
-  const promptsDir = getPromptsDirectory();
-  const promptNames = listAvailablePrompts();
+  return listAvailablePrompts()
+    .map(name => {
+      const loadResult = loadPrompt(name);
+      if (!loadResult.success) {
+        console.error(`Skipping prompt ${name}: ${loadResult.error}`);
+        return null;
+      }
+      return loadResult.metadata;
+    })
+    .filter(Boolean)
+    .sort(comparePrompts);
+}
 
-  return promptNames.map(name => {
-    const filePath = path.join(promptsDir, `${name}.md`);
-    return {
-      name,
-      displayName: formatPromptDisplayName(name),
-      filePath,
-      exists: existsSync(filePath)
-    };
-  });
+/**
+ * Get the metadata of one prompt
+ * @param {string} promptName - The prompt name
+ * @returns {PromptMetadata|null} Null if the prompt does not exist or cannot be loaded
+ */
+export function getPromptMetadata(promptName) {
+  const loadResult = loadPrompt(promptName);
+  return loadResult.success ? loadResult.metadata : null;
+}
+
+/**
+ * Split a markdown file into its YAML frontmatter and body
+ * Supports the subset of YAML prompt files use: `key: value` pairs with plain, quoted,
+ * numeric or boolean scalars, inline lists (`[a, b]`) and block lists (`- item` lines).
+ * @param {string} text - File content
+ * @returns {{attributes: Object, body: string}} Without frontmatter the attributes are empty
+ * @throws {Error} If the frontmatter is not closed or a line cannot be parsed (message names the line)
+ */
+export function parseFrontmatter(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  if (lines[0].trim() !== '---') {
+    return { attributes: {}, body: text };
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    throw new Error('Frontmatter is not closed with ---');
+  }
+
+  const attributes = {};
+  let listKey = null;
+  for (let index = 1; index < end; index++) {
+    const line = lines[index];
+    const lineNumber = index + 1;
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+
+    const item = line.match(/^\s+-\s*(.*)$/);
+    if (item) {
+      if (!listKey) {
+        throw new Error(`List item without a key on line ${lineNumber}`);
+      }
+      attributes[listKey].push(parseScalar(item[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Invalid frontmatter on line ${lineNumber}: ${line.trim()}`);
+    }
+    const [, key, value] = pair;
+    if (value === '') {
+      // A block list follows (or the value is empty)
+      attributes[key] = [];
+      listKey = key;
+    } else {
+      attributes[key] = value.startsWith('[') && value.endsWith(']')
+        ? value.slice(1, -1).split(',').map(entry => entry.trim()).filter(Boolean).map(parseScalar)
+        : parseScalar(value);
+      listKey = null;
+    }
+  }
+
+  return {
+    attributes,
+    body: lines.slice(end + 1).join('\n').replace(/^\s*\n/, '')
+  };
+}
+
+/**
+ * Parse a YAML scalar: quoted string, number, boolean or plain string
+ * @private
+ */
+function parseScalar(value) {
+  const trimmed = value.trim();
+  const quoted = trimmed.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+  return trimmed;
+}
+
+/**
+ * Metadata from frontmatter attributes, with defaults for the fields left out
+ * @private
+ */
+function toPromptMetadata(name, attributes, template, filePath) {
+  const source = path.resolve(path.dirname(filePath)) === path.resolve(userPromptsDir) ? 'user' : 'builtin';
+  const text = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+  const sections = Array.isArray(attributes.outputSections) ? attributes.outputSections : [];
+  return {
+    name,
+    displayName: text(attributes.displayName) || formatPromptDisplayName(name),
+    description: text(attributes.description) || '',
+    icon: text(attributes.icon),
+    documentType: text(attributes.documentType) || DEFAULT_DOCUMENT_TYPE,
+    recommendedProvider: text(attributes.recommendedProvider),
+    outputSections: sections.map(String),
+    version: text(attributes.version),
+    language: text(attributes.language) || DEFAULT_LANGUAGE,
+    order: typeof attributes.order === 'number' ? attributes.order : null,
+    variables: getTemplateVariables(template),
+    source,
+    overridesBuiltin: source === 'user' && isBuiltinPrompt(name),
+    filePath
+  };
+}
+
+/**
+ * Selector order: by `order`, prompts without last, then by display name
+ * @private
+ */
+function comparePrompts(a, b) {
+  if (a.order !== b.order) {
+    if (a.order === null) return 1;
+    if (b.order === null) return -1;
+    return a.order - b.order;
+  }
+  return a.displayName.localeCompare(b.displayName, 'da');
 }
 
 /**
@@ -86,24 +298,50 @@ function formatPromptDisplayName(name) {
 
 /**
  * Get the file path for a specific prompt
+ * The user's prompt is used if there is one, otherwise the built-in.
  * @param {string} promptName - The prompt name (with or without .md extension)
  * @returns {string} Absolute path to the prompt file
  */
 export function getPromptPath(promptName) {
-  const promptsDir = getPromptsDirectory();
+  const baseName = getBaseName(promptName);
+  const userPath = path.join(userPromptsDir, `${baseName}.md`);
+  return existsSync(userPath) ? userPath : getBuiltinPromptPath(baseName);
+}
 
-  // Remove .md extension if present
-  const baseName = promptName.endsWith('.md') ? promptName.slice(0, -3) : promptName;
+/**
+ * Path of the built-in prompt with a name (whether or not it exists)
+ * @private
+ */
+function getBuiltinPromptPath(promptName) {
+  return path.join(getPromptsDirectory(), `${getBaseName(promptName)}.md`);
+}
 
-  return path.join(promptsDir, `${baseName}.md`);
+/**
+ * Remove .md extension if present
+ * @private
+ */
+function getBaseName(promptName) {
+  return promptName.endsWith('.md') ? promptName.slice(0, -3) : promptName;
+}
+
+/**
+ * Check if a prompt ships with the app (it cannot be changed or deleted, only overridden)
+ * @param {string} promptName - The prompt name
+ * @returns {boolean}
+ */
+export function isBuiltinPrompt(promptName) {
+  return existsSync(getBuiltinPromptPath(promptName));
 }
 
 /**
  * Load a prompt file by name
+ * The content is the system prompt without the frontmatter, rendered with the variables.
  * @param {string} promptName - The prompt name (with or without .md extension)
- * @returns {{success: boolean, content?: string, error?: string, filePath?: string}} Load result
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.variables] - Template values, e.g. { clientName: 'Acme', perspective: 'franchisor' }
+ * @returns {{success: boolean, content?: string, metadata?: PromptMetadata, error?: string, filePath?: string}} Load result
  */
-export function loadPrompt(promptName) {
+export function loadPrompt(promptName, { variables = {} } = {}) {
   const filePath = getPromptPath(promptName);
 
   // Check if file exists
@@ -116,39 +354,208 @@ export function loadPrompt(promptName) {
   }
 
   try {
-    const content = readFileSync(filePath, 'utf8');
-
-    // Basic validation - check if content is not empty
-    if (!content || content.trim().length === 0) {
-      return {
-        success: false,
-        error: `Prompt file is empty: ${promptName}`,
-        filePath
-      };
-    }
-
+    return parsePrompt(promptName, readFileSync(filePath, 'utf8'), filePath, variables);
+  } catch (error) {
     return {
-      success: true,
-      content,
+      success: false,
+      error: `Failed to load prompt: ${error.message}`,
       filePath
     };
-  } catch (error) {
+  }
+}
+
+/**
+ * Split a prompt file's text into system prompt and metadata
+ * @private
+ */
+function parsePrompt(promptName, text, filePath, variables = {}) {
+  const { attributes, body } = parseFrontmatter(text);
+  const content = renderPromptTemplate(body, variables);
+
+  // Basic validation - check if content is not empty
+  if (!content || content.trim().length === 0) {
     return {
       success: false,
-      error: `Failed to load prompt: ${error.message}`,
+      error: `Prompt file is empty: ${promptName}`,
       filePath
     };
   }
+
+  return {
+    success: true,
+    content,
+    metadata: toPromptMetadata(path.basename(filePath, '.md'), attributes, body, filePath),
+    filePath
+  };
+}
+
+/**
+ * Render a prompt template
+ * - `{{clientName}}` inserts a variable (empty without a value; see PROMPT_VARIABLE_DEFAULTS)
+ * - `{{> client-context}}` includes partials/client-context.md (a user partial with the same name wins)
+ * - `{{#if industry}} ... {{/if}}` keeps a section when the variable has a value, and
+ *   `{{#if perspective == "franchisor"}} ... {{else}} ... {{/if}}` when it has that value (or `!=`);
+ *   sections can be nested
+ * @param {string} template - Prompt body (without frontmatter)
+ * @param {Object<string, string>} [variables] - Template values
+ * @returns {string} The system prompt
+ * @throws {Error} If a partial is missing or includes itself, a condition is invalid, or
+ *   {{#if}}, {{else}} and {{/if}} do not match
+ */
+export function renderPromptTemplate(template, variables = {}) {
+  const values = { ...PROMPT_VARIABLE_DEFAULTS, ...withoutEmptyValues(variables) };
+  const source = expandPartials(template).replace(BLOCK_TAG_LINE, '$1');
+
+  // Open sections: whether the text around them is kept and which branch is
+  const sections = [];
+  let active = true;
+  let output = '';
+  let lastIndex = 0;
+  for (const match of source.matchAll(TEMPLATE_TAG)) {
+    if (active) {
+      output += source.slice(lastIndex, match.index);
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1].trim();
+    if (tag.startsWith('#if')) {
+      const section = { parentActive: active, condition: evaluateCondition(tag, values), hasElse: false };
+      sections.push(section);
+      active = active && section.condition;
+    } else if (tag === 'else') {
+      const section = sections[sections.length - 1];
+      if (!section || section.hasElse) {
+        throw new Error(`{{else}} without {{#if}} on line ${getLineNumber(source, match.index)}`);
+      }
+      section.hasElse = true;
+      active = section.parentActive && !section.condition;
+    } else if (tag === '/if') {
+      const section = sections.pop();
+      if (!section) {
+        throw new Error(`{{/if}} without {{#if}} on line ${getLineNumber(source, match.index)}`);
+      }
+      active = section.parentActive;
+    } else if (active) {
+      output += values[tag] ?? '';
+    }
+  }
+
+  if (sections.length > 0) {
+    throw new Error('{{#if}} is not closed with {{/if}}');
+  }
+  return output + source.slice(lastIndex);
+}
+
+/**
+ * Variables a prompt template uses (in its text, conditions and partials)
+ * @param {string} template - Prompt body (without frontmatter)
+ * @returns {string[]} Variable names in order of first use
+ */
+export function getTemplateVariables(template) {
+  let source;
+  try {
+    source = expandPartials(template);
+  } catch {
+    source = template;
+  }
+
+  const names = [];
+  for (const match of source.matchAll(TEMPLATE_TAG)) {
+    const name = match[1].match(/^(?:#if\s+)?([A-Za-z]\w*)/)?.[1];
+    if (name && name !== 'else' && !names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Replace {{> name}} with the partial's text (partials can include partials)
+ * @private
+ */
+function expandPartials(template, chain = []) {
+  return template.replace(PARTIAL_TAG, (tag, name) => {
+    if (chain.includes(name)) {
+      throw new Error(`Partial includes itself: ${[...chain, name].join(' → ')}`);
+    }
+    const userPath = path.join(userPromptsDir, PARTIALS_DIR_NAME, `${name}.md`);
+    const partialPath = existsSync(userPath)
+      ? userPath
+      : path.join(getPromptsDirectory(), PARTIALS_DIR_NAME, `${name}.md`);
+    if (!existsSync(partialPath)) {
+      throw new Error(`Partial not found: ${name}`);
+    }
+    // Without the final line break the tag's own line ending ends the partial
+    return expandPartials(readFileSync(partialPath, 'utf8').replace(/\r?\n$/, ''), [...chain, name]);
+  });
+}
+
+/**
+ * Evaluate `#if name`, `#if name == "value"` or `#if name != "value"`
+ * @private
+ */
+function evaluateCondition(tag, values) {
+  const condition = tag.match(/^#if\s+([A-Za-z]\w*)(?:\s*(==|!=)\s*"([^"]*)")?$/);
+  if (!condition) {
+    throw new Error(`Invalid condition: {{${tag}}}`);
+  }
+
+  const [, name, operator, expected] = condition;
+  const value = String(values[name] ?? '');
+  if (!operator) return value.trim() !== '';
+  return operator === '==' ? value === expected : value !== expected;
+}
+
+/**
+ * @private
+ */
+function withoutEmptyValues(variables) {
+  return Object.fromEntries(Object.entries(variables || {})
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([name, value]) => [name, String(value).trim()]));
+}
+
+/**
+ * @private
+ */
+function getLineNumber(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Read a prompt file as it is on disk (frontmatter included), e.g. to edit or duplicate it
+ * @param {string} promptName - The prompt name
+ * @param {Object} [options]
+ * @param {boolean} [options.builtin] - Read the built-in even if the user has overridden it
+ * @returns {string|null} Null if the prompt does not exist
+ */
+export function readPromptSource(promptName, { builtin = false } = {}) {
+  const filePath = builtin ? getBuiltinPromptPath(promptName) : getPromptPath(promptName);
+  try {
+    return readFileSync(filePath, 'utf8');
+  } catch {
+    return null;
+  }
 }
 
 /**
  * Validate a prompt file
  * Checks if the file exists and has valid content
  * @param {string} promptName - The prompt name
+ * @param {string} [content] - Validate this text (e.g. unsaved edits) instead of the file
  * @returns {{valid: boolean, error?: string, warnings?: string[]}} Validation result
  */
-export function validatePrompt(promptName) {
-  const loadResult = loadPrompt(promptName);
+export function validatePrompt(promptName, content) {
+  let loadResult;
+  if (typeof content === 'string') {
+    try {
+      loadResult = parsePrompt(promptName, content, path.join(userPromptsDir, `${getBaseName(promptName)}.md`));
+    } catch (error) {
+      loadResult = { success: false, error: `Invalid prompt: ${error.message}` };
+    }
+  } else {
+    loadResult = loadPrompt(promptName);
+  }
 
   if (!loadResult.success) {
     return {
@@ -158,15 +565,23 @@ export function validatePrompt(promptName) {
   }
 
   const warnings = [];
-  const content = loadResult.content;
+  const { content: systemPrompt, metadata } = loadResult;
+
+  // The selector and reports need to know what the prompt is
+  if (metadata.displayName === formatPromptDisplayName(metadata.name) && !metadata.description) {
+    warnings.push('Prompt file has no frontmatter with displayName and description');
+  }
+  if (metadata.documentType === DEFAULT_DOCUMENT_TYPE) {
+    warnings.push(`Prompt file has no documentType (reported as "${DEFAULT_DOCUMENT_TYPE}")`);
+  }
 
   // Check for markdown headers (should have at least one # header)
-  if (!content.includes('#')) {
+  if (!systemPrompt.includes('#')) {
     warnings.push('Prompt file does not contain any markdown headers');
   }
 
   // Check minimum length (prompts should be substantial)
-  if (content.length < 100) {
+  if (systemPrompt.length < 100) {
     warnings.push('Prompt file seems very short (less than 100 characters)');
   }
 
@@ -176,6 +591,73 @@ export function validatePrompt(promptName) {
   };
 }
 
+/**
+ * Save a prompt in the user's prompt directory
+ * Saving under the name of a built-in overrides it (the built-in file is left as it is).
+ * @param {string} promptName - Lowercase letters, digits and hyphens, e.g. "lejekontrakt-review"
+ * @param {string} content - The whole file, frontmatter included
+ * @returns {{success: boolean, error?: string, warnings?: string[], metadata?: PromptMetadata}} Save result
+ */
+export function saveUserPrompt(promptName, content) {
+  if (typeof promptName !== 'string' || !PROMPT_NAME_PATTERN.test(promptName)) {
+    return {
+      success: false,
+      error: 'Invalid prompt name: use lowercase letters, digits and hyphens'
+    };
+  }
+
+  const validation = validatePrompt(promptName, content);
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: validation.error
+    };
+  }
+
+  try {
+    mkdirSync(userPromptsDir, { recursive: true });
+    writeFileSync(path.join(userPromptsDir, `${promptName}.md`), content, 'utf8');
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to save prompt: ${error.message}`
+    };
+  }
+
+  return {
+    success: true,
+    warnings: validation.warnings,
+    metadata: loadPrompt(promptName).metadata
+  };
+}
+
+/**
+ * Delete a user prompt (for an override this restores the built-in)
+ * @param {string} promptName - The prompt name
+ * @returns {{success: boolean, error?: string}} Delete result
+ */
+export function deleteUserPrompt(promptName) {
+  const filePath = path.join(userPromptsDir, `${getBaseName(promptName)}.md`);
+  if (!PROMPT_NAME_PATTERN.test(getBaseName(promptName)) || !existsSync(filePath)) {
+    return {
+      success: false,
+      error: isBuiltinPrompt(promptName)
+        ? `Built-in prompts cannot be deleted: ${promptName}`
+        : `Prompt file not found: ${promptName}`
+    };
+  }
+
+  try {
+    unlinkSync(filePath);
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to delete prompt: ${error.message}`
+    };
+  }
+}
+
 /**
  * Check if a specific prompt exists
  * @param {string} promptName - The prompt name
@@ -187,15 +669,11 @@ export function promptExists(promptName) {
 }
 
 /**
- * Get predefined prompt names (standard prompts that should exist)
+ * Get the names of the prompts shipped with the app (every prompt file in prompts/)
  * @returns {string[]} Array of standard prompt names
  */
 export function getStandardPromptNames() {
-  return [
-    'franchise-contract-review',
-    'franchise-manual-review',
-    'compliance-check'
-  ];
+  return listPromptFiles(getPromptsDirectory());
 }
 
 /**
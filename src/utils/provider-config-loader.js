@@ -0,0 +1,84 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Provider Config Loader
+ * Custom instructions per provider for document analysis, in
+ * provider-configs/<provider>-instructions.md (e.g. claude-instructions.md). They are put
+ * before the prompt in LLMRequest.context.instructions, so each provider passes them the way
+ * it passes the system prompt (Claude: --system-prompt; Gemini, Codex and Ollama have no
+ * system prompt flag and prepend the instructions to the message). The files are optional
+ * and read at analysis time, so an edit applies to the next analysis.
+ * Kept apart from the development CLAUDE.md, which is never sent with an analysis.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROVIDER_CONFIGS_DIR = path.join(__dirname, '..', '..', 'provider-configs');
+
+// Provider names become file names
+const PROVIDER_NAME_PATTERN = /^[\w-]+$/;
+
+// Between the provider instructions and the prompt
+const SEPARATOR = '\n\n---\n\n';
+
+/**
+ * Load custom instructions for a provider
+ * @param {string} providerName - 'claude' | 'gemini' | 'openai' | 'ollama' or a user-defined provider
+ * @param {string} [dir] - Defaults to provider-configs/ in the app folder
+ * @returns {Promise<string|null>} Custom instructions or null if there are none (missing or empty file)
+ */
+export async function loadProviderInstructions(providerName, dir = PROVIDER_CONFIGS_DIR) {
+  if (!PROVIDER_NAME_PATTERN.test(providerName || '')) {
+    return null;
+  }
+
+  try {
+    const content = await readFile(getInstructionsPath(providerName, dir), 'utf-8');
+    return content.trim() || null;
+  } catch (error) {
+    // No file is the normal case for providers without custom instructions
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read custom instructions for ${providerName}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Check if custom instructions exist for a provider
+ * @param {string} providerName - Provider name
+ * @param {string} [dir] - Defaults to provider-configs/ in the app folder
+ * @returns {Promise<boolean>} True if instructions exist
+ */
+export async function hasProviderInstructions(providerName, dir = PROVIDER_CONFIGS_DIR) {
+  return (await loadProviderInstructions(providerName, dir)) !== null;
+}
+
+/**
+ * Name of a provider's instructions (file name without .md; also their name in the prompt history)
+ * @param {string} providerName - Provider name
+ * @returns {string} E.g. 'claude-instructions'
+ */
+export function getInstructionsName(providerName) {
+  return `${providerName}-instructions`;
+}
+
+/**
+ * Put a provider's custom instructions before the prompt
+ * @param {string} instructions - Prompt text
+ * @param {string|null} customInstructions - From loadProviderInstructions
+ * @returns {string} The instructions for LLMRequest.context.instructions
+ */
+export function combineInstructions(instructions, customInstructions) {
+  return customInstructions ? `${customInstructions}${SEPARATOR}${instructions}` : instructions;
+}
+
+/**
+ * @private
+ */
+function getInstructionsPath(providerName, dir) {
+  return path.join(dir, `${getInstructionsName(providerName)}.md`);
+}
@@ -0,0 +1,133 @@
+import { existsSync, statSync, readdirSync } from 'fs';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { extractDocumentText, normalizeText, SUPPORTED_EXTENSIONS } from './document-extractor.js';
+import { estimateTokens } from './document-chunker.js';
+import { info, warn, ErrorFactory } from './logger.js';
+
+/**
+ * Reference Loader
+ * Ingests a folder of reference materials (previous contracts, the client's
+ * manual, best-practice documents) and fits them into a token budget so they
+ * can be sent to the provider as separate, labelled context (LLMRequest.context.references)
+ */
+
+/**
+ * File extensions read from a reference folder (Markdown notes are read as plain text)
+ */
+export const REFERENCE_EXTENSIONS = [...SUPPORTED_EXTENSIONS, 'md'];
+
+// Don't bother including a truncated reference smaller than this
+const MIN_REFERENCE_TOKENS = 500;
+
+/**
+ * Load reference materials from a folder
+ * Files are read in name order; when the budget runs out the current file is
+ * truncated and remaining files are skipped. Unreadable files are skipped with a warning.
+ *
+ * @param {string} referencePath - Folder with reference documents
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Token budget for all references combined
+ * @param {function(string): number} [options.estimate] - Token estimator
+ * @returns {Promise<ReferenceMaterials>} Loaded references
+ * @throws {EnhancedError} REFERENCE_PATH_INVALID if the folder doesn't exist
+ */
+export async function loadReferenceMaterials(referencePath, options = {}) {
+  const { maxTokens = Infinity, estimate = estimateTokens } = options;
+
+  if (!referencePath || !existsSync(referencePath) || !statSync(referencePath).isDirectory()) {
+    throw ErrorFactory.referencePathInvalid(referencePath);
+  }
+
+  const files = readdirSync(referencePath, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+    .map((entry) => entry.name)
+    .filter((name) => REFERENCE_EXTENSIONS.includes(path.extname(name).substring(1).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, 'da'));
+
+  const documents = [];
+  const skipped = [];
+  let remaining = maxTokens;
+
+  for (const name of files) {
+    const filePath = path.join(referencePath, name);
+
+    if (remaining < MIN_REFERENCE_TOKENS) {
+      skipped.push({ name, reason: 'budget' });
+      continue;
+    }
+
+    let text;
+    try {
+      text = await readReferenceText(filePath);
+    } catch (err) {
+      warn('Skipping unreadable reference document', { name, error: err.errorCode || err.message });
+      skipped.push({ name, reason: err.errorCode || 'UNREADABLE' });
+      continue;
+    }
+
+    let tokens = estimate(text);
+    let truncated = false;
+    if (tokens > remaining) {
+      // Cut proportionally, at a paragraph boundary where possible
+      const cut = Math.floor(text.length * (remaining / tokens));
+      const boundary = text.lastIndexOf('\n\n', cut);
+      text = text.slice(0, boundary > cut / 2 ? boundary : cut).trim();
+      tokens = estimate(text);
+      truncated = true;
+    }
+
+    documents.push({
+      name,
+      path: filePath,
+      format: path.extname(name).substring(1).toLowerCase(),
+      text,
+      tokens,
+      truncated
+    });
+    remaining -= tokens;
+  }
+
+  const totalTokens = documents.reduce((sum, doc) => sum + doc.tokens, 0);
+  info('Reference materials loaded', {
+    referencePath,
+    included: documents.length,
+    truncated: documents.filter((doc) => doc.truncated).length,
+    skipped: skipped.length,
+    totalTokens
+  });
+
+  return { path: referencePath, documents, skipped, totalTokens };
+}
+
+/**
+ * Read text from a reference file
+ * @private
+ */
+async function readReferenceText(filePath) {
+  if (path.extname(filePath).toLowerCase() === '.md') {
+    return normalizeText(await readFile(filePath, 'utf8'));
+  }
+  const document = await extractDocumentText(filePath);
+  return document.text;
+}
+
+/**
+ * Reference document type definition
+ * @typedef {Object} ReferenceDocument
+ * @property {string} name - File name (used as label)
+ * @property {string} path - Full path
+ * @property {string} format - File extension
+ * @property {string} text - Extracted (possibly truncated) text
+ * @property {number} tokens - Estimated tokens of text
+ * @property {boolean} truncated - Whether the text was cut to fit the budget
+ */
+
+/**
+ * Reference materials type definition
+ * @typedef {Object} ReferenceMaterials
+ * @property {string} path - Reference folder
+ * @property {ReferenceDocument[]} documents - Included documents
+ * @property {Array<{name: string, reason: string}>} skipped - Files left out ('budget' or an error code)
+ * @property {number} totalTokens - Estimated tokens of all included text
+ */
@@ -1,14 +1,67 @@
 import { writeFileSync, existsSync, mkdirSync } from 'fs';
 import path from 'path';
 import PDFDocument from 'pdfkit';
-import { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType } from 'docx';
+import { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, InternalHyperlink, Bookmark, Table, TableRow, TableCell, WidthType, ShadingType } from 'docx';
 import { createWriteStream } from 'fs';
+import { splitClauseReferences, findClauseReferences, formatClauseReference } from './document-model.js';
+import { extractChangeAssessments, getChangeTypeLabel } from './clause-diff.js';
+import { sortFindingsBySeverity, summarizeFindings, SEVERITY_LEVELS } from './findings.js';
+import { formatRiskScore } from './risk-score.js';
+import { summarizeConsensus } from './consensus.js';
 
 /**
  * Report Generator Utility
  * Generates professional reports in PDF, Word, and Markdown formats
+ *
+ * When config.clauseIndex (sections from the document model) is provided,
+ * clause citations like "§ 12.3" are linked to a clause appendix in every format.
+ * When config.comparison (a clause diff) is provided, a change table
+ * (clause, old wording, new wording, assessment) precedes the analysis.
+ * When config.findings (structured findings) is provided, a findings section
+ * sorted by severity precedes the analysis text, and a JSON report can be written.
+ * When config.riskScore is provided, the overall risk is summarized on the cover
+ * page (PDF) and in the metadata section (Word, Markdown).
+ * When config.metadata.local is set (the analysis ran on a local model), every
+ * format is marked "LOKAL / FORTROLIG".
+ * When config.metadata.fallbacks lists provider switches (recoverable errors), the
+ * metadata section names the providers that failed and why.
+ * When config.chapters (one analysis per prompt) is provided, a combined report is
+ * generated with a chapter per analysis type, each with its own risk, findings and text.
+ * When config.consensus (the merged findings of several providers) is provided, a
+ * "Konsensus" section precedes the chapters (one per provider): findings the providers
+ * agree on, findings they assess with different severity, and findings only one raised.
+ * When config.followUps (questions asked after the analysis) is provided, the questions
+ * and answers are added as an appendix "Opfølgende spørgsmål" after the analysis.
  */
 
+// Color for clause links
+const LINK_COLOR = '#1a73e8';
+
+// Max characters of clause text quoted in the clause appendix and change table
+const CLAUSE_EXCERPT_LENGTH = 300;
+
+// Change table column widths (share of the page width)
+const CHANGE_TABLE_COLUMNS = [0.16, 0.26, 0.26, 0.32];
+const CHANGE_TABLE_HEADERS = ['Klausul', 'Tidligere formulering', 'Ny formulering', 'Vurdering'];
+
+// Marker for analyses run on a local model (the document never left the computer)
+const LOCAL_MARKER = 'LOKAL / FORTROLIG';
+const LOCAL_NOTE = 'Analyseret med en lokal model – dokumentet er ikke sendt til en cloud-tjeneste';
+const LOCAL_COLOR = '#188038';
+
+// Title of the appendix with questions asked after the analysis
+const FOLLOW_UPS_TITLE = 'Opfølgende spørgsmål';
+
+// Topics named in the risk summary
+const RISK_SUMMARY_TOPICS = 3;
+
+// Colors per finding severity (also used for the overall risk level)
+const SEVERITY_COLORS = {
+  'Høj': '#d93025',
+  'Middel': '#e37400',
+  'Lav': '#188038'
+};
+
 /**
  * Generate a markdown report from CLI analysis results
  * Saves the raw markdown output with metadata header
@@ -27,8 +80,15 @@ export async function generateMarkdownReport(config) {
     // Build metadata header
     const metadata = buildMetadataHeader(config);
 
-    // Combine metadata and output
-    const content = `${metadata}\n\n---\n\n${config.cliResult.output || ''}`;
+    // Combine metadata, analysis (with clause links) and clause appendix
+    const appendix = buildMarkdownClauseAppendix(config);
+    const changeTable = buildMarkdownChangeTable(config);
+    const consensus = linkMarkdownClauseReferences(buildMarkdownConsensus(config), config.clauseIndex);
+    const analysis = config.chapters
+      ? config.chapters.map((chapter, index) => buildMarkdownChapter(config, chapter, index)).join('\n\n---\n\n')
+      : buildMarkdownAnalysis(config);
+    const followUps = buildMarkdownFollowUps(config);
+    const content = `${metadata}\n\n---\n\n${[changeTable, consensus, analysis, followUps].filter(Boolean).join('\n\n---\n\n')}${appendix ? `\n\n---\n\n${appendix}` : ''}`;
 
     // Write to file
     writeFileSync(config.outputPath, content, 'utf8');
@@ -73,7 +133,27 @@ export async function generatePDFReport(config) {
       // Add content
       addPDFCoverPage(doc, config);
       doc.addPage();
-      addPDFContent(doc, config);
+      if (addPDFChangeTable(doc, config)) {
+        doc.addPage();
+      }
+      if (addPDFConsensus(doc, config)) {
+        doc.addPage();
+      }
+      getReportChapters(config).forEach((chapter, index) => {
+        const chapterConfig = { ...config, ...chapter };
+        if (index > 0) {
+          doc.addPage();
+        }
+        if (config.chapters) {
+          addPDFChapterHeading(doc, chapter, index, config);
+        }
+        if (addPDFFindings(doc, chapterConfig)) {
+          doc.addPage();
+        }
+        addPDFContent(doc, chapterConfig);
+      });
+      addPDFFollowUps(doc, config);
+      addPDFClauseAppendix(doc, config);
 
       // Finalize PDF
       doc.end();
@@ -108,9 +188,6 @@ export async function generateWordReport(config) {
     // Ensure output directory exists
     ensureDirectoryExists(path.dirname(config.outputPath));
 
-    // Parse markdown to create document structure
-    const sections = parseMarkdownToSections(config.cliResult.output || '');
-
     // Build document
     const doc = new Document({
       sections: [{
@@ -124,6 +201,16 @@ export async function generateWordReport(config) {
             spacing: { after: 400 }
           }),
 
+          // Local model marker
+          ...(config.metadata.local ? [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 300 },
+            children: [
+              new TextRun({ text: LOCAL_MARKER, bold: true, color: LOCAL_COLOR.substring(1) }),
+              new TextRun({ text: ` – ${LOCAL_NOTE}`, color: LOCAL_COLOR.substring(1) })
+            ]
+          })] : []),
+
           // Metadata
           ...buildWordMetadata(config),
 
@@ -133,8 +220,20 @@ export async function generateWordReport(config) {
             spacing: { before: 200, after: 400 }
           }),
 
-          // Content
-          ...buildWordContent(sections)
+          // Change table (comparison mode)
+          ...buildWordChangeTable(config),
+
+          // Consensus between providers
+          ...buildWordConsensus(config),
+
+          // Findings and content (one chapter per analysis in a combined report)
+          ...getReportChapters(config).flatMap((chapter, index) => buildWordChapter(config, chapter, index)),
+
+          // Follow-up questions
+          ...buildWordFollowUps(config),
+
+          // Clause appendix
+          ...buildWordClauseAppendix(config)
         ]
       }]
     });
@@ -198,14 +297,33 @@ function buildMetadataHeader(config) {
   });
 
   let header = '# Analyse Rapport\n\n';
+  if (metadata.local) {
+    header += `> **${LOCAL_MARKER}** – ${LOCAL_NOTE}\n\n`;
+  }
   header += '## Dokument Information\n\n';
   header += `**Dokument:** ${metadata.originalFileName}\n\n`;
+  if (metadata.comparedWith) {
+    header += `**Sammenlignet med:** ${metadata.comparedWith}\n\n`;
+  }
   if (metadata.clientName) {
     header += `**Klient:** ${metadata.clientName}\n\n`;
   }
   header += `**Analyseret:** ${date}\n\n`;
-  header += `**Analysetype:** ${getAnalysisTypeName(metadata.documentType)}\n\n`;
-  header += `**Analyseret med:** ${cliResult.provider} CLI${cliResult.cliVersion ? ` v${cliResult.cliVersion}` : ''}\n\n`;
+  header += `**Analysetype:** ${formatAnalysisType(config)}\n\n`;
+  if (metadata.references?.length > 0) {
+    header += `**Referencemateriale:** ${metadata.references.join(', ')}\n\n`;
+  }
+  header += `**Analyseret med:** ${formatAnalyzedWith(cliResult)}\n\n`;
+  if (metadata.fallbacks?.length > 0) {
+    header += `**Provider-skift:** ${formatProviderSwitches(metadata.fallbacks)}\n\n`;
+  }
+  if (config.riskScore) {
+    header += `**Samlet risiko:** ${formatRiskScore(config.riskScore)}\n\n`;
+    const topics = getRiskTopics(config.riskScore);
+    if (topics) {
+      header += `**Største risikoområder:** ${topics}\n\n`;
+    }
+  }
 
   if (branding?.companyName) {
     header += `**Generet af:** ${branding.companyName}\n\n`;
@@ -222,11 +340,75 @@ function getAnalysisTypeName(documentType) {
   const types = {
     'contract': 'Kontrakt Gennemgang',
     'manual': 'Manual Gennemgang',
-    'compliance': 'Compliance Check'
+    'compliance': 'Compliance Check',
+    'comparison': 'Versionssammenligning',
+    'combined': 'Samlet analyse'
   };
   return types[documentType] || 'Generel Analyse';
 }
 
+/**
+ * Provider, CLI version, model and parameters for the metadata,
+ * e.g. "claude CLI v2.1.0 (opus, temperatur 0.2, maks. 4000 tokens)"
+ * @private
+ */
+function formatAnalyzedWith(cliResult) {
+  const details = [
+    cliResult.model,
+    cliResult.parameters?.temperature !== undefined ? `temperatur ${cliResult.parameters.temperature}` : null,
+    cliResult.parameters?.maxTokens !== undefined ? `maks. ${cliResult.parameters.maxTokens} tokens` : null
+  ].filter(Boolean);
+
+  const version = cliResult.cliVersion ? ` v${cliResult.cliVersion}` : '';
+  return `${cliResult.provider} CLI${version}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Provider switches for the metadata, e.g. "fra claude til gemini (Rate limit nået)"
+ * @private
+ */
+function formatProviderSwitches(fallbacks) {
+  return fallbacks.map(({ from, to, reason }) => `fra ${from} til ${to} (${reason})`).join('; ');
+}
+
+/**
+ * Analysis type for the metadata, e.g. "Samlet analyse (Kontrakt Gennemgang, Compliance Check)"
+ * or "Kontrakt Gennemgang – konsensus mellem claude og gemini"
+ * @private
+ */
+function formatAnalysisType(config) {
+  const name = getAnalysisTypeName(config.metadata.documentType);
+  if (config.consensus) return `${name} – konsensus mellem ${formatProviderList(config.consensus.providers)}`;
+  if (!config.chapters) return name;
+  return `${name} (${config.chapters.map(chapter => getAnalysisTypeName(chapter.documentType)).join(', ')})`;
+}
+
+/**
+ * Analyses in the report: the chapters of a combined report, or the report itself
+ * @private
+ */
+function getReportChapters(config) {
+  return config.chapters || [config];
+}
+
+/**
+ * Chapter title in a combined report, e.g. "2. Compliance Check" or "1. Analyse fra claude"
+ * @private
+ */
+function formatChapterTitle(chapter, index) {
+  return `${index + 1}. ${chapter.title || getAnalysisTypeName(chapter.documentType)}`;
+}
+
+/**
+ * "claude og gemini", "claude, gemini og openai"
+ * @private
+ */
+function formatProviderList(providers) {
+  return providers.length > 1
+    ? `${providers.slice(0, -1).join(', ')} og ${providers[providers.length - 1]}`
+    : providers.join('');
+}
+
 /**
  * Add cover page to PDF
  * @private
@@ -240,6 +422,15 @@ function addPDFCoverPage(doc, config) {
      .fillColor(primaryColor)
      .text('ANALYSE RAPPORT', { align: 'center' });
 
+  if (metadata.local) {
+    doc.moveDown(0.5);
+    doc.fontSize(12)
+       .fillColor(LOCAL_COLOR)
+       .text(LOCAL_MARKER, { align: 'center' });
+    doc.fontSize(9)
+       .text(LOCAL_NOTE, { align: 'center' });
+  }
+
   doc.moveDown(2);
 
   // Company name if provided
@@ -263,11 +454,25 @@ function addPDFCoverPage(doc, config) {
   });
 
   doc.text(`Dokument: ${metadata.originalFileName}`, { align: 'left' });
+  if (metadata.comparedWith) {
+    doc.text(`Sammenlignet med: ${metadata.comparedWith}`, { align: 'left' });
+  }
   if (metadata.clientName) {
     doc.text(`Klient: ${metadata.clientName}`, { align: 'left' });
   }
   doc.text(`Dato: ${date}`, { align: 'left' });
-  doc.text(`Type: ${getAnalysisTypeName(metadata.documentType)}`, { align: 'left' });
+  doc.text(`Type: ${formatAnalysisType(config)}`, { align: 'left' });
+  if (metadata.references?.length > 0) {
+    doc.text(`Referencemateriale: ${metadata.references.join(', ')}`, { align: 'left' });
+  }
+  doc.text(`Analyseret med: ${formatAnalyzedWith(config.cliResult)}`, { align: 'left' });
+  if (metadata.fallbacks?.length > 0) {
+    doc.text(`Provider-skift: ${formatProviderSwitches(metadata.fallbacks)}`, { align: 'left' });
+  }
+
+  if (config.riskScore) {
+    addPDFRiskSummaryBox(doc, config.riskScore);
+  }
 
   // Footer text on cover page
   doc.moveDown(10);
@@ -276,13 +481,55 @@ function addPDFCoverPage(doc, config) {
      .text(branding?.footerText || 'Fortroligt dokument', { align: 'center' });
 }
 
+/**
+ * Add the overall risk summary box to the PDF cover page
+ * @private
+ */
+function addPDFRiskSummaryBox(doc, riskScore) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const top = doc.y + 24;
+  const height = 96;
+  const color = SEVERITY_COLORS[riskScore.level];
+  const topics = getRiskTopics(riskScore);
+
+  doc.save()
+     .lineWidth(1.5)
+     .roundedRect(left, top, width, height, 4)
+     .stroke(color)
+     .restore();
+
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text('SAMLET RISIKO', left + 16, top + 14);
+  doc.fontSize(22)
+     .fillColor(color)
+     .text(`${riskScore.score}/100 – ${riskScore.level} risiko`, left + 16, top + 30);
+  doc.fontSize(10)
+     .fillColor('#333333')
+     .text(formatSeverityCounts(riskScore.counts), left + 16, top + 60, { width: width - 32 });
+  if (topics) {
+    doc.text(`Største risikoområder: ${topics}`, left + 16, top + 74, { width: width - 32 });
+  }
+
+  doc.x = left;
+  doc.y = top + height;
+}
+
 /**
  * Add main content to PDF
  * @private
  */
 function addPDFContent(doc, config) {
-  const content = config.cliResult.output || 'Ingen analyse tilgængelig.';
-  const sections = parseMarkdownToSections(content);
+  addPDFMarkdown(doc, config.cliResult.output || 'Ingen analyse tilgængelig.', config.clauseIndex);
+}
+
+/**
+ * Add markdown text to PDF (headings, paragraphs and list items with clause links)
+ * @private
+ */
+function addPDFMarkdown(doc, markdown, clauseIndex) {
+  const sections = parseMarkdownToSections(markdown);
 
   sections.forEach(section => {
     if (section.type === 'heading1') {
@@ -302,23 +549,111 @@ function addPDFContent(doc, config) {
       doc.moveDown(0.2);
     } else if (section.type === 'paragraph') {
       doc.fontSize(10)
-         .fillColor('#333333')
-         .text(section.content, {
-           align: 'left',
-           continued: false
-         });
+         .fillColor('#333333');
+      writePDFTextWithClauseLinks(doc, section.content, { align: 'left' }, clauseIndex);
       doc.moveDown(0.5);
     } else if (section.type === 'list-item') {
       doc.fontSize(10)
-         .fillColor('#333333')
-         .text(`• ${section.content}`, {
-           indent: 20,
-           continued: false
-         });
+         .fillColor('#333333');
+      writePDFTextWithClauseLinks(doc, `• ${section.content}`, { indent: 20 }, clauseIndex);
     }
   });
 }
 
+/**
+ * Add the title (and risk score) of a chapter in a combined PDF report
+ * @private
+ */
+function addPDFChapterHeading(doc, chapter, index, config) {
+  doc.fontSize(22)
+     .fillColor(config.branding?.primaryColor || '#1a73e8')
+     .text(formatChapterTitle(chapter, index), { continued: false });
+
+  if (chapter.riskScore) {
+    doc.fontSize(11)
+       .fillColor(SEVERITY_COLORS[chapter.riskScore.level])
+       .text(`Risiko: ${formatRiskScore(chapter.riskScore)}`, { continued: false });
+  }
+  doc.moveDown(1);
+}
+
+/**
+ * Write a PDF paragraph where clause references link to the clause appendix
+ * @private
+ */
+function writePDFTextWithClauseLinks(doc, text, options, clauseIndex) {
+  const segments = splitClauseReferences(text, clauseIndex);
+
+  segments.forEach((segment, index) => {
+    const continued = index < segments.length - 1;
+    // goTo/underline must be reset explicitly - pdfkit carries options across continued text
+    if (segment.section) {
+      doc.fillColor(LINK_COLOR)
+         .text(segment.text, { ...options, continued, goTo: segment.section.id, underline: true });
+      doc.fillColor('#333333');
+    } else {
+      doc.text(segment.text, { ...options, continued, goTo: null, underline: false });
+    }
+  });
+}
+
+/**
+ * Add appendix with the questions asked after the analysis and their answers
+ * @private
+ */
+function addPDFFollowUps(doc, config) {
+  const followUps = config.followUps || [];
+  if (followUps.length === 0) return;
+
+  doc.addPage();
+  doc.fontSize(18)
+     .fillColor('#1a73e8')
+     .text(FOLLOW_UPS_TITLE, { continued: false });
+  doc.moveDown(0.5);
+
+  followUps.forEach((followUp, index) => {
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text(`Spørgsmål ${index + 1}`, { continued: false });
+    doc.moveDown(0.2);
+    doc.fontSize(10)
+       .fillColor('#666666')
+       .text(followUp.question, { indent: 10, continued: false });
+    doc.moveDown(0.5);
+    addPDFMarkdown(doc, followUp.answer, config.clauseIndex);
+    doc.moveDown(1);
+  });
+}
+
+/**
+ * Add appendix listing the clauses cited in the analysis
+ * @private
+ */
+function addPDFClauseAppendix(doc, config) {
+  const clauses = getCitedClauses(config);
+  if (clauses.length === 0) return;
+
+  doc.addPage();
+  doc.fontSize(18)
+     .fillColor('#1a73e8')
+     .text('Klausulhenvisninger', { continued: false });
+  doc.moveDown(0.5);
+
+  clauses.forEach(clause => {
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text(formatClauseHeading(clause), { destination: clause.id, continued: false });
+    doc.moveDown(0.2);
+
+    if (clause.text) {
+      doc.fontSize(9)
+         .fillColor('#666666')
+         .text(getClauseExcerpt(clause), { indent: 10, continued: false });
+    }
+    doc.moveDown(0.5);
+  });
+}
+
 /**
  * Add footer to all PDF pages
  * @private
@@ -399,6 +734,16 @@ function buildWordMetadata(config) {
     spacing: { after: 100 }
   }));
 
+  if (metadata.comparedWith) {
+    paragraphs.push(new Paragraph({
+      children: [
+        new TextRun({ text: 'Sammenlignet med: ', bold: true }),
+        new TextRun({ text: metadata.comparedWith })
+      ],
+      spacing: { after: 100 }
+    }));
+  }
+
   if (metadata.clientName) {
     paragraphs.push(new Paragraph({
       children: [
@@ -420,11 +765,65 @@ function buildWordMetadata(config) {
   paragraphs.push(new Paragraph({
     children: [
       new TextRun({ text: 'Analysetype: ', bold: true }),
-      new TextRun({ text: getAnalysisTypeName(metadata.documentType) })
+      new TextRun({ text: formatAnalysisType(config) })
     ],
     spacing: { after: 100 }
   }));
 
+  if (metadata.references?.length > 0) {
+    paragraphs.push(new Paragraph({
+      children: [
+        new TextRun({ text: 'Referencemateriale: ', bold: true }),
+        new TextRun({ text: metadata.references.join(', ') })
+      ],
+      spacing: { after: 100 }
+    }));
+  }
+
+  paragraphs.push(new Paragraph({
+    children: [
+      new TextRun({ text: 'Analyseret med: ', bold: true }),
+      new TextRun({ text: formatAnalyzedWith(config.cliResult) })
+    ],
+    spacing: { after: 100 }
+  }));
+
+  if (metadata.fallbacks?.length > 0) {
+    paragraphs.push(new Paragraph({
+      children: [
+        new TextRun({ text: 'Provider-skift: ', bold: true }),
+        new TextRun({ text: formatProviderSwitches(metadata.fallbacks) })
+      ],
+      spacing: { after: 100 }
+    }));
+  }
+
+  if (config.riskScore) {
+    paragraphs.push(new Paragraph({
+      children: [
+        new TextRun({ text: 'Samlet risiko: ', bold: true }),
+        new TextRun({
+          text: `${config.riskScore.score}/100 (${config.riskScore.level})`,
+          bold: true,
+          color: SEVERITY_COLORS[config.riskScore.level].substring(1)
+        }),
+        new TextRun({ text: ` – ${formatSeverityCounts(config.riskScore.counts)}` })
+      ],
+      spacing: { after: 100 }
+    }));
+
+    const topics = getRiskTopics(config.riskScore);
+    if (topics) {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: 'Største risikoområder: ', bold: true }),
+          new TextRun({ text: topics })
+        ],
+        spacing: { after: 100 }
+      }));
+    }
+  }
+
   if (branding?.companyName) {
     paragraphs.push(new Paragraph({
       children: [
@@ -442,7 +841,7 @@ function buildWordMetadata(config) {
  * Build Word document content from parsed sections
  * @private
  */
-function buildWordContent(sections) {
+function buildWordContent(sections, clauseIndex) {
   const paragraphs = [];
 
   sections.forEach(section => {
@@ -466,12 +865,12 @@ function buildWordContent(sections) {
       }));
     } else if (section.type === 'paragraph') {
       paragraphs.push(new Paragraph({
-        text: section.content,
+        children: buildWordRunsWithClauseLinks(section.content, clauseIndex),
         spacing: { after: 150 }
       }));
     } else if (section.type === 'list-item') {
       paragraphs.push(new Paragraph({
-        text: section.content,
+        children: buildWordRunsWithClauseLinks(section.content, clauseIndex),
         bullet: { level: 0 },
         spacing: { after: 100 }
       }));
@@ -481,6 +880,820 @@ function buildWordContent(sections) {
   return paragraphs;
 }
 
+/**
+ * Build the findings and content of one analysis for the Word document
+ * In a combined report each analysis starts on a new page with a chapter title
+ * @private
+ */
+function buildWordChapter(config, chapter, index) {
+  const chapterConfig = { ...config, ...chapter };
+  const paragraphs = [];
+
+  if (config.chapters) {
+    paragraphs.push(new Paragraph({
+      text: formatChapterTitle(chapter, index),
+      heading: HeadingLevel.TITLE,
+      pageBreakBefore: index > 0 || Boolean(config.consensus),
+      spacing: { after: 200 }
+    }));
+
+    if (chapter.riskScore) {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: 'Risiko: ', bold: true }),
+          new TextRun({
+            text: formatRiskScore(chapter.riskScore),
+            color: SEVERITY_COLORS[chapter.riskScore.level].substring(1)
+          })
+        ],
+        spacing: { after: 300 }
+      }));
+    }
+  }
+
+  return [
+    ...paragraphs,
+    ...buildWordFindings(chapterConfig),
+    ...buildWordContent(parseMarkdownToSections(chapterConfig.cliResult.output || ''), config.clauseIndex)
+  ];
+}
+
+/**
+ * Build Word text runs where clause references link to the clause appendix
+ * @private
+ */
+function buildWordRunsWithClauseLinks(text, clauseIndex) {
+  return splitClauseReferences(text, clauseIndex).map(segment => {
+    if (!segment.section) {
+      return new TextRun({ text: segment.text });
+    }
+    return new InternalHyperlink({
+      anchor: getWordBookmarkId(segment.section),
+      children: [new TextRun({ text: segment.text, style: 'Hyperlink' })]
+    });
+  });
+}
+
+/**
+ * Build appendix with the questions asked after the analysis and their answers
+ * @private
+ */
+function buildWordFollowUps(config) {
+  const followUps = config.followUps || [];
+  if (followUps.length === 0) return [];
+
+  return [
+    new Paragraph({
+      text: FOLLOW_UPS_TITLE,
+      heading: HeadingLevel.HEADING_1,
+      pageBreakBefore: true,
+      spacing: { before: 400, after: 200 }
+    }),
+    ...followUps.flatMap((followUp, index) => [
+      new Paragraph({
+        text: `Spørgsmål ${index + 1}`,
+        heading: HeadingLevel.HEADING_3,
+        spacing: { before: 200, after: 100 }
+      }),
+      new Paragraph({
+        children: [new TextRun({ text: followUp.question, italics: true, color: '666666' })],
+        indent: { left: 360 },
+        spacing: { after: 150 }
+      }),
+      ...buildWordContent(parseMarkdownToSections(followUp.answer), config.clauseIndex)
+    ])
+  ];
+}
+
+/**
+ * Build appendix listing the clauses cited in the analysis
+ * @private
+ */
+function buildWordClauseAppendix(config) {
+  const clauses = getCitedClauses(config);
+  if (clauses.length === 0) return [];
+
+  const paragraphs = [
+    new Paragraph({
+      text: 'Klausulhenvisninger',
+      heading: HeadingLevel.HEADING_1,
+      pageBreakBefore: true,
+      spacing: { before: 400, after: 200 }
+    })
+  ];
+
+  clauses.forEach(clause => {
+    paragraphs.push(new Paragraph({
+      heading: HeadingLevel.HEADING_3,
+      children: [
+        new Bookmark({
+          id: getWordBookmarkId(clause),
+          children: [new TextRun({ text: formatClauseHeading(clause) })]
+        })
+      ],
+      spacing: { before: 200, after: 100 }
+    }));
+
+    if (clause.text) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: getClauseExcerpt(clause), italics: true, color: '666666' })],
+        indent: { left: 360 },
+        spacing: { after: 150 }
+      }));
+    }
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Word bookmark names may only contain letters, digits and underscores
+ * @private
+ */
+function getWordBookmarkId(clause) {
+  return clause.id.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ * Build the markdown analysis: findings section and analysis text (with clause links)
+ * @private
+ */
+function buildMarkdownAnalysis(config) {
+  const findings = linkMarkdownClauseReferences(buildMarkdownFindings(config), config.clauseIndex);
+  const output = linkMarkdownClauseReferences(config.cliResult.output || '', config.clauseIndex);
+  return [findings, output].filter(Boolean).join('\n\n---\n\n');
+}
+
+/**
+ * Build one chapter of a combined markdown report
+ * @private
+ */
+function buildMarkdownChapter(config, chapter, index) {
+  let heading = `# ${formatChapterTitle(chapter, index)}`;
+  if (chapter.riskScore) {
+    heading += `\n\n**Risiko:** ${formatRiskScore(chapter.riskScore)}`;
+  }
+  const analysis = buildMarkdownAnalysis({ ...config, ...chapter });
+  return analysis ? `${heading}\n\n${analysis}` : heading;
+}
+
+/**
+ * Link clause references in markdown output to the clause appendix
+ * Headings and code blocks are left untouched
+ * @private
+ */
+function linkMarkdownClauseReferences(markdown, clauseIndex) {
+  if (!clauseIndex || clauseIndex.length === 0) {
+    return markdown;
+  }
+
+  let inCodeBlock = false;
+  return markdown.split('\n').map(line => {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      return line;
+    }
+    if (inCodeBlock || line.trim().startsWith('#')) {
+      return line;
+    }
+    return splitClauseReferences(line, clauseIndex)
+      .map(segment => segment.section ? `[${segment.text}](#${segment.section.id})` : segment.text)
+      .join('');
+  }).join('\n');
+}
+
+/**
+ * Build markdown appendix with the questions asked after the analysis and their answers
+ * @private
+ */
+function buildMarkdownFollowUps(config) {
+  const followUps = config.followUps || [];
+  if (followUps.length === 0) return '';
+
+  const entries = followUps.map((followUp, index) =>
+    `### Spørgsmål ${index + 1}\n\n> ${followUp.question.replace(/\n+/g, ' ')}\n\n${linkMarkdownClauseReferences(followUp.answer, config.clauseIndex)}`
+  );
+  return `## ${FOLLOW_UPS_TITLE}\n\n${entries.join('\n\n')}`;
+}
+
+/**
+ * Build markdown appendix listing the clauses cited in the analysis
+ * @private
+ */
+function buildMarkdownClauseAppendix(config) {
+  const clauses = getCitedClauses(config);
+  if (clauses.length === 0) return '';
+
+  let appendix = '## Klausulhenvisninger\n';
+  clauses.forEach(clause => {
+    appendix += `\n<a id="${clause.id}"></a>\n**${formatClauseHeading(clause)}**\n`;
+    if (clause.text) {
+      appendix += `\n> ${getClauseExcerpt(clause).replace(/\n+/g, ' ')}\n`;
+    }
+  });
+
+  return appendix;
+}
+
+/**
+ * Get clauses cited in the analysis output, in order of first mention
+ * @private
+ */
+function getCitedClauses(config) {
+  if (!config.clauseIndex || config.clauseIndex.length === 0) {
+    return [];
+  }
+  const text = getReportChapters(config).flatMap(chapter => [
+    ...(chapter.findings || []).map(finding => finding.clause).filter(Boolean),
+    chapter.cliResult.output || ''
+  ]).concat((config.followUps || []).map(followUp => followUp.answer));
+  return findClauseReferences(text.join('\n'), config.clauseIndex);
+}
+
+/**
+ * Clause heading for appendix, e.g. "§ 12.3 Opsigelse (s. 7)"
+ * @private
+ */
+function formatClauseHeading(clause) {
+  const citation = formatClauseReference(clause);
+  if (!clause.heading) return citation;
+  return clause.page
+    ? `${clause.label} ${clause.heading} (s. ${clause.page})`
+    : `${clause.label} ${clause.heading}`;
+}
+
+/**
+ * Shortened clause text for appendix
+ * @private
+ */
+function getClauseExcerpt(clause) {
+  const text = clause.text.replace(/\s+/g, ' ').trim();
+  return text.length > CLAUSE_EXCERPT_LENGTH
+    ? `${text.slice(0, CLAUSE_EXCERPT_LENGTH).trim()}…`
+    : text;
+}
+
+/**
+ * Rows for the change table (comparison mode), empty if not a comparison
+ * @private
+ */
+function getChangeTableRows(config) {
+  const comparison = config.comparison;
+  if (!comparison || comparison.changes.length === 0) {
+    return [];
+  }
+
+  const assessments = getChangeAssessments(config);
+
+  return comparison.changes.map(change => {
+    const section = change.newSection || change.oldSection;
+    const renumbered = change.oldSection && change.newSection && change.oldSection.number !== change.newSection.number;
+    return [
+      `${section.label}${section.heading ? ` ${section.heading}` : ''}${renumbered ? ` (tidl. ${change.oldSection.label})` : ''}\n${getChangeTypeLabel(change.type)}`,
+      change.oldSection ? getClauseExcerpt(change.oldSection) || '–' : '–',
+      change.newSection ? getClauseExcerpt(change.newSection) || '–' : '–',
+      shortenAssessment(assessments.get(change.number))
+    ];
+  });
+}
+
+/**
+ * Assessment per change number - from structured findings when available,
+ * otherwise from the "Ændring N" sections of the analysis text
+ * @private
+ */
+function getChangeAssessments(config) {
+  const changeFindings = (config.findings || []).filter(finding => Number.isInteger(finding.change));
+  if (changeFindings.length === 0) {
+    return extractChangeAssessments(config.cliResult.output || '');
+  }
+
+  const assessments = new Map();
+  changeFindings.forEach(finding => {
+    const text = `${finding.severity}: ${finding.explanation}`;
+    const previous = assessments.get(finding.change);
+    assessments.set(finding.change, previous ? `${previous} ${text}` : text);
+  });
+  return assessments;
+}
+
+/**
+ * Summary line above the change table
+ * @private
+ */
+function getChangeTableSummary(config) {
+  const { oldFileName, newFileName, changes, unchangedCount } = config.comparison;
+  return `Tidligere version: ${oldFileName} – ny version: ${newFileName} (${changes.length} ændringer, ${unchangedCount} uændrede klausuler)`;
+}
+
+/**
+ * Plain-text assessment for a table cell (markdown emphasis removed, shortened)
+ * @private
+ */
+function shortenAssessment(assessment) {
+  if (!assessment) return '–';
+  const text = assessment.replace(/\*\*|__/g, '').replace(/\s+/g, ' ').trim();
+  return text.length > CLAUSE_EXCERPT_LENGTH
+    ? `${text.slice(0, CLAUSE_EXCERPT_LENGTH).trim()}…`
+    : text;
+}
+
+/**
+ * Build markdown change table
+ * @private
+ */
+function buildMarkdownChangeTable(config) {
+  const rows = getChangeTableRows(config);
+  if (rows.length === 0) return '';
+
+  const escapeCell = (text) => text.replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
+
+  let table = `## Ændringsoversigt\n\n${getChangeTableSummary(config)}\n\n`;
+  table += `| ${CHANGE_TABLE_HEADERS.join(' | ')} |\n`;
+  table += `|${CHANGE_TABLE_HEADERS.map(() => '---').join('|')}|\n`;
+  rows.forEach(row => {
+    table += `| ${row.map(escapeCell).join(' | ')} |\n`;
+  });
+
+  return table.trimEnd();
+}
+
+/**
+ * Add change table to PDF (comparison mode)
+ * @private
+ * @returns {boolean} Whether a table was added
+ */
+function addPDFChangeTable(doc, config) {
+  const rows = getChangeTableRows(config);
+  if (rows.length === 0) return false;
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const widths = CHANGE_TABLE_COLUMNS.map(share => share * tableWidth);
+  const padding = 4;
+
+  doc.fontSize(18)
+     .fillColor('#1a73e8')
+     .text('Ændringsoversigt', { continued: false });
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(getChangeTableSummary(config));
+  doc.moveDown(0.5);
+
+  const drawRow = (cells, isHeader) => {
+    doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - 2 * padding }))) + 2 * padding;
+
+    // Start a new page (with a repeated header) if the row doesn't fit
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      if (!isHeader) {
+        drawRow(CHANGE_TABLE_HEADERS, true);
+        doc.font('Helvetica').fontSize(8);
+      }
+    }
+
+    const top = doc.y;
+    if (isHeader) {
+      doc.rect(left, top, tableWidth, height).fill('#f1f5f9');
+    }
+
+    let x = left;
+    cells.forEach((cell, i) => {
+      doc.fillColor('#333333').text(cell, x + padding, top + padding, { width: widths[i] - 2 * padding });
+      x += widths[i];
+    });
+
+    doc.moveTo(left, top + height)
+       .lineTo(left + tableWidth, top + height)
+       .strokeColor('#e5e5e5')
+       .stroke();
+
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(CHANGE_TABLE_HEADERS, true);
+  rows.forEach(row => drawRow(row, false));
+  doc.font('Helvetica');
+
+  return true;
+}
+
+/**
+ * Build change table for Word document (comparison mode)
+ * @private
+ */
+function buildWordChangeTable(config) {
+  const rows = getChangeTableRows(config);
+  if (rows.length === 0) return [];
+
+  const buildCell = (text, index, isHeader) => new TableCell({
+    width: { size: CHANGE_TABLE_COLUMNS[index] * 100, type: WidthType.PERCENTAGE },
+    shading: isHeader ? { type: ShadingType.CLEAR, fill: 'F1F5F9', color: 'auto' } : undefined,
+    children: text.split('\n').map(line => new Paragraph({
+      children: [new TextRun({ text: line, bold: isHeader, size: 18 })]
+    }))
+  });
+
+  return [
+    new Paragraph({
+      text: 'Ændringsoversigt',
+      heading: HeadingLevel.HEADING_1,
+      spacing: { before: 200, after: 100 }
+    }),
+    new Paragraph({
+      children: [new TextRun({ text: getChangeTableSummary(config), color: '666666' })],
+      spacing: { after: 200 }
+    }),
+    new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({
+          tableHeader: true,
+          children: CHANGE_TABLE_HEADERS.map((header, i) => buildCell(header, i, true))
+        }),
+        ...rows.map(row => new TableRow({
+          children: row.map((cell, i) => buildCell(cell, i, false))
+        }))
+      ]
+    }),
+    new Paragraph({ text: '', spacing: { after: 400 } })
+  ];
+}
+
+/**
+ * Finding counts per severity, e.g. "5 fund: 2 Høj, 2 Middel, 1 Lav"
+ * @private
+ */
+function formatSeverityCounts(counts) {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const parts = SEVERITY_LEVELS.filter(level => counts[level] > 0).map(level => `${counts[level]} ${level}`);
+  return `${total} fund${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+}
+
+/**
+ * Highest-scoring topics for the risk summary, e.g. "Opsigelse og ophør, Territorium"
+ * @private
+ */
+function getRiskTopics(riskScore) {
+  return riskScore.topics
+    .slice(0, RISK_SUMMARY_TOPICS)
+    .map(topic => topic.topic)
+    .join(', ');
+}
+
+/**
+ * Title for a finding, e.g. "Juridisk risiko – § 12.3"
+ * @private
+ */
+function formatFindingTitle(finding) {
+  return finding.clause ? `${finding.category} – ${finding.clause}` : finding.category;
+}
+
+/**
+ * Build markdown findings section
+ * @private
+ */
+function buildMarkdownFindings(config) {
+  if (!config.findings || config.findings.length === 0) return '';
+
+  let markdown = `## Fund\n\n${formatSeverityCounts(summarizeFindings(config.findings))}\n`;
+  sortFindingsBySeverity(config.findings).forEach((finding, index) => {
+    markdown += `\n### ${index + 1}. ${finding.category} (${finding.severity})\n\n`;
+    if (finding.clause) {
+      markdown += `**Klausul:** ${finding.clause}\n\n`;
+    }
+    if (finding.quote) {
+      markdown += `> ${finding.quote.replace(/\n+/g, ' ')}\n\n`;
+    }
+    markdown += `${finding.explanation}\n`;
+    if (finding.suggestion) {
+      markdown += `\n**Forslag til formulering:** ${finding.suggestion}\n`;
+    }
+  });
+
+  return markdown.trimEnd();
+}
+
+/**
+ * Add findings section to PDF
+ * @private
+ * @returns {boolean} Whether a section was added
+ */
+function addPDFFindings(doc, config) {
+  if (!config.findings || config.findings.length === 0) return false;
+
+  doc.fontSize(18)
+     .fillColor('#1a73e8')
+     .text('Fund', { continued: false });
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(formatSeverityCounts(summarizeFindings(config.findings)));
+  doc.moveDown(0.5);
+
+  sortFindingsBySeverity(config.findings).forEach((finding, index) => {
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text(`${index + 1}. ${formatFindingTitle(finding)} `, { continued: true })
+       .fillColor(SEVERITY_COLORS[finding.severity])
+       .text(`(${finding.severity})`, { continued: false });
+    doc.moveDown(0.2);
+
+    if (finding.quote) {
+      doc.fontSize(9)
+         .fillColor('#666666')
+         .text(`"${finding.quote}"`, { indent: 10, continued: false });
+      doc.moveDown(0.2);
+    }
+
+    doc.fontSize(10)
+       .fillColor('#333333');
+    writePDFTextWithClauseLinks(doc, finding.explanation, { align: 'left' }, config.clauseIndex);
+
+    if (finding.suggestion) {
+      doc.moveDown(0.2);
+      doc.fontSize(10)
+         .fillColor('#333333')
+         .text(`Forslag til formulering: ${finding.suggestion}`, { indent: 10, continued: false });
+    }
+    doc.moveDown(0.6);
+  });
+
+  return true;
+}
+
+/**
+ * Build findings section for Word document
+ * @private
+ */
+function buildWordFindings(config) {
+  if (!config.findings || config.findings.length === 0) return [];
+
+  const paragraphs = [
+    new Paragraph({
+      text: 'Fund',
+      heading: HeadingLevel.HEADING_1,
+      spacing: { before: 200, after: 100 }
+    }),
+    new Paragraph({
+      children: [new TextRun({ text: formatSeverityCounts(summarizeFindings(config.findings)), color: '666666' })],
+      spacing: { after: 200 }
+    })
+  ];
+
+  sortFindingsBySeverity(config.findings).forEach((finding, index) => {
+    paragraphs.push(new Paragraph({
+      heading: HeadingLevel.HEADING_3,
+      children: [
+        new TextRun({ text: `${index + 1}. ${finding.category} ` }),
+        new TextRun({ text: `(${finding.severity})`, color: SEVERITY_COLORS[finding.severity].substring(1) })
+      ],
+      spacing: { before: 200, after: 100 }
+    }));
+
+    if (finding.clause) {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: 'Klausul: ', bold: true }),
+          ...buildWordRunsWithClauseLinks(finding.clause, config.clauseIndex)
+        ],
+        spacing: { after: 100 }
+      }));
+    }
+
+    if (finding.quote) {
+      paragraphs.push(new Paragraph({
+        children: [new TextRun({ text: `"${finding.quote}"`, italics: true, color: '666666' })],
+        indent: { left: 360 },
+        spacing: { after: 100 }
+      }));
+    }
+
+    paragraphs.push(new Paragraph({
+      children: buildWordRunsWithClauseLinks(finding.explanation, config.clauseIndex),
+      spacing: { after: 100 }
+    }));
+
+    if (finding.suggestion) {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: 'Forslag til formulering: ', bold: true }),
+          new TextRun({ text: finding.suggestion })
+        ],
+        spacing: { after: 150 }
+      }));
+    }
+  });
+
+  paragraphs.push(new Paragraph({ text: '', spacing: { after: 400 } }));
+  return paragraphs;
+}
+
+/**
+ * Consensus subsections that have findings, each with the label shown after a finding's title
+ * @private
+ */
+function getConsensusSections(consensus) {
+  return [
+    {
+      title: 'Fælles fund',
+      items: consensus.agreed,
+      describe: item => item.finding.severity
+    },
+    {
+      title: 'Forskellig alvorlighed',
+      items: consensus.conflicts,
+      describe: item => Object.entries(item.severities).map(([provider, severity]) => `${provider}: ${severity}`).join(', ')
+    },
+    {
+      title: 'Kun fundet af én model',
+      items: consensus.single,
+      describe: item => `${item.finding.severity}, kun ${item.providers[0]}`
+    }
+  ].filter(section => section.items.length > 0);
+}
+
+/**
+ * Consensus summary, e.g. "claude og gemini: 4 fælles fund, 1 med forskellig alvorlighed, 2 kun fundet af én model"
+ * @private
+ */
+function formatConsensusSummary(consensus) {
+  const compared = consensus.providers.filter(provider => !consensus.missing.includes(provider));
+  return `${formatProviderList(compared)}: ${summarizeConsensus(consensus)}`;
+}
+
+/**
+ * Note for providers that failed or returned no structured findings (empty if all took part)
+ * @private
+ */
+function formatConsensusMissing(consensus) {
+  const notes = (consensus.failed || []).map(({ provider, reason }) =>
+    `${provider} fejlede (${reason}) og indgår ikke i konsensus`);
+  if (consensus.missing.length > 0) {
+    notes.push(`${formatProviderList(consensus.missing)} leverede ikke strukturerede fund og indgår ikke i sammenligningen`);
+  }
+  return notes.join('. ');
+}
+
+/**
+ * Build markdown consensus section
+ * @private
+ */
+function buildMarkdownConsensus(config) {
+  if (!config.consensus) return '';
+
+  let markdown = `## Konsensus\n\n${formatConsensusSummary(config.consensus)}\n`;
+  const missing = formatConsensusMissing(config.consensus);
+  if (missing) {
+    markdown += `\n> ${missing}\n`;
+  }
+  getConsensusSections(config.consensus).forEach(section => {
+    markdown += `\n### ${section.title}\n\n`;
+    section.items.forEach((item, index) => {
+      markdown += `${index + 1}. **${formatFindingTitle(item.finding)}** (${section.describe(item)}): ${item.finding.explanation}\n`;
+    });
+  });
+
+  return markdown.trimEnd();
+}
+
+/**
+ * Add consensus section to PDF
+ * @private
+ * @returns {boolean} Whether a section was added
+ */
+function addPDFConsensus(doc, config) {
+  if (!config.consensus) return false;
+
+  doc.fontSize(18)
+     .fillColor('#1a73e8')
+     .text('Konsensus', { continued: false });
+  doc.fontSize(10)
+     .fillColor('#666666')
+     .text(formatConsensusSummary(config.consensus));
+  const missing = formatConsensusMissing(config.consensus);
+  if (missing) {
+    doc.text(missing);
+  }
+
+  getConsensusSections(config.consensus).forEach(section => {
+    doc.moveDown(0.8);
+    doc.fontSize(14)
+       .fillColor('#333333')
+       .text(section.title, { continued: false });
+    doc.moveDown(0.3);
+
+    section.items.forEach((item, index) => {
+      doc.fontSize(11)
+         .fillColor('#333333')
+         .text(`${index + 1}. ${formatFindingTitle(item.finding)} `, { continued: true })
+         .fillColor(SEVERITY_COLORS[item.finding.severity])
+         .text(`(${section.describe(item)})`, { continued: false });
+      doc.fontSize(10)
+         .fillColor('#333333');
+      writePDFTextWithClauseLinks(doc, item.finding.explanation, { indent: 10 }, config.clauseIndex);
+      doc.moveDown(0.4);
+    });
+  });
+
+  return true;
+}
+
+/**
+ * Build consensus section for Word document
+ * @private
+ */
+function buildWordConsensus(config) {
+  if (!config.consensus) return [];
+
+  const paragraphs = [
+    new Paragraph({
+      text: 'Konsensus',
+      heading: HeadingLevel.HEADING_1,
+      spacing: { before: 200, after: 100 }
+    }),
+    new Paragraph({
+      children: [new TextRun({ text: formatConsensusSummary(config.consensus), color: '666666' })],
+      spacing: { after: 200 }
+    })
+  ];
+
+  const missing = formatConsensusMissing(config.consensus);
+  if (missing) {
+    paragraphs.push(new Paragraph({
+      children: [new TextRun({ text: missing, italics: true, color: '666666' })],
+      spacing: { after: 200 }
+    }));
+  }
+
+  getConsensusSections(config.consensus).forEach(section => {
+    paragraphs.push(new Paragraph({
+      text: section.title,
+      heading: HeadingLevel.HEADING_2,
+      spacing: { before: 300, after: 150 }
+    }));
+
+    section.items.forEach((item, index) => {
+      paragraphs.push(new Paragraph({
+        children: [
+          new TextRun({ text: `${index + 1}. ${formatFindingTitle(item.finding)} `, bold: true }),
+          new TextRun({ text: `(${section.describe(item)})`, color: SEVERITY_COLORS[item.finding.severity].substring(1) })
+        ],
+        spacing: { before: 100, after: 50 }
+      }));
+      paragraphs.push(new Paragraph({
+        children: buildWordRunsWithClauseLinks(item.finding.explanation, config.clauseIndex),
+        indent: { left: 360 },
+        spacing: { after: 100 }
+      }));
+    });
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Generate a JSON file with the structured findings
+ * Intended for downstream tooling; contains metadata, findings and the analysis markdown
+ *
+ * @param {ReportConfig} config - Report configuration (config.findings required)
+ * @returns {Promise<string>} Path to generated JSON file
+ */
+export async function generateJSONReport(config) {
+  try {
+    // Validate config
+    validateReportConfig(config, 'json');
+    if (!config.findings) {
+      throw new Error('Structured findings are required');
+    }
+
+    // Ensure output directory exists
+    ensureDirectoryExists(path.dirname(config.outputPath));
+
+    const report = {
+      metadata: {
+        ...config.metadata,
+        provider: config.cliResult.provider,
+        model: config.cliResult.model || null,
+        parameters: config.cliResult.parameters || null,
+        generatedAt: new Date().toISOString()
+      },
+      summary: summarizeFindings(config.findings),
+      riskScore: config.riskScore || null,
+      findings: config.findings,
+      ...(config.consensus ? { consensus: config.consensus } : {}),
+      analysis: config.cliResult.output || ''
+    };
+
+    writeFileSync(config.outputPath, JSON.stringify(report, null, 2), 'utf8');
+
+    return config.outputPath;
+  } catch (error) {
+    throw new Error(`Failed to generate JSON report: ${error.message}`);
+  }
+}
+
 /**
  * Generate a report in the specified format
  * Convenience function that routes to the appropriate generator
@@ -496,6 +1709,8 @@ export async function generateReport(config) {
       return generatePDFReport(config);
     case 'docx':
       return generateWordReport(config);
+    case 'json':
+      return generateJSONReport(config);
     default:
       throw new Error(`Unsupported report format: ${config.format}`);
   }
@@ -0,0 +1,106 @@
+import { SEVERITY_LEVELS, summarizeFindings } from './findings.js';
+
+/**
+ * Risk Score
+ * Overall 0-100 risk score for an analysis, computed from the structured findings.
+ * Each finding contributes its severity weight times the weight of its topic
+ * (termination, fees and territorial rights weigh the most for a franchisee).
+ */
+
+// Points per finding severity
+const SEVERITY_WEIGHTS = {
+  'Høj': 10,
+  'Middel': 4,
+  'Lav': 1
+};
+
+// Topics recognised from the finding text, in match order (first match wins)
+const TOPICS = [
+  { name: 'Opsigelse og ophør', weight: 1.5, keywords: ['opsig', 'ophør', 'mislighold', 'varighed', 'fornyelse'] },
+  { name: 'Økonomi og gebyrer', weight: 1.5, keywords: ['fee', 'gebyr', 'royalty', 'afgift', 'betaling', 'omsætning', 'pris', 'bod', 'erstatning'] },
+  { name: 'Territorium', weight: 1.4, keywords: ['territori', 'eneret', 'område', 'geografisk', 'eksklusiv'] },
+  { name: 'Immaterielle rettigheder', weight: 1.3, keywords: ['varemærke', 'immateriel', 'knowhow', 'know-how', 'ophavsret', 'licens'] },
+  { name: 'Konkurrenceklausul', weight: 1.3, keywords: ['konkurrence', 'konkurrer'] },
+  { name: 'Leverandørforpligtelser', weight: 1.2, keywords: ['leverandør', 'indkøb', 'aftagepligt', 'købspligt', 'sortiment'] }
+];
+
+const DEFAULT_TOPIC = { name: 'Øvrigt', weight: 1 };
+
+// Points at which the score reaches ~63 (the curve saturates towards 100)
+const SCORE_SCALE = 40;
+
+// Score thresholds for the overall level
+const LEVEL_THRESHOLDS = [
+  { min: 60, level: 'Høj' },
+  { min: 25, level: 'Middel' },
+  { min: 0, level: 'Lav' }
+];
+
+/**
+ * Compute the overall risk score from structured findings
+ * @param {import('./findings.js').Finding[]|null} findings - Structured findings
+ * @returns {RiskScore|null} Risk score, or null without structured findings
+ */
+export function computeRiskScore(findings) {
+  if (!Array.isArray(findings)) {
+    return null;
+  }
+
+  const topicTotals = new Map();
+  let points = 0;
+
+  findings.forEach(finding => {
+    const topic = getFindingTopic(finding);
+    const findingPoints = (SEVERITY_WEIGHTS[finding.severity] || 0) * topic.weight;
+    points += findingPoints;
+
+    const total = topicTotals.get(topic.name) || { topic: topic.name, points: 0, count: 0 };
+    total.points += findingPoints;
+    total.count++;
+    topicTotals.set(topic.name, total);
+  });
+
+  const score = Math.round(100 * (1 - Math.exp(-points / SCORE_SCALE)));
+
+  return {
+    score,
+    level: LEVEL_THRESHOLDS.find(threshold => score >= threshold.min).level,
+    counts: summarizeFindings(findings),
+    topics: [...topicTotals.values()]
+      .map(total => ({ ...total, points: Math.round(total.points * 10) / 10 }))
+      .sort((a, b) => b.points - a.points)
+  };
+}
+
+/**
+ * One-line summary, e.g. "68/100 (Høj) – 2 Høj, 3 Middel, 1 Lav"
+ * @param {RiskScore} riskScore - Risk score
+ * @returns {string} Summary
+ */
+export function formatRiskScore(riskScore) {
+  const counts = SEVERITY_LEVELS
+    .filter(level => riskScore.counts[level] > 0)
+    .map(level => `${riskScore.counts[level]} ${level}`);
+  return `${riskScore.score}/100 (${riskScore.level})${counts.length > 0 ? ` – ${counts.join(', ')}` : ''}`;
+}
+
+/**
+ * Find the topic of a finding from its category, clause, quote and explanation
+ * @private
+ */
+function getFindingTopic(finding) {
+  const text = [finding.category, finding.clause, finding.quote, finding.explanation]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return TOPICS.find(topic => topic.keywords.some(keyword => text.includes(keyword))) || DEFAULT_TOPIC;
+}
+
+/**
+ * Risk score type definition
+ * @typedef {Object} RiskScore
+ * @property {number} score - Overall risk 0-100
+ * @property {'Høj'|'Middel'|'Lav'} level - Overall risk level
+ * @property {Object<string, number>} counts - Findings per severity
+ * @property {Array<{topic: string, points: number, count: number}>} topics - Contribution per topic, highest first
+ */
@@ -20,6 +20,28 @@ const DEFAULT_SETTINGS = {
   // Last used prompt
   lastPrompt: null,
 
+  // Last selected prompts (several = combined job)
+  lastPrompts: [],
+
+  // Model and parameters per provider, e.g. { claude: { model: 'opus' }, ollama: { model: 'llama3.1:8b' } }
+  // (no entry or null = the CLI's default model; Ollama: the first installed model)
+  providerModels: {},
+
+  // Providers to fall over to on recoverable errors (rate limit, network, ...), in order
+  fallbackProviders: [],
+
+  // Put the custom instructions in provider-configs/<provider>-instructions.md before the prompt
+  useProviderInstructions: true,
+
+  // Model prices in USD per million tokens, for usage accounting when the CLI reports no cost
+  // (providers not listed here are priced at 0)
+  usagePrices: {
+    claude: { input: 3, output: 15 },
+    gemini: { input: 1.25, output: 10 },
+    openai: { input: 1.25, output: 10 },
+    ollama: { input: 0, output: 0 }
+  },
+
   // Logo path (null = use default K logo)
   logoPath: null,
 
@@ -56,6 +78,17 @@ const DEFAULT_SETTINGS = {
   // Recent clients (for quick selection)
   recentClients: [],
 
+  // Default reference materials folder per client (client name -> folder path)
+  clientReferenceFolders: {},
+
+  // Batch queue: analyses run in parallel per provider (1 = one at a time)
+  queueConcurrency: {
+    claude: 1,
+    gemini: 1,
+    openai: 1,
+    ollama: 1
+  },
+
   // Recent analyses (for settings modal)
   recentAnalyses: []
 };
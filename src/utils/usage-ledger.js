@@ -0,0 +1,159 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { homedir } from 'os';
+
+/**
+ * Usage Ledger
+ * Token usage and model cost per analysis, stored in ~/.contract-reviewer/usage.json
+ * so model costs can be billed to clients. A cost reported by the CLI is used as-is;
+ * otherwise the tokens are priced with settings.usagePrices (USD per million tokens).
+ */
+
+export const USAGE_FILE = path.join(homedir(), '.contract-reviewer', 'usage.json');
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 5000;
+
+/**
+ * Add up the usage of several CLI calls (e.g. chunks and a findings repair)
+ * The reported cost is kept only if every call reported one.
+ * @param {...(import('../providers/base/BaseCLIProvider.js').UsageInfo|null|undefined)} usages
+ * @returns {import('../providers/base/BaseCLIProvider.js').UsageInfo|null} Sum (null if no call reported usage)
+ */
+export function addUsage(...usages) {
+  const reported = usages.filter(Boolean);
+  if (reported.length === 0) return null;
+
+  const sum = (key) => reported.reduce((total, usage) => total + (usage[key] || 0), 0);
+  const total = {
+    inputTokens: sum('inputTokens'),
+    outputTokens: sum('outputTokens'),
+    totalTokens: reported.reduce((total, usage) =>
+      total + (usage.totalTokens ?? (usage.inputTokens || 0) + (usage.outputTokens || 0)), 0),
+    estimated: reported.some(usage => usage.estimated)
+  };
+  if (reported.every(usage => typeof usage.costUsd === 'number')) {
+    total.costUsd = sum('costUsd');
+  }
+  return total;
+}
+
+/**
+ * Cost of a usage in USD
+ * Usage with only a token total (no input/output split) is priced at the input rate.
+ * @param {import('../providers/base/BaseCLIProvider.js').UsageInfo|null} usage
+ * @param {{input: number, output: number}} [price] - USD per million tokens (default: free)
+ * @returns {number}
+ */
+export function computeCost(usage, price) {
+  if (!usage) return 0;
+  if (typeof usage.costUsd === 'number') return usage.costUsd;
+  if (!price) return 0;
+
+  const { inputTokens = 0, outputTokens = 0, totalTokens = 0 } = usage;
+  const tokens = inputTokens + outputTokens > 0
+    ? inputTokens * price.input + outputTokens * price.output
+    : totalTokens * price.input;
+  return tokens / 1000000;
+}
+
+/**
+ * Load all ledger entries (oldest first)
+ * @param {string} [file] - Defaults to ~/.contract-reviewer/usage.json
+ * @returns {UsageEntry[]}
+ */
+export function loadUsageLedger(file = USAGE_FILE) {
+  try {
+    if (!existsSync(file)) return [];
+    const entries = JSON.parse(readFileSync(file, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error('Failed to load usage ledger:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Append entries to the ledger
+ * @param {UsageEntry[]} entries
+ * @param {string} [file] - Defaults to ~/.contract-reviewer/usage.json
+ * @returns {boolean} Success status
+ */
+export function recordUsage(entries, file = USAGE_FILE) {
+  try {
+    if (!existsSync(path.dirname(file))) {
+      mkdirSync(path.dirname(file), { recursive: true });
+    }
+    const ledger = [...loadUsageLedger(file), ...entries].slice(-MAX_ENTRIES);
+    writeFileSync(file, JSON.stringify(ledger, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error('Failed to save usage ledger:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Totals overall and per client (clients with the highest cost first)
+ * @param {UsageEntry[]} entries
+ * @returns {{total: UsageTotal, clients: Array<UsageTotal & {clientName: string}>}}
+ */
+export function summarizeUsage(entries) {
+  const clients = new Map();
+  const total = emptyTotal();
+
+  entries.forEach(entry => {
+    const clientName = entry.clientName || 'Ingen klient';
+    if (!clients.has(clientName)) {
+      clients.set(clientName, { clientName, ...emptyTotal() });
+    }
+    [total, clients.get(clientName)].forEach(sum => {
+      sum.analyses++;
+      sum.inputTokens += entry.inputTokens || 0;
+      sum.outputTokens += entry.outputTokens || 0;
+      sum.totalTokens += entry.totalTokens || 0;
+      sum.costUsd += entry.costUsd || 0;
+      sum.estimated = sum.estimated || Boolean(entry.estimated);
+    });
+  });
+
+  return {
+    total,
+    clients: [...clients.values()].sort((a, b) => b.costUsd - a.costUsd)
+  };
+}
+
+/**
+ * @private
+ */
+function emptyTotal() {
+  return { analyses: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimated: false };
+}
+
+/**
+ * Ledger entry: one analysis (one prompt on one provider)
+ * @typedef {Object} UsageEntry
+ * @property {string} analysisId
+ * @property {string} date - ISO timestamp
+ * @property {string} clientName
+ * @property {string} documentName
+ * @property {string} promptName
+ * @property {string} provider
+ * @property {string|null} model
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ * @property {number} costUsd
+ * @property {boolean} estimated - Token counts are (partly) a local estimate
+ */
+
+/**
+ * Usage totals
+ * @typedef {Object} UsageTotal
+ * @property {number} analyses
+ * @property {number} inputTokens
+ * @property {number} outputTokens
+ * @property {number} totalTokens
+ * @property {number} costUsd
+ * @property {boolean} estimated
+ */
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ClaudeCLIProvider } from '../../src/providers/cli/ClaudeCLIProvider.js';
+
+// Fake "claude" executable: plain text, or stream-json events when asked for them
+const FAKE_CLAUDE = `#!/bin/sh
+if [ "$1" = "--version" ]; then
+  echo "2.1.0 (Claude Code)"
+  exit 0
+fi
+cat > /dev/null
+case "$*" in
+  *stream-json*) ;;
+  *)
+    echo "## Vurdering i tekst"
+    exit 0
+    ;;
+esac
+echo '{"type":"system","subtype":"init","session_id":"s1"}'
+if [ "$FAKE_CLAUDE_MODE" = "overloaded" ]; then
+  echo '{"type":"result","subtype":"error_during_execution","is_error":true,"result":"API Error: 429 rate limit reached"}'
+  exit 1
+fi
+delta() {
+  printf '{"type":"stream_event","event":{"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"%s"}}}\\n' "$1"
+}
+delta "## Vurd"
+delta "ering\\\\n"
+delta "Tekst."
+echo '{"type":"assistant","message":{"content":[{"type":"text","text":"## Vurdering\\\\nTekst."}]}}'
+echo '{"type":"result","subtype":"success","is_error":false,"result":"## Vurdering\\\\nTekst."}'
+`;
+
+const request = {
+  messages: [{ role: 'user', content: 'Dokumentet' }],
+  context: { instructions: 'Instruktioner', references: [] }
+};
+
+describe.skipIf(process.platform === 'win32')('ClaudeCLIProvider', () => {
+  let binDir;
+  let originalPath;
+  let provider;
+
+  beforeAll(() => {
+    binDir = mkdtempSync(path.join(tmpdir(), 'fake-claude-'));
+    writeFileSync(path.join(binDir, 'claude'), FAKE_CLAUDE);
+    chmodSync(path.join(binDir, 'claude'), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_CLAUDE_MODE;
+    rmSync(binDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    provider = new ClaudeCLIProvider();
+    delete process.env.FAKE_CLAUDE_MODE;
+  });
+
+  it('should only request stream-json output when the caller streams', async () => {
+    expect(provider.buildCommand(request).args).not.toContain('stream-json');
+    expect(provider.buildCommand({ ...request, options: { stream: true } }).args)
+      .toEqual(expect.arrayContaining(['--output-format', 'stream-json', '--verbose', '--include-partial-messages']));
+
+    const response = await provider.send(request);
+    expect(response.message.content).toBe('## Vurdering i tekst');
+  });
+
+  it('should pass text deltas to onText and answer with the final result', async () => {
+    const deltas = [];
+    const response = await provider.send(request, { onText: (text) => deltas.push(text) });
+
+    expect(deltas).toEqual(['## Vurd', 'ering\n', 'Tekst.']);
+    expect(response.message.content).toBe('## Vurdering\nTekst.');
+  });
+
+  it('should pass the selected model and reject models and parameters the CLI does not support', async () => {
+    expect(provider.buildCommand(request).args).not.toContain('--model');
+    expect(provider.buildCommand({ ...request, options: { model: 'opus' } }).args).toEqual(expect.arrayContaining(['--model', 'opus']));
+
+    const response = await provider.send({ ...request, options: { model: 'opus' } });
+    expect(response.providerMeta.model).toBe('opus');
+
+    await expect(provider.send({ ...request, options: { model: 'gpt-5' } }))
+      .rejects.toMatchObject({ name: 'ProviderError', type: 'CONFIG', isRecoverable: false });
+    expect(provider.validateOptions({ temperature: 0.2 })).toMatch(/understøtter ikke temperatur/);
+  });
+
+  it('should map errors reported in the result event', async () => {
+    process.env.FAKE_CLAUDE_MODE = 'overloaded';
+
+    await expect(provider.send(request, { onText: () => {} }))
+      .rejects.toMatchObject({ name: 'ProviderError', type: 'RATE_LIMIT', providerId: 'claude-cli' });
+  });
+});
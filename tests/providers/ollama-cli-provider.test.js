@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { OllamaCLIProvider } from '../../src/providers/cli/OllamaCLIProvider.js';
+import { createProvider } from '../../src/providers/registry.js';
+import { buildAnalysisRequest } from '../../src/providers/request.js';
+import { listLocalModels } from '../../src/utils/cli-detector.js';
+
+// Fake "ollama" executable; FAKE_OLLAMA_MODE selects how it answers
+const FAKE_OLLAMA = `#!/bin/sh
+if [ "$1" = "--version" ]; then
+  echo "ollama version is 0.3.12"
+  exit 0
+fi
+if [ "$1" = "list" ]; then
+  echo "NAME               ID              SIZE      MODIFIED"
+  if [ "$FAKE_OLLAMA_MODE" != "empty" ]; then
+    echo "llama3.1:8b        42182419e950    4.7 GB    2 weeks ago"
+    echo "qwen2.5:14b        7cdf5a0187d5    9.0 GB    3 days ago"
+  fi
+  exit 0
+fi
+prompt=$(cat)
+case "$FAKE_OLLAMA_MODE" in
+  thinking)
+    echo "Thinking..."
+    echo "Brugeren vil have en vurdering."
+    echo "...done thinking."
+    echo ""
+    echo "## Vurdering"
+    ;;
+  missing)
+    echo "Error: pull model manifest: file does not exist" >&2
+    exit 1
+    ;;
+  down)
+    echo "Error: could not connect to ollama app, is it running?" >&2
+    exit 1
+    ;;
+  *)
+    printf 'Args: %s\\n' "$*"
+    echo "$prompt" | tail -n 1
+    echo "prompt eval count:    812 token(s)" >&2
+    echo "eval count:           240 token(s)" >&2
+    ;;
+esac
+`;
+
+const request = {
+  messages: [{ role: 'user', content: 'Dokumentets sidste linje' }],
+  context: { instructions: 'Du er juridisk rådgiver.', references: [] }
+};
+
+describe.skipIf(process.platform === 'win32')('OllamaCLIProvider', () => {
+  let binDir;
+  let originalPath;
+
+  beforeAll(() => {
+    binDir = mkdtempSync(path.join(tmpdir(), 'fake-ollama-'));
+    writeFileSync(path.join(binDir, 'ollama'), FAKE_OLLAMA);
+    chmodSync(path.join(binDir, 'ollama'), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_OLLAMA_MODE;
+    rmSync(binDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    delete process.env.FAKE_OLLAMA_MODE;
+  });
+
+  it('should list installed models from the "ollama list" table', async () => {
+    const models = await listLocalModels('ollama');
+
+    expect(models).toEqual([
+      { name: 'llama3.1:8b', id: '42182419e950', size: '4.7 GB', modified: '2 weeks ago' },
+      { name: 'qwen2.5:14b', id: '7cdf5a0187d5', size: '9.0 GB', modified: '3 days ago' }
+    ]);
+    expect(await listLocalModels('claude')).toEqual([]);
+  });
+
+  it('should run the selected model, or the first installed one by default', async () => {
+    const selected = await new OllamaCLIProvider({ model: 'qwen2.5:14b' }).send(request);
+    expect(selected.message.content).toBe('Args: run qwen2.5:14b --verbose\nDokumentets sidste linje');
+    expect(selected.providerMeta.model).toBe('qwen2.5:14b');
+    expect(selected.usage).toMatchObject({ inputTokens: 812, outputTokens: 240, totalTokens: 1052, costUsd: 0 });
+
+    const fallback = await new OllamaCLIProvider().send(request);
+    expect(fallback.message.content).toMatch(/^Args: run llama3\.1:8b/);
+  });
+
+  it('should strip the thinking block of reasoning models', async () => {
+    process.env.FAKE_OLLAMA_MODE = 'thinking';
+
+    const response = await new OllamaCLIProvider({ model: 'qwen2.5:14b' }).send(request);
+    expect(response.message.content).toBe('## Vurdering');
+  });
+
+  it('should map missing models and a stopped server to provider errors', async () => {
+    const provider = new OllamaCLIProvider({ model: 'llama3.1:8b' });
+
+    process.env.FAKE_OLLAMA_MODE = 'missing';
+    await expect(provider.send(request)).rejects.toMatchObject({ name: 'ProviderError', type: 'CONFIG', providerId: 'ollama-cli' });
+
+    process.env.FAKE_OLLAMA_MODE = 'down';
+    await expect(provider.send(request)).rejects.toMatchObject({ name: 'ProviderError', type: 'NETWORK', providerId: 'ollama-cli' });
+
+    process.env.FAKE_OLLAMA_MODE = 'empty';
+    await expect(new OllamaCLIProvider().send(request)).rejects.toMatchObject({ type: 'CONFIG', userMessage: 'Der er ingen lokale modeller installeret' });
+  });
+
+  it('should report the model it ran and the local flag for an analysis request', async () => {
+    const registered = createProvider('ollama');
+    const response = await registered.send(buildAnalysisRequest({ document: 'Sidste linje', instructions: 'Instruktioner' }));
+
+    expect(registered.isLocal).toBe(true);
+    expect(await registered.getVersion()).toBe('0.3.12');
+    expect(response.providerMeta).toMatchObject({ providerId: 'ollama-cli', model: 'llama3.1:8b' });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { OpenAICLIProvider } from '../../src/providers/cli/OpenAICLIProvider.js';
+import { buildAnalysisRequest } from '../../src/providers/request.js';
+
+// Fake "codex" executable; FAKE_CODEX_MODE selects how it answers
+const FAKE_CODEX = `#!/bin/sh
+if [ "$1" = "--version" ]; then
+  echo "codex-cli 0.46.0"
+  exit 0
+fi
+prompt=$(cat)
+case "$FAKE_CODEX_MODE" in
+  transcript)
+    echo "[2025-01-01T12:00:00] OpenAI Codex v0.46.0"
+    echo "[2025-01-01T12:00:01] User instructions:"
+    echo "$prompt"
+    echo "[2025-01-01T12:00:05] codex"
+    echo ""
+    echo "## Vurdering"
+    echo "[2025-01-01T12:00:06] tokens used: 1234"
+    ;;
+  quota)
+    echo "ERROR: unexpected status 429 Too Many Requests: insufficient_quota" >&2
+    exit 1
+    ;;
+  context)
+    echo "[2025-01-01T12:00:02] ERROR: context_length_exceeded"
+    exit 1
+    ;;
+  auth)
+    echo "Error: OPENAI_API_KEY is not set. Run codex login" >&2
+    exit 1
+    ;;
+  *)
+    printf '\\033[1mArgs: %s\\033[0m\\n' "$*"
+    echo "$prompt" | tail -n 1
+    ;;
+esac
+`;
+
+const request = {
+  messages: [{ role: 'user', content: 'Dokumentets sidste linje' }],
+  context: { instructions: 'Du er juridisk rådgiver.', references: [{ name: 'kontrakt-2022.pdf', text: 'Gammel tekst' }] }
+};
+
+describe.skipIf(process.platform === 'win32')('OpenAICLIProvider', () => {
+  let binDir;
+  let originalPath;
+  let provider;
+
+  beforeAll(() => {
+    binDir = mkdtempSync(path.join(tmpdir(), 'fake-codex-'));
+    writeFileSync(path.join(binDir, 'codex'), FAKE_CODEX);
+    chmodSync(path.join(binDir, 'codex'), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_CODEX_MODE;
+    rmSync(binDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    provider = new OpenAICLIProvider();
+    delete process.env.FAKE_CODEX_MODE;
+  });
+
+  it('should detect the CLI and its version number', async () => {
+    expect(await provider.isAvailable()).toBe(true);
+    expect(await provider.getVersion()).toBe('0.46.0');
+  });
+
+  it('should send instructions, references and document on stdin to codex exec', async () => {
+    const command = provider.buildCommand(request);
+
+    expect(command.args).toEqual(['exec', '--skip-git-repo-check', '--sandbox', 'read-only', '--color', 'never', '-']);
+    expect(command.stdin.indexOf('Du er juridisk rådgiver.')).toBeLessThan(command.stdin.indexOf('Reference 1: kontrakt-2022.pdf'));
+
+    const response = await provider.send(request);
+    expect(response.message.content).toBe('Args: exec --skip-git-repo-check --sandbox read-only --color never -\nDokumentets sidste linje');
+  });
+
+  it('should keep only the final answer from a session transcript', async () => {
+    process.env.FAKE_CODEX_MODE = 'transcript';
+
+    const response = await provider.send(request);
+    expect(response.message.content).toBe('## Vurdering');
+  });
+
+  it('should map OpenAI error codes to provider errors', async () => {
+    const expectedTypes = { quota: 'QUOTA_EXCEEDED', context: 'CONTEXT_LENGTH', auth: 'AUTH' };
+
+    for (const [mode, type] of Object.entries(expectedTypes)) {
+      process.env.FAKE_CODEX_MODE = mode;
+      await expect(provider.send(request)).rejects.toMatchObject({ name: 'ProviderError', type, providerId: 'openai-cli' });
+    }
+  });
+
+  it('should answer an analysis request built by the services', async () => {
+    const response = await provider.send(buildAnalysisRequest({ document: 'Sidste linje', instructions: 'Instruktioner' }));
+
+    expect(response.message.content).toMatch(/Sidste linje$/);
+    expect(await provider.getVersion()).toBe('0.46.0');
+  });
+});
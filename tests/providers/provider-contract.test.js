@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createProvider, loadCustomProviders } from '../../src/providers/registry.js';
+import { buildAnalysisRequest, buildFollowUpRequest } from '../../src/providers/request.js';
+
+// One fake CLI installed under every provider's command: answers with the last line of
+// its stdin (the end of the document, or the latest question), or fails like a logged-out or slow CLI
+const FAKE_CLI = `#!/bin/sh
+if [ "$1" = "--version" ]; then
+  echo "fake-cli 1.2.3"
+  exit 0
+fi
+if [ "$1" = "list" ]; then
+  echo "NAME               ID              SIZE      MODIFIED"
+  echo "llama3.1:8b        42182419e950    4.7 GB    2 weeks ago"
+  exit 0
+fi
+prompt=$(cat)
+case "$FAKE_CLI_MODE" in
+  auth)
+    echo "Error: not logged in" >&2
+    exit 1
+    ;;
+  slow)
+    sleep 3
+    ;;
+esac
+printf '\\033[32mSvar:\\033[0m %s\\n' "$(echo "$prompt" | tail -n 1)"
+`;
+
+const COMMANDS = ['claude', 'gemini', 'codex', 'ollama', 'contract-llm'];
+
+const request = buildAnalysisRequest({
+  document: '§ 1 Parter\nDokumentets sidste linje',
+  instructions: 'Du er juridisk rådgiver.',
+  references: [{ name: 'kontrakt-2022.pdf', text: 'Gammel tekst' }],
+  metadata: { documentPath: 'kontrakt.txt' }
+});
+
+// Every provider the services can run - built-in and user-defined - has to honour the same contract
+describe.skipIf(process.platform === 'win32').each(['claude', 'gemini', 'openai', 'ollama', 'contract-llm'])('provider contract: %s', (name) => {
+  let binDir;
+  let emptyDir;
+  let providersDir;
+  let originalPath;
+  let provider;
+
+  beforeAll(() => {
+    binDir = mkdtempSync(path.join(tmpdir(), 'fake-contract-'));
+    COMMANDS.forEach(command => {
+      writeFileSync(path.join(binDir, command), FAKE_CLI);
+      chmodSync(path.join(binDir, command), 0o755);
+    });
+    emptyDir = path.join(binDir, 'empty');
+    mkdirSync(emptyDir);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+    providersDir = mkdtempSync(path.join(tmpdir(), 'contract-providers-'));
+    writeFileSync(path.join(providersDir, 'contract.json'), JSON.stringify({ name: 'contract-llm', command: 'contract-llm' }));
+    loadCustomProviders(providersDir);
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_CLI_MODE;
+    loadCustomProviders(path.join(providersDir, 'missing'));
+    rmSync(binDir, { recursive: true, force: true });
+    rmSync(providersDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    delete process.env.FAKE_CLI_MODE;
+    provider = createProvider(name);
+  });
+
+  it('should describe itself', () => {
+    expect(provider.id).toMatch(/-cli$/);
+    expect(provider.displayName).toEqual(expect.any(String));
+    expect(provider.contextWindow).toBeGreaterThan(0);
+    expect(provider.capabilities).toMatchObject({
+      streaming: expect.any(Boolean),
+      temperature: expect.any(Boolean),
+      maxTokens: expect.any(Boolean)
+    });
+    expect(provider.capabilities.models === null || Array.isArray(provider.capabilities.models)).toBe(true);
+    expect(provider.estimateTokens('Tekst. '.repeat(100))).toBeGreaterThan(0);
+  });
+
+  it('should report availability and version of an installed CLI', async () => {
+    expect(await provider.isAvailable()).toBe(true);
+    expect(await provider.getVersion()).toContain('1.2.3');
+  });
+
+  it('should answer an analysis request with clean text, usage and provider metadata', async () => {
+    const response = await provider.send(request);
+
+    expect(response.message).toEqual({ role: 'assistant', content: 'Svar: Dokumentets sidste linje' });
+    expect(response.usage.totalTokens).toBeGreaterThan(0);
+    expect(response.providerMeta).toMatchObject({ providerId: provider.id, latencyMs: expect.any(Number) });
+  });
+
+  it('should send the whole conversation and answer its last message', async () => {
+    const response = await provider.send(buildFollowUpRequest({
+      document: '§ 1 Parter\nDokumentets sidste linje',
+      instructions: 'Du er juridisk rådgiver.',
+      analysis: '## Kort vurdering\nAnalysens sidste linje',
+      thread: [{ question: 'Første spørgsmål?', answer: 'Første svar.' }],
+      question: 'Hvad betyder § 1?'
+    }));
+
+    expect(response.message.content).toBe('Svar: Hvad betyder § 1?');
+  });
+
+  it('should reject a request without messages or instructions', async () => {
+    await expect(provider.send({ ...request, messages: [] }))
+      .rejects.toMatchObject({ name: 'ProviderError', type: 'CONFIG', isRecoverable: false });
+    await expect(provider.send({ messages: request.messages, context: {} }))
+      .rejects.toMatchObject({ type: 'CONFIG', userMessage: expect.stringContaining('mangler instruktioner') });
+  });
+
+  it('should reject options the provider does not support', async () => {
+    await expect(provider.send({ ...request, options: { temperature: 5 } }))
+      .rejects.toMatchObject({ name: 'ProviderError', type: 'CONFIG', isRecoverable: false });
+  });
+
+  it('should report a missing CLI as NOT_INSTALLED', async () => {
+    process.env.PATH = [emptyDir, '/usr/bin', '/bin'].join(path.delimiter);
+    try {
+      expect(await provider.isAvailable()).toBe(false);
+      expect(await provider.getVersion()).toBeNull();
+      await expect(provider.send(request))
+        .rejects.toMatchObject({ name: 'ProviderError', type: 'NOT_INSTALLED', isRecoverable: true });
+    } finally {
+      process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    }
+  });
+
+  it('should classify a logged-out CLI as AUTH', async () => {
+    process.env.FAKE_CLI_MODE = 'auth';
+
+    await expect(provider.send(request))
+      .rejects.toMatchObject({ name: 'ProviderError', type: 'AUTH', isRecoverable: true });
+  });
+
+  it('should stop on cancellation with CANCELLED', async () => {
+    // eslint-disable-next-line no-undef
+    const cancelled = new AbortController();
+    cancelled.abort();
+    await expect(provider.send(request, { signal: cancelled.signal }))
+      .rejects.toMatchObject({ name: 'ProviderError', type: 'CANCELLED', isRecoverable: false });
+
+    process.env.FAKE_CLI_MODE = 'slow';
+    // eslint-disable-next-line no-undef
+    const running = new AbortController();
+    const pending = provider.send(request, { signal: running.signal });
+    setTimeout(() => running.abort(), 200);
+    await expect(pending).rejects.toMatchObject({ type: 'CANCELLED' });
+  });
+});
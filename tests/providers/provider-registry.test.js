@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  loadCustomProviders,
+  getProviderNames,
+  hasProvider,
+  createProvider,
+  getProviderCapabilities,
+  validateProviderDefinition
+} from '../../src/providers/registry.js';
+import { buildAnalysisRequest, buildRequestOptions } from '../../src/providers/request.js';
+
+// Fake internal wrapper: prints its arguments (the system prompt) and stdin, plus debug noise
+const FAKE_WRAPPER = `#!/bin/sh
+if [ "$1" = "--ver" ]; then
+  echo "intern-llm 2.1.0 (build 77)"
+  exit 0
+fi
+prompt=$(cat)
+if [ "$FAKE_WRAPPER_MODE" = "auth" ]; then
+  echo "fejl: token udløbet" >&2
+  exit 1
+fi
+echo "[debug] model loaded"
+echo "System: $3"
+shift 3
+echo "Args: $*"
+echo "$prompt" | tail -n 1
+`;
+
+const definition = {
+  name: 'intern-llm',
+  displayName: 'Intern LLM',
+  command: 'intern-llm',
+  args: ['chat', '--system', '{{systemPrompt}}', '--model={{model}}', '--temperature={{temperature}}'],
+  models: ['intern-small', 'intern-large'],
+  systemPrompt: 'flag',
+  versionFlag: '--ver',
+  contextWindow: 100000,
+  outputCleanup: ['^\\[debug\\].*\\n'],
+  authErrorPatterns: ['token\\s+udløbet']
+};
+
+describe('provider registry', () => {
+  let providersDir;
+
+  beforeAll(() => {
+    providersDir = mkdtempSync(path.join(tmpdir(), 'custom-providers-'));
+    writeFileSync(path.join(providersDir, 'intern.json'), JSON.stringify(definition));
+    writeFileSync(path.join(providersDir, 'broken.json'), '{ "name": ');
+    writeFileSync(path.join(providersDir, 'claude.json'), JSON.stringify({ name: 'claude', command: 'other-claude' }));
+    writeFileSync(path.join(providersDir, 'notes.txt'), 'ignored');
+  });
+
+  afterAll(() => {
+    loadCustomProviders(path.join(providersDir, 'missing'));
+    rmSync(providersDir, { recursive: true, force: true });
+  });
+
+  it('should register built-in providers and valid custom definitions', () => {
+    const loaded = loadCustomProviders(providersDir);
+
+    expect(loaded.map(provider => provider.name)).toEqual(['intern-llm']);
+    expect(getProviderNames()).toEqual(['gemini', 'claude', 'openai', 'ollama', 'intern-llm']);
+    expect(hasProvider('intern-llm')).toBe(true);
+    expect(hasProvider('unknown')).toBe(false);
+    expect(() => createProvider('unknown')).toThrow('Unknown provider: unknown');
+  });
+
+  it('should reject incomplete or inconsistent definitions', () => {
+    expect(validateProviderDefinition(definition)).toBeNull();
+    expect(validateProviderDefinition({ name: 'Intern LLM', command: 'x' })).toMatch(/"name"/);
+    expect(validateProviderDefinition({ name: 'x' })).toMatch(/"command"/);
+    expect(validateProviderDefinition({ name: 'x', command: 'x', systemPrompt: 'flag', args: [] })).toMatch(/\{\{systemPrompt\}\}/);
+    expect(validateProviderDefinition({ name: 'x', command: 'x', outputCleanup: ['('] })).toMatch(/outputCleanup/);
+    expect(validateProviderDefinition({ name: 'x', command: 'x', models: ['a'] })).toMatch(/\{\{model\}\}/);
+  });
+
+  it('should derive model and parameter support from the args template', () => {
+    loadCustomProviders(providersDir);
+
+    expect(getProviderCapabilities('intern-llm')).toMatchObject({ models: ['intern-small', 'intern-large'], temperature: true, maxTokens: false });
+    expect(getProviderCapabilities('claude')).toMatchObject({ models: ['sonnet', 'opus', 'haiku'], temperature: false });
+    expect(getProviderCapabilities('unknown')).toBeNull();
+  });
+
+  describe.skipIf(process.platform === 'win32')('custom provider execution', () => {
+    let binDir;
+    let originalPath;
+
+    beforeAll(() => {
+      loadCustomProviders(providersDir);
+      binDir = mkdtempSync(path.join(tmpdir(), 'fake-intern-llm-'));
+      writeFileSync(path.join(binDir, 'intern-llm'), FAKE_WRAPPER);
+      chmodSync(path.join(binDir, 'intern-llm'), 0o755);
+      originalPath = process.env.PATH;
+      process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+    });
+
+    afterAll(() => {
+      process.env.PATH = originalPath;
+      delete process.env.FAKE_WRAPPER_MODE;
+      rmSync(binDir, { recursive: true, force: true });
+    });
+
+    it('should pass the system prompt as a quoted argument and clean the output', async () => {
+      const provider = createProvider('intern-llm');
+      const response = await provider.send(buildAnalysisRequest({
+        document: 'Sidste linje',
+        instructions: "Du er juridisk rådgiver. Brug 'citater'."
+      }));
+
+      expect(provider.id).toBe('intern-llm-cli');
+      expect(provider.contextWindow).toBe(100000);
+      expect(await provider.getVersion()).toBe('2.1.0');
+      expect(response.message.content).toBe("System: Du er juridisk rådgiver. Brug 'citater'.\nArgs: \nSidste linje");
+    });
+
+    it('should fill in the selected model and parameters and leave out unset ones', async () => {
+      const provider = createProvider('intern-llm');
+      const request = (modelOptions) => buildAnalysisRequest({
+        document: 'Sidste linje',
+        instructions: 'Instruktioner',
+        options: buildRequestOptions(modelOptions)
+      });
+
+      const selected = await provider.send(request({ model: 'intern-large', temperature: 0.2, maxTokens: null }));
+      expect(selected.providerMeta.model).toBe('intern-large');
+      expect(selected.message.content).toBe('System: Instruktioner\nArgs: --model=intern-large --temperature=0.2\nSidste linje');
+
+      const defaults = await provider.send(request({ model: '' }));
+      expect(defaults.message.content).toBe('System: Instruktioner\nArgs: \nSidste linje');
+
+      await expect(provider.send(request({ model: 'intern-huge' })))
+        .rejects.toMatchObject({ type: 'CONFIG', userMessage: expect.stringMatching(/ukendt model "intern-huge"/) });
+    });
+
+    it('should map the definition\'s auth patterns to an auth error', async () => {
+      process.env.FAKE_WRAPPER_MODE = 'auth';
+
+      await expect(createProvider('intern-llm').send(buildAnalysisRequest({ document: 'Sidste linje', instructions: 'Instruktioner' })))
+        .rejects.toMatchObject({ name: 'ProviderError', type: 'AUTH', isRecoverable: true });
+    });
+  });
+});
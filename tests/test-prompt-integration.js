@@ -1,9 +1,10 @@
 /**
- * Test Prompt Integration with Claude Adapter
- * Demonstrates how prompts work with the CLI adapter
+ * Test Prompt Integration with the Claude provider
+ * Demonstrates how prompts become the provider's CLI command
  */
 
-import { createClaudeAdapter } from '../src/adapters/claude-adapter.js';
+import { readFileSync } from 'fs';
+import { createClaudeProvider, buildAnalysisRequest } from '../src/providers/index.js';
 import { getPromptPath, loadPrompt } from '../src/utils/prompt-loader.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -40,17 +41,18 @@ async function testPromptIntegration() {
   console.log(`✓ Prompt loaded successfully (${loadResult.content.length} characters)`);
   console.log();
 
-  // Step 2: Create Claude adapter
-  console.log('Step 2: Creating Claude Adapter');
+  // Step 2: Create Claude provider
+  console.log('Step 2: Creating Claude Provider');
   console.log('-'.repeat(60));
-  const adapter = createClaudeAdapter();
-  console.log(`✓ Adapter created: ${adapter.getProviderName()}`);
+  const provider = createClaudeProvider();
+  const document = readFileSync(testDocument, 'utf8');
+  console.log(`✓ Provider created: ${provider.id}`);
   console.log();
 
   // Step 3: Check if Claude CLI is available
   console.log('Step 3: Checking Claude CLI Availability');
   console.log('-'.repeat(60));
-  const isAvailable = await adapter.isAvailable();
+  const isAvailable = await provider.isAvailable();
   console.log(`Claude CLI available: ${isAvailable ? '✓' : '✗'}`);
 
   if (!isAvailable) {
@@ -61,7 +63,7 @@ async function testPromptIntegration() {
     console.log();
     console.log('The integration test can still verify that prompts load correctly.');
   } else {
-    const version = await adapter.getVersion();
+    const version = await provider.getVersion();
     console.log(`Claude CLI version: ${version}`);
   }
   console.log();
@@ -71,13 +73,12 @@ async function testPromptIntegration() {
   console.log('-'.repeat(60));
 
   try {
-    const request = {
-      documentPath: testDocument,
-      systemPromptPath: promptPath,
-      timeout: 60000
-    };
+    const request = buildAnalysisRequest({
+      document,
+      instructions: loadResult.content
+    });
 
-    const commandData = adapter.buildCommand(request);
+    const commandData = provider.buildCommand(request);
 
     console.log('✓ Command built successfully');
     console.log();
@@ -91,7 +92,7 @@ async function testPromptIntegration() {
     });
     console.log();
     console.log('Prompt Preview:');
-    const promptPreview = commandData.prompt.substring(0, 200).replace(/\n/g, ' ');
+    const promptPreview = commandData.stdin.substring(0, 200).replace(/\n/g, ' ');
     console.log(`  ${promptPreview}...`);
     console.log();
 
@@ -117,12 +118,7 @@ async function testPromptIntegration() {
 
       // Try building command for each prompt
       try {
-        const request = {
-          documentPath: testDocument,
-          systemPromptPath: getPromptPath(promptName),
-          timeout: 60000
-        };
-        adapter.buildCommand(request);
+        provider.buildCommand(buildAnalysisRequest({ document, instructions: result.content }));
         console.log(`  ✓ Command builds successfully`);
       } catch (error) {
         console.log(`  ✗ Command build failed: ${error.message}`);
@@ -137,9 +133,9 @@ async function testPromptIntegration() {
   console.log('INTEGRATION TEST SUMMARY');
   console.log('='.repeat(60));
   console.log('✓ Prompt loading: Working');
-  console.log('✓ Claude adapter integration: Working');
+  console.log('✓ Claude provider integration: Working');
   console.log('✓ Command building: Working');
-  console.log('✓ All three prompts: Compatible with adapter');
+  console.log('✓ All three prompts: Compatible with provider');
   console.log();
 
   if (isAvailable) {
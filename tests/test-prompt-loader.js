@@ -10,6 +10,7 @@ import {
   validatePrompt,
   promptExists,
   verifyStandardPrompts,
+  getStandardPromptNames,
   getPromptPath
 } from '../src/utils/prompt-loader.js';
 
@@ -33,8 +34,10 @@ const promptsInfo = getAvailablePromptsInfo();
 promptsInfo.forEach(info => {
   console.log(`Name: ${info.name}`);
   console.log(`Display Name: ${info.displayName}`);
+  console.log(`Description: ${info.description}`);
+  console.log(`Document Type: ${info.documentType}`);
+  console.log(`Version: ${info.version || 'N/A'}`);
   console.log(`File Path: ${info.filePath}`);
-  console.log(`Exists: ${info.exists}`);
   console.log();
 });
 
@@ -56,11 +59,7 @@ console.log();
 // Test 4: Load and validate each prompt
 console.log('Test 4: Load and Validate Each Prompt');
 console.log('-'.repeat(60));
-const standardPrompts = [
-  'franchise-contract-review',
-  'franchise-manual-review',
-  'compliance-check'
-];
+const standardPrompts = getStandardPromptNames();
 
 for (const promptName of standardPrompts) {
   console.log(`\nTesting: ${promptName}`);
@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ProviderErrorFactory } from '../../src/providers/base/ProviderError.js';
+import { loadAnalysisRecord, saveAnalysisRecord } from '../../src/utils/analysis-store.js';
+import { renderAnchoredDocument } from '../../src/utils/document-model.js';
+
+const dir = mkdtempSync(path.join(tmpdir(), 'analysis-chat-'));
+
+// Fake provider: answers by quoting the clause the question is about
+const send = vi.fn(async ({ messages }) => ({
+  message: { role: 'assistant', content: `Efter § 2 gælder: ${messages[messages.length - 1].content}` },
+  usage: { inputTokens: 800, outputTokens: 100, totalTokens: 900, estimated: true },
+  providerMeta: { providerId: 'claude-cli', model: 'sonnet' }
+}));
+
+// One token per character; a test can shrink the context window
+const provider = { id: 'claude-cli', contextWindow: 200000, estimateTokens: (text) => text.length, send };
+
+vi.mock('../../src/providers/index.js', () => ({
+  getProvider: () => provider
+}));
+
+vi.mock('../../src/utils/prompt-loader.js', async (importOriginal) => {
+  const { parseFrontmatter } = await importOriginal();
+  return {
+    loadPrompt: (name) => (name === 'franchise-contract-review'
+      ? { success: true, content: parseFrontmatter(readFileSync(path.join(dir, `${name}.md`), 'utf8')).body }
+      : { success: false, error: `Prompt file not found: ${name}` })
+  };
+});
+
+vi.mock('../../src/utils/settings-manager.js', () => ({
+  loadSettings: () => ({ usagePrices: { claude: { input: 3, output: 15 } } })
+}));
+
+vi.mock('../../src/utils/provider-config-loader.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadProviderInstructions: async () => 'Svar som erfaren franchiseadvokat.'
+}));
+
+vi.mock('../../src/utils/usage-ledger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  recordUsage: vi.fn()
+}));
+
+// Imported after the mocks are set up (they depend on dir)
+const { askFollowUp, getFollowUps, appendFollowUpsToReport } = await import('../../src/services/analysis-chat.js');
+const { recordUsage } = await import('../../src/utils/usage-ledger.js');
+
+const clauseIndex = [
+  { id: 'clause-1', number: '1', label: '§ 1', heading: 'Parter', text: 'A og B.', page: null },
+  { id: 'clause-2', number: '2', label: '§ 2', heading: 'Opsigelse', text: 'Tre måneders varsel.', page: null }
+];
+
+function storeAnalysis(analysisId) {
+  const reportPath = path.join(dir, `${analysisId}.md`);
+  writeFileSync(reportPath, 'Rapport uden spørgsmål');
+  saveAnalysisRecord({
+    analysisId,
+    date: '2026-10-19T10:00:00.000Z',
+    documentPath: path.join(dir, 'kontrakt.pdf'),
+    clientName: 'Klient A',
+    provider: 'claude',
+    options: { model: 'sonnet' },
+    promptNames: ['franchise-contract-review'],
+    documentContent: '[§ 1] Parter\nA og B.\n\n[§ 2] Opsigelse\nTre måneders varsel.',
+    analyses: [{ promptName: 'franchise-contract-review', provider: 'claude', output: '## Kort vurdering\nOpsigelsen er kort.' }],
+    report: {
+      config: {
+        cliResult: { provider: 'claude', output: '## Kort vurdering\nOpsigelsen er kort.' },
+        metadata: { originalFileName: 'kontrakt.pdf', clientName: 'Klient A', documentType: 'contract' },
+        branding: {},
+        clauseIndex
+      },
+      files: [{ format: 'md', path: reportPath }, { format: 'json', path: path.join(dir, `${analysisId}.json`) }]
+    },
+    followUps: []
+  }, dir);
+  return reportPath;
+}
+
+describe('analysis-chat', () => {
+  beforeAll(() => {
+    writeFileSync(path.join(dir, 'franchise-contract-review.md'), '---\ndisplayName: Kontrakt\n---\nGennemgå franchisekontrakten.');
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    send.mockClear();
+  });
+
+  it('should answer with the document, prompt and analysis as context and keep the thread', async () => {
+    storeAnalysis('chat-1');
+
+    const first = await askFollowUp('chat-1', '  Hvad betyder § 2 for opsigelse efter 3 år?  ', { dir });
+    expect(first).toMatchObject({
+      question: 'Hvad betyder § 2 for opsigelse efter 3 år?',
+      answer: 'Efter § 2 gælder: Hvad betyder § 2 for opsigelse efter 3 år?',
+      provider: 'claude',
+      model: 'sonnet'
+    });
+    expect(first.usage.costUsd).toBeCloseTo(0.0039);
+
+    const [request] = send.mock.calls[0];
+    // The provider's custom instructions come first, as in the analysis
+    expect(request.context.instructions).toMatch(/^Svar som erfaren franchiseadvokat\.\n\n---\n\nGennemgå franchisekontrakten\./);
+    expect(request.context.instructions).toContain('opfølgende spørgsmål');
+    expect(request.options).toEqual({ model: 'sonnet' });
+    expect(request.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+    expect(request.messages[0].content).toContain('[§ 2] Opsigelse');
+    expect(request.messages[1].content).toContain('Opsigelsen er kort.');
+
+    // The next question carries the thread
+    await askFollowUp('chat-1', 'Kan varslet forlænges?', { dir });
+    const [followUp] = send.mock.calls[1];
+    expect(followUp.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+    expect(followUp.messages[3].content).toBe(first.answer);
+
+    expect(getFollowUps('chat-1', { dir }).map(entry => entry.question))
+      .toEqual(['Hvad betyder § 2 for opsigelse efter 3 år?', 'Kan varslet forlænges?']);
+    expect(recordUsage).toHaveBeenLastCalledWith([
+      expect.objectContaining({ analysisId: 'chat-1', clientName: 'Klient A', documentName: 'kontrakt.pdf', promptName: 'follow-up', totalTokens: 900 })
+    ]);
+  });
+
+  it('should reject empty questions, unknown analyses and report provider errors with their type', async () => {
+    storeAnalysis('chat-2');
+
+    await expect(askFollowUp('chat-2', '   ', { dir })).rejects.toMatchObject({ errorCode: 'GENERIC_ERROR' });
+    await expect(askFollowUp('ukendt', 'Spørgsmål?', { dir })).rejects.toMatchObject({ errorCode: 'ANALYSIS_NOT_FOUND' });
+    await expect(askFollowUp('../settings', 'Spørgsmål?', { dir })).rejects.toMatchObject({ errorCode: 'ANALYSIS_NOT_FOUND' });
+
+    send.mockRejectedValueOnce(ProviderErrorFactory.authRequired('claude-cli', 'not logged in'));
+    await expect(askFollowUp('chat-2', 'Spørgsmål?', { dir }))
+      .rejects.toMatchObject({ errorCode: 'AUTH', userMessage: 'Du skal logge ind først' });
+
+    send.mockRejectedValueOnce(ProviderErrorFactory.cancelled('claude-cli'));
+    await expect(askFollowUp('chat-2', 'Spørgsmål?', { dir })).rejects.toMatchObject({ errorCode: 'ANALYSIS_CANCELLED' });
+
+    // Failed questions are not stored
+    expect(loadAnalysisRecord('chat-2', dir).followUps).toEqual([]);
+  });
+
+  it('should send only the cited clauses when the document does not fit the context window', async () => {
+    storeAnalysis('chat-4');
+    const sections = ['Parter', 'Opsigelse', 'Territorium'].map((heading, index) => ({
+      id: `clause-${index + 1}`, number: String(index + 1), label: `§ ${index + 1}`, heading, text: `${heading} `.repeat(60), page: null
+    }));
+    const record = loadAnalysisRecord('chat-4', dir);
+    saveAnalysisRecord({
+      ...record,
+      documentContent: renderAnchoredDocument({ sections }),
+      report: { ...record.report, config: { ...record.report.config, clauseIndex: sections } }
+    }, dir);
+    // Leaves the minimum budget of 1000 tokens for the document
+    provider.contextWindow = 10000;
+
+    try {
+      await askFollowUp('chat-4', 'Hvad betyder § 2?', { dir });
+      const [request] = send.mock.calls[0];
+      expect(request.messages[0].content).toContain('Kun de klausuler, spørgsmålet henviser til, er medtaget');
+      expect(request.messages[0].content).toContain('[§ 2] Opsigelse');
+      expect(request.messages[0].content).not.toContain('[§ 1] Parter');
+
+      await expect(askFollowUp('chat-4', 'Hvad betyder opsigelsen?', { dir }))
+        .rejects.toMatchObject({ errorCode: 'CONFIG', userMessage: 'Dokumentet er for langt til at blive sendt med spørgsmålet.' });
+      await expect(askFollowUp('chat-4', 'Hvordan hænger § 1, § 2 og § 3 sammen?', { dir }))
+        .rejects.toMatchObject({ errorCode: 'CONFIG' });
+      expect(send).toHaveBeenCalledTimes(1);
+    } finally {
+      provider.contextWindow = 200000;
+    }
+  });
+
+  it('should add the questions and answers to the report as an appendix', async () => {
+    const reportPath = storeAnalysis('chat-3');
+    await expect(appendFollowUpsToReport('chat-3', { dir })).rejects.toMatchObject({ errorCode: 'GENERIC_ERROR' });
+
+    await askFollowUp('chat-3', 'Hvad er varslet?', { dir });
+    const updated = await appendFollowUpsToReport('chat-3', { dir });
+
+    expect(updated).toEqual([{ format: 'md', path: reportPath }]);
+    const report = readFileSync(reportPath, 'utf8');
+    expect(report).toContain('## Opfølgende spørgsmål');
+    expect(report).toContain('### Spørgsmål 1\n\n> Hvad er varslet?');
+    // Clause references in answers link to the clause appendix
+    expect(report).toContain('Efter [§ 2](#clause-2) gælder');
+    expect(report.indexOf('Opfølgende spørgsmål')).toBeLessThan(report.indexOf('Klausulhenvisninger'));
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { AnalysisQueue, listFolderDocuments } from '../../src/services/analysis-queue.js';
+
+// Fake runner: each analysis stays running until the test resolves it
+function createFakeRunner() {
+  const pending = new Map();
+  const runAnalysis = vi.fn((options, onProgress) => new Promise(resolve => {
+    onProgress({ percent: 20, message: 'Analyzing content' });
+    pending.set(options.analysisId, resolve);
+  }));
+  const cancelAnalysis = vi.fn((analysisId) => {
+    pending.get(analysisId)?.({ success: false, errorCode: 'ANALYSIS_CANCELLED' });
+    return pending.has(analysisId);
+  });
+  const finish = async (analysisId, result = { success: true, reports: [{ format: 'pdf', path: '/out/a.pdf' }], metadata: { outputPath: '/out' } }) => {
+    pending.get(analysisId)(result);
+    pending.delete(analysisId);
+    await new Promise(resolve => setTimeout(resolve, 0));
+  };
+  return { runAnalysis, cancelAnalysis, finish };
+}
+
+const statuses = (queue) => queue.getJobs().map(job => job.status);
+
+describe('analysis-queue', () => {
+  it('should run jobs one at a time per provider by default', async () => {
+    const runner = createFakeRunner();
+    const queue = new AnalysisQueue(runner);
+    const jobs = queue.add(['/docs/a.pdf', '/docs/b.pdf'], { provider: 'claude', promptName: 'franchise-contract-review' });
+
+    expect(statuses(queue)).toEqual(['running', 'queued']);
+    expect(runner.runAnalysis.mock.calls[0][0]).toMatchObject({ documentPath: '/docs/a.pdf', analysisId: jobs[0].id });
+
+    await runner.finish(jobs[0].id);
+
+    expect(statuses(queue)).toEqual(['completed', 'running']);
+    expect(queue.getJobs()[0].result).toMatchObject({ reportPaths: { pdf: '/out/a.pdf' }, outputPath: '/out' });
+  });
+
+  it('should respect the configured concurrency per provider', () => {
+    const runner = createFakeRunner();
+    const queue = new AnalysisQueue({ ...runner, getConcurrency: (provider) => (provider === 'gemini' ? 2 : 1) });
+    queue.add(['/docs/a.pdf', '/docs/b.pdf', '/docs/c.pdf'], { provider: 'gemini', promptName: 'p' });
+    queue.add(['/docs/d.pdf', '/docs/e.pdf'], { provider: 'claude', promptName: 'p' });
+
+    expect(statuses(queue)).toEqual(['running', 'running', 'queued', 'running', 'queued']);
+  });
+
+  it('should cancel queued and running jobs and report progress', async () => {
+    const runner = createFakeRunner();
+    const onUpdate = vi.fn();
+    const queue = new AnalysisQueue({ ...runner, onUpdate });
+    const jobs = queue.add(['/docs/a.pdf', '/docs/b.pdf', '/docs/c.pdf'], { provider: 'claude', promptName: 'p' });
+
+    expect(queue.getJobs()[0]).toMatchObject({ progress: 20, message: 'Analyzing content' });
+    expect(queue.cancel(jobs[1].id)).toBe(true);
+    expect(queue.cancel(jobs[0].id)).toBe(true);
+    expect(runner.cancelAnalysis).toHaveBeenCalledWith(jobs[0].id);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(statuses(queue)).toEqual(['cancelled', 'cancelled', 'running']);
+    expect(onUpdate).toHaveBeenLastCalledWith(queue.getJobs());
+
+    queue.clearFinished();
+    expect(queue.getJobs().map(job => job.documentName)).toEqual(['c.pdf']);
+  });
+
+  describe('listFolderDocuments', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = mkdtempSync(path.join(tmpdir(), 'queue-folder-'));
+      ['b-manual.docx', 'a-kontrakt.pdf', 'noter.txt', 'logo.png', '.DS_Store'].forEach(name => {
+        writeFileSync(path.join(dir, name), 'x');
+      });
+      mkdirSync(path.join(dir, 'arkiv.pdf'));
+    });
+
+    afterAll(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should list supported documents in name order', () => {
+      expect(listFolderDocuments(dir).map(filePath => path.basename(filePath)))
+        .toEqual(['a-kontrakt.pdf', 'b-manual.docx', 'noter.txt']);
+      expect(() => listFolderDocuments(path.join(dir, 'findes-ikke'))).toThrow(/Mappen findes ikke/);
+    });
+  });
+});
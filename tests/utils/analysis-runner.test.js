@@ -0,0 +1,487 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ProviderError, ProviderErrorFactory } from '../../src/providers/base/ProviderError.js';
+import { getFindingsInstructions } from '../../src/utils/findings.js';
+
+const outputDir = mkdtempSync(path.join(tmpdir(), 'runner-output-'));
+
+// Fake provider: answers with a heading naming the prompt, some text and one finding
+// (streamed line by line to onText when streaming is switched on)
+let streaming = false;
+const send = vi.fn(async ({ context, options }, { onText } = {}) => {
+  const analysisType = context.instructions.includes('compliance') ? 'Compliance' : 'Kontrakt';
+  const finding = { category: analysisType, clause: null, severity: 'Middel', quote: '', explanation: `${analysisType}-fund`, suggestion: null };
+  const content = `## ${analysisType}vurdering\n${'Tekst. '.repeat(500)}\n\n\`\`\`json\n${JSON.stringify({ findings: [finding] })}\n\`\`\``;
+  content.split(/(?<=\n)/).forEach(line => onText?.(line));
+  return {
+    message: { role: 'assistant', content },
+    usage: { inputTokens: 1000, outputTokens: 500, totalTokens: 1500, estimated: true },
+    providerMeta: { model: options?.model }
+  };
+});
+
+// Providers that fail, with the error they throw
+const failures = new Map();
+
+vi.mock('../../src/providers/index.js', () => ({
+  getProvider: (name) => ({
+    id: `${name}-cli`,
+    contextWindow: 200000,
+    isLocal: name === 'ollama',
+    isAvailable: async () => true,
+    getVersion: async () => null,
+    estimateTokens: (text) => Math.ceil(text.length / 4),
+    get capabilities() {
+      return { streaming };
+    },
+    send: async (request, options) => {
+      if (failures.has(name)) {
+        throw failures.get(name);
+      }
+      return send(request, options);
+    }
+  }),
+  getProviderNames: () => ['claude', 'gemini', 'ollama'],
+  hasProvider: (name) => ['claude', 'gemini', 'ollama'].includes(name)
+}));
+
+// Prompts are read from outputDir with the real frontmatter parser and template renderer
+vi.mock('../../src/utils/prompt-loader.js', async (importOriginal) => {
+  const { parseFrontmatter, renderPromptTemplate } = await importOriginal();
+  return {
+    promptExists: () => true,
+    loadPrompt: (name, { variables } = {}) => {
+      const filePath = path.join(outputDir, `${name}.md`);
+      const { attributes, body } = parseFrontmatter(readFileSync(filePath, 'utf8'));
+      return { success: true, content: renderPromptTemplate(body, variables), metadata: { name, documentType: attributes.documentType || 'general', version: attributes.version || null, filePath }, filePath };
+    }
+  };
+});
+
+vi.mock('../../src/utils/settings-manager.js', () => ({
+  loadSettings: () => ({ usagePrices: { claude: { input: 3, output: 15 } } }),
+  updateLastProvider: vi.fn(),
+  updateLastPrompt: vi.fn(),
+  addRecentClient: vi.fn(),
+  getBranding: () => ({})
+}));
+
+vi.mock('../../src/utils/usage-ledger.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  recordUsage: vi.fn()
+}));
+
+vi.mock('../../src/utils/analysis-store.js', () => ({
+  saveAnalysisRecord: vi.fn(() => true)
+}));
+
+// The prompt history holds one stored prompt version, one of Gemini's instructions and one of the findings
+// instructions (the real hash function is used)
+const STORED_PROMPT = 'Gennemgå kontrakten som franchisegiver (version 0.9).';
+const STORED_INSTRUCTIONS = 'Skriv udførligt til en lægmand.';
+const STORED_FINDINGS = 'Afslut med en JSON-blok med fund (version 0.9).';
+vi.mock('../../src/utils/prompt-history.js', async (importOriginal) => {
+  const { hashPrompt } = await importOriginal();
+  const stored = [
+    { promptName: 'franchise-contract-review', version: '0.9.0', documentType: 'contract', content: STORED_PROMPT },
+    { promptName: 'gemini-instructions', version: null, documentType: null, content: STORED_INSTRUCTIONS },
+    { promptName: 'findings-instructions', version: null, documentType: null, content: STORED_FINDINGS }
+  ];
+  return {
+    hashPrompt,
+    recordPromptVersion: vi.fn(),
+    loadPromptVersion: (hash) => {
+      const version = stored.find(entry => hashPrompt(entry.content) === hash);
+      return version ? { hash, ...version } : null;
+    }
+  };
+});
+
+// Only Gemini has custom instructions
+const GEMINI_INSTRUCTIONS = 'Skriv kortfattet til en jurist.';
+vi.mock('../../src/utils/provider-config-loader.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  loadProviderInstructions: async (name) => (name === 'gemini' ? GEMINI_INSTRUCTIONS : null)
+}));
+
+vi.mock('../../src/utils/output-manager.js', () => ({
+  generateOutputPath: ({ documentName, format }) => path.join(outputDir, `${documentName}.${format}`)
+}));
+
+// Imported after the mocks are set up (they depend on outputDir)
+const { runAnalysis } = await import('../../src/services/analysis-runner.js');
+const { recordUsage } = await import('../../src/utils/usage-ledger.js');
+const { saveAnalysisRecord } = await import('../../src/utils/analysis-store.js');
+const { hashPrompt, recordPromptVersion } = await import('../../src/utils/prompt-history.js');
+
+describe('analysis-runner', () => {
+  beforeAll(() => {
+    writeFileSync(path.join(outputDir, 'franchise-contract-review.md'), '---\ndisplayName: Kontrakt\ndocumentType: contract\n---\nGennemgå kontrakten.');
+    writeFileSync(path.join(outputDir, 'compliance-check.md'), '---\ndisplayName: Compliance\ndocumentType: compliance\n---\nLav en compliance gennemgang{{#if perspective == "franchisor"}} for franchisegiveren {{clientName}}{{/if}}.');
+    writeFileSync(path.join(outputDir, 'kontrakt.txt'), '§ 1 Parter\nA og B.\n\n§ 2 Opsigelse\nTre måneder.');
+  });
+
+  afterAll(() => {
+    rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it('should run every selected prompt and write a combined report with a chapter per analysis', async () => {
+    const progress = [];
+    const result = await runAnalysis({
+      provider: 'claude',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['franchise-contract-review', 'compliance-check'],
+      clientName: 'Acme',
+      promptVariables: { perspective: 'franchisor', industry: '' },
+      outputFormats: ['md'],
+      referencePath: null
+    }, (update) => progress.push(update));
+
+    expect(result.success).toBe(true);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(result.analyses.map(analysis => analysis.promptName)).toEqual(['franchise-contract-review', 'compliance-check']);
+    // The model gets the prompt without its frontmatter; the report type comes from the frontmatter
+    expect(send.mock.calls[0][0].context.instructions).toMatch(/^Gennemgå kontrakten\./);
+    expect(send.mock.calls[1][0].context.instructions).toMatch(/^Lav en compliance gennemgang for franchisegiveren Acme\./);
+    expect(result.analyses[1].reports.map(report => path.basename(report.path)))
+      .toEqual(['kontrakt-compliance-check.md', 'kontrakt-compliance-check.json']);
+
+    const combined = readFileSync(result.reports[0].path, 'utf8');
+    expect(path.basename(result.reports[0].path)).toBe('kontrakt-samlet.md');
+    expect(combined).toContain('**Analysetype:** Samlet analyse (Kontrakt Gennemgang, Compliance Check)');
+    expect(combined).toContain('# 1. Kontrakt Gennemgang');
+    expect(combined).toContain('# 2. Compliance Check');
+    expect(combined.indexOf('Kontraktvurdering')).toBeLessThan(combined.indexOf('Compliancevurdering'));
+
+    expect(result.usage).toMatchObject({ inputTokens: 2000, outputTokens: 1000, totalTokens: 3000, estimated: true });
+    expect(result.usage.costUsd).toBeCloseTo(0.021);
+    expect(recordUsage).toHaveBeenCalledWith([
+      expect.objectContaining({ documentName: 'kontrakt.txt', promptName: 'franchise-contract-review', provider: 'claude', totalTokens: 1500 }),
+      expect.objectContaining({ promptName: 'compliance-check', provider: 'claude', costUsd: expect.closeTo(0.0105) })
+    ]);
+
+    // Stored for follow-up questions: the text the model saw, both analyses and the combined report
+    expect(saveAnalysisRecord).toHaveBeenCalledWith(expect.objectContaining({
+      analysisId: result.analysisId,
+      provider: 'claude',
+      promptNames: ['franchise-contract-review', 'compliance-check'],
+      promptVariables: { clientName: 'Acme', perspective: 'franchisor', industry: '' },
+      promptVersions: [
+        { promptName: 'franchise-contract-review', version: null, hash: hashPrompt('Gennemgå kontrakten.') },
+        { promptName: 'compliance-check', version: null, hash: hashPrompt('Lav en compliance gennemgang for franchisegiveren Acme.') }
+      ],
+      documentContent: expect.stringContaining('[§ 2] Opsigelse'),
+      report: expect.objectContaining({ files: result.reports }),
+      followUps: []
+    }));
+    const [record] = saveAnalysisRecord.mock.calls[0];
+    expect(record.analyses.map(analysis => analysis.output)).toEqual([
+      expect.stringContaining('Kontraktvurdering'),
+      expect.stringContaining('Compliancevurdering')
+    ]);
+    expect(record.analyses[0].output).not.toContain('```json');
+    expect(record.report.config.chapters).toHaveLength(2);
+
+    expect(progress.find(update => update.prompt === 2)).toMatchObject({ totalPrompts: 2, promptName: 'compliance-check' });
+    expect(progress.map(update => update.percent)).toEqual([...progress.map(update => update.percent)].sort((a, b) => a - b));
+  });
+
+  it('should stream the answer and derive progress from the received text', async () => {
+    streaming = true;
+    const progress = [];
+    const stream = [];
+    try {
+      const result = await runAnalysis({
+        provider: 'claude',
+        documentPath: path.join(outputDir, 'kontrakt.txt'),
+        promptName: 'franchise-contract-review',
+        outputFormats: ['md'],
+        referencePath: null,
+        onStream: (chunk) => stream.push(chunk)
+      }, (update) => progress.push(update));
+
+      expect(result.success).toBe(true);
+    } finally {
+      streaming = false;
+    }
+
+    expect(stream[0]).toEqual({ text: '', promptName: 'franchise-contract-review', reset: true });
+    expect(stream.slice(1).map(chunk => chunk.text).join('')).toMatch(/^## Kontraktvurdering\nTekst\./);
+
+    const streamed = progress.filter(update => update.receivedChars);
+    expect(streamed.length).toBeGreaterThan(0);
+    expect(streamed.every(update => update.percent > 20 && update.percent <= 70)).toBe(true);
+  });
+
+  it('should fall over to the next provider and record the switch in the report', async () => {
+    failures.set('claude', new ProviderError({
+      type: 'RATE_LIMIT',
+      providerId: 'claude-cli',
+      message: 'Rate limit exceeded',
+      isRecoverable: true,
+      userMessage: 'For mange forespørgsler'
+    }));
+    let result;
+    try {
+      result = await runAnalysis({
+        provider: 'claude',
+        fallbackProviders: ['gemini'],
+        providerModels: { claude: { model: 'opus' }, gemini: { model: 'gemini-2.5-pro' } },
+        retryDelayMs: 0,
+        documentPath: path.join(outputDir, 'kontrakt.txt'),
+        promptName: 'franchise-contract-review',
+        outputFormats: ['md'],
+        referencePath: null
+      });
+    } finally {
+      failures.clear();
+    }
+
+    expect(result.success).toBe(true);
+    expect(result.metadata).toMatchObject({
+      provider: 'gemini',
+      requestedProvider: 'claude',
+      model: 'gemini-2.5-pro',
+      fallbacks: [{ from: 'claude', to: 'gemini', errorCode: 'RATE_LIMIT', reason: 'For mange forespørgsler', attempts: 3 }]
+    });
+
+    const report = readFileSync(result.reports[0].path, 'utf8');
+    expect(report).toContain('**Analyseret med:** gemini CLI (gemini-2.5-pro)');
+    expect(report).toContain('**Provider-skift:** fra claude til gemini (For mange forespørgsler)');
+  });
+
+  it('should never fall over from a local provider to a cloud provider', async () => {
+    failures.set('ollama', ProviderErrorFactory.networkError('ollama-cli', new Error('connect ECONNREFUSED 127.0.0.1:11434')));
+    send.mockClear();
+    let result;
+    try {
+      result = await runAnalysis({
+        provider: 'ollama',
+        fallbackProviders: ['claude'],
+        retryDelayMs: 0,
+        documentPath: path.join(outputDir, 'kontrakt.txt'),
+        promptName: 'franchise-contract-review',
+        outputFormats: ['md'],
+        referencePath: null
+      });
+    } finally {
+      failures.clear();
+    }
+
+    expect(result).toMatchObject({ success: false, errorCode: 'NETWORK' });
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should fail with the provider\'s error type and guidance when no provider is left', async () => {
+    failures.set('claude', ProviderErrorFactory.authRequired('claude-cli'));
+    let result;
+    try {
+      result = await runAnalysis({
+        provider: 'claude',
+        fallbackProviders: [],
+        documentPath: path.join(outputDir, 'kontrakt.txt'),
+        promptName: 'franchise-contract-review',
+        outputFormats: ['md'],
+        referencePath: null
+      });
+    } finally {
+      failures.clear();
+    }
+
+    expect(result).toMatchObject({ success: false, errorCode: 'AUTH' });
+    expect(result.userMessage).toContain('Du skal logge ind først');
+    expect(result.recoverySuggestions).toContain('Kør "claude login" i din terminal');
+  });
+
+  it('should run the prompt on every consensus provider and write a consensus report', async () => {
+    send.mockClear();
+    const result = await runAnalysis({
+      provider: 'claude',
+      consensusProviders: ['claude', 'gemini'],
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptName: 'franchise-contract-review',
+      outputFormats: ['md'],
+      referencePath: null
+    });
+
+    expect(result.success).toBe(true);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(result.analyses.map(analysis => analysis.provider)).toEqual(['claude', 'gemini']);
+    expect(result.analyses[1].reports.map(report => path.basename(report.path)))
+      .toEqual(['kontrakt-gemini.md', 'kontrakt-gemini.json']);
+    expect(result.metadata.consensus).toEqual({ providers: ['claude', 'gemini'], missing: [], failed: [], agreed: 1, conflicts: 0, single: 0 });
+    expect(result.findings).toHaveLength(1);
+
+    const report = readFileSync(result.reports[0].path, 'utf8');
+    expect(path.basename(result.reports[0].path)).toBe('kontrakt-konsensus.md');
+    expect(report).toContain('**Analysetype:** Kontrakt Gennemgang – konsensus mellem claude og gemini');
+    expect(report).toContain('## Konsensus\n\nclaude og gemini: 1 fælles fund, 0 med forskellig alvorlighed, 0 kun fundet af én model');
+    expect(report).toContain('1. **Kontrakt** (Middel): Kontrakt-fund');
+    expect(report.indexOf('## Konsensus')).toBeLessThan(report.indexOf('# 1. Analyse fra claude'));
+    expect(report).toContain('# 2. Analyse fra gemini');
+
+    const consensusJson = JSON.parse(readFileSync(result.reports[1].path, 'utf8'));
+    expect(consensusJson.consensus.agreed[0].providers).toEqual(['claude', 'gemini']);
+  });
+
+  it('should build the consensus from the providers that answered and name the one that failed', async () => {
+    failures.set('gemini', ProviderErrorFactory.authRequired('gemini-cli'));
+    let result;
+    let failed;
+    try {
+      const options = {
+        provider: 'claude',
+        documentPath: path.join(outputDir, 'kontrakt.txt'),
+        promptName: 'franchise-contract-review',
+        outputFormats: ['md'],
+        referencePath: null
+      };
+      result = await runAnalysis({ ...options, consensusProviders: ['claude', 'gemini', 'ollama'] });
+      // Fewer than two answers are no consensus
+      failed = await runAnalysis({ ...options, consensusProviders: ['claude', 'gemini'] });
+    } finally {
+      failures.clear();
+    }
+
+    expect(result.success).toBe(true);
+    expect(result.analyses.map(analysis => analysis.provider)).toEqual(['claude', 'ollama']);
+    expect(result.metadata.consensus).toMatchObject({
+      providers: ['claude', 'ollama'],
+      failed: [{ provider: 'gemini', errorCode: 'AUTH', reason: expect.stringContaining('Du skal logge ind først') }]
+    });
+    const report = readFileSync(result.reports[0].path, 'utf8');
+    expect(report).toContain('## Konsensus\n\nclaude og ollama: 1 fælles fund');
+    expect(report).toMatch(/> gemini fejlede \(Du skal logge ind først.*\) og indgår ikke i konsensus/);
+
+    expect(failed).toMatchObject({ success: false, errorCode: 'AUTH' });
+  });
+
+  it('should only run a consensus review with one prompt', async () => {
+    const result = await runAnalysis({
+      provider: 'claude',
+      consensusProviders: ['claude', 'gemini'],
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['franchise-contract-review', 'compliance-check'],
+      outputFormats: ['md'],
+      referencePath: null
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Konsensus kan kun køres med én analysetype');
+  });
+
+  it('should keep the exact prompts and re-run an analysis with a stored prompt version', async () => {
+    recordPromptVersion.mockClear();
+    const result = await runAnalysis({
+      provider: 'claude',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['franchise-contract-review'],
+      promptVersions: { 'franchise-contract-review': hashPrompt(STORED_PROMPT) },
+      outputFormats: ['md'],
+      referencePath: null
+    });
+
+    expect(result.success).toBe(true);
+    expect(send.mock.lastCall[0].context.instructions).toMatch(/^Gennemgå kontrakten som franchisegiver \(version 0\.9\)\./);
+    expect(result.metadata.promptVersions).toEqual([
+      { promptName: 'franchise-contract-review', version: '0.9.0', hash: hashPrompt(STORED_PROMPT) }
+    ]);
+    expect(recordPromptVersion).toHaveBeenCalledWith(expect.objectContaining({ promptName: 'franchise-contract-review', content: STORED_PROMPT }));
+    // The findings instructions appended to the prompt are recorded as well
+    expect(result.metadata.findingsVersion).toBe(hashPrompt(getFindingsInstructions()));
+    expect(recordPromptVersion).toHaveBeenCalledWith(expect.objectContaining({ promptName: 'findings-instructions', content: getFindingsInstructions() }));
+
+    // A re-run appends the stored findings instructions instead of the current ones
+    const rerun = await runAnalysis({
+      provider: 'claude',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['franchise-contract-review'],
+      promptVersions: { 'franchise-contract-review': hashPrompt(STORED_PROMPT) },
+      findingsVersion: hashPrompt(STORED_FINDINGS),
+      outputFormats: ['md'],
+      referencePath: null
+    });
+    expect(rerun.success).toBe(true);
+    expect(send.mock.lastCall[0].context.instructions).toBe(`${STORED_PROMPT}\n\n${STORED_FINDINGS}`);
+    expect(rerun.metadata.findingsVersion).toBe(hashPrompt(STORED_FINDINGS));
+
+    // A version that is not in the history is not silently replaced by the current prompt
+    const missing = await runAnalysis({
+      provider: 'claude',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['franchise-contract-review'],
+      promptVersions: { 'franchise-contract-review': hashPrompt('slettet') }
+    });
+    expect(missing.success).toBe(false);
+    expect(missing.error).toMatch(/findes ikke i prompthistorikken/);
+
+    const missingFindings = await runAnalysis({
+      provider: 'claude',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['franchise-contract-review'],
+      findingsVersion: hashPrompt('slettet')
+    });
+    expect(missingFindings.success).toBe(false);
+    expect(missingFindings.error).toMatch(/strukturerede fund .* findes ikke i prompthistorikken/);
+  });
+
+  it('should put the provider\'s custom instructions before the prompt unless switched off', async () => {
+    const options = {
+      provider: 'gemini',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptName: 'franchise-contract-review',
+      outputFormats: ['md'],
+      referencePath: null
+    };
+
+    recordPromptVersion.mockClear();
+    const result = await runAnalysis(options);
+    expect(result.success).toBe(true);
+    expect(send.mock.lastCall[0].context.instructions).toMatch(/^Skriv kortfattet til en jurist\.\n\n---\n\nGennemgå kontrakten\./);
+    // The instructions are kept with the prompt version, so the report can be explained and re-run
+    expect(result.metadata.instructionVersions).toEqual([{ provider: 'gemini', hash: hashPrompt(GEMINI_INSTRUCTIONS) }]);
+    expect(recordPromptVersion).toHaveBeenCalledWith(expect.objectContaining({ promptName: 'gemini-instructions', content: GEMINI_INSTRUCTIONS }));
+
+    expect((await runAnalysis({ ...options, providerInstructions: false })).success).toBe(true);
+    expect(send.mock.lastCall[0].context.instructions).toMatch(/^Gennemgå kontrakten\./);
+
+    // Claude has no instructions file
+    const claude = await runAnalysis({ ...options, provider: 'claude' });
+    expect(send.mock.lastCall[0].context.instructions).not.toContain(GEMINI_INSTRUCTIONS);
+    expect(claude.metadata.instructionVersions).toEqual([{ provider: 'claude', hash: null }]);
+  });
+
+  it('should re-run an analysis with the provider instructions it ran with', async () => {
+    const options = {
+      provider: 'gemini',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptName: 'franchise-contract-review',
+      outputFormats: ['md'],
+      referencePath: null
+    };
+
+    expect((await runAnalysis({ ...options, instructionVersions: { gemini: hashPrompt(STORED_INSTRUCTIONS) } })).success).toBe(true);
+    expect(send.mock.lastCall[0].context.instructions).toMatch(/^Skriv udførligt til en lægmand\.\n\n---\n\nGennemgå kontrakten\./);
+
+    // The analysis ran without instructions: today's file is not added
+    expect((await runAnalysis({ ...options, instructionVersions: { gemini: null } })).success).toBe(true);
+    expect(send.mock.lastCall[0].context.instructions).toMatch(/^Gennemgå kontrakten\./);
+
+    const missing = await runAnalysis({ ...options, instructionVersions: { gemini: hashPrompt('slettet') } });
+    expect(missing.success).toBe(false);
+    expect(missing.error).toMatch(/findes ikke i prompthistorikken/);
+  });
+
+  it('should not combine a comparison with other prompts', async () => {
+    const result = await runAnalysis({
+      provider: 'claude',
+      documentPath: path.join(outputDir, 'kontrakt.txt'),
+      promptNames: ['contract-comparison', 'compliance-check']
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Sammenligning kan ikke kombineres/);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { appReducer, initialState } from '../../src/context/AppContext.jsx';
+
+const folders = { Acme: '/referencer/acme', Beta: '/referencer/beta' };
+const loaded = appReducer(initialState, {
+  type: 'LOAD_SETTINGS_SUCCESS',
+  payload: { clientReferenceFolders: folders }
+});
+
+describe('app-context', () => {
+  it('should use the client\'s reference folder when the client name changes', () => {
+    const acme = appReducer(loaded, { type: 'UPDATE_CLIENT_NAME', payload: 'Acme' });
+    expect(acme.referencePath).toBe('/referencer/acme');
+
+    const beta = appReducer(acme, { type: 'UPDATE_CLIENT_NAME', payload: 'Beta' });
+    expect(beta.referencePath).toBe('/referencer/beta');
+
+    expect(appReducer(beta, { type: 'UPDATE_CLIENT_NAME', payload: 'Ukendt' }).referencePath).toBeNull();
+  });
+
+  it('should keep a folder picked by hand', () => {
+    const picked = appReducer(loaded, { type: 'SET_REFERENCE_PATH', payload: '/valgt' });
+    expect(appReducer(picked, { type: 'UPDATE_CLIENT_NAME', payload: 'Acme' }).referencePath).toBe('/valgt');
+  });
+
+  it('should apply a folder assigned to the current client in the settings', () => {
+    const acme = appReducer(loaded, { type: 'UPDATE_CLIENT_NAME', payload: 'Acme' });
+    const updated = appReducer(acme, {
+      type: 'UPDATE_SETTING',
+      payload: { key: 'clientReferenceFolders', value: { ...folders, Acme: '/referencer/acme-2026' } }
+    });
+
+    expect(updated.clientReferenceFolders.Acme).toBe('/referencer/acme-2026');
+    expect(updated.referencePath).toBe('/referencer/acme-2026');
+  });
+});
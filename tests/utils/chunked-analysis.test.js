@@ -0,0 +1,70 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runChunkedAnalysis } from '../../src/services/chunked-analysis.js';
+import { buildDocumentModel } from '../../src/utils/document-model.js';
+
+const usage = { inputTokens: 100, outputTokens: 10, totalTokens: 110, estimated: true };
+
+// Fake provider: long chunk analyses, shorter group summaries and a final report
+// (one token per character keeps budgets in the tests easy to reason about)
+function createProvider() {
+  return {
+    estimateTokens: (text) => text.length,
+    send: vi.fn(async ({ context }) => {
+      const content = context.instructions.includes('Du modtager del ')
+        ? 'A'.repeat(150)
+        : context.instructions.includes('Tilsammen dækker')
+          ? 'B'.repeat(100)
+          : 'Samlet analyse';
+      return { message: { role: 'assistant', content }, usage, providerMeta: {} };
+    })
+  };
+}
+
+function buildContract(clauseCount, bodyLength) {
+  const clauses = Array.from({ length: clauseCount }, (_, i) => `${i + 1}. KLAUSUL ${i + 1}\n${'x'.repeat(bodyLength)}`);
+  return buildDocumentModel({ text: clauses.join('\n\n'), format: 'txt' });
+}
+
+describe('chunked-analysis', () => {
+  it('should consolidate one chunk analysis per chunk into one report', async () => {
+    const provider = createProvider();
+    const result = await runChunkedAnalysis(provider, {
+      documentModel: buildContract(2, 300),
+      maxTokens: 400,
+      systemPrompt: 'Gennemgå kontrakten.',
+      timeout: 1000
+    });
+
+    expect(provider.send).toHaveBeenCalledTimes(3);
+    expect(result.message.content).toBe('Samlet analyse');
+    expect(result.providerMeta.chunkCount).toBe(2);
+    expect(provider.send.mock.lastCall[0].context.instructions).toMatch(/^Du modtager 2 delanalyser/);
+    expect(provider.send.mock.lastCall[0].messages[0].content).toContain('## Delanalyse 2 af 2 (§ 2)');
+  });
+
+  it('should consolidate in groups when the partial analyses exceed the budget', async () => {
+    const provider = createProvider();
+    const result = await runChunkedAnalysis(provider, {
+      documentModel: buildContract(6, 300),
+      maxTokens: 400,
+      systemPrompt: 'Gennemgå kontrakten.',
+      timeout: 1000
+    });
+
+    const requests = provider.send.mock.calls.map(([request]) => request);
+    const groupRequests = requests.filter(request => request.context.instructions.includes('Tilsammen dækker'));
+    const finalRequest = requests[requests.length - 1];
+
+    expect(result.providerMeta.chunkCount).toBe(6);
+    expect(groupRequests).toHaveLength(3);
+    expect(requests).toHaveLength(6 + 3 + 1);
+    // Every consolidation request fits the budget
+    for (const request of [...groupRequests, finalRequest]) {
+      expect(request.messages[0].content.replace(/^Please analyze the following document:\n\n/, '').length).toBeLessThanOrEqual(400);
+    }
+    expect(finalRequest.context.instructions).toMatch(/^Du modtager 3 delanalyser/);
+    expect(finalRequest.messages[0].content).toContain('## Delanalyse 1–2 af 6');
+    expect(result.message.content).toBe('Samlet analyse');
+    expect(result.usage.totalTokens).toBe(10 * 110);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { diffDocuments, renderChangeSet, extractChangeAssessments } from '../../src/utils/clause-diff.js';
+import { buildDocumentModel } from '../../src/utils/document-model.js';
+
+const toModel = (text) => buildDocumentModel({ text, format: 'txt', pages: null, pageCount: null });
+
+const oldText = `FRANCHISEAFTALE
+
+§ 1 Parterne
+Aftalen er indgået mellem franchisegiver og franchisetager om drift af en kaffebar.
+
+§ 2 Territorium
+Franchisetager har eneret til at drive forretning i Københavns Kommune.
+
+§ 3 Franchisefee
+Franchisetager betaler et løbende franchisefee på 5 procent af omsætningen hver måned.
+
+§ 4 Konkurrenceklausul
+Franchisetager må ikke drive konkurrerende virksomhed i aftalens løbetid.`;
+
+const newText = `FRANCHISEAFTALE
+
+§ 1 Parterne
+Aftalen er indgået mellem franchisegiver og franchisetager om drift af en kaffebar.
+
+§ 2 Franchisefee
+Franchisetager betaler et løbende franchisefee på 7 procent af omsætningen hver måned.
+
+§ 3 Konkurrenceklausul
+Franchisetager må ikke drive konkurrerende virksomhed i aftalens løbetid.
+
+§ 4 Markedsføring
+Franchisetager bidrager med 2 procent af omsætningen til fælles markedsføring.`;
+
+describe('clause-diff', () => {
+  it('should match clauses by number and similarity and classify the changes', () => {
+    const diff = diffDocuments(toModel(oldText), toModel(newText));
+
+    expect(diff.unchangedCount).toBe(2);
+    expect(diff.changes.map(change => [change.type, change.oldSection?.label ?? null, change.newSection?.label ?? null])).toEqual([
+      ['removed', '§ 2', null],
+      ['changed', '§ 3', '§ 2'],
+      ['renumbered', '§ 4', '§ 3'],
+      ['added', null, '§ 4']
+    ]);
+    expect(diff.changes.map(change => change.number)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should report no changes for identical documents', () => {
+    const diff = diffDocuments(toModel(oldText), toModel(oldText));
+
+    expect(diff.changes).toEqual([]);
+    expect(diff.unchangedCount).toBe(diff.oldClauseCount);
+  });
+
+  it('should render only changed clauses with old and new wording', () => {
+    const diff = diffDocuments(toModel(oldText), toModel(newText));
+    const changeSet = renderChangeSet(diff, { oldName: 'v1.docx', newName: 'v2.docx' });
+
+    expect(changeSet).toContain('Tidligere version: v1.docx');
+    expect(changeSet).toContain('### Ændring 2 – § 2 Franchisefee (ændret, tidligere § 3)');
+    expect(changeSet).toContain('5 procent');
+    expect(changeSet).toContain('7 procent');
+    expect(changeSet).not.toContain('om drift af en kaffebar');
+  });
+
+  it('should extract the assessment of each change from the analysis output', () => {
+    const output = `## Kort vurdering
+Samlet en forværring.
+
+## Vurdering af ændringer
+
+### Ændring 1
+**Vurdering:** Forværring – Høj
+Eneretten er fjernet.
+
+### Ændring 2
+**Vurdering:** Forværring – Middel
+
+## Anbefalinger til klient
+1. Genforhandl eneretten.`;
+
+    const assessments = extractChangeAssessments(output);
+
+    expect([...assessments.keys()]).toEqual([1, 2]);
+    expect(assessments.get(1)).toBe('**Vurdering:** Forværring – Høj\nEneretten er fjernet.');
+    expect(assessments.get(2)).toBe('**Vurdering:** Forværring – Middel');
+  });
+});
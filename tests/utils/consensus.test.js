@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { buildConsensus, summarizeConsensus } from '../../src/utils/consensus.js';
+
+const finding = (overrides) => ({
+  category: 'Juridisk risiko',
+  clause: '§ 12.3',
+  severity: 'Høj',
+  quote: 'Franchisegiver kan opsige aftalen med 3 måneders varsel.',
+  explanation: 'Kort opsigelsesvarsel.',
+  suggestion: null,
+  ...overrides
+});
+
+describe('consensus', () => {
+  it('should split findings into agreed, contradictory and single-provider findings', () => {
+    const consensus = buildConsensus([
+      {
+        provider: 'claude',
+        findings: [
+          finding(),
+          finding({ clause: '§ 4', category: 'Territorium', severity: 'Middel', quote: 'Eksklusivt område.' }),
+          finding({ clause: null, category: 'Manglende klausul', severity: 'Lav', quote: '', explanation: 'Ingen bestemmelse om force majeure.' })
+        ]
+      },
+      {
+        provider: 'gemini',
+        findings: [
+          finding({ clause: '§12.3', category: 'Opsigelse', explanation: 'Tre måneder er for kort.' }),
+          finding({ clause: '§ 4', category: 'Territorium', severity: 'Høj', quote: 'Eksklusivt område.' }),
+          finding({ clause: '§ 9', category: 'Royalty', severity: 'Lav', quote: '8 % af omsætningen.' })
+        ]
+      }
+    ]);
+
+    expect(consensus.agreed).toHaveLength(1);
+    expect(consensus.agreed[0]).toMatchObject({ providers: ['claude', 'gemini'], conflict: false });
+    expect(consensus.conflicts).toEqual([
+      expect.objectContaining({ severities: { gemini: 'Høj', claude: 'Middel' }, finding: expect.objectContaining({ severity: 'Høj' }) })
+    ]);
+    expect(consensus.single.map(item => [item.providers[0], item.finding.category]))
+      .toEqual([['claude', 'Manglende klausul'], ['gemini', 'Royalty']]);
+    expect(consensus.findings.map(item => item.severity)).toEqual(['Høj', 'Høj', 'Lav', 'Lav']);
+    expect(summarizeConsensus(consensus)).toBe('1 fælles fund, 1 med forskellig alvorlighed, 2 kun fundet af én model');
+  });
+
+  it('should match findings without a clause on category or quoted text only', () => {
+    const consensus = buildConsensus([
+      { provider: 'claude', findings: [finding({ clause: null, category: 'Uklar formulering', quote: 'rimelig tid til at udbedre forholdet' })] },
+      { provider: 'gemini', findings: [
+        finding({ clause: null, category: 'Tvetydighed', quote: 'franchisetager har rimelig tid til at udbedre forholdet' }),
+        finding({ clause: null, category: 'Manglende klausul', quote: 'konkurrenceklausul' })
+      ] }
+    ]);
+
+    expect(consensus.agreed).toHaveLength(1);
+    expect(consensus.single.map(item => item.finding.category)).toEqual(['Manglende klausul']);
+  });
+
+  it('should leave providers without structured findings out of the comparison', () => {
+    const consensus = buildConsensus([
+      { provider: 'claude', findings: [finding()] },
+      { provider: 'gemini', findings: null }
+    ]);
+
+    expect(consensus.providers).toEqual(['claude', 'gemini']);
+    expect(consensus.missing).toEqual(['gemini']);
+    expect(consensus.single).toHaveLength(1);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { planChunks, estimateTokens } from '../../src/utils/document-chunker.js';
+import { buildDocumentModel } from '../../src/utils/document-model.js';
+
+// One token per character keeps budgets in the tests easy to reason about
+const countChars = (text) => text.length;
+
+function buildContract(clauseCount, bodyLength) {
+  const clauses = Array.from({ length: clauseCount }, (_, i) =>
+    `${i + 1}. KLAUSUL ${i + 1}\n${'x'.repeat(bodyLength)}`
+  );
+  return buildDocumentModel({ text: clauses.join('\n\n'), format: 'txt' });
+}
+
+describe('document-chunker', () => {
+  describe('estimateTokens', () => {
+    it('should estimate tokens from text length', () => {
+      expect(estimateTokens('')).toBe(0);
+      expect(estimateTokens('a'.repeat(35))).toBe(10);
+    });
+  });
+
+  describe('planChunks', () => {
+    it('should return a single chunk when the document fits', () => {
+      const model = buildContract(3, 50);
+      const chunks = planChunks(model, 10000, countChars);
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toMatchObject({ index: 1, total: 1, range: '§ 1 – § 3' });
+      expect(chunks[0].text).toContain('[§ 2] KLAUSUL 2');
+    });
+
+    it('should split on clause boundaries within the budget', () => {
+      const model = buildContract(6, 100);
+      const chunks = planChunks(model, 250, countChars);
+
+      expect(chunks.map(chunk => chunk.range)).toEqual(['§ 1 – § 2', '§ 3 – § 4', '§ 5 – § 6']);
+      expect(chunks.every(chunk => chunk.total === 3)).toBe(true);
+      chunks.forEach(chunk => {
+        chunk.sections.forEach(section => expect(section.text).toBe('x'.repeat(100)));
+      });
+    });
+
+    it('should split an oversized clause by paragraph', () => {
+      const paragraphs = Array.from({ length: 4 }, (_, i) => `Stykke ${i + 1}: ${'y'.repeat(80)}`);
+      const model = buildDocumentModel({ text: `1. LANG KLAUSUL\n${paragraphs.join('\n\n')}`, format: 'txt' });
+      const chunks = planChunks(model, 200, countChars);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0].sections[0].heading).toBe('LANG KLAUSUL');
+      expect(chunks[1].sections[0].heading).toBe('LANG KLAUSUL (fortsat)');
+      expect(chunks.map(chunk => chunk.text).join('\n')).toContain('Stykke 4:');
+    });
+
+    it('should split documents without clauses into parts of plain text', () => {
+      const text = Array.from({ length: 10 }, (_, i) => `Sætning ${i + 1} i et langt dokument uden klausuler.`).join(' ');
+      const model = buildDocumentModel({ text, format: 'txt' });
+      const chunks = planChunks(model, 120, countChars);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0].text.startsWith('Sætning 1 ')).toBe(true);
+      expect(chunks[chunks.length - 1].text).toContain('Sætning 10 ');
+    });
+
+    it('should reject a missing budget', () => {
+      const model = buildContract(1, 10);
+
+      expect(() => planChunks(model, 0)).toThrow('maxTokens');
+    });
+  });
+});
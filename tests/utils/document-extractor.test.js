@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { extractDocumentText, normalizeText } from '../../src/utils/document-extractor.js';
+import { mkdtempSync, writeFileSync, rmSync, createWriteStream } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import { Document, Packer, Paragraph } from 'docx';
+
+/**
+ * Write a PDF fixture with pdfkit
+ */
+function writePdf(filePath, pages, options = {}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const stream = createWriteStream(filePath);
+    doc.pipe(stream);
+
+    pages.forEach((draw, index) => {
+      if (index > 0) doc.addPage();
+      draw(doc);
+    });
+
+    doc.end();
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+}
+
+describe('document-extractor', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'extractor-test-'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('normalizeText', () => {
+    it('should unify line endings and collapse blank lines', () => {
+      const input = '﻿Første  afsnit\r\n\r\n\r\n\r\nAndet\tafsnit  \r\n';
+
+      expect(normalizeText(input)).toBe('Første afsnit\n\nAndet afsnit');
+    });
+
+    it('should handle empty input', () => {
+      expect(normalizeText('')).toBe('');
+      expect(normalizeText(null)).toBe('');
+    });
+  });
+
+  describe('extractDocumentText', () => {
+    it('should read plain text files', async () => {
+      const filePath = path.join(dir, 'kontrakt.txt');
+      writeFileSync(filePath, '§ 1 Parterne\r\n\r\nAftalen indgås mellem parterne.\r\n', 'utf8');
+
+      const result = await extractDocumentText(filePath);
+
+      expect(result.format).toBe('txt');
+      expect(result.text).toBe('§ 1 Parterne\n\nAftalen indgås mellem parterne.');
+      expect(result.pages).toBeNull();
+    });
+
+    it('should extract DOCX paragraphs separated by blank lines', async () => {
+      const filePath = path.join(dir, 'kontrakt.docx');
+      const doc = new Document({
+        sections: [{
+          children: [
+            new Paragraph({ text: '§ 1 Parterne' }),
+            new Paragraph({ text: 'Aftalen indgås mellem franchisegiver og franchisetager.' })
+          ]
+        }]
+      });
+      writeFileSync(filePath, await Packer.toBuffer(doc));
+
+      const result = await extractDocumentText(filePath);
+
+      expect(result.format).toBe('docx');
+      expect(result.text).toBe('§ 1 Parterne\n\nAftalen indgås mellem franchisegiver og franchisetager.');
+    });
+
+    it('should extract PDF text per page', async () => {
+      const filePath = path.join(dir, 'kontrakt.pdf');
+      await writePdf(filePath, [
+        (doc) => doc.text('§ 1 Parterne').text('Aftalen indgås mellem parterne.'),
+        (doc) => doc.text('§ 2 Territorium').text('Franchisetageren får eneret i Aarhus.')
+      ]);
+
+      const result = await extractDocumentText(filePath);
+
+      expect(result.format).toBe('pdf');
+      expect(result.pageCount).toBe(2);
+      expect(result.pages[0]).toContain('§ 1 Parterne');
+      expect(result.pages[1]).toContain('Franchisetageren får eneret i Aarhus.');
+      expect(result.text).toContain('Aftalen indgås mellem parterne.\n\n§ 2 Territorium');
+    });
+
+    it('should reject image-only PDFs with DOCUMENT_NO_TEXT', async () => {
+      const filePath = path.join(dir, 'scannet.pdf');
+      await writePdf(filePath, [(doc) => doc.rect(100, 100, 200, 200).fill('#333333')]);
+
+      await expect(extractDocumentText(filePath)).rejects.toMatchObject({ errorCode: 'DOCUMENT_NO_TEXT' });
+    });
+
+    it('should reject password-protected PDFs with DOCUMENT_ENCRYPTED', async () => {
+      const filePath = path.join(dir, 'krypteret.pdf');
+      await writePdf(filePath, [(doc) => doc.text('Hemmelig kontrakt')], { userPassword: 'hemmelig' });
+
+      await expect(extractDocumentText(filePath)).rejects.toMatchObject({ errorCode: 'DOCUMENT_ENCRYPTED' });
+    });
+
+    it('should reject corrupt DOCX files with DOCUMENT_CORRUPT', async () => {
+      const filePath = path.join(dir, 'beskadiget.docx');
+      writeFileSync(filePath, 'this is not a zip archive');
+
+      await expect(extractDocumentText(filePath)).rejects.toMatchObject({ errorCode: 'DOCUMENT_CORRUPT' });
+    });
+
+    it('should reject unsupported formats with INVALID_FORMAT', async () => {
+      const filePath = path.join(dir, 'billede.png');
+      writeFileSync(filePath, 'png');
+
+      await expect(extractDocumentText(filePath)).rejects.toMatchObject({ errorCode: 'INVALID_FORMAT' });
+    });
+
+    it('should reject missing files with FILE_NOT_FOUND', async () => {
+      await expect(extractDocumentText(path.join(dir, 'findes-ikke.pdf')))
+        .rejects.toMatchObject({ errorCode: 'FILE_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildDocumentModel,
+  renderAnchoredDocument,
+  splitClauseReferences,
+  findClauseReferences,
+  formatClauseReference
+} from '../../src/utils/document-model.js';
+
+const contractText = `FRANCHISEAFTALE
+
+Denne aftale er indgået mellem parterne.
+
+1. BAGGRUND
+Franchisegiver driver en kæde af kaffebarer.
+
+2. ØKONOMI
+- Franchisefee: 200.000 kr. betales ved kontraktindgåelse
+
+§ 12.3 Opsigelse
+Franchisegiver kan opsige med 3 måneders varsel.
+
+4. TERRITORY: The franchisee shall operate in Copenhagen.`;
+
+describe('document-model', () => {
+  describe('buildDocumentModel', () => {
+    it('should split text into numbered clauses with headings', () => {
+      const model = buildDocumentModel({ text: contractText, format: 'txt', pages: null, pageCount: null });
+      const numbered = model.sections.filter(section => section.number);
+
+      expect(model.sections[0].id).toBe('indledning');
+      expect(numbered.map(section => section.label)).toEqual(['§ 1', '§ 2', '§ 12.3', '§ 4']);
+      expect(numbered[0].heading).toBe('BAGGRUND');
+      expect(numbered[0].text).toBe('Franchisegiver driver en kæde af kaffebarer.');
+      expect(numbered[2]).toMatchObject({ id: 'klausul-12-3', heading: 'Opsigelse', level: 2 });
+      expect(numbered[3]).toMatchObject({ heading: 'TERRITORY', text: 'The franchisee shall operate in Copenhagen.' });
+    });
+
+    it('should not treat amounts and numbers starting a sentence as clause numbers', () => {
+      const text = '1. BETALING\n200.000 kr. betales ved underskrift.\n30 dage efter underskrift betales resten.\n1.500 kr. pr. måned\n\n12.3 Opsigelse\nTre måneder.';
+      const model = buildDocumentModel({ text, format: 'txt', pages: null, pageCount: null });
+      const numbers = model.sections.map(section => section.number);
+
+      expect(numbers).not.toContain('200');
+      expect(numbers).not.toContain('30');
+      expect(numbers).not.toContain('1.50');
+      expect(numbers).toEqual(['1', '12.3']);
+      expect(model.sections[0].text).toContain('200.000 kr. betales ved underskrift.');
+    });
+
+    it('should record paragraph offsets', () => {
+      const model = buildDocumentModel({ text: contractText, format: 'txt', pages: null, pageCount: null });
+
+      model.paragraphs.forEach(paragraph => {
+        expect(contractText.slice(paragraph.offset, paragraph.offset + paragraph.length)).toBe(paragraph.text);
+      });
+      expect(model.paragraphs[0].text).toBe('FRANCHISEAFTALE');
+    });
+
+    it('should assign PDF page numbers to clauses', () => {
+      const pages = ['1. PARTER\nA og B.', '', '2. OPSIGELSE\nTre måneder.'];
+      const model = buildDocumentModel({
+        text: `${pages[0]}\n\n${pages[2]}`,
+        format: 'pdf',
+        pages,
+        pageCount: 3
+      });
+
+      expect(model.sections.map(section => section.page)).toEqual([1, 3]);
+      expect(formatClauseReference(model.sections[1])).toBe('§ 2 (s. 3)');
+    });
+
+    it('should keep anchors unique when numbering restarts', () => {
+      const model = buildDocumentModel({ text: '1. Aftale\nTekst.\n\nBILAG\n\n1. Bilag\nTekst.', format: 'txt' });
+      const ids = model.sections.filter(section => section.number).map(section => section.id);
+
+      expect(ids).toEqual(['klausul-1', 'klausul-1-2']);
+    });
+  });
+
+  describe('renderAnchoredDocument', () => {
+    it('should prefix each clause with a stable anchor', () => {
+      const model = buildDocumentModel({ text: contractText, format: 'txt' });
+      const rendered = renderAnchoredDocument(model);
+
+      expect(rendered).toContain('[§ 1] BAGGRUND\nFranchisegiver driver en kæde af kaffebarer.');
+      expect(rendered).toContain('[§ 12.3] Opsigelse');
+    });
+
+    it('should include page numbers in anchors for PDFs', () => {
+      const model = buildDocumentModel({ text: '1. PARTER\nA og B.', format: 'pdf', pages: ['1. PARTER\nA og B.'], pageCount: 1 });
+
+      expect(renderAnchoredDocument(model)).toContain('[§ 1 | s. 1] PARTER');
+    });
+
+    it('should return plain text when no clauses are found', () => {
+      const model = buildDocumentModel({ text: 'Bare tekst uden klausuler.', format: 'txt' });
+
+      expect(renderAnchoredDocument(model)).toBe('Bare tekst uden klausuler.');
+    });
+  });
+
+  describe('clause references', () => {
+    const model = buildDocumentModel({ text: contractText, format: 'txt' });
+
+    it('should split text into plain and linked segments', () => {
+      const segments = splitClauseReferences('Se § 12.3 og klausul 1, men ikke § 99.', model.sections);
+
+      expect(segments.map(segment => segment.text)).toEqual(['Se ', '§ 12.3', ' og ', 'klausul 1', ', men ikke § 99.']);
+      expect(segments[1].section.id).toBe('klausul-12-3');
+    });
+
+    it('should find unique referenced clauses in order', () => {
+      const referenced = findClauseReferences('§ 4 og § 1, jf. § 4 (s. 2)', model.sections);
+
+      expect(referenced.map(section => section.label)).toEqual(['§ 4', '§ 1']);
+    });
+  });
+});
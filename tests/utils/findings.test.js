@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  extractFindingsBlock,
+  parseFindings,
+  summarizeFindings,
+  sortFindingsBySeverity
+} from '../../src/utils/findings.js';
+import { extractFindings } from '../../src/services/findings-extraction.js';
+
+const finding = {
+  category: 'Juridisk risiko',
+  clause: '§ 12.3',
+  severity: 'Høj',
+  quote: 'Franchisegiver kan opsige med 3 måneders varsel.',
+  explanation: 'Kort ensidigt varsel.',
+  suggestion: 'Gensidigt varsel på 12 måneder.'
+};
+
+const output = `## Kort vurdering
+Ubalanceret aftale.
+
+\`\`\`json
+${JSON.stringify({ findings: [finding] }, null, 2)}
+\`\`\``;
+
+describe('findings', () => {
+  it('should split the findings block from the markdown', () => {
+    const { markdown, json } = extractFindingsBlock(output);
+
+    expect(markdown).toBe('## Kort vurdering\nUbalanceret aftale.');
+    expect(JSON.parse(json).findings).toHaveLength(1);
+  });
+
+  it('should parse valid findings and normalize severity and empty values', () => {
+    const { findings, errors } = parseFindings(JSON.stringify([
+      { ...finding, severity: 'middel', suggestion: '', clause: undefined }
+    ]));
+
+    expect(errors).toEqual([]);
+    expect(findings[0]).toMatchObject({ severity: 'Middel', suggestion: null, clause: null });
+  });
+
+  it('should report schema violations', () => {
+    const { findings, errors } = parseFindings(JSON.stringify({
+      findings: [{ ...finding, severity: 'Kritisk', explanation: '' }, { category: 'X' }]
+    }));
+
+    expect(findings).toBeNull();
+    expect(errors).toContain('$.findings[0].severity: skal være en af Høj, Middel, Lav');
+    expect(errors).toContain('$.findings[0].explanation: må ikke være tom');
+    expect(errors).toContain('$.findings[1].explanation: mangler');
+    expect(parseFindings('{ "findings": [ }').errors[0]).toMatch(/^Ugyldig JSON/);
+  });
+
+  it('should sort and count findings by severity', () => {
+    const findings = [
+      { ...finding, severity: 'Lav', category: 'A' },
+      { ...finding, severity: 'Høj', category: 'B' },
+      { ...finding, severity: 'Lav', category: 'C' }
+    ];
+
+    expect(sortFindingsBySeverity(findings).map(item => item.category)).toEqual(['B', 'A', 'C']);
+    expect(summarizeFindings(findings)).toEqual({ 'Høj': 1, 'Middel': 0, 'Lav': 2 });
+  });
+
+  describe('extractFindings', () => {
+    const options = { metadata: { documentPath: 'kontrakt.txt', promptPath: 'prompt.md' }, timeout: 1000 };
+    const answer = (content) => ({ message: { role: 'assistant', content } });
+
+    it('should not call the provider when the block is valid', async () => {
+      const provider = { send: vi.fn() };
+      const result = await extractFindings(provider, output, options);
+
+      expect(result.findingsStatus).toBe('valid');
+      expect(result.findings).toHaveLength(1);
+      expect(provider.send).not.toHaveBeenCalled();
+    });
+
+    it('should repair an invalid block with one extra provider call', async () => {
+      const provider = {
+        send: vi.fn().mockResolvedValue(answer(JSON.stringify({ findings: [finding] })))
+      };
+      const broken = output.replace('"Høj"', '"Meget høj"');
+      const result = await extractFindings(provider, broken, options);
+
+      expect(result).toMatchObject({ findingsStatus: 'repaired', markdown: '## Kort vurdering\nUbalanceret aftale.' });
+      expect(provider.send).toHaveBeenCalledTimes(1);
+      expect(provider.send.mock.calls[0][0].messages[0].content).toContain('UGYLDIG JSON');
+    });
+
+    it('should fall back to markdown only when the repair fails', async () => {
+      const provider = { send: vi.fn().mockResolvedValue(answer('Beklager.')) };
+      const result = await extractFindings(provider, '## Kort vurdering\nOK.', options);
+
+      expect(result).toEqual({ markdown: '## Kort vurdering\nOK.', findings: null, findingsStatus: 'unavailable', usage: null });
+    });
+  });
+});
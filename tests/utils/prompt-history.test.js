@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  hashPrompt,
+  recordPromptVersion,
+  loadPromptVersion,
+  listPromptVersions,
+  getAnalysisPrompts,
+  getAnalysisInstructions,
+  diffLines
+} from '../../src/utils/prompt-history.js';
+import { loadPrompt } from '../../src/utils/prompt-loader.js';
+import { getFindingsInstructions } from '../../src/utils/findings.js';
+
+const metadata = { displayName: 'Kontrakt', version: '1.0.0', documentType: 'contract', source: 'builtin' };
+
+describe('prompt-history', () => {
+  let historyDir;
+
+  beforeAll(() => {
+    historyDir = mkdtempSync(path.join(tmpdir(), 'prompt-history-'));
+  });
+
+  afterAll(() => {
+    rmSync(historyDir, { recursive: true, force: true });
+  });
+
+  it('should store each rendered prompt once under its content hash', () => {
+    const first = recordPromptVersion({ promptName: 'kontrakt', content: 'Gennemgå kontrakten.', metadata, variables: { clientName: 'Acme' } }, historyDir);
+    const again = recordPromptVersion({ promptName: 'kontrakt', content: 'Gennemgå kontrakten.', metadata }, historyDir);
+
+    expect(first).toMatchObject({ hash: hashPrompt('Gennemgå kontrakten.'), promptName: 'kontrakt', version: '1.0.0', documentType: 'contract', useCount: 1 });
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(again).toMatchObject({ hash: first.hash, firstUsed: first.firstUsed, useCount: 2, variables: { clientName: 'Acme' } });
+    expect(readdirSync(historyDir)).toEqual([`${first.hash}.json`]);
+    expect(loadPromptVersion(first.hash, historyDir).content).toBe('Gennemgå kontrakten.');
+
+    expect(loadPromptVersion('../settings', historyDir)).toBeNull();
+    expect(loadPromptVersion(hashPrompt('aldrig brugt'), historyDir)).toBeNull();
+  });
+
+  it('should list every version of a prompt without its text', () => {
+    const edited = recordPromptVersion({ promptName: 'kontrakt', content: 'Gennemgå kontrakten grundigt.', metadata: { ...metadata, version: '1.1.0' } }, historyDir);
+    recordPromptVersion({ promptName: 'manual', content: 'Gennemgå manualen.', metadata }, historyDir);
+
+    const versions = listPromptVersions('kontrakt', historyDir);
+    expect(versions.map(version => version.hash)).toEqual(expect.arrayContaining([edited.hash, hashPrompt('Gennemgå kontrakten.')]));
+    expect(versions).toHaveLength(2);
+    expect(versions[0]).not.toHaveProperty('content');
+    expect(listPromptVersions('findes-ikke', historyDir)).toEqual([]);
+  });
+
+  it('should diff prompt versions line by line', () => {
+    expect(diffLines('# Prompt\nA\nB\nC', '# Prompt\nA\nB2\nC\nD')).toEqual([
+      { type: 'same', text: '# Prompt' },
+      { type: 'same', text: 'A' },
+      { type: 'removed', text: 'B' },
+      { type: 'added', text: 'B2' },
+      { type: 'same', text: 'C' },
+      { type: 'added', text: 'D' }
+    ]);
+    expect(diffLines('Uændret', 'Uændret')).toEqual([{ type: 'same', text: 'Uændret' }]);
+  });
+
+  it('should compare the prompts of an analysis with the current prompts', () => {
+    const variables = { clientName: 'Acme', perspective: 'franchisor' };
+    const current = loadPrompt('franchise-contract-review', { variables });
+    const old = current.content.replace('## Analysens Fokusområder', '## Fokus');
+    recordPromptVersion({ promptName: 'franchise-contract-review', content: current.content, metadata: current.metadata, variables }, historyDir);
+    recordPromptVersion({ promptName: 'franchise-contract-review', content: old, metadata: current.metadata, variables }, historyDir);
+
+    const record = { clientName: 'Acme', promptVariables: { perspective: 'franchisor' }, promptNames: ['franchise-contract-review'] };
+    const [unchanged] = getAnalysisPrompts({
+      ...record,
+      promptVersions: [{ promptName: 'franchise-contract-review', version: '1.1.0', hash: hashPrompt(current.content) }]
+    }, historyDir);
+    expect(unchanged).toMatchObject({ content: current.content, changed: false, current: { hash: hashPrompt(current.content) } });
+    expect(unchanged.versions).toHaveLength(2);
+
+    const [changed] = getAnalysisPrompts({
+      ...record,
+      promptVersions: [{ promptName: 'franchise-contract-review', version: '1.1.0', hash: hashPrompt(old) }]
+    }, historyDir);
+    expect(changed).toMatchObject({ content: old, changed: true });
+    expect(changed.diff.filter(line => line.type !== 'same')).toEqual([
+      { type: 'removed', text: '## Fokus' },
+      { type: 'added', text: '## Analysens Fokusområder' }
+    ]);
+
+    // Analyses from before the history
+    expect(getAnalysisPrompts(record, historyDir)[0]).toMatchObject({ hash: null, content: null, changed: false, diff: null });
+  });
+
+  it('should compare the provider instructions of an analysis with the current file', async () => {
+    const configsDir = mkdtempSync(path.join(tmpdir(), 'provider-configs-'));
+    try {
+      writeFileSync(path.join(configsDir, 'claude-instructions.md'), '# Claude\nSvar kort.\n');
+      const old = '# Claude\nSvar udførligt.';
+      recordPromptVersion({ promptName: 'claude-instructions', content: old, metadata: { displayName: 'Provider-instruktioner (claude)', version: null, documentType: null, source: 'provider' } }, historyDir);
+
+      const [instructions, ...rest] = await getAnalysisInstructions({
+        instructionVersions: [{ provider: 'claude', hash: hashPrompt(old) }, { provider: 'gemini', hash: null }]
+      }, historyDir, configsDir);
+
+      expect(rest).toEqual([]);
+      expect(instructions).toMatchObject({
+        promptName: 'claude-instructions',
+        displayName: 'Provider-instruktioner (claude)',
+        content: old,
+        changed: true,
+        current: { hash: hashPrompt('# Claude\nSvar kort.') }
+      });
+      expect(instructions.diff.filter(line => line.type !== 'same')).toEqual([
+        { type: 'removed', text: 'Svar udførligt.' },
+        { type: 'added', text: 'Svar kort.' }
+      ]);
+      expect(await getAnalysisInstructions({}, historyDir, configsDir)).toEqual([]);
+    } finally {
+      rmSync(configsDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should compare the findings instructions of an analysis with the current ones', async () => {
+    const configsDir = mkdtempSync(path.join(tmpdir(), 'provider-configs-'));
+    try {
+      const old = `${getFindingsInstructions()}\nGammel linje.`;
+      recordPromptVersion({ promptName: 'findings-instructions', content: old, metadata: { displayName: 'Instruktioner til strukturerede fund', version: null, documentType: null, source: 'app' } }, historyDir);
+
+      const [findings, ...rest] = await getAnalysisInstructions({ findingsVersion: hashPrompt(old) }, historyDir, configsDir);
+
+      expect(rest).toEqual([]);
+      expect(findings).toMatchObject({
+        promptName: 'findings-instructions',
+        content: old,
+        changed: true,
+        current: { hash: hashPrompt(getFindingsInstructions()) }
+      });
+      expect(findings.diff.filter(line => line.type !== 'same')).toEqual([{ type: 'removed', text: 'Gammel linje.' }]);
+    } finally {
+      rmSync(configsDir, { recursive: true, force: true });
+    }
+  });
+});
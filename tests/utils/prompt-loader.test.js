@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  parseFrontmatter,
+  getAvailablePromptsInfo,
+  getPromptMetadata,
+  getPromptsDirectory,
+  getStandardPromptNames,
+  loadPrompt,
+  renderPromptTemplate,
+  getTemplateVariables,
+  validatePrompt,
+  setUserPromptsDirectory,
+  readPromptSource,
+  saveUserPrompt,
+  deleteUserPrompt
+} from '../../src/utils/prompt-loader.js';
+
+const USER_PROMPT = `---
+displayName: Lejekontrakt
+description: Gennemgå erhvervslejekontrakt
+documentType: contract
+order: 10
+---
+# Erhvervslejekontrakt Gennemgang - System Prompt
+
+Du er en erfaren erhvervslejeretsadvokat. Gennemgå lejekontrakten for risici for lejeren.
+`;
+
+describe('prompt-loader', () => {
+  let userDir;
+
+  beforeAll(() => {
+    userDir = mkdtempSync(path.join(tmpdir(), 'user-prompts-'));
+    setUserPromptsDirectory(userDir);
+  });
+
+  afterAll(() => {
+    setUserPromptsDirectory();
+    rmSync(userDir, { recursive: true, force: true });
+  });
+
+  it('should split frontmatter with scalars and lists from the body', () => {
+    const { attributes, body } = parseFrontmatter([
+      '---',
+      '# Vises i vælgeren',
+      'displayName: Lejekontrakt',
+      'description: "Gennemgå lejekontrakt: vilkår og varsler"',
+      'version: "2.0"',
+      'order: 5',
+      'draft: false',
+      'tags: [leje, erhverv]',
+      'outputSections:',
+      '  - Kort vurdering',
+      '  - \'Risici\'',
+      '---',
+      '',
+      '# Lejekontrakt - System Prompt'
+    ].join('\r\n'));
+
+    expect(attributes).toEqual({
+      displayName: 'Lejekontrakt',
+      description: 'Gennemgå lejekontrakt: vilkår og varsler',
+      version: '2.0',
+      order: 5,
+      draft: false,
+      tags: ['leje', 'erhverv'],
+      outputSections: ['Kort vurdering', 'Risici']
+    });
+    expect(body).toBe('# Lejekontrakt - System Prompt');
+  });
+
+  it('should return a file without frontmatter unchanged and reject malformed frontmatter', () => {
+    expect(parseFrontmatter('# Prompt\n\n---\nTekst')).toEqual({ attributes: {}, body: '# Prompt\n\n---\nTekst' });
+    expect(() => parseFrontmatter('---\ndisplayName: Kontrakt\n# Prompt')).toThrow('not closed');
+    expect(() => parseFrontmatter('---\ndisplayName Kontrakt\n---\n# Prompt')).toThrow('line 2');
+    expect(() => parseFrontmatter('---\n  - Kort vurdering\n---\n# Prompt')).toThrow('without a key on line 2');
+  });
+
+  it('should list the built-in prompts with their frontmatter in selector order', () => {
+    const prompts = getAvailablePromptsInfo();
+
+    expect(prompts.map(prompt => [prompt.name, prompt.displayName, prompt.documentType])).toEqual([
+      ['franchise-contract-review', 'Kontrakt', 'contract'],
+      ['franchise-manual-review', 'Manual', 'manual'],
+      ['compliance-check', 'Compliance', 'compliance'],
+      ['contract-comparison', 'Sammenligning', 'comparison']
+    ]);
+    prompts.forEach(prompt => {
+      expect(prompt).toMatchObject({ description: expect.any(String), icon: expect.any(String), language: 'da' });
+      expect(prompt.outputSections.length).toBeGreaterThan(0);
+      expect(validatePrompt(prompt.name)).toEqual({ valid: true, warnings: undefined });
+    });
+    expect(getStandardPromptNames()).toEqual(expect.arrayContaining(prompts.map(prompt => prompt.name)));
+  });
+
+  it('should load the system prompt without its frontmatter', () => {
+    const loaded = loadPrompt('franchise-contract-review');
+
+    expect(loaded.success).toBe(true);
+    expect(loaded.content).toMatch(/^# Franchisekontrakt Gennemgang - System Prompt/);
+    expect(loaded.metadata).toMatchObject({
+      name: 'franchise-contract-review',
+      icon: 'file-text',
+      recommendedProvider: 'claude',
+      version: '1.1.0',
+      filePath: loaded.filePath
+    });
+    expect(loaded.metadata.outputSections).toContain('Juridiske risici');
+    expect(getPromptMetadata('findes-ikke')).toBeNull();
+  });
+
+  it('should save user prompts next to the built-ins and list them', () => {
+    expect(saveUserPrompt('lejekontrakt', USER_PROMPT)).toMatchObject({ success: true, warnings: undefined });
+
+    const prompts = getAvailablePromptsInfo();
+    expect(prompts.map(prompt => prompt.name).slice(-1)).toEqual(['lejekontrakt']);
+    expect(prompts.find(prompt => prompt.name === 'lejekontrakt'))
+      .toMatchObject({ displayName: 'Lejekontrakt', source: 'user', overridesBuiltin: false, filePath: path.join(userDir, 'lejekontrakt.md') });
+    expect(prompts.find(prompt => prompt.name === 'compliance-check')).toMatchObject({ source: 'builtin', overridesBuiltin: false });
+    expect(getStandardPromptNames()).not.toContain('lejekontrakt');
+    expect(readPromptSource('lejekontrakt')).toBe(USER_PROMPT);
+
+    // Only the user's copy can be deleted
+    expect(deleteUserPrompt('lejekontrakt')).toEqual({ success: true });
+    expect(getPromptMetadata('lejekontrakt')).toBeNull();
+    expect(deleteUserPrompt('compliance-check')).toMatchObject({ success: false, error: expect.stringContaining('Built-in') });
+  });
+
+  it('should override a built-in with a user copy and leave the built-in file untouched', () => {
+    const builtinPath = path.join(getPromptsDirectory(), 'franchise-contract-review.md');
+    const original = readFileSync(builtinPath, 'utf8');
+    const edited = original.replace('displayName: Kontrakt', 'displayName: Kontrakt (tilpasset)');
+
+    expect(saveUserPrompt('franchise-contract-review', edited).success).toBe(true);
+    expect(getPromptMetadata('franchise-contract-review'))
+      .toMatchObject({ displayName: 'Kontrakt (tilpasset)', source: 'user', overridesBuiltin: true });
+    expect(readPromptSource('franchise-contract-review', { builtin: true })).toBe(original);
+    expect(readFileSync(builtinPath, 'utf8')).toBe(original);
+    expect(getAvailablePromptsInfo().filter(prompt => prompt.name === 'franchise-contract-review')).toHaveLength(1);
+
+    // Deleting the override restores the built-in
+    deleteUserPrompt('franchise-contract-review');
+    expect(getPromptMetadata('franchise-contract-review')).toMatchObject({ displayName: 'Kontrakt', source: 'builtin' });
+  });
+
+  it('should validate unsaved prompts and refuse invalid names or content', () => {
+    expect(validatePrompt('lejekontrakt', USER_PROMPT)).toEqual({ valid: true, warnings: undefined });
+    expect(validatePrompt('lejekontrakt', '---\ndisplayName: Leje\n# Prompt'))
+      .toMatchObject({ valid: false, error: expect.stringContaining('not closed') });
+    expect(validatePrompt('lejekontrakt', 'Kort prompt').warnings).toEqual(expect.arrayContaining([
+      expect.stringContaining('documentType'),
+      expect.stringContaining('very short')
+    ]));
+
+    expect(saveUserPrompt('../settings', USER_PROMPT)).toMatchObject({ success: false, error: expect.stringContaining('Invalid prompt name') });
+    expect(saveUserPrompt('Leje Kontrakt', USER_PROMPT).success).toBe(false);
+    expect(saveUserPrompt('tom', '---\ndisplayName: Tom\n---\n')).toMatchObject({ success: false, error: expect.stringContaining('empty') });
+    expect(existsSync(path.join(userDir, 'tom.md'))).toBe(false);
+  });
+
+  it('should render variables and conditional sections with defaults for empty values', () => {
+    const template = [
+      'Klient: {{clientName}}',
+      '{{#if perspective == "franchisor"}}',
+      'Franchisegiver',
+      '{{else}}',
+      'Franchisetager',
+      '{{/if}}',
+      '{{#if industry}}',
+      'Branche: {{industry}}{{#if jurisdiction != "Danmark"}} ({{jurisdiction}}){{/if}}',
+      '{{/if}}',
+      'Slut'
+    ].join('\n');
+
+    expect(renderPromptTemplate(template, { clientName: 'Acme', perspective: 'franchisor', industry: 'Café', jurisdiction: 'Norge' }))
+      .toBe('Klient: Acme\nFranchisegiver\nBranche: Café (Norge)\nSlut');
+    expect(renderPromptTemplate(template, { industry: '  ', jurisdiction: '' }))
+      .toBe('Klient: \nFranchisetager\nSlut');
+    expect(getTemplateVariables(template)).toEqual(['clientName', 'perspective', 'industry', 'jurisdiction']);
+
+    expect(() => renderPromptTemplate('{{#if industry}}Tekst')).toThrow('not closed');
+    expect(() => renderPromptTemplate('Tekst\n{{/if}}')).toThrow('without {{#if}} on line 2');
+    expect(() => renderPromptTemplate('{{#if industry = "Café"}}{{/if}}')).toThrow('Invalid condition');
+  });
+
+  it('should include shared partials, preferring the user\'s own', () => {
+    const loaded = loadPrompt('franchise-contract-review', { variables: { clientName: 'Acme', perspective: 'franchisor' } });
+
+    expect(loaded.content).toContain('## Klient og kontekst');
+    expect(loaded.content).toContain('Analysen udarbejdes for klienten **Acme**.');
+    expect(loaded.content).toContain('Klienten er **franchisegiver**');
+    expect(loaded.content).toContain('gældende ret i **Danmark**');
+    expect(loaded.content).not.toContain('{{');
+    expect(loaded.metadata.variables).toEqual(['clientName', 'perspective', 'industry', 'jurisdiction']);
+
+    mkdirSync(path.join(userDir, 'partials'));
+    writeFileSync(path.join(userDir, 'partials', 'client-context.md'), 'Egen kontekst for {{clientName}}\n{{> client-context}}\n');
+    try {
+      expect(loadPrompt('franchise-contract-review')).toMatchObject({ success: false, error: expect.stringContaining('includes itself') });
+      writeFileSync(path.join(userDir, 'partials', 'client-context.md'), 'Egen kontekst for {{clientName}}\n');
+      expect(loadPrompt('franchise-contract-review', { variables: { clientName: 'Acme' } }).content)
+        .toContain('Egen kontekst for Acme\n\n## Analysens Fokusområder');
+    } finally {
+      rmSync(path.join(userDir, 'partials'), { recursive: true, force: true });
+    }
+
+    expect(validatePrompt('lejekontrakt', `${USER_PROMPT}\n{{> findes-ikke}}`))
+      .toMatchObject({ valid: false, error: expect.stringContaining('Partial not found: findes-ikke') });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  loadProviderInstructions,
+  hasProviderInstructions,
+  combineInstructions
+} from '../../src/utils/provider-config-loader.js';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+describe('provider-config-loader', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'provider-configs-'));
+    writeFileSync(path.join(dir, 'claude-instructions.md'), '\n# Claude\n\nSvar på dansk.\n\n', 'utf8');
+    writeFileSync(path.join(dir, 'ollama-instructions.md'), '  \n', 'utf8');
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load a provider\'s instructions and ignore missing or empty files', async () => {
+    expect(await loadProviderInstructions('claude', dir)).toBe('# Claude\n\nSvar på dansk.');
+    expect(await loadProviderInstructions('gemini', dir)).toBeNull();
+    expect(await loadProviderInstructions('ollama', dir)).toBeNull();
+    expect(await loadProviderInstructions('../claude', dir)).toBeNull();
+
+    expect(await hasProviderInstructions('claude', dir)).toBe(true);
+    expect(await hasProviderInstructions('ollama', dir)).toBe(false);
+  });
+
+  it('should put the instructions before the prompt', () => {
+    expect(combineInstructions('Gennemgå kontrakten.', 'Svar på dansk.')).toBe('Svar på dansk.\n\n---\n\nGennemgå kontrakten.');
+    expect(combineInstructions('Gennemgå kontrakten.', null)).toBe('Gennemgå kontrakten.');
+  });
+
+  it('should ship default instructions for the built-in cloud providers', async () => {
+    for (const name of ['claude', 'gemini', 'openai']) {
+      expect(await loadProviderInstructions(name)).toMatch(/^# /);
+    }
+  });
+});
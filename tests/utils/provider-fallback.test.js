@@ -0,0 +1,113 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createProviderChain, getCurrentProvider, runWithFallback } from '../../src/services/provider-fallback.js';
+import { ProviderError } from '../../src/providers/base/ProviderError.js';
+
+const failure = (type, isRecoverable = true) => new ProviderError({
+  type,
+  providerId: 'test-cli',
+  message: `Failed: ${type}`,
+  isRecoverable,
+  userMessage: `Fejl: ${type}`
+});
+
+const answer = (name) => ({ message: { role: 'assistant', content: name } });
+
+// Providers whose attempts throw the queued errors (then succeed)
+function createProviders(errors, unavailable = []) {
+  return (name) => ({
+    id: `${name}-cli`,
+    isAvailable: async () => !unavailable.includes(name),
+    next: () => {
+      const error = (errors[name] || []).shift();
+      if (error) throw error;
+      return answer(name);
+    }
+  });
+}
+
+const attempt = vi.fn(async (provider) => provider.next());
+
+describe('provider-fallback', () => {
+  it('should retry transient errors with exponential backoff before succeeding', async () => {
+    vi.useFakeTimers();
+    try {
+      const onRetry = vi.fn();
+      const chain = createProviderChain('claude', ['gemini'], createProviders({ claude: [failure('NETWORK'), failure('NETWORK')] }));
+
+      const pending = runWithFallback(chain, attempt, { retryDelayMs: 1000, onRetry });
+      await vi.runAllTimersAsync();
+
+      expect(await pending).toEqual(answer('claude'));
+      expect(onRetry.mock.calls.map(([retry]) => retry.delayMs)).toEqual([1000, 2000]);
+      expect(chain.switches).toEqual([]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should stop a backoff wait as soon as the analysis is cancelled', async () => {
+    vi.useFakeTimers();
+    try {
+      // eslint-disable-next-line no-undef
+      const controller = new AbortController();
+      const chain = createProviderChain('claude', ['gemini'], createProviders({ claude: [failure('RATE_LIMIT')] }));
+
+      const pending = runWithFallback(chain, attempt, { retryDelayMs: 20000, signal: controller.signal });
+      const rejected = expect(pending).rejects.toMatchObject({ type: 'RATE_LIMIT' });
+      await vi.advanceTimersByTimeAsync(100);
+      controller.abort();
+
+      await rejected;
+      expect(vi.getTimerCount()).toBe(0);
+      expect(chain.switches).toEqual([]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should fall over to the next provider and stay there for later calls', async () => {
+    const chain = createProviderChain('claude', ['gemini', 'openai'], createProviders({
+      claude: [failure('RATE_LIMIT'), failure('RATE_LIMIT'), failure('RATE_LIMIT')]
+    }));
+
+    expect(await runWithFallback(chain, attempt, { retryDelayMs: 0 })).toEqual(answer('gemini'));
+    expect(chain.switches).toEqual([
+      { from: 'claude', to: 'gemini', errorCode: 'RATE_LIMIT', reason: 'Fejl: RATE_LIMIT', attempts: 3 }
+    ]);
+
+    expect(await runWithFallback(chain, attempt, { retryDelayMs: 0 })).toEqual(answer('gemini'));
+    expect(attempt).toHaveBeenLastCalledWith(chain.current, 'gemini');
+  });
+
+  it('should skip providers that are not installed and switch at once on non-transient recoverable errors', async () => {
+    const chain = createProviderChain('claude', ['gemini', 'openai'], createProviders({ gemini: [failure('AUTH')] }, ['claude']));
+
+    expect(await runWithFallback(chain, attempt, { retryDelayMs: 0 })).toEqual(answer('openai'));
+    expect(chain.switches.map(({ from, errorCode, attempts }) => [from, errorCode, attempts]))
+      .toEqual([['claude', 'NOT_INSTALLED', 0], ['gemini', 'AUTH', 1]]);
+    expect(chain.switches[0].reason).toBe('Claude CLI er ikke installeret');
+  });
+
+  it('should throw non-recoverable errors and cancellation without falling over', async () => {
+    const chain = createProviderChain('claude', ['gemini'], createProviders({
+      claude: [failure('PROVIDER', false), failure('CANCELLED', false), new Error('Analysen blev afbrudt')]
+    }));
+
+    await expect(runWithFallback(chain, attempt)).rejects.toMatchObject({ type: 'PROVIDER' });
+    await expect(runWithFallback(chain, attempt)).rejects.toMatchObject({ type: 'CANCELLED' });
+    await expect(runWithFallback(chain, attempt)).rejects.toThrow('Analysen blev afbrudt');
+    expect(chain.switches).toEqual([]);
+  });
+
+  it('should throw the last failure when every provider failed', async () => {
+    const chain = createProviderChain('claude', ['claude', 'gemini'], createProviders({
+      claude: [failure('AUTH')],
+      gemini: [failure('AUTH')]
+    }));
+
+    expect(chain.providers).toEqual(['claude', 'gemini']);
+    await expect(runWithFallback(chain, attempt)).rejects.toMatchObject({ type: 'AUTH' });
+    expect(chain.switches).toHaveLength(1);
+    expect(getCurrentProvider(chain)).toBe('gemini');
+  });
+});
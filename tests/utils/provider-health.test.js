@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { checkProviderHealth, getProvidersHealth, loadHealthCache } from '../../src/services/provider-health.js';
+import { loadCustomProviders } from '../../src/providers/registry.js';
+
+// Fake "claude" executable: answers the smoke prompt, or fails like a logged-out CLI
+const FAKE_CLAUDE = `#!/bin/sh
+if [ "$1" = "--version" ]; then
+  echo "2.1.0 (Claude Code)"
+  exit 0
+fi
+cat > /dev/null
+if [ "$FAKE_CLAUDE_MODE" = "logged-out" ]; then
+  echo "Invalid API key · Please run /login" >&2
+  exit 1
+fi
+echo "OK"
+`;
+
+describe.skipIf(process.platform === 'win32')('provider-health', () => {
+  let binDir;
+  let providersDir;
+  let originalPath;
+
+  beforeAll(() => {
+    binDir = mkdtempSync(path.join(tmpdir(), 'fake-health-'));
+    writeFileSync(path.join(binDir, 'claude'), FAKE_CLAUDE);
+    chmodSync(path.join(binDir, 'claude'), 0o755);
+    originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+    // A registered provider whose CLI is not installed
+    providersDir = mkdtempSync(path.join(tmpdir(), 'health-providers-'));
+    writeFileSync(path.join(providersDir, 'missing.json'), JSON.stringify({ name: 'missing-llm', command: 'missing-llm-cli-xyz' }));
+    loadCustomProviders(providersDir);
+  });
+
+  afterAll(() => {
+    process.env.PATH = originalPath;
+    delete process.env.FAKE_CLAUDE_MODE;
+    loadCustomProviders(path.join(providersDir, 'missing'));
+    rmSync(binDir, { recursive: true, force: true });
+    rmSync(providersDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    delete process.env.FAKE_CLAUDE_MODE;
+  });
+
+  it('should report a provider that answers the smoke prompt as ready', async () => {
+    const status = await checkProviderHealth('claude', { modelOptions: { model: 'haiku' } });
+
+    expect(status).toMatchObject({ provider: 'claude', ok: true, errorCode: null, message: 'Klar', version: '2.1.0 (Claude Code)', model: 'haiku' });
+    expect(new Date(status.checkedAt).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('should classify a logged-out CLI with the provider\'s login guidance', async () => {
+    process.env.FAKE_CLAUDE_MODE = 'logged-out';
+
+    const status = await checkProviderHealth('claude');
+
+    expect(status).toMatchObject({ ok: false, errorCode: 'AUTH', message: 'Du skal logge ind først' });
+    expect(status.suggestions).toContain('Kør "claude login" i din terminal');
+
+    const missing = await checkProviderHealth('missing-llm');
+    expect(missing).toMatchObject({ ok: false, errorCode: 'NOT_INSTALLED', version: null });
+  });
+
+  it('should reuse a fresh cached status and check again when forced', async () => {
+    const file = path.join(binDir, 'cache', 'health.json');
+
+    process.env.FAKE_CLAUDE_MODE = 'logged-out';
+    const [first] = await getProvidersHealth(['claude'], { file });
+    expect(first.ok).toBe(false);
+    expect(loadHealthCache(file).claude).toEqual(first);
+
+    // Logged in again - the cached status is still fresh
+    delete process.env.FAKE_CLAUDE_MODE;
+    const [cached] = await getProvidersHealth(['claude'], { file });
+    expect(cached).toEqual(first);
+
+    const [forced] = await getProvidersHealth(['claude'], { file, force: true });
+    expect(forced.ok).toBe(true);
+
+    const [stale] = await getProvidersHealth(['claude'], { file, maxAgeMs: 0 });
+    expect(stale.checkedAt).not.toBe(first.checkedAt);
+    expect(loadHealthCache(file).claude.ok).toBe(true);
+  });
+});
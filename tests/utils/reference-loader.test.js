@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { loadReferenceMaterials } from '../../src/utils/reference-loader.js';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// One token per character keeps budgets in the tests easy to reason about
+const countChars = (text) => text.length;
+
+describe('reference-loader', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(tmpdir(), 'references-test-'));
+    writeFileSync(path.join(dir, 'a-tidligere-kontrakt.txt'), '§ 1 Parterne\r\n\r\nTidligere aftale.', 'utf8');
+    writeFileSync(path.join(dir, 'b-best-practice.md'), '# Best practice\n\nOpsigelse mindst 6 måneder.', 'utf8');
+    writeFileSync(path.join(dir, 'c-beskadiget.docx'), 'not a zip archive');
+    writeFileSync(path.join(dir, 'logo.png'), 'png');
+    writeFileSync(path.join(dir, '.DS_Store'), '');
+    mkdirSync(path.join(dir, 'undermappe'));
+  });
+
+  afterAll(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load supported files in name order and skip unreadable ones', async () => {
+    const result = await loadReferenceMaterials(dir, { estimate: countChars });
+
+    expect(result.documents.map(doc => doc.name)).toEqual(['a-tidligere-kontrakt.txt', 'b-best-practice.md']);
+    expect(result.documents[0].text).toBe('§ 1 Parterne\n\nTidligere aftale.');
+    expect(result.skipped).toEqual([{ name: 'c-beskadiget.docx', reason: 'DOCUMENT_CORRUPT' }]);
+    expect(result.totalTokens).toBe(result.documents[0].tokens + result.documents[1].tokens);
+  });
+
+  it('should truncate and skip references beyond the token budget', async () => {
+    const budgetDir = mkdtempSync(path.join(tmpdir(), 'references-budget-'));
+    writeFileSync(path.join(budgetDir, '1.txt'), `${'a'.repeat(400)}\n\n${'b'.repeat(400)}`, 'utf8');
+    writeFileSync(path.join(budgetDir, '2.txt'), 'c'.repeat(800), 'utf8');
+    writeFileSync(path.join(budgetDir, '3.txt'), 'd'.repeat(800), 'utf8');
+
+    const result = await loadReferenceMaterials(budgetDir, { maxTokens: 1500, estimate: countChars });
+
+    expect(result.documents[0]).toMatchObject({ name: '1.txt', truncated: false });
+    expect(result.documents[1]).toMatchObject({ name: '2.txt', truncated: true });
+    expect(result.totalTokens).toBeLessThanOrEqual(1500);
+    expect(result.skipped).toEqual([{ name: '3.txt', reason: 'budget' }]);
+
+    rmSync(budgetDir, { recursive: true, force: true });
+  });
+
+  it('should reject a missing folder with REFERENCE_PATH_INVALID', async () => {
+    await expect(loadReferenceMaterials(path.join(dir, 'findes-ikke')))
+      .rejects.toMatchObject({ errorCode: 'REFERENCE_PATH_INVALID' });
+    await expect(loadReferenceMaterials(path.join(dir, 'a-tidligere-kontrakt.txt')))
+      .rejects.toMatchObject({ errorCode: 'REFERENCE_PATH_INVALID' });
+  });
+});
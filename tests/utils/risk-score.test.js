@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { computeRiskScore, formatRiskScore } from '../../src/utils/risk-score.js';
+
+const finding = (severity, explanation, category = 'Juridisk risiko') => ({
+  category,
+  clause: null,
+  severity,
+  quote: '',
+  explanation,
+  suggestion: null
+});
+
+describe('risk-score', () => {
+  it('should return null without structured findings', () => {
+    expect(computeRiskScore(null)).toBeNull();
+  });
+
+  it('should score an analysis without findings as low risk', () => {
+    expect(computeRiskScore([])).toMatchObject({ score: 0, level: 'Lav', topics: [] });
+  });
+
+  it('should weight findings by severity and topic', () => {
+    const termination = computeRiskScore([finding('Høj', 'Franchisegiver kan opsige med kort varsel.')]);
+    const other = computeRiskScore([finding('Høj', 'Aftalen er uklart formuleret.')]);
+    const minor = computeRiskScore([finding('Lav', 'Franchisegiver kan opsige med kort varsel.')]);
+
+    expect(termination.score).toBeGreaterThan(other.score);
+    expect(other.score).toBeGreaterThan(minor.score);
+    expect(termination.topics).toEqual([{ topic: 'Opsigelse og ophør', points: 15, count: 1 }]);
+  });
+
+  it('should reach high risk for several severe findings and summarize them', () => {
+    const riskScore = computeRiskScore([
+      finding('Høj', 'Ensidig opsigelsesret.'),
+      finding('Høj', 'Franchisefee på 8 procent af omsætningen.'),
+      finding('Høj', 'Ingen eneret i området.'),
+      finding('Middel', 'Uklar formulering.', 'Uklar formulering')
+    ]);
+
+    expect(riskScore.level).toBe('Høj');
+    expect(riskScore.topics.map(topic => topic.topic)).toEqual([
+      'Opsigelse og ophør', 'Økonomi og gebyrer', 'Territorium', 'Øvrigt'
+    ]);
+    expect(formatRiskScore(riskScore)).toBe(`${riskScore.score}/100 (Høj) – 3 Høj, 1 Middel`);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { addUsage, computeCost, loadUsageLedger, recordUsage, summarizeUsage } from '../../src/utils/usage-ledger.js';
+
+const entry = (clientName, totalTokens, costUsd, estimated = false) => ({
+  analysisId: 'a1',
+  date: '2026-10-19T10:00:00.000Z',
+  clientName,
+  documentName: 'kontrakt.pdf',
+  promptName: 'franchise-contract-review',
+  provider: 'claude',
+  model: null,
+  inputTokens: totalTokens,
+  outputTokens: 0,
+  totalTokens,
+  costUsd,
+  estimated
+});
+
+describe('usage-ledger', () => {
+  let ledgerDir;
+
+  beforeAll(() => {
+    ledgerDir = mkdtempSync(path.join(tmpdir(), 'usage-ledger-'));
+  });
+
+  afterAll(() => {
+    rmSync(ledgerDir, { recursive: true, force: true });
+  });
+
+  it('should add up usage and keep the reported cost only if every call reported one', () => {
+    expect(addUsage(undefined, null)).toBeNull();
+
+    const reported = addUsage(
+      { inputTokens: 100, outputTokens: 50, totalTokens: 150, costUsd: 0.01 },
+      { inputTokens: 10, outputTokens: 5, totalTokens: 15, costUsd: 0.002 }
+    );
+    expect(reported).toMatchObject({ inputTokens: 110, outputTokens: 55, totalTokens: 165, estimated: false });
+    expect(reported.costUsd).toBeCloseTo(0.012);
+
+    const mixed = addUsage({ inputTokens: 100, outputTokens: 50, costUsd: 0.01 }, { totalTokens: 40, estimated: true });
+    expect(mixed).toEqual({ inputTokens: 100, outputTokens: 50, totalTokens: 190, estimated: true });
+  });
+
+  it('should price tokens per million unless the CLI reported the cost', () => {
+    const price = { input: 3, output: 15 };
+
+    expect(computeCost({ inputTokens: 1000000, outputTokens: 100000 }, price)).toBeCloseTo(4.5);
+    expect(computeCost({ totalTokens: 2000000 }, price)).toBeCloseTo(6);
+    expect(computeCost({ inputTokens: 1000, outputTokens: 1000, costUsd: 0.5 }, price)).toBe(0.5);
+    expect(computeCost({ inputTokens: 1000 })).toBe(0);
+    expect(computeCost(null, price)).toBe(0);
+  });
+
+  it('should append entries to the ledger and total them per client', () => {
+    const file = path.join(ledgerDir, 'nested', 'usage.json');
+    expect(loadUsageLedger(file)).toEqual([]);
+
+    expect(recordUsage([entry('Kunde A', 1000, 0.5)], file)).toBe(true);
+    expect(recordUsage([entry('Kunde B', 3000, 2, true), entry('Kunde A', 500, 0.25), entry('', 100, 0)], file)).toBe(true);
+
+    const entries = loadUsageLedger(file);
+    expect(entries).toHaveLength(4);
+
+    const { total, clients } = summarizeUsage(entries);
+    expect(total).toMatchObject({ analyses: 4, totalTokens: 4600, costUsd: 2.75, estimated: true });
+    expect(clients.map(client => [client.clientName, client.analyses, client.estimated])).toEqual([
+      ['Kunde B', 1, true],
+      ['Kunde A', 2, false],
+      ['Ingen klient', 1, false]
+    ]);
+  });
+});